@@ -10,6 +10,7 @@ dotenv.config();
 
 // Now import modules that depend on environment variables
 import rateLimiter from "../middleware/rateLimiter.js";
+import { auditContext } from "../middleware/audit.js";
 import connectDB from "../config/db.js";
 import authRoutes from "../routes/authRoutes.js";
 import childRoutes from "../routes/childRoutes.js";
@@ -19,6 +20,16 @@ import noteRoutes from "../routes/noteRoutes.js";
 import whisperRoutes from "../routes/whisperRoutes.js";
 import invitationRoutes from "../routes/invitationRoutes.js";
 import teacherInvitationRoutes from "../routes/teacherInvitationRoutes.js";
+import transcriptionQueue from "../lib/transcriptionQueue.js";
+import audioRetention from "../lib/audioRetention.js";
+import digestScheduler from "../lib/digests.js";
+import invitationSweeper from "../lib/invitationSweeper.js";
+import assessmentRoutes from "../routes/assessmentRoutes.js";
+import adminRoutes from "../routes/adminRoutes.js";
+import analyticsRoutes from "../routes/analyticsRoutes.js";
+import exportRoutes from "../routes/exportRoutes.js";
+import emailPreferenceRoutes from "../routes/emailPreferenceRoutes.js";
+import auditRoutes from "../routes/auditRoutes.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,6 +45,18 @@ if (!fs.existsSync(uploadsDir)) {
 // Connect to database
 connectDB();
 
+// Start background worker for queued audio transcriptions
+transcriptionQueue.start();
+
+// Purge stored recordings past their center's retention period
+audioRetention.start();
+
+// Email parents and teachers their digests when a period completes
+digestScheduler.start();
+
+// Mark invitations past their expiry as expired
+invitationSweeper.start();
+
 //middleware
 // CORS configuration
 // Build allowed origins list from environment variables
@@ -103,6 +126,8 @@ app.use(cors(corsOptions));
 
 app.use(express.json());
 app.use(rateLimiter);
+// Changes saved while handling a request are logged with its user (see lib/audit.js)
+app.use(auditContext);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -115,8 +140,14 @@ app.use("/api/teachers", teacherRoutes);
 app.use("/api/centers", centerRoutes);
 app.use("/api/notes", noteRoutes);
 app.use("/api", whisperRoutes);
+app.use("/api/assessments", assessmentRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/exports", exportRoutes);
+app.use("/api/email-preferences", emailPreferenceRoutes);
 app.use("/api/invitations", invitationRoutes);
 app.use("/api/teacher-invitations", teacherInvitationRoutes);
+app.use("/api/audit", auditRoutes);
 
 app.listen(process.env.PORT, () => {
     console.log(`Server is running on port ${process.env.PORT}`);
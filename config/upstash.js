@@ -1,15 +1,26 @@
 import { Ratelimit } from "@upstash/ratelimit";
 import { Redis } from "@upstash/redis";
+import dotenv from "dotenv";
 
-const redis = new Redis({
-    url: process.env.UPSTASH_REDIS_REST_URL,
-    token: process.env.UPSTASH_REDIS_REST_TOKEN,
-});
+dotenv.config();
 
-const limiter = new Ratelimit({
-    redis,
-    limiter: Ratelimit.slidingWindow(10, "60s"),
-    prefix: "rate-limit",
-});
+const redisUrl = process.env.UPSTASH_REDIS_REST_URL?.trim();
+const redisToken = process.env.UPSTASH_REDIS_REST_TOKEN?.trim();
 
-export default limiter;
\ No newline at end of file
+// Shared Upstash client, or null when Redis isn't configured (callers fall back to memory)
+export const redis = redisUrl && redisToken
+    ? new Redis({
+        url: redisUrl,
+        token: redisToken,
+    })
+    : null;
+
+const limiter = redis
+    ? new Ratelimit({
+        redis,
+        limiter: Ratelimit.slidingWindow(10, "60s"),
+        prefix: "rate-limit",
+    })
+    : null;
+
+export default limiter;
@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import Account, { ACCOUNT_ROLES } from "../models/Account.js";
+import Session from "../models/Session.js";
+import { Admin } from "../models/User.js";
+import { ACCOUNT_MODELS, findAccount } from "../lib/accounts.js";
+
+const ACCOUNT_STATUSES = ['active', 'deactivated'];
+
+// Escape user input for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load an account and its directory entry by account ID
+ * Falls back to the three collections for accounts not yet in the directory.
+ */
+const findAccountById = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    const entry = await Account.findOne({ accountId: id });
+    if (entry) {
+        const account = await findAccount(entry.role, id);
+        return account ? { entry, account } : null;
+    }
+    for (const role of Object.keys(ACCOUNT_MODELS)) {
+        const account = await findAccount(role, id);
+        if (account) {
+            return { entry: null, account };
+        }
+    }
+    return null;
+};
+
+const toSummary = (entry) => ({
+    id: entry.accountId,
+    role: entry.role,
+    email: entry.email,
+    name: entry.name,
+    deactivatedAt: entry.deactivatedAt,
+    deactivatedBy: entry.deactivatedBy,
+    createdAt: entry.createdAt
+});
+
+const toDetails = async ({ entry, account }) => ({
+    ...(entry ? toSummary(entry) : {
+        id: account._id,
+        role: account.role,
+        email: account.email,
+        name: account.name,
+        deactivatedAt: account.deactivatedAt,
+        deactivatedBy: null,
+        createdAt: account.createdAt || null
+    }),
+    inDirectory: !!entry,
+    emailVerifiedAt: account.emailVerifiedAt,
+    passwordChangedAt: account.passwordChangedAt,
+    mfaEnabled: !!account.mfa?.enabled,
+    ...(account.role === 'teacher' ? { center: account.center } : {}),
+    ...(account.role === 'parent' ? { childIds: account.getChildIds() } : {}),
+    activeSessions: await Session.countDocuments({
+        accountId: account._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+});
+
+/**
+ * List accounts across roles
+ * Query: ?role=, ?status=active|deactivated, ?q= (name or email), ?limit= (default 50, max 500), ?offset=
+ */
+export const listAccounts = async (req, res) => {
+    try {
+        const { role, status, q } = req.query;
+        const filter = {};
+
+        if (role) {
+            if (!ACCOUNT_ROLES.includes(role)) {
+                return res.status(400).json({ message: `role must be one of: ${ACCOUNT_ROLES.join(', ')}` });
+            }
+            filter.role = role;
+        }
+        if (status) {
+            if (!ACCOUNT_STATUSES.includes(status)) {
+                return res.status(400).json({ message: `status must be one of: ${ACCOUNT_STATUSES.join(', ')}` });
+            }
+            filter.deactivatedAt = status === 'active' ? null : { $ne: null };
+        }
+        if (q) {
+            const pattern = new RegExp(escapeRegExp(String(q).trim()), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const [total, entries] = await Promise.all([
+            Account.countDocuments(filter),
+            Account.find(filter).sort({ email: 1 }).skip(offset).limit(limit)
+        ]);
+
+        res.status(200).json({
+            total,
+            limit,
+            offset,
+            accounts: entries.map(toSummary)
+        });
+    } catch (error) {
+        console.error("Error listing accounts:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * One account with its sign-in details
+ */
+export const getAccountDetails = async (req, res) => {
+    try {
+        const found = await findAccountById(req.params.id);
+        if (!found) {
+            return res.status(404).json({ message: "Account not found" });
+        }
+        res.status(200).json({ account: await toDetails(found) });
+    } catch (error) {
+        console.error("Error fetching account:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Deactivate an account: it can't sign in and its sessions end
+ */
+export const deactivateAccount = async (req, res) => {
+    try {
+        const found = await findAccountById(req.params.id);
+        if (!found) {
+            return res.status(404).json({ message: "Account not found" });
+        }
+        const { account } = found;
+
+        if (account._id.equals(req.user.id)) {
+            return res.status(400).json({ message: "You can't deactivate your own account" });
+        }
+        if (account.deactivatedAt) {
+            return res.status(400).json({ message: "Account is already deactivated" });
+        }
+        if (account.role === 'admin') {
+            const otherActiveAdmins = await Admin.countDocuments({ _id: { $ne: account._id }, deactivatedAt: null });
+            if (otherActiveAdmins === 0) {
+                return res.status(400).json({ message: "The last active admin can't be deactivated" });
+            }
+        }
+
+        account.deactivatedAt = new Date();
+        await account.save();
+        await Account.updateOne({ accountId: account._id }, { $set: { deactivatedBy: req.user.id } });
+        const sessionsEnded = await Session.revokeAll(account._id, { reason: 'account_deactivated' });
+
+        console.log(`Account ${account.email} (${account.role}) deactivated by admin ${req.user.email}`);
+
+        res.status(200).json({
+            message: "Account deactivated",
+            sessionsEnded,
+            account: await toDetails(await findAccountById(account._id))
+        });
+    } catch (error) {
+        console.error("Error deactivating account:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Let a deactivated account sign in again
+ */
+export const reactivateAccount = async (req, res) => {
+    try {
+        const found = await findAccountById(req.params.id);
+        if (!found) {
+            return res.status(404).json({ message: "Account not found" });
+        }
+        const { account } = found;
+
+        if (!account.deactivatedAt) {
+            return res.status(400).json({ message: "Account is not deactivated" });
+        }
+
+        account.deactivatedAt = null;
+        await account.save();
+        await Account.updateOne({ accountId: account._id }, { $set: { deactivatedBy: null } });
+
+        console.log(`Account ${account.email} (${account.role}) reactivated by admin ${req.user.email}`);
+
+        res.status(200).json({
+            message: "Account reactivated",
+            account: await toDetails(await findAccountById(account._id))
+        });
+    } catch (error) {
+        console.error("Error reactivating account:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,78 @@
+import { canAccessCenter } from "../lib/accessPolicy.js";
+import {
+    BREAKDOWN_DIMENSIONS,
+    parseAnalyticsPeriod,
+    findCenter,
+    getCenterOverview,
+    getCenterBreakdown
+} from "../lib/centerAnalytics.js";
+
+/**
+ * Load the center in req.params.id and check the caller may see its analytics
+ * @returns {Promise<Object>} { center } or { statusCode, message }
+ */
+const findCenterForRequest = async (req) => {
+    const center = await findCenter(req.params.id);
+    if (!center) {
+        return { statusCode: 404, message: "Center not found" };
+    }
+    if (!(await canAccessCenter(req.user, center.name))) {
+        return { statusCode: 403, message: "You don't have access to this center" };
+    }
+    return { center };
+};
+
+/**
+ * Center overview: child and classroom averages for a period, compared with the previous period
+ * Query: from, to (default: last 90 days), compare ('previous' | 'none')
+ */
+export const getCenterAnalytics = async (req, res) => {
+    try {
+        const period = parseAnalyticsPeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({ message: period.error });
+        }
+
+        const { center, statusCode, message } = await findCenterForRequest(req);
+        if (!center) {
+            return res.status(statusCode).json({ message });
+        }
+
+        const overview = await getCenterOverview(center, period);
+        res.status(200).json({ analytics: overview });
+    } catch (error) {
+        console.error("Error fetching center analytics:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Center scores per teacher, classroom, age band, primary language or diagnosis
+ * Query: from, to, compare (see getCenterAnalytics)
+ */
+export const getCenterAnalyticsBreakdown = async (req, res) => {
+    try {
+        const { dimension } = req.params;
+        if (!BREAKDOWN_DIMENSIONS.includes(dimension)) {
+            return res.status(400).json({
+                message: `Unknown breakdown "${dimension}". Use: ${BREAKDOWN_DIMENSIONS.join(', ')}`
+            });
+        }
+
+        const period = parseAnalyticsPeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({ message: period.error });
+        }
+
+        const { center, statusCode, message } = await findCenterForRequest(req);
+        if (!center) {
+            return res.status(statusCode).json({ message });
+        }
+
+        const breakdown = await getCenterBreakdown(center, dimension, period);
+        res.status(200).json({ analytics: breakdown });
+    } catch (error) {
+        console.error("Error fetching center analytics breakdown:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
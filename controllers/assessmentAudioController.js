@@ -0,0 +1,141 @@
+import { pipeline } from "stream/promises";
+import { findAssessmentById } from "../lib/assessmentLookup.js";
+import { canViewAssessment } from "../lib/accessPolicy.js";
+import { getAudioStorage, signAudioAccess, verifyAudioAccess } from "../lib/audioStorage/index.js";
+
+/**
+ * Parse a single "bytes=" Range header
+ * @param {string} header - Range header value
+ * @param {number} size - Object size in bytes
+ * @returns {Object|null} { start, end } (inclusive), { unsatisfiable: true }, or null to send the whole file
+ */
+const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    // Missing, malformed or multi-range requests get the whole file
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return { unsatisfiable: true };
+    }
+    return { start, end };
+};
+
+/**
+ * Load the assessment and check the caller may hear its recording
+ * Accepts either a bearer token or a signed URL (?expires=&signature=).
+ * @returns {Promise<Object>} { assessment } or { statusCode, message }
+ */
+const authorizeAudioRequest = async (req) => {
+    const { expires, signature } = req.query;
+    const signed = !!signature && verifyAudioAccess(req.params.id, expires, signature);
+
+    if (!signed && !req.user) {
+        return { statusCode: 401, message: "Authentication or a valid signed URL is required" };
+    }
+
+    const found = await findAssessmentById(req.params.id);
+    if (!found) {
+        return { statusCode: 404, message: "Assessment not found" };
+    }
+    if (!signed && !(await canViewAssessment(req.user, found.assessment, found.kind))) {
+        return { statusCode: 403, message: "You don't have access to this assessment" };
+    }
+
+    return found;
+};
+
+/**
+ * Stream an assessment's recording (supports Range requests for seeking)
+ */
+export const streamAssessmentAudio = async (req, res) => {
+    try {
+        const access = await authorizeAudioRequest(req);
+        if (access.statusCode) {
+            return res.status(access.statusCode).json({ message: access.message });
+        }
+
+        const { audio } = access.assessment;
+        if (!audio?.key || audio.purgedAt) {
+            return res.status(404).json({ message: "No audio is stored for this assessment" });
+        }
+
+        const storage = await getAudioStorage();
+        const stat = await storage.stat(audio.key);
+        if (!stat) {
+            return res.status(404).json({ message: "Audio file is no longer available" });
+        }
+
+        const size = stat.size;
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Content-Type', audio.contentType || stat.contentType || 'application/octet-stream');
+        res.setHeader('Cache-Control', 'private, no-store');
+
+        const range = parseRange(req.headers.range, size);
+        if (range?.unsatisfiable) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+        } else {
+            res.status(200);
+            res.setHeader('Content-Length', size);
+        }
+
+        const stream = await storage.createReadStream(audio.key, range || {});
+        await pipeline(stream, res);
+    } catch (error) {
+        // Client aborted playback mid-stream - nothing to report
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            return;
+        }
+        console.error("Error streaming assessment audio:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+};
+
+/**
+ * Issue a short-lived signed URL for an <audio> element
+ */
+export const getAssessmentAudioUrl = async (req, res) => {
+    try {
+        const access = await authorizeAudioRequest(req);
+        if (access.statusCode) {
+            return res.status(access.statusCode).json({ message: access.message });
+        }
+
+        const { audio } = access.assessment;
+        if (!audio?.key || audio.purgedAt) {
+            return res.status(404).json({ message: "No audio is stored for this assessment" });
+        }
+
+        const { expires, signature } = signAudioAccess(req.params.id);
+        res.status(200).json({
+            url: `/api/assessments/${req.params.id}/audio?expires=${expires}&signature=${signature}`,
+            expiresAt: new Date(expires * 1000)
+        });
+    } catch (error) {
+        console.error("Error signing assessment audio URL:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,112 @@
+import { findAssessmentById } from "../lib/assessmentLookup.js";
+import { canViewAssessment } from "../lib/accessPolicy.js";
+import { acceptDraft, rejectDraft, canReviewAssessment, listPendingReviews } from "../lib/assessmentReview.js";
+
+/**
+ * Drafts waiting for the current user's review
+ * Admins can pass ?all=true to list every pending draft.
+ */
+export const getPendingReviews = async (req, res) => {
+    try {
+        const pending = await listPendingReviews(req.user, { all: req.query.all === 'true' });
+        res.status(200).json({ count: pending.length, assessments: pending });
+    } catch (error) {
+        console.error("Error fetching pending reviews:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Get one assessment (drafts are only visible to their reviewers)
+ */
+export const getAssessment = async (req, res) => {
+    try {
+        const found = await findAssessmentById(req.params.id);
+        if (!found) {
+            return res.status(404).json({ message: "Assessment not found" });
+        }
+
+        const allowed = found.assessment.status === 'accepted'
+            ? await canViewAssessment(req.user, found.assessment, found.kind)
+            : await canReviewAssessment(req.user, found.assessment, found.kind);
+        if (!allowed) {
+            return res.status(403).json({ message: "You don't have access to this assessment" });
+        }
+
+        res.status(200).json({ kind: found.kind, assessment: found.assessment });
+    } catch (error) {
+        console.error("Error fetching assessment:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Load a draft for review and check the caller may review it
+ * @returns {Promise<Object>} { found } or { statusCode, message }
+ */
+const findDraftForReview = async (req) => {
+    const found = await findAssessmentById(req.params.id);
+    if (!found) {
+        return { statusCode: 404, message: "Assessment not found" };
+    }
+    if (!(await canReviewAssessment(req.user, found.assessment, found.kind))) {
+        return { statusCode: 403, message: "You can't review this assessment" };
+    }
+    return { found };
+};
+
+/**
+ * Accept a draft assessment
+ * Body: { transcript?, speakerRoles?, date? } - a corrected transcript is re-scored server-side
+ */
+export const acceptAssessment = async (req, res) => {
+    try {
+        const { found, statusCode, message } = await findDraftForReview(req);
+        if (!found) {
+            return res.status(statusCode).json({ message });
+        }
+
+        const { transcript, speakerRoles, date } = req.body || {};
+        const result = await acceptDraft(found.assessment, { transcript, speakerRoles, date, reviewer: req.user });
+        if (result.error) {
+            return res.status(result.statusCode).json({ message: result.error });
+        }
+
+        res.status(200).json({
+            message: "Assessment accepted",
+            kind: found.kind,
+            assessment: result.assessment,
+            rescored: result.rescored
+        });
+    } catch (error) {
+        console.error("Error accepting assessment:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Reject a draft assessment
+ * Body: { reason? }
+ */
+export const rejectAssessment = async (req, res) => {
+    try {
+        const { found, statusCode, message } = await findDraftForReview(req);
+        if (!found) {
+            return res.status(statusCode).json({ message });
+        }
+
+        const result = await rejectDraft(found.assessment, { reason: req.body?.reason, reviewer: req.user });
+        if (result.error) {
+            return res.status(result.statusCode).json({ message: result.error });
+        }
+
+        res.status(200).json({
+            message: "Assessment rejected",
+            kind: found.kind,
+            assessment: result.assessment
+        });
+    } catch (error) {
+        console.error("Error rejecting assessment:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import AuditLog, { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { writeCsv } from "../lib/csv.js";
+
+const AUDIT_COLUMNS = [
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'actorId', header: 'actor_id' },
+    { key: 'actorRole', header: 'actor_role' },
+    { key: 'actorEmail', header: 'actor_email' },
+    { key: 'action', header: 'action' },
+    { key: 'targetType', header: 'target_type' },
+    { key: 'targetId', header: 'target_id' },
+    { key: 'details', header: 'details' },
+    { key: 'changes', header: 'changes' },
+    { key: 'ip', header: 'ip' },
+    { key: 'method', header: 'method' },
+    { key: 'path', header: 'path' }
+];
+
+// Escape user input for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build the log query from the request's filters
+ * @returns {Object} { filter } or { error }
+ */
+const parseAuditFilter = (query) => {
+    const { actorId, actorRole, actorEmail, action, targetType, targetId, from, to } = query;
+    const filter = {};
+
+    if (actorId) {
+        if (!mongoose.Types.ObjectId.isValid(actorId)) {
+            return { error: "actorId must be a valid ID" };
+        }
+        filter.actorId = actorId;
+    }
+    if (actorRole) {
+        filter.actorRole = String(actorRole);
+    }
+    if (actorEmail) {
+        filter.actorEmail = new RegExp(`^${escapeRegExp(String(actorEmail).trim())}$`, 'i');
+    }
+    if (action) {
+        if (!AUDIT_ACTIONS.includes(action)) {
+            return { error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` };
+        }
+        filter.action = action;
+    }
+    if (targetType) {
+        filter.targetType = String(targetType);
+    }
+    if (targetId) {
+        filter.targetId = String(targetId);
+    }
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) {
+            const fromDate = parseDate(from);
+            if (!fromDate) {
+                return { error: "from must be a valid date" };
+            }
+            filter.createdAt.$gte = fromDate;
+        }
+        if (to) {
+            const toDate = parseDate(to);
+            if (!toDate) {
+                return { error: "to must be a valid date" };
+            }
+            filter.createdAt.$lte = toDate;
+        }
+    }
+    return { filter };
+};
+
+async function* csvRows(cursor) {
+    try {
+        for await (const entry of cursor) {
+            yield {
+                ...entry,
+                createdAt: entry.createdAt?.toISOString(),
+                changes: entry.changes?.length ? JSON.stringify(entry.changes) : ''
+            };
+        }
+    } finally {
+        // Also when the download is cut short
+        await cursor.close();
+    }
+}
+
+/**
+ * Who viewed or changed which record, newest first
+ * Query: actorId, actorRole, actorEmail, action (create | update | delete | read), targetType,
+ * targetId, from, to, limit (default 50, max 500), offset, format=csv to download every match
+ */
+export const getAuditLog = async (req, res) => {
+    const { filter, error } = parseAuditFilter(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        if (req.query.format === 'csv') {
+            const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.setHeader('Cache-Control', 'no-store');
+
+            const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+            const count = await writeCsv(csvRows(cursor), res, AUDIT_COLUMNS);
+            console.log(`📤 Exported ${count} audit log entries for ${req.user.email}`);
+            return;
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const [total, entries] = await Promise.all([
+            AuditLog.countDocuments(filter),
+            AuditLog.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean()
+        ]);
+
+        res.status(200).json({ total, limit, offset, entries });
+    } catch (error) {
+        console.error("Error fetching audit log:", error);
+        if (res.headersSent) {
+            // The download has started - cut it off so it can't be mistaken for a complete file
+            res.destroy(error);
+        } else {
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ message: error.message });
+        }
+    }
+};
@@ -1,8 +1,63 @@
 import { Admin, Teacher, Parent, Child } from "../models/User.js";
 import Invitation from "../models/Invitation.js";
 import TeacherInvitation from "../models/TeacherInvitation.js";
-import jwt from "jsonwebtoken";
+import AccountToken from "../models/AccountToken.js";
+import Session from "../models/Session.js";
 import bcrypt from "bcrypt";
+import {
+    MIN_PASSWORD_LENGTH,
+    findAccount,
+    findAccountByEmail,
+    passwordMatches,
+    setPassword,
+    signAccountToken,
+    startSession,
+    refreshSession
+} from "../lib/accounts.js";
+import { sendPasswordResetEmail, sendVerificationEmail, sendAccountLockedEmail } from "../lib/emailService.js";
+import loginThrottle from "../lib/loginThrottle.js";
+import { MFA_SECRET_FIELDS, signMfaToken, verifyMfaToken, verifySecondFactor } from "../lib/mfa.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+
+const getResetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "60", 10);
+const getVerificationTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || "48", 10);
+
+/**
+ * 429 response for a login attempt the throttle turned away
+ */
+const sendLoginThrottled = (res, throttle) => {
+    res.set('Retry-After', String(throttle.retryAfter));
+    if (throttle.lockedUntil) {
+        return res.status(429).json({ 
+            message: "Too many failed sign-in attempts. This account is temporarily locked.",
+            lockedUntil: throttle.lockedUntil,
+            retryAfter: throttle.retryAfter
+        });
+    }
+    return res.status(429).json({ 
+        message: "Too many failed sign-in attempts. Please wait before trying again.",
+        retryAfter: throttle.retryAfter
+    });
+};
+
+/**
+ * Count a failed login; the failure that locks an account emails its owner
+ * @returns {Promise<Object>} Throttle result ({ locked, lockedUntil, retryAfter })
+ */
+const recordFailedLogin = async (attempt, account) => {
+    const result = await loginThrottle.recordFailure(attempt);
+    if (result.locked && account) {
+        try {
+            await sendAccountLockedEmail(account.email, account.name, Math.round(loginThrottle.lockoutMs / 60000), account.emailPreferences?.locale);
+        } catch (emailError) {
+            console.error('Failed to send account locked email:', {
+                error: emailError.message,
+                email: account.email
+            });
+        }
+    }
+    return result;
+};
 
 export const register = async (req, res) => {
     try {
@@ -18,9 +73,9 @@ export const register = async (req, res) => {
             return res.status(400).json({ message: "Invalid role" });
         }
 
-        // Check if user already exists (only for Admin and Teacher which have email)
+        // Check if the email is taken (by an account of any role)
         if (role === "admin" || role === "teacher") {
-            const existingUser = await UserModel.findOne({ email });
+            const existingUser = await findAccountByEmail(email);
             if (existingUser) {
                 return res.status(400).json({ message: "User already exists" });
             }
@@ -38,14 +93,7 @@ export const register = async (req, res) => {
             password: hashedPassword,
         });
 
-        const payload = {
-            id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-        };
-
-        const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || '7d' });
+        const token = signAccountToken(user);
 
         await user.save();
 
@@ -69,22 +117,21 @@ export const login = async (req, res) => {
             });
         }
 
-
-        // Try to find user in Admin, Teacher, and Parent collections
-        let user = await Admin.findOne({ email });
-        let userType = 'admin';
-        
-        if (!user) {
-            user = await Teacher.findOne({ email });
-            userType = 'teacher';
-        }
-        
-        if (!user) {
-            user = await Parent.findOne({ email });
-            userType = 'parent';
+        // Locked accounts and rapid retries are turned away before the password is checked
+        const attempt = { email, ip: req.ip };
+        const throttle = await loginThrottle.check(attempt);
+        if (!throttle.allowed) {
+            return sendLoginThrottled(res, throttle);
         }
-        
+
+        // One lookup across admins, teachers and parents (the account directory)
+        const user = await findAccountByEmail(email);
+
         if (!user) {
+            const failure = await recordFailedLogin(attempt, null);
+            if (failure.locked) {
+                return sendLoginThrottled(res, failure);
+            }
             return res.status(401).json({ message: "Invalid email or password" });
         }
 
@@ -122,28 +169,46 @@ export const login = async (req, res) => {
         }
         
         if (!isPasswordValid) {
+            const failure = await recordFailedLogin(attempt, user);
+            if (failure.locked) {
+                return sendLoginThrottled(res, failure);
+            }
             return res.status(401).json({ message: "Invalid email or password" });
         }
 
-        // For parents, include childId in response
-        const userResponse = {
-            id: user._id.toString(),
-            name: user.name,
-            email: user.email,
-            role: user.role,
-        };
+        if (user.deactivatedAt) {
+            return res.status(403).json({ 
+                message: "This account has been deactivated" 
+            });
+        }
 
-        if (user.role === 'parent' && user.childId) {
-            // Convert ObjectId to string for JSON serialization
-            userResponse.childId = user.childId.toString ? user.childId.toString() : String(user.childId);
+        // With two-factor on, the password only gets as far as the code prompt.
+        // Failures aren't cleared yet, so wrong codes still count towards a lockout.
+        if (user.mfa?.enabled) {
+            return res.status(200).json({
+                message: "Enter the code from your authenticator app",
+                mfaRequired: true,
+                mfaToken: signMfaToken(user, 'mfa_challenge'),
+            });
         }
 
-        const token = jwt.sign(userResponse, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || '7d' });
+        await loginThrottle.recordSuccess(attempt);
+
+        if (user.role === 'admin' && (await SecurityPolicy.getPolicy()).requireAdminMfa) {
+            return res.status(200).json({
+                message: "Two-factor authentication is required for admin accounts. Set it up to continue.",
+                mfaEnrollmentRequired: true,
+                mfaToken: signMfaToken(user, 'mfa_enrollment'),
+            });
+        }
+
+        // Parents' tokens include their children
+        const tokens = await startSession(user, req);
 
 
         res.status(200).json({
             message: "Login successful",
-            user: token,
+            ...tokens,
         });
     } catch (error) {
         console.error("Login error:", error);
@@ -155,6 +220,61 @@ export const login = async (req, res) => {
     }
 };
 
+/**
+ * Second login step for accounts with two-factor authentication
+ * Body: { mfaToken, code } or { mfaToken, recoveryCode }
+ */
+export const verifyLoginMfa = async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body || {};
+
+        if (!mfaToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ 
+                message: "Sign-in token and an authentication code or recovery code are required" 
+            });
+        }
+
+        const account = await verifyMfaToken(mfaToken, 'mfa_challenge', MFA_SECRET_FIELDS);
+        if (!account) {
+            return res.status(401).json({ 
+                message: "This sign-in has expired. Please sign in again." 
+            });
+        }
+
+        const attempt = { email: account.email, ip: req.ip };
+        const throttle = await loginThrottle.check(attempt);
+        if (!throttle.allowed) {
+            return sendLoginThrottled(res, throttle);
+        }
+
+        const method = await verifySecondFactor(account, { code, recoveryCode });
+        if (!method) {
+            const failure = await recordFailedLogin(attempt, account);
+            if (failure.locked) {
+                return sendLoginThrottled(res, failure);
+            }
+            return res.status(401).json({ 
+                message: "Invalid authentication code" 
+            });
+        }
+
+        await loginThrottle.recordSuccess(attempt);
+        const tokens = await startSession(account, req);
+
+        res.status(200).json({
+            message: "Login successful",
+            ...tokens,
+            // Let the user know when they are running out
+            ...(method === 'recovery' ? { recoveryCodesRemaining: account.mfa.recoveryCodeHashes.length } : {}),
+        });
+    } catch (error) {
+        console.error("Two-factor login error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
 /**
  * Register parent with invitation token
  */
@@ -200,6 +320,12 @@ export const registerParent = async (req, res) => {
             });
         }
 
+        if (invitation.status === 'revoked') {
+            return res.status(400).json({ 
+                message: "This invitation has been revoked" 
+            });
+        }
+
         if (invitation.isExpired()) {
             invitation.status = 'expired';
             await invitation.save();
@@ -215,32 +341,52 @@ export const registerParent = async (req, res) => {
             });
         }
 
-        // Check if parent already exists
-        const existingParent = await Parent.findOne({ email });
-        if (existingParent) {
+        // A parent who already has an account adds the child to it
+        let parent = await findAccountByEmail(email);
+        if (parent && parent.role !== 'parent') {
             return res.status(400).json({ 
-                message: "An account with this email already exists" 
+                message: "This email is used by a staff account. Use a different email for the parent account." 
             });
         }
+        const linkedToExisting = !!parent;
 
-        // Hash password before saving
-        const saltRounds = 10;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-        // Create parent account
-        const parent = new Parent({
-            name,
-            email,
-            password: hashedPassword,
-            role: 'parent',
-            childId: invitation.childId._id,
-            invitationToken: invitationToken,
-            invitationAccepted: true
-        });
+        if (parent) {
+            if (parent.deactivatedAt) {
+                return res.status(403).json({ 
+                    message: "This account has been deactivated" 
+                });
+            }
+            if (!(await passwordMatches(parent, password))) {
+                return res.status(401).json({ 
+                    message: "An account with this email already exists. Enter its password to add this child to it." 
+                });
+            }
+            const childIds = parent.getChildIds();
+            if (!childIds.some(id => id.equals(invitation.childId._id))) {
+                parent.childIds = [...childIds, invitation.childId._id];
+            }
+            parent.invitationAccepted = true;
+            await parent.save();
+        } else {
+            // Hash password before saving
+            const saltRounds = 10;
+            const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+            // Create parent account
+            parent = new Parent({
+                name,
+                email,
+                password: hashedPassword,
+                role: 'parent',
+                childIds: [invitation.childId._id],
+                invitationToken: invitationToken,
+                invitationAccepted: true
+            });
 
-        await parent.save();
+            await parent.save();
+        }
 
-        const token = jwt.sign(parent, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || '7d' });
+        const tokens = await startSession(parent, req);
 
         // Update invitation status
         invitation.status = 'accepted';
@@ -253,9 +399,11 @@ export const registerParent = async (req, res) => {
             { $addToSet: { parents: parent._id } }
         );
 
-        res.status(201).json({
-            message: "Parent account created successfully",
-            user: token,
+        res.status(linkedToExisting ? 200 : 201).json({
+            message: linkedToExisting
+                ? `${invitation.childId.name} has been added to your account`
+                : "Parent account created successfully",
+            ...tokens,
         });
     } catch (error) {
         console.error("Parent registration error:", error);
@@ -301,6 +449,12 @@ export const registerTeacher = async (req, res) => {
             });
         }
 
+        if (invitation.status === 'revoked') {
+            return res.status(400).json({ 
+                message: "This invitation has been revoked" 
+            });
+        }
+
         if (invitation.isExpired()) {
             invitation.status = 'expired';
             await invitation.save();
@@ -309,8 +463,8 @@ export const registerTeacher = async (req, res) => {
             });
         }
 
-        // Check if teacher already exists
-        const existingTeacher = await Teacher.findOne({ email: invitation.email.toLowerCase() });
+        // Check if the email is taken (by an account of any role)
+        const existingTeacher = await findAccountByEmail(invitation.email);
         if (existingTeacher) {
             return res.status(400).json({ 
                 message: "An account with this email already exists" 
@@ -334,14 +488,7 @@ export const registerTeacher = async (req, res) => {
 
         await teacher.save();
 
-        const userResponse = {
-            id: teacher._id.toString(),
-            name: teacher.name,
-            email: teacher.email,
-            role: teacher.role,
-        };
-
-        const token = jwt.sign(userResponse, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || '7d' });
+        const tokens = await startSession(teacher, req);
 
         // Update invitation status
         invitation.status = 'accepted';
@@ -350,7 +497,7 @@ export const registerTeacher = async (req, res) => {
 
         res.status(201).json({
             message: "Teacher account created successfully",
-            user: token,
+            ...tokens,
         });
     } catch (error) {
         console.error("Teacher registration error:", error);
@@ -358,4 +505,379 @@ export const registerTeacher = async (req, res) => {
             message: error.message || "Internal server error" 
         });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Email a password reset link
+ * Answers the same whether or not the email has an account, so it can't be used to look accounts up.
+ * Body: { email }
+ */
+export const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!email) {
+            return res.status(400).json({ 
+                message: "Email is required" 
+            });
+        }
+
+        const response = { message: "If an account exists for this email, a password reset link has been sent" };
+
+        const account = await findAccountByEmail(email);
+        // Parents who never finished registering have no password to reset
+        if (!account || (account.role === 'parent' && !account.invitationAccepted)) {
+            return res.status(200).json(response);
+        }
+
+        const ttlMinutes = getResetTtlMinutes();
+        const token = await AccountToken.issue(account, 'password_reset', ttlMinutes * 60 * 1000);
+
+        try {
+            await sendPasswordResetEmail(account.email, account.name, token, ttlMinutes, account.emailPreferences?.locale);
+        } catch (emailError) {
+            console.error('Failed to send password reset email:', {
+                error: emailError.message,
+                email: account.email
+            });
+        }
+
+        res.status(200).json(response);
+    } catch (error) {
+        console.error("Forgot password error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Set a new password with the token from a reset email
+ * Signs the account out everywhere.
+ * Body: { token, password }
+ */
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+
+        if (!token || !password) {
+            return res.status(400).json({ 
+                message: "Reset token and new password are required" 
+            });
+        }
+
+        // Checked before the token is used up
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ 
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+            });
+        }
+
+        const record = await AccountToken.consume(token, 'password_reset');
+        const account = record && await findAccount(record.role, record.accountId);
+        if (!account) {
+            return res.status(400).json({ 
+                message: "This reset link is invalid or has expired" 
+            });
+        }
+
+        // The link reached this address, so it's confirmed too
+        if (account.email === record.email && !account.emailVerifiedAt) {
+            account.emailVerifiedAt = new Date();
+        }
+        await setPassword(account, password);
+
+        res.status(200).json({
+            message: "Your password has been reset. Please sign in with your new password."
+        });
+    } catch (error) {
+        console.error("Reset password error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Change the signed-in user's password
+ * Other sessions are signed out; the response carries a new token for this one.
+ * Body: { currentPassword, newPassword }
+ */
+export const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ 
+                message: "Current password and new password are required" 
+            });
+        }
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ 
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+            });
+        }
+
+        const account = await findAccount(req.user.role, req.user.id);
+        if (!account) {
+            return res.status(404).json({ 
+                message: "User not found" 
+            });
+        }
+
+        if (!(await passwordMatches(account, currentPassword))) {
+            return res.status(401).json({ 
+                message: "Current password is incorrect" 
+            });
+        }
+
+        if (await passwordMatches(account, newPassword)) {
+            return res.status(400).json({ 
+                message: "New password must be different from the current password" 
+            });
+        }
+
+        await setPassword(account, newPassword, { keepSessionId: req.user.sid });
+        // A reset link requested earlier shouldn't undo this change
+        await AccountToken.deleteMany({ accountId: account._id, purpose: 'password_reset', usedAt: null });
+
+        res.status(200).json({
+            message: "Password changed. You have been signed out on other devices.",
+            user: signAccountToken(account, { sessionId: req.user.sid }),
+        });
+    } catch (error) {
+        console.error("Change password error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Email the signed-in user a link to confirm their address
+ */
+export const requestEmailVerification = async (req, res) => {
+    try {
+        const account = await findAccount(req.user.role, req.user.id);
+        if (!account) {
+            return res.status(404).json({ 
+                message: "User not found" 
+            });
+        }
+
+        if (account.emailVerifiedAt) {
+            return res.status(200).json({
+                message: "Your email address is already confirmed",
+                emailVerifiedAt: account.emailVerifiedAt
+            });
+        }
+
+        const ttlHours = getVerificationTtlHours();
+        const token = await AccountToken.issue(account, 'email_verification', ttlHours * 60 * 60 * 1000);
+        await sendVerificationEmail(account.email, account.name, token, ttlHours, account.emailPreferences?.locale);
+
+        res.status(200).json({
+            message: `A confirmation link has been sent to ${account.email}`
+        });
+    } catch (error) {
+        console.error("Email verification request error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Confirm an email address with the token from a verification email
+ * Body: { token }
+ */
+export const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body || {};
+
+        if (!token) {
+            return res.status(400).json({ 
+                message: "Verification token is required" 
+            });
+        }
+
+        const record = await AccountToken.consume(token, 'email_verification');
+        const account = record && await findAccount(record.role, record.accountId);
+        if (!account) {
+            return res.status(400).json({ 
+                message: "This confirmation link is invalid or has expired" 
+            });
+        }
+
+        // The address changed after the link was sent
+        if (account.email !== record.email) {
+            return res.status(400).json({ 
+                message: "This confirmation link was sent to a different email address" 
+            });
+        }
+
+        account.emailVerifiedAt = new Date();
+        await account.save();
+
+        res.status(200).json({
+            message: "Your email address has been confirmed",
+            emailVerifiedAt: account.emailVerifiedAt
+        });
+    } catch (error) {
+        console.error("Email verification error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * The old refresh token stops working; using it again signs the device out.
+ * Body: { refreshToken }
+ */
+export const refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken) {
+            return res.status(400).json({ 
+                message: "Refresh token is required" 
+            });
+        }
+
+        const tokens = await refreshSession(refreshToken);
+        if (!tokens) {
+            return res.status(401).json({ 
+                message: "Your session has ended. Please sign in again." 
+            });
+        }
+
+        res.status(200).json({
+            message: "Session refreshed",
+            ...tokens,
+        });
+    } catch (error) {
+        console.error("Session refresh error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Sign this device out
+ * Ends the session named by the access token and/or the refresh token in the body,
+ * so it works after the access token has expired.
+ * Body: { refreshToken } (optional)
+ */
+export const logout = async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (req.user?.sid) {
+            await Session.updateOne(
+                { _id: req.user.sid, accountId: req.user.id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+            );
+        }
+        if (refreshToken) {
+            await Session.revokeByToken(refreshToken, 'logout');
+        }
+
+        res.status(200).json({
+            message: "Signed out"
+        });
+    } catch (error) {
+        console.error("Logout error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Sign the signed-in user out on every device, including this one
+ */
+export const logoutAll = async (req, res) => {
+    try {
+        const account = await findAccount(req.user.role, req.user.id);
+        if (!account) {
+            return res.status(404).json({ 
+                message: "User not found" 
+            });
+        }
+
+        const sessionsEnded = await Session.revokeAll(account._id, { reason: 'logout_all' });
+        // Also ends tokens issued without a session
+        account.tokenVersion = (account.tokenVersion || 0) + 1;
+        await account.save();
+
+        res.status(200).json({
+            message: "You have been signed out on all devices",
+            sessionsEnded
+        });
+    } catch (error) {
+        console.error("Logout all error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Failed sign-in state for an account (admin)
+ * Query: ?email=
+ */
+export const getLoginLockout = async (req, res) => {
+    try {
+        const { email } = req.query;
+
+        if (!email) {
+            return res.status(400).json({ 
+                message: "Email is required" 
+            });
+        }
+
+        const status = await loginThrottle.getStatus(email);
+        res.status(200).json({
+            email,
+            ...status
+        });
+    } catch (error) {
+        console.error("Login lockout status error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Lift a sign-in lockout (admin)
+ * Body: { email, ip } - ip is optional and clears that address's failures too
+ */
+export const unlockLogin = async (req, res) => {
+    try {
+        const { email, ip } = req.body || {};
+
+        if (!email) {
+            return res.status(400).json({ 
+                message: "Email is required" 
+            });
+        }
+
+        const wasLocked = await loginThrottle.unlock(email, ip);
+        console.log(`Login unlocked for ${email} by admin ${req.user.email}${wasLocked ? '' : ' (was not locked)'}`);
+
+        res.status(200).json({
+            message: wasLocked ? "Account unlocked" : "Account was not locked; failed attempts cleared",
+            wasLocked
+        });
+    } catch (error) {
+        console.error("Login unlock error:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
@@ -1,15 +1,35 @@
 import Center from "../models/Center.js";
 import { Teacher } from "../models/User.js";
 
+// Validate an optional audio retention period ("" or null clears it)
+const parseAudioRetentionDays = (value) => {
+    if (value === undefined) {
+        return { skip: true };
+    }
+    if (value === null || value === "") {
+        return { value: null };
+    }
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1) {
+        return { error: "audioRetentionDays must be a positive whole number of days" };
+    }
+    return { value: days };
+};
+
 export const createCenter = async (req, res) => {
     try {
-        const { name, address, phone, email, description } = req.body;
+        const { name, address, phone, email, description, audioRetentionDays } = req.body;
 
         // Validate required fields
         if (!name) {
             return res.status(400).json({ message: "Center name is required" });
         }
 
+        const retention = parseAudioRetentionDays(audioRetentionDays);
+        if (retention.error) {
+            return res.status(400).json({ message: retention.error });
+        }
+
         // Check if center with this name already exists
         const existingCenter = await Center.findOne({ name });
         if (existingCenter) {
@@ -23,6 +43,7 @@ export const createCenter = async (req, res) => {
             phone: phone || "",
             email: email || "",
             description: description || "",
+            audioRetentionDays: retention.skip ? null : retention.value,
         });
 
         await center.save();
@@ -36,6 +57,7 @@ export const createCenter = async (req, res) => {
                 phone: center.phone,
                 email: center.email,
                 description: center.description,
+                audioRetentionDays: center.audioRetentionDays,
             },
         });
     } catch (error) {
@@ -69,7 +91,7 @@ export const getCenterById = async (req, res) => {
 
 export const updateCenter = async (req, res) => {
     try {
-        const { name, address, phone, email, description } = req.body;
+        const { name, address, phone, email, description, audioRetentionDays } = req.body;
         const { id } = req.params;
 
         // Validate required fields
@@ -77,6 +99,11 @@ export const updateCenter = async (req, res) => {
             return res.status(400).json({ message: "Center name is required" });
         }
 
+        const retention = parseAudioRetentionDays(audioRetentionDays);
+        if (retention.error) {
+            return res.status(400).json({ message: retention.error });
+        }
+
         // Check if center exists
         const center = await Center.findById(id);
         if (!center) {
@@ -97,6 +124,9 @@ export const updateCenter = async (req, res) => {
         center.phone = phone || "";
         center.email = email || "";
         center.description = description || "";
+        if (!retention.skip) {
+            center.audioRetentionDays = retention.value;
+        }
 
         await center.save();
 
@@ -109,6 +139,7 @@ export const updateCenter = async (req, res) => {
                 phone: center.phone,
                 email: center.email,
                 description: center.description,
+                audioRetentionDays: center.audioRetentionDays,
             },
         });
     } catch (error) {
@@ -136,7 +167,7 @@ export const deleteCenter = async (req, res) => {
 export const getTeachersByCenter = async (req, res) => {
     try {
         const { centerName } = req.params;
-        const teachers = await Teacher.find({ center: centerName });
+        const teachers = await Teacher.find({ center: centerName }).select('-password');
         res.status(200).json({ teachers });
     } catch (error) {
         console.error("Error fetching teachers by center:", error);
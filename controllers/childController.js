@@ -1,4 +1,22 @@
-import { Child } from "../models/User.js";
+import mongoose from "mongoose";
+import { Child, Teacher } from "../models/User.js";
+import { childScopeFilter, canAccessTeacher } from "../lib/accessPolicy.js";
+import { parseProgressOptions, getChildProgress } from "../lib/progressAnalytics.js";
+import { buildChildReport, renderChildReport } from "../lib/progressReport.js";
+
+/**
+ * Lead teacher as a teacher ID (access is scoped by it - see lib/accessPolicy.js)
+ * A name is still accepted from older clients when exactly one teacher has it.
+ * @returns {Promise<string|null>} Teacher ID, or null if no single teacher matches
+ */
+const resolveLeadTeacher = async (value) => {
+    if (mongoose.Types.ObjectId.isValid(value)) {
+        const teacher = await Teacher.findById(value, '_id');
+        return teacher ? String(teacher._id) : null;
+    }
+    const teachers = await Teacher.find({ name: String(value) }, '_id').limit(2);
+    return teachers.length === 1 ? String(teachers[0]._id) : null;
+};
 
 export const createChild = async (req, res) => {
     try {
@@ -9,6 +27,15 @@ export const createChild = async (req, res) => {
             return res.status(400).json({ message: "All fields are required" });
         }
 
+        const leadTeacherId = await resolveLeadTeacher(leadTeacher);
+        if (!leadTeacherId) {
+            return res.status(400).json({ message: "leadTeacher must be the ID of an existing teacher" });
+        }
+        // Teachers can't move a child into another center's scope
+        if (!(await canAccessTeacher(req.user, leadTeacherId))) {
+            return res.status(403).json({ message: "The lead teacher must be you or a teacher in your center" });
+        }
+
         // Create new child
         const child = new Child({
             name,
@@ -17,7 +44,7 @@ export const createChild = async (req, res) => {
             gender,
             diagnosis,
             primaryLanguage,
-            leadTeacher,
+            leadTeacher: leadTeacherId,
         });
 
         await child.save();
@@ -43,7 +70,9 @@ export const createChild = async (req, res) => {
 
 export const getAllChildren = async (req, res) => {
     try {
-        const children = await Child.find();
+        // Admins see every child, teachers their center's children, parents their own child
+        const filter = await childScopeFilter(req.user);
+        const children = filter ? await Child.find(filter) : [];
         res.status(200).json({ children });
     } catch (error) {
         console.error("Error fetching children:", error);
@@ -54,23 +83,11 @@ export const getAllChildren = async (req, res) => {
 export const getChildById = async (req, res) => {
     try {
         const child = await Child.findById(req.params.id).populate('parents', 'name email');
-        
+
         if (!child) {
             return res.status(404).json({ message: "Child not found" });
         }
 
-        // If user is a parent, verify they have access to this child
-        // The parentChildAccess middleware should be applied in the route, not here
-        // But we can also check here as a safety measure
-        if (req.user && req.user.role === 'parent' && req.user.childId) {
-            const userChildId = req.user.childId.toString();
-            const childId = child._id.toString();
-            
-            if (userChildId !== childId) {
-                return res.status(403).json({ message: "You don't have access to this child's data" });
-            }
-        }
-        
         res.status(200).json({ child });
     } catch (error) {
         console.error("Error fetching child:", error);
@@ -88,6 +105,15 @@ export const updateChild = async (req, res) => {
             return res.status(400).json({ message: "All fields are required" });
         }
 
+        const leadTeacherId = await resolveLeadTeacher(leadTeacher);
+        if (!leadTeacherId) {
+            return res.status(400).json({ message: "leadTeacher must be the ID of an existing teacher" });
+        }
+        // Teachers can't move a child into another center's scope
+        if (!(await canAccessTeacher(req.user, leadTeacherId))) {
+            return res.status(403).json({ message: "The lead teacher must be you or a teacher in your center" });
+        }
+
         // Check if child exists
         const child = await Child.findById(id);
         if (!child) {
@@ -100,7 +126,7 @@ export const updateChild = async (req, res) => {
         child.gender = gender;
         child.diagnosis = diagnosis;
         child.primaryLanguage = primaryLanguage;
-        child.leadTeacher = leadTeacher;
+        child.leadTeacher = leadTeacherId;
 
         await child.save();
 
@@ -138,3 +164,59 @@ export const deleteChild = async (req, res) => {
         res.status(500).json({ message: error.message });
     }
 };
+
+/**
+ * Score trends for one child over time
+ * Query: from, to, interval ('week' | 'month'), window (buckets in the rolling average)
+ */
+export const getChildProgressReport = async (req, res) => {
+    try {
+        const options = parseProgressOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ message: options.error });
+        }
+
+        const child = await Child.findById(req.params.id, 'name');
+        if (!child) {
+            return res.status(404).json({ message: "Child not found" });
+        }
+
+        const progress = await getChildProgress(child._id, options);
+        res.status(200).json({ childName: child.name, progress });
+    } catch (error) {
+        console.error("Error fetching child progress:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Printable PDF progress report: recent assessments, trend charts, highlighted segments and notes
+ * Query: from, to (default: last 90 days), interval ('week' | 'month'), window
+ */
+export const getChildReportPdf = async (req, res) => {
+    try {
+        const options = parseProgressOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ message: options.error });
+        }
+
+        const child = await Child.findById(req.params.id);
+        if (!child) {
+            return res.status(404).json({ message: "Child not found" });
+        }
+
+        const report = await buildChildReport(child, options);
+        const filename = `progress-report-${child.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        await renderChildReport(report, res);
+    } catch (error) {
+        console.error("Error generating child report:", error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ message: error.message });
+        }
+    }
+};
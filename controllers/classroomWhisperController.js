@@ -1,19 +1,18 @@
 import dotenv from "dotenv";
 import fs from "fs";
 import mongoose from "mongoose";
-import revai from "../lib/revai.js";
-import ragClassifier from "../lib/ragClassifier.js";
-import hybridScorer from "../lib/hybridScorer.js";
-import { analyzeTranscript, calculateScores, extractKeywordSegments } from "../lib/transcriptProcessor.js";
+import transcriptionQueue from "../lib/transcriptionQueue.js";
+import { resolveProviderName } from "../lib/speechToText/index.js";
+import { parseRecordingDate, removeUploadedFile } from "../lib/transcriptionPipeline.js";
 import { Teacher } from "../models/User.js";
 
 dotenv.config();
 
 const classroomWhisperController = async (req, res) => {
-    let filePath = null;
+    let filePath = req.file?.path || null;
 
     try {
-        const { teacherId: bodyTeacherId, center, recordingDate } = req.body;
+        const { teacherId: bodyTeacherId, center, recordingDate, diarization } = req.body;
         const user = req.user;
 
         // Determine teacherId based on role
@@ -22,6 +21,7 @@ const classroomWhisperController = async (req, res) => {
             teacherId = user.id;
         } else if (user.role === "admin") {
             if (!bodyTeacherId) {
+                removeUploadedFile(filePath);
                 return res.status(400).json({ message: "Teacher ID is required for admin uploads" });
             }
             teacherId = bodyTeacherId;
@@ -29,12 +29,15 @@ const classroomWhisperController = async (req, res) => {
             // Validate teacher exists and belongs to selected center (if center provided)
             const teacher = await Teacher.findById(teacherId);
             if (!teacher) {
+                removeUploadedFile(filePath);
                 return res.status(404).json({ message: "Teacher not found" });
             }
             if (center && teacher.center !== center) {
+                removeUploadedFile(filePath);
                 return res.status(400).json({ message: "Selected teacher does not belong to the chosen center" });
             }
         } else {
+            removeUploadedFile(filePath);
             return res.status(403).json({ message: "Only teachers and admins can upload classroom recordings" });
         }
 
@@ -44,7 +47,6 @@ const classroomWhisperController = async (req, res) => {
             });
         }
 
-        filePath = req.file.path;
         const uploadedBy = user.name || "Unknown";
 
         console.log("=== Classroom Audio Processing Request ===");
@@ -54,122 +56,38 @@ const classroomWhisperController = async (req, res) => {
             return res.status(500).json({ message: "Uploaded file not found on server" });
         }
 
-        const config = revai.getConfig();
-        if (!config.apiKeySet) {
-            console.warn("RevAI API key not set - transcription may fail");
+        // Admins may pick the speech-to-text provider for this upload
+        const provider = resolveProviderName(req.body.sttProvider, user);
+        if (provider.error) {
+            removeUploadedFile(filePath);
+            return res.status(provider.statusCode).json({ message: provider.error });
         }
 
-        const transcriptionResult = await revai.transcribeFromFile(filePath, {
-            filename: req.file.filename,
-            mimetype: req.file.mimetype,
-            skipDiarization: true,
-            language: 'en'
-        });
-
-        const transcript = revai.getTranscript(transcriptionResult);
-
-        const keywordCounts = analyzeTranscript(transcript || "");
-        const keywordScores = calculateScores(keywordCounts);
-
-        let ragScores = null;
-        let ragSegments = null;
-        let finalScores = keywordScores;
-        const ragEnabled = process.env.RAG_ENABLED?.toString().toLowerCase().trim() === 'true';
-
-        if (ragEnabled && transcript && transcript.trim().length > 0) {
-            try {
-                const ragResult = await ragClassifier.classifyWithSegments(transcript);
-                ragScores = ragResult.scores;
-                ragSegments = ragResult.segments || [];
-                finalScores = hybridScorer.combineScores(ragScores, keywordScores);
-            } catch (ragError) {
-                console.error("RAG classification failed, falling back to keyword-only:", ragError.message);
-                ragScores = null;
-                ragSegments = null;
-            }
-        }
-
-        if (!ragSegments || ragSegments.length === 0) {
-            ragSegments = extractKeywordSegments(transcript || "");
-        }
-
-        let assessmentDate = new Date();
-        if (recordingDate) {
-            const parsedDate = new Date(recordingDate);
-            if (!isNaN(parsedDate.getTime())) {
-                assessmentDate = parsedDate;
-            }
-        }
-
-        const assessmentData = {
+        const job = await transcriptionQueue.enqueue('classroom', req.file, {
+            sttProvider: provider.name,
             teacherId: mongoose.Types.ObjectId.isValid(teacherId) ? new mongoose.Types.ObjectId(teacherId) : teacherId,
-            audioFileName: req.file.filename,
-            transcript: transcript || "",
-            scienceTalk: finalScores.scienceTalk,
-            socialTalk: finalScores.socialTalk,
-            literatureTalk: finalScores.literatureTalk,
-            languageDevelopment: finalScores.languageDevelopment,
-            keywordCounts,
+            center: center || null,
+            // Diarized mode keeps speaker labels so teacher and child talk are scored separately
+            diarization: diarization === true || diarization === 'true',
             uploadedBy,
-            date: assessmentDate,
-            center: center || null
-        };
-
-        if (ragScores) {
-            assessmentData.ragScores = ragScores;
-            assessmentData.ragSegments = ragSegments;
-            assessmentData.classificationMethod = 'hybrid';
-        } else {
-            assessmentData.classificationMethod = 'keyword-only';
-        }
-        if (ragSegments && ragSegments.length > 0) {
-            assessmentData.ragSegments = ragSegments;
-        }
-
-        if (fs.existsSync(filePath)) {
-            try {
-                fs.unlinkSync(filePath);
-            } catch (cleanupError) {
-                console.warn("Could not delete uploaded file:", cleanupError.message);
-            }
-        }
+            requestedBy: { id: String(user.id), role: user.role },
+            recordingDate: parseRecordingDate(recordingDate)
+        });
 
-        res.status(200).json({
-            message: "Audio processed successfully - please review transcript",
-            assessment: assessmentData,
-            transcript,
-            keywordCounts,
-            scores: finalScores,
-            ragScores: ragScores || null,
-            ragSegments: ragSegments || null,
-            classificationMethod: assessmentData.classificationMethod
+        res.status(202).json({
+            message: "Audio uploaded - transcription in progress",
+            jobId: job._id,
+            status: job.status,
+            sttProvider: job.sttProvider,
+            statusUrl: `/api/whisper/jobs/${job._id}`
         });
     } catch (error) {
-        console.error("Classroom audio processing error:", error);
+        console.error("Classroom audio queuing error:", error);
 
-        if (filePath && fs.existsSync(filePath)) {
-            try {
-                fs.unlinkSync(filePath);
-            } catch (cleanupError) {
-                console.warn("Could not delete uploaded file after error:", cleanupError.message);
-            }
-        }
-
-        let errorMessage = "Failed to process audio";
-        let statusCode = 500;
-
-        if (error.message.includes("unreachable") || error.message.includes("ECONNREFUSED")) {
-            errorMessage = "RevAI service is not reachable. Please check your internet connection and API key.";
-            statusCode = 503;
-        } else if (error.message.includes("timeout")) {
-            errorMessage = "Audio transcription timed out.";
-            statusCode = 504;
-        } else {
-            errorMessage = error.message || errorMessage;
-        }
+        removeUploadedFile(filePath);
 
-        res.status(statusCode).json({
-            message: errorMessage,
+        res.status(500).json({
+            message: error.message || "Failed to process audio",
             error: process.env.NODE_ENV === 'development' ? error.stack : undefined
         });
     }
@@ -0,0 +1,55 @@
+import DigestLog, { DIGEST_KINDS, DIGEST_STATUSES } from "../models/DigestLog.js";
+import digestScheduler from "../lib/digests.js";
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+/**
+ * Send the digests that are due now (admins only)
+ * Body: { dryRun } - dryRun lists who would get a digest without sending or logging anything
+ */
+export const runDigests = async (req, res) => {
+    try {
+        if (digestScheduler.running) {
+            return res.status(409).json({ message: "A digest run is already in progress" });
+        }
+        const dryRun = parseBoolean(req.body?.dryRun);
+        const summary = await digestScheduler.run({ dryRun });
+        res.status(200).json({
+            message: dryRun ? "Digest preview (nothing sent)" : "Digest run complete",
+            summary
+        });
+    } catch (error) {
+        console.error("Error running digests:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Digest send log, newest first (admins only)
+ * Query: kind, status, limit (default 50, max 500)
+ */
+export const getDigestLog = async (req, res) => {
+    try {
+        const { kind, status } = req.query;
+        const filter = {};
+        if (kind) {
+            if (!DIGEST_KINDS.includes(kind)) {
+                return res.status(400).json({ message: `kind must be one of: ${DIGEST_KINDS.join(', ')}` });
+            }
+            filter.kind = kind;
+        }
+        if (status) {
+            if (!DIGEST_STATUSES.includes(status)) {
+                return res.status(400).json({ message: `status must be one of: ${DIGEST_STATUSES.join(', ')}` });
+            }
+            filter.status = status;
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+        const entries = await DigestLog.find(filter).sort({ createdAt: -1 }).limit(limit);
+        res.status(200).json({ entries });
+    } catch (error) {
+        console.error("Error fetching digest log:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
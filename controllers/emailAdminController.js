@@ -0,0 +1,105 @@
+import { checkEmailProviders, getCaptureProvider, isCaptureEnabled } from "../lib/email/index.js";
+import {
+    TEMPLATE_NAMES,
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    getTemplateLocales,
+    getSampleData,
+    renderEmail
+} from "../lib/emailTemplates.js";
+
+/**
+ * Messages kept by the capture transport, newest first (admins only)
+ * Query: to (recipient address), limit (default 50, max 500)
+ */
+export const getEmailOutbox = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const capture = getCaptureProvider();
+        const messages = await capture.list({ to: req.query.to, limit });
+        res.status(200).json({
+            // Messages are only captured while 'capture' is in EMAIL_PROVIDERS
+            captureEnabled: isCaptureEnabled(),
+            store: capture.store,
+            messages
+        });
+    } catch (error) {
+        console.error("Error fetching email outbox:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Delete every captured message (admins only)
+ */
+export const clearEmailOutbox = async (req, res) => {
+    try {
+        const deleted = await getCaptureProvider().clear();
+        res.status(200).json({ message: "Email outbox cleared", deleted });
+    } catch (error) {
+        console.error("Error clearing email outbox:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Configuration and health of each email provider, in send order (admins only)
+ */
+export const getEmailProviders = async (req, res) => {
+    try {
+        res.status(200).json({ providers: await checkEmailProviders() });
+    } catch (error) {
+        console.error("Error checking email providers:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Email templates and the locales each one is translated into (admins only)
+ */
+export const getEmailTemplates = async (req, res) => {
+    try {
+        res.status(200).json({
+            defaultLocale: DEFAULT_LOCALE,
+            locales: SUPPORTED_LOCALES,
+            templates: TEMPLATE_NAMES.map(name => ({ name, locales: getTemplateLocales(name) }))
+        });
+    } catch (error) {
+        console.error("Error listing email templates:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Render a template with sample data (admins only)
+ * Query: locale (default English), format ('json' (default), 'html' or 'text')
+ */
+export const previewEmailTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { locale = DEFAULT_LOCALE, format = 'json' } = req.query;
+
+        if (!TEMPLATE_NAMES.includes(name)) {
+            return res.status(404).json({ message: `Unknown email template. Available: ${TEMPLATE_NAMES.join(', ')}` });
+        }
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            return res.status(400).json({ message: `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+        }
+        if (!['json', 'html', 'text'].includes(format)) {
+            return res.status(400).json({ message: "format must be one of: json, html, text" });
+        }
+
+        const email = renderEmail(name, getSampleData(name), { locale });
+        if (format === 'html') {
+            return res.status(200).type('html').send(email.html);
+        }
+        if (format === 'text') {
+            return res.status(200).type('text').send(email.text);
+        }
+        // locale is the one actually used - English when the template isn't translated
+        res.status(200).json({ name, ...email });
+    } catch (error) {
+        console.error("Error previewing email template:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
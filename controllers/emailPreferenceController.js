@@ -0,0 +1,105 @@
+import { Parent, Teacher } from "../models/User.js";
+import { DIGEST_FREQUENCIES } from "../models/schemas/emailPreferences.js";
+import { verifyUnsubscribeToken } from "../lib/digests.js";
+import { SUPPORTED_LOCALES } from "../lib/emailTemplates.js";
+
+// Only parents and teachers get digests
+const MODELS = { parent: Parent, teacher: Teacher };
+
+const toResponse = (preferences) => ({
+    digest: preferences?.digest !== false,
+    digestFrequency: preferences?.digestFrequency || 'weekly',
+    unsubscribedAt: preferences?.unsubscribedAt || null,
+    locale: preferences?.locale || null
+});
+
+/**
+ * Get the signed-in user's email preferences
+ */
+export const getEmailPreferences = async (req, res) => {
+    try {
+        const user = await MODELS[req.user.role].findById(req.user.id, 'emailPreferences');
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        res.status(200).json({ preferences: toResponse(user.emailPreferences) });
+    } catch (error) {
+        console.error("Error fetching email preferences:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Update the signed-in user's email preferences
+ * Body: { digest: boolean, digestFrequency: 'daily' | 'weekly' (parents only), locale: 'en' | 'es' | null }
+ */
+export const updateEmailPreferences = async (req, res) => {
+    try {
+        const { digest, digestFrequency, locale } = req.body || {};
+        const updates = {};
+
+        if (digest !== undefined) {
+            if (typeof digest !== 'boolean') {
+                return res.status(400).json({ message: "digest must be true or false" });
+            }
+            updates['emailPreferences.digest'] = digest;
+            updates['emailPreferences.unsubscribedAt'] = digest ? null : new Date();
+        }
+        if (digestFrequency !== undefined) {
+            if (req.user.role !== 'parent') {
+                return res.status(400).json({ message: "Teachers receive a weekly summary - digestFrequency can't be changed" });
+            }
+            if (!DIGEST_FREQUENCIES.includes(digestFrequency)) {
+                return res.status(400).json({ message: `digestFrequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+            }
+            updates['emailPreferences.digestFrequency'] = digestFrequency;
+        }
+        if (locale !== undefined) {
+            // null goes back to the default language
+            if (locale !== null && !SUPPORTED_LOCALES.includes(locale)) {
+                return res.status(400).json({ message: `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+            }
+            updates['emailPreferences.locale'] = locale;
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ message: "Nothing to update" });
+        }
+
+        const user = await MODELS[req.user.role].findByIdAndUpdate(
+            req.user.id,
+            { $set: updates },
+            { new: true, runValidators: true, projection: 'emailPreferences' }
+        );
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        res.status(200).json({ message: "Email preferences updated", preferences: toResponse(user.emailPreferences) });
+    } catch (error) {
+        console.error("Error updating email preferences:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Turn digests off from the link in a digest email (no sign-in needed)
+ * Body: { token }
+ */
+export const unsubscribe = async (req, res) => {
+    try {
+        const recipient = verifyUnsubscribeToken(req.body?.token);
+        if (!recipient) {
+            return res.status(400).json({ message: "Invalid unsubscribe link" });
+        }
+
+        const user = await MODELS[recipient.role].findByIdAndUpdate(recipient.id, {
+            $set: { 'emailPreferences.digest': false, 'emailPreferences.unsubscribedAt': new Date() }
+        });
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        res.status(200).json({ message: "You have been unsubscribed from digest emails" });
+    } catch (error) {
+        console.error("Error unsubscribing:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,45 @@
+import {
+    parseExportOptions,
+    exportRows,
+    writeCsv,
+    writeXlsx
+} from "../lib/assessmentExport.js";
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Download accepted child and classroom assessments for research, one row per assessment
+ * Query: format ('csv' | 'xlsx'), kind ('all' | 'child' | 'teacher'), center, childId,
+ * from, to, pseudonymize (default true - pass 'false' for real IDs)
+ */
+export const exportAssessments = async (req, res) => {
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({ message: options.error });
+    }
+
+    try {
+        const filename = `assessments-${new Date().toISOString().slice(0, 10)}.${options.format}`;
+        res.setHeader('Content-Type', CONTENT_TYPES[options.format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
+
+        const rows = exportRows(options);
+        const count = options.format === 'xlsx'
+            ? await writeXlsx(rows, res)
+            : await writeCsv(rows, res);
+        console.log(`📤 Exported ${count} assessments (${options.format}) for ${req.user.email}`);
+    } catch (error) {
+        console.error("Error exporting assessments:", error);
+        if (res.headersSent) {
+            // The download has started - cut it off so it can't be mistaken for a complete file
+            res.destroy(error);
+        } else {
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ message: error.message });
+        }
+    }
+};
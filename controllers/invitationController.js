@@ -1,7 +1,49 @@
+import mongoose from 'mongoose';
 import Invitation from '../models/Invitation.js';
-import { Child } from '../models/User.js';
+import { Child, Parent } from '../models/User.js';
 import { sendInvitationEmail } from '../lib/emailService.js';
+import { getFrontendUrl, resolveLocale } from '../lib/emailTemplates.js';
 import jwt from 'jsonwebtoken';
+import { canAccessChild } from '../lib/accessPolicy.js';
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const INVITATION_STATUSES = Invitation.schema.path('status').enumValues;
+
+/**
+ * Generate a token no other invitation uses
+ * @returns {Promise<string>} Token
+ */
+const generateUniqueToken = async () => {
+    let token = Invitation.generateToken();
+    while (await Invitation.exists({ token })) {
+        token = Invitation.generateToken();
+    }
+    return token;
+};
+
+/**
+ * Load the invitation in req.params.id if the user may manage it:
+ * admins can manage every invitation, teachers the ones they sent.
+ * @returns {Promise<Object>} { invitation } or { statusCode, message }
+ */
+const findInvitationForRequest = async (req) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { statusCode: 404, message: "Invitation not found" };
+    }
+
+    const invitation = await Invitation.findById(id).populate('childId', 'name primaryLanguage');
+    if (!invitation) {
+        return { statusCode: 404, message: "Invitation not found" };
+    }
+
+    if (req.user.role !== 'admin' && String(invitation.sentBy) !== String(req.user.id)) {
+        return { statusCode: 403, message: "You can only manage invitations you sent" };
+    }
+
+    return { invitation };
+};
 
 /**
  * Send invitation to parent
@@ -9,7 +51,7 @@ import jwt from 'jsonwebtoken';
  */
 export const sendInvitation = async (req, res) => {
     try {
-        const { email, childId } = req.body;
+        const { email, childId, locale } = req.body;
         const { id: sentBy, role: sentByRole, name: inviterName } = req.user || {};
 
         // Validate user is admin or teacher
@@ -42,6 +84,21 @@ export const sendInvitation = async (req, res) => {
             });
         }
 
+        // Teachers can only invite parents of children in their center
+        if (!(await canAccessChild(req.user, child))) {
+            return res.status(403).json({ 
+                message: "You don't have access to this child's data" 
+            });
+        }
+
+        // Parents can have several children, but each only once
+        const alreadyLinked = await Parent.exists({ email, $or: [{ childIds: child._id }, { childId: child._id }] });
+        if (alreadyLinked) {
+            return res.status(400).json({ 
+                message: "This parent's account is already linked to this child" 
+            });
+        }
+
         // Check if there's already a pending invitation for this email and child
         const existingInvitation = await Invitation.findOne({
             email,
@@ -56,14 +113,7 @@ export const sendInvitation = async (req, res) => {
         }
 
         // Generate unique token
-        let token = Invitation.generateToken();
-        let tokenExists = await Invitation.findOne({ token });
-        
-        // Ensure token is unique
-        while (tokenExists) {
-            token = Invitation.generateToken();
-            tokenExists = await Invitation.findOne({ token });
-        }
+        const token = await generateUniqueToken();
 
         // Create invitation
         const invitation = new Invitation({
@@ -73,7 +123,7 @@ export const sendInvitation = async (req, res) => {
             sentBy,
             sentByRole,
             status: 'pending',
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+            expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
         });
 
         const payload = {
@@ -92,7 +142,8 @@ export const sendInvitation = async (req, res) => {
 
         // Send invitation email
         try {
-            await sendInvitationEmail(email, child.name, token, inviterName || 'Administrator');
+            // In the family's language unless the sender picked one
+            await sendInvitationEmail(email, child.name, token, inviterName || 'Administrator', resolveLocale(locale, child.primaryLanguage));
         } catch (emailError) {
             console.error('Failed to send email, but invitation created:', {
                 error: emailError.message,
@@ -102,15 +153,7 @@ export const sendInvitation = async (req, res) => {
             });
             
             // Create invitation link for manual sharing
-            const isProduction = process.env.NODE_ENV === 'production' || 
-                                process.env.RENDER || 
-                                !process.env.FRONTEND_URL?.includes('localhost');
-            let baseUrl = process.env.FRONTEND_URL;
-            if (!baseUrl || (isProduction && baseUrl.includes('localhost'))) {
-                baseUrl = 'https://bainum-frontend-prod.vercel.app';
-            }
-            baseUrl = baseUrl.replace(/\/$/, '');
-            const invitationLink = `${baseUrl}/parent/register?token=${token}`;
+            const invitationLink = `${getFrontendUrl()}/parent/register?token=${token}`;
             
             // Still return success, but note email issue and include the link
             return res.status(201).json({
@@ -171,6 +214,12 @@ export const verifyInvitation = async (req, res) => {
             });
         }
 
+        if (invitation.status === 'revoked') {
+            return res.status(400).json({ 
+                message: "This invitation has been revoked" 
+            });
+        }
+
         if (invitation.isExpired()) {
             invitation.status = 'expired';
             await invitation.save();
@@ -187,7 +236,9 @@ export const verifyInvitation = async (req, res) => {
                 childId: invitation.childId._id,
                 childName: invitation.childId.name,
                 expiresAt: invitation.expiresAt
-            }
+            },
+            // Parents with an account sign in with its password to add the child
+            existingAccount: !!(await Parent.exists({ email: invitation.email }))
         });
     } catch (error) {
         console.error("Error verifying invitation:", error);
@@ -199,6 +250,7 @@ export const verifyInvitation = async (req, res) => {
 
 /**
  * Get all invitations (for admin/teacher dashboard)
+ * Query: status (comma-separated, e.g. 'pending,expired')
  */
 export const getInvitations = async (req, res) => {
     try {
@@ -215,6 +267,17 @@ export const getInvitations = async (req, res) => {
             ? {} 
             : { sentBy: userId };
 
+        if (req.query.status) {
+            const statuses = String(req.query.status).split(',').map(status => status.trim());
+            const invalid = statuses.filter(status => !INVITATION_STATUSES.includes(status));
+            if (invalid.length) {
+                return res.status(400).json({ 
+                    message: `status must be one of: ${INVITATION_STATUSES.join(', ')}` 
+                });
+            }
+            query.status = { $in: statuses };
+        }
+
         const invitations = await Invitation.find(query)
             .populate('childId', 'name')
             .sort({ createdAt: -1 });
@@ -228,7 +291,10 @@ export const getInvitations = async (req, res) => {
                 status: inv.status,
                 expiresAt: inv.expiresAt,
                 createdAt: inv.createdAt,
-                acceptedAt: inv.acceptedAt
+                acceptedAt: inv.acceptedAt,
+                lastSentAt: inv.lastSentAt,
+                sendCount: inv.sendCount,
+                revokedAt: inv.revokedAt
             }))
         });
     } catch (error) {
@@ -239,3 +305,132 @@ export const getInvitations = async (req, res) => {
     }
 };
 
+/**
+ * Resend an invitation with a new token and a fresh 7 days
+ * Pending and expired invitations can be resent; the old link stops working.
+ * Body: { locale } (optional, defaults to the child's primary language)
+ */
+export const resendInvitation = async (req, res) => {
+    try {
+        const { invitation, statusCode, message } = await findInvitationForRequest(req);
+        if (!invitation) {
+            return res.status(statusCode).json({ message });
+        }
+
+        if (!['pending', 'expired'].includes(invitation.status)) {
+            return res.status(400).json({ 
+                message: `This invitation has been ${invitation.status} and can't be resent` 
+            });
+        }
+
+        const child = invitation.childId;
+        if (!child) {
+            return res.status(404).json({ 
+                message: "Child not found" 
+            });
+        }
+
+        // Don't leave two live invitations for the same parent and child
+        const otherPending = await Invitation.exists({
+            _id: { $ne: invitation._id },
+            email: invitation.email,
+            childId: child._id,
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        });
+        if (otherPending) {
+            return res.status(400).json({ 
+                message: "A newer pending invitation already exists for this email and child" 
+            });
+        }
+
+        invitation.token = await generateUniqueToken();
+        invitation.status = 'pending';
+        invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+        invitation.lastSentAt = new Date();
+        invitation.sendCount = (invitation.sendCount || 1) + 1;
+        await invitation.save();
+
+        const details = {
+            id: invitation._id,
+            email: invitation.email,
+            status: invitation.status,
+            expiresAt: invitation.expiresAt,
+            sendCount: invitation.sendCount
+        };
+
+        try {
+            await sendInvitationEmail(
+                invitation.email,
+                child.name,
+                invitation.token,
+                req.user.name || 'Administrator',
+                resolveLocale(req.body?.locale, child.primaryLanguage)
+            );
+        } catch (emailError) {
+            console.error('Failed to resend email, but invitation renewed:', {
+                error: emailError.message,
+                email: invitation.email,
+                childName: child.name
+            });
+
+            return res.status(200).json({
+                message: "Invitation renewed but email failed to send. Please share the invitation link manually.",
+                invitation: {
+                    ...details,
+                    invitationLink: `${getFrontendUrl()}/parent/register?token=${invitation.token}`
+                },
+                warning: "Email not configured. Please share this invitation link with the parent manually.",
+                emailError: emailError.message
+            });
+        }
+
+        res.status(200).json({
+            message: "Invitation resent successfully",
+            invitation: details
+        });
+    } catch (error) {
+        console.error("Error resending invitation:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Revoke an invitation so its link can't be used
+ */
+export const revokeInvitation = async (req, res) => {
+    try {
+        const { invitation, statusCode, message } = await findInvitationForRequest(req);
+        if (!invitation) {
+            return res.status(statusCode).json({ message });
+        }
+
+        if (!['pending', 'expired'].includes(invitation.status)) {
+            return res.status(400).json({ 
+                message: `This invitation has already been ${invitation.status}` 
+            });
+        }
+
+        invitation.status = 'revoked';
+        invitation.revokedAt = new Date();
+        invitation.revokedBy = req.user.id;
+        await invitation.save();
+
+        res.status(200).json({
+            message: "Invitation revoked",
+            invitation: {
+                id: invitation._id,
+                email: invitation.email,
+                status: invitation.status,
+                revokedAt: invitation.revokedAt
+            }
+        });
+    } catch (error) {
+        console.error("Error revoking invitation:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
@@ -0,0 +1,290 @@
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import Session from "../models/Session.js";
+import { Admin } from "../models/User.js";
+import {
+    findAccount,
+    findAccountByEmail,
+    passwordMatches,
+    startSession
+} from "../lib/accounts.js";
+import {
+    MFA_ROLES,
+    MFA_SECRET_FIELDS,
+    beginEnrollment,
+    completeEnrollment,
+    disableMfa,
+    generateRecoveryCodes,
+    verifySecondFactor
+} from "../lib/mfa.js";
+
+// Admins can't turn 2FA off while the policy requires it
+const isMfaRequired = async (account) =>
+    account.role === 'admin' && (await SecurityPolicy.getPolicy()).requireAdminMfa;
+
+/**
+ * Two-factor status of the signed-in account
+ */
+export const getMfaStatus = async (req, res) => {
+    try {
+        const account = await findAccount(req.user.role, req.user.id, MFA_SECRET_FIELDS);
+        if (!account) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        res.status(200).json({
+            enabled: account.mfa.enabled,
+            enabledAt: account.mfa.enabledAt,
+            setupPending: !!account.mfa.pendingSecret,
+            recoveryCodesRemaining: account.mfa.enabled ? account.mfa.recoveryCodeHashes.length : 0,
+            required: await isMfaRequired(account)
+        });
+    } catch (error) {
+        console.error("Error fetching two-factor status:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Start setting up two-factor authentication
+ * Returns the secret and an otpauth:// URI to add to an authenticator app.
+ */
+export const setupMfa = async (req, res) => {
+    try {
+        const account = await findAccount(req.user.role, req.user.id, MFA_SECRET_FIELDS);
+        if (!account) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (account.mfa.enabled) {
+            return res.status(400).json({
+                message: "Two-factor authentication is already on. Turn it off first to use a new device."
+            });
+        }
+
+        const { secret, otpauthUri } = await beginEnrollment(account);
+
+        res.status(200).json({
+            message: "Add this account to your authenticator app, then confirm with a code from it",
+            secret,
+            otpauthUri
+        });
+    } catch (error) {
+        console.error("Error starting two-factor setup:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Confirm setup with a code from the app and turn two-factor authentication on
+ * Returns recovery codes (shown once). When signed in with an enrollment token,
+ * also returns the session that login held back.
+ * Body: { code }
+ */
+export const enableMfa = async (req, res) => {
+    try {
+        const { code } = req.body || {};
+
+        if (!code) {
+            return res.status(400).json({ message: "Authentication code is required" });
+        }
+
+        const account = await findAccount(req.user.role, req.user.id, MFA_SECRET_FIELDS);
+        if (!account) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (account.mfa.enabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already on" });
+        }
+        if (!account.mfa.pendingSecret) {
+            return res.status(400).json({ message: "Start two-factor setup first" });
+        }
+
+        const recoveryCodes = await completeEnrollment(account, code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ message: "Invalid authentication code" });
+        }
+
+        const response = {
+            message: "Two-factor authentication is on. Keep these recovery codes somewhere safe; each works once.",
+            recoveryCodes
+        };
+        if (req.user.mfaEnrollment) {
+            Object.assign(response, await startSession(account, req));
+        }
+        res.status(200).json(response);
+    } catch (error) {
+        console.error("Error enabling two-factor authentication:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Turn two-factor authentication off
+ * Body: { password, code } or { password, recoveryCode }
+ */
+export const disableMfaForAccount = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body || {};
+
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ message: "Password and an authentication code or recovery code are required" });
+        }
+
+        const account = await findAccount(req.user.role, req.user.id, MFA_SECRET_FIELDS);
+        if (!account) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!account.mfa.enabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not on" });
+        }
+        if (await isMfaRequired(account)) {
+            return res.status(403).json({ message: "Two-factor authentication is required for admin accounts" });
+        }
+
+        if (!(await passwordMatches(account, password)) || !(await verifySecondFactor(account, { code, recoveryCode }))) {
+            return res.status(401).json({ message: "Password or authentication code is incorrect" });
+        }
+
+        await disableMfa(account);
+
+        res.status(200).json({ message: "Two-factor authentication is off" });
+    } catch (error) {
+        console.error("Error disabling two-factor authentication:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * Body: { code }
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body || {};
+
+        if (!code) {
+            return res.status(400).json({ message: "Authentication code is required" });
+        }
+
+        const account = await findAccount(req.user.role, req.user.id, MFA_SECRET_FIELDS);
+        if (!account) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!account.mfa.enabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not on" });
+        }
+
+        if ((await verifySecondFactor(account, { code })) !== 'totp') {
+            return res.status(401).json({ message: "Invalid authentication code" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes(account);
+        await account.save();
+
+        res.status(200).json({
+            message: "New recovery codes created. The old ones no longer work.",
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error("Error regenerating recovery codes:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Turn off another account's two-factor authentication, e.g. after a lost phone (admin)
+ * The account holder can set it up again after signing in (admins are asked to straight away
+ * while the policy requires it).
+ * Body: { email }
+ */
+export const resetAccountMfa = async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        const found = await findAccountByEmail(email);
+        if (!found || !MFA_ROLES.includes(found.role)) {
+            return res.status(404).json({ message: "Account not found" });
+        }
+
+        const account = await findAccount(found.role, found._id, MFA_SECRET_FIELDS);
+        if (!account.mfa.enabled && !account.mfa.pendingSecret) {
+            return res.status(400).json({ message: "Two-factor authentication is not on for this account" });
+        }
+
+        await disableMfa(account);
+        console.log(`Two-factor authentication reset for ${account.email} by admin ${req.user.email}`);
+
+        res.status(200).json({ message: `Two-factor authentication turned off for ${account.email}` });
+    } catch (error) {
+        console.error("Error resetting two-factor authentication:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Current security policy (admin)
+ */
+export const getSecurityPolicy = async (req, res) => {
+    try {
+        const policy = await SecurityPolicy.getPolicy();
+        res.status(200).json({
+            requireAdminMfa: policy.requireAdminMfa,
+            updatedBy: policy.updatedBy,
+            updatedAt: policy.updatedAt
+        });
+    } catch (error) {
+        console.error("Error fetching security policy:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Change the security policy (admin)
+ * Body: { requireAdminMfa }
+ */
+export const updateSecurityPolicy = async (req, res) => {
+    try {
+        const { requireAdminMfa } = req.body || {};
+
+        if (typeof requireAdminMfa !== 'boolean') {
+            return res.status(400).json({ message: "requireAdminMfa must be true or false" });
+        }
+
+        // Requiring 2FA without having it would lock the admin out at their next sign-in
+        if (requireAdminMfa) {
+            const account = await findAccount(req.user.role, req.user.id);
+            if (!account?.mfa?.enabled) {
+                return res.status(400).json({
+                    message: "Turn on two-factor authentication for your own account before requiring it for all admins"
+                });
+            }
+        }
+
+        const policy = await SecurityPolicy.updatePolicy({ requireAdminMfa }, req.user.id);
+
+        // Admins without 2FA are signed out and go through enrollment at their next sign-in
+        let sessionsEnded = 0;
+        if (requireAdminMfa) {
+            for await (const admin of Admin.find({ 'mfa.enabled': { $ne: true } }, '_id').cursor()) {
+                sessionsEnded += await Session.revokeAll(admin._id, { reason: 'mfa_required' });
+            }
+        }
+
+        res.status(200).json({
+            requireAdminMfa: policy.requireAdminMfa,
+            updatedBy: policy.updatedBy,
+            updatedAt: policy.updatedAt,
+            sessionsEnded
+        });
+    } catch (error) {
+        console.error("Error updating security policy:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
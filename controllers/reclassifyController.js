@@ -0,0 +1,80 @@
+import { findAssessmentById } from "../lib/assessmentLookup.js";
+import { canViewAssessment } from "../lib/accessPolicy.js";
+import { reclassifyAssessment, reclassifyAssessments } from "../lib/reclassification.js";
+
+// Upper bound for one synchronous bulk request; use scripts/reclassifyAssessments.js for more
+const MAX_BULK_LIMIT = 500;
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+/**
+ * Re-score one assessment's stored transcript with the current classifier
+ * Send { dryRun: true } to preview the deltas without saving.
+ */
+export const reclassifyAssessmentById = async (req, res) => {
+    try {
+        const found = await findAssessmentById(req.params.id);
+        if (!found) {
+            return res.status(404).json({ message: "Assessment not found" });
+        }
+        if (!(await canViewAssessment(req.user, found.assessment, found.kind))) {
+            return res.status(403).json({ message: "You don't have access to this assessment" });
+        }
+        if (found.assessment.status === 'draft' || found.assessment.status === 'rejected') {
+            return res.status(409).json({ message: `Assessment is ${found.assessment.status} - only accepted assessments can be re-classified` });
+        }
+        if (!found.assessment.transcript?.trim()) {
+            return res.status(400).json({ message: "Assessment has no transcript to re-classify" });
+        }
+
+        const dryRun = parseBoolean(req.body?.dryRun);
+        const result = await reclassifyAssessment(found.assessment, {
+            triggeredBy: { id: req.user.id, role: req.user.role },
+            dryRun
+        });
+
+        res.status(200).json({
+            message: dryRun ? "Re-classification preview (not saved)" : "Assessment re-classified successfully",
+            kind: found.kind,
+            result
+        });
+    } catch (error) {
+        console.error("Error re-classifying assessment:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Re-classify many assessments (admins only)
+ * Body: { kind: 'all' | 'child' | 'teacher', childId, teacherId, center, from, to, limit, dryRun }
+ */
+export const bulkReclassify = async (req, res) => {
+    try {
+        const { kind, childId, teacherId, center, from, to, limit, dryRun } = req.body || {};
+
+        const parsedLimit = limit === undefined ? 100 : parseInt(limit, 10);
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_BULK_LIMIT) {
+            return res.status(400).json({ message: `limit must be between 1 and ${MAX_BULK_LIMIT}` });
+        }
+
+        const summary = await reclassifyAssessments({
+            kind: kind || 'all',
+            criteria: { childId, teacherId, center, from, to },
+            limit: parsedLimit,
+            dryRun: parseBoolean(dryRun),
+            triggeredBy: { id: req.user.id, role: req.user.role }
+        });
+
+        if (summary.error) {
+            return res.status(400).json({ message: summary.error });
+        }
+
+        res.status(200).json({
+            message: `Re-classified ${summary.processed} assessments (${summary.failed} failed)`,
+            ...summary
+        });
+    } catch (error) {
+        console.error("Error bulk re-classifying assessments:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -1,4 +1,6 @@
 import { Teacher } from "../models/User.js";
+import Session from "../models/Session.js";
+import { findAccountByEmail } from "../lib/accounts.js";
 import crypto from "crypto";
 import bcrypt from "bcrypt";
 
@@ -26,10 +28,10 @@ export const createTeacher = async (req, res) => {
             return res.status(400).json({ message: "All fields except password are required" });
         }
 
-        // Check if teacher with this email already exists
-        const existingTeacher = await Teacher.findOne({ email });
-        if (existingTeacher) {
-            return res.status(400).json({ message: "Teacher with this email already exists" });
+        // Check if the email is taken (by an account of any role)
+        const existingAccount = await findAccountByEmail(email);
+        if (existingAccount) {
+            return res.status(400).json({ message: "An account with this email already exists" });
         }
 
         // Generate default password if not provided
@@ -74,7 +76,13 @@ export const createTeacher = async (req, res) => {
 
 export const getAllTeachers = async (req, res) => {
     try {
-        const teachers = await Teacher.find();
+        // Teachers only see colleagues in their own center
+        let filter = {};
+        if (req.user.role === 'teacher') {
+            const self = await Teacher.findById(req.user.id, 'center');
+            filter = self ? { center: self.center } : { _id: req.user.id };
+        }
+        const teachers = await Teacher.find(filter).select('-password');
         res.status(200).json({ teachers });
     } catch (error) {
         console.error("Error fetching teachers:", error);
@@ -84,7 +92,7 @@ export const getAllTeachers = async (req, res) => {
 
 export const getTeacherById = async (req, res) => {
     try {
-        const teacher = await Teacher.findById(req.params.id);
+        const teacher = await Teacher.findById(req.params.id).select('-password');
         if (!teacher) {
             return res.status(404).json({ message: "Teacher not found" });
         }
@@ -111,11 +119,20 @@ export const updateTeacher = async (req, res) => {
             return res.status(404).json({ message: "Teacher not found" });
         }
 
+        // A teacher's center decides which children they can see - only admins move teachers
+        if (req.user.role !== 'admin' && center !== teacher.center) {
+            return res.status(403).json({ message: "Only admins can change a teacher's center" });
+        }
+        // Names show up on children's records and reports - teachers can't pass as a colleague
+        if (req.user.role !== 'admin' && name !== teacher.name) {
+            return res.status(403).json({ message: "Only admins can change a teacher's name" });
+        }
+
         // Check if email is being changed and if new email already exists
         if (email !== teacher.email) {
-            const existingTeacher = await Teacher.findOne({ email });
-            if (existingTeacher) {
-                return res.status(400).json({ message: "Teacher with this email already exists" });
+            const existingAccount = await findAccountByEmail(email);
+            if (existingAccount && !existingAccount._id.equals(teacher._id)) {
+                return res.status(400).json({ message: "An account with this email already exists" });
             }
         }
 
@@ -152,6 +169,8 @@ export const deleteTeacher = async (req, res) => {
         if (!teacher) {
             return res.status(404).json({ message: "Teacher not found" });
         }
+        // Sign the teacher out everywhere
+        await Session.revokeAll(teacher._id, { reason: 'account_deleted' });
         res.status(200).json({
             message: "Teacher deleted successfully",
             teacher: teacher
@@ -1,6 +1,42 @@
+import mongoose from 'mongoose';
 import TeacherInvitation from '../models/TeacherInvitation.js';
 import { Teacher } from '../models/User.js';
 import { sendTeacherInvitationEmail } from '../lib/emailService.js';
+import { getFrontendUrl } from '../lib/emailTemplates.js';
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const INVITATION_STATUSES = TeacherInvitation.schema.path('status').enumValues;
+
+/**
+ * Generate a token no other teacher invitation uses
+ * @returns {Promise<string>} Token
+ */
+const generateUniqueToken = async () => {
+    let token = TeacherInvitation.generateToken();
+    while (await TeacherInvitation.exists({ token })) {
+        token = TeacherInvitation.generateToken();
+    }
+    return token;
+};
+
+/**
+ * Load the teacher invitation in req.params.id
+ * @returns {Promise<Object>} { invitation } or { statusCode, message }
+ */
+const findInvitationForRequest = async (req) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { statusCode: 404, message: "Teacher invitation not found" };
+    }
+
+    const invitation = await TeacherInvitation.findById(id);
+    if (!invitation) {
+        return { statusCode: 404, message: "Teacher invitation not found" };
+    }
+
+    return { invitation };
+};
 
 /**
  * Send invitation to teacher
@@ -8,7 +44,7 @@ import { sendTeacherInvitationEmail } from '../lib/emailService.js';
  */
 export const sendTeacherInvitation = async (req, res) => {
     try {
-        const { email, firstName, lastName, education, dateOfBirth, center } = req.body;
+        const { email, firstName, lastName, education, dateOfBirth, center, locale } = req.body;
         
         const { id: sentBy, role: sentByRole, name: inviterName } = req.user || {};
 
@@ -57,14 +93,7 @@ export const sendTeacherInvitation = async (req, res) => {
         }
 
         // Generate unique token
-        let token = TeacherInvitation.generateToken();
-        let tokenExists = await TeacherInvitation.findOne({ token });
-        
-        // Ensure token is unique
-        while (tokenExists) {
-            token = TeacherInvitation.generateToken();
-            tokenExists = await TeacherInvitation.findOne({ token });
-        }
+        const token = await generateUniqueToken();
 
         // Create invitation
         const teacherInvitation = new TeacherInvitation({
@@ -78,7 +107,7 @@ export const sendTeacherInvitation = async (req, res) => {
             sentBy,
             sentByRole,
             status: 'pending',
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+            expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
         });
 
         await teacherInvitation.save();
@@ -89,7 +118,8 @@ export const sendTeacherInvitation = async (req, res) => {
                 email, 
                 `${firstName} ${lastName}`, 
                 token, 
-                inviterName || 'Administrator'
+                inviterName || 'Administrator',
+                locale
             );
         } catch (emailError) {
             console.error('Failed to send email, but invitation created:', {
@@ -100,15 +130,7 @@ export const sendTeacherInvitation = async (req, res) => {
             });
             
             // Create invitation link for manual sharing
-            const isProduction = process.env.NODE_ENV === 'production' || 
-                                process.env.RENDER || 
-                                !process.env.FRONTEND_URL?.includes('localhost');
-            let baseUrl = process.env.FRONTEND_URL;
-            if (!baseUrl || (isProduction && baseUrl.includes('localhost'))) {
-                baseUrl = 'https://bainum-frontend-prod.vercel.app';
-            }
-            baseUrl = baseUrl.replace(/\/$/, '');
-            const invitationLink = `${baseUrl}/teacher/register?token=${token}`;
+            const invitationLink = `${getFrontendUrl()}/teacher/register?token=${token}`;
             
             // Still return success, but note email issue and include the link
             return res.status(201).json({
@@ -169,6 +191,12 @@ export const verifyTeacherInvitation = async (req, res) => {
             });
         }
 
+        if (invitation.status === 'revoked') {
+            return res.status(400).json({ 
+                message: "This invitation has been revoked" 
+            });
+        }
+
         if (invitation.isExpired()) {
             invitation.status = 'expired';
             await invitation.save();
@@ -207,6 +235,7 @@ export const verifyTeacherInvitation = async (req, res) => {
 
 /**
  * Get all teacher invitations (for admin dashboard)
+ * Query: status (comma-separated, e.g. 'pending,expired')
  */
 export const getTeacherInvitations = async (req, res) => {
     try {
@@ -218,7 +247,19 @@ export const getTeacherInvitations = async (req, res) => {
             });
         }
 
-        const invitations = await TeacherInvitation.find({})
+        const query = {};
+        if (req.query.status) {
+            const statuses = String(req.query.status).split(',').map(status => status.trim());
+            const invalid = statuses.filter(status => !INVITATION_STATUSES.includes(status));
+            if (invalid.length) {
+                return res.status(400).json({ 
+                    message: `status must be one of: ${INVITATION_STATUSES.join(', ')}` 
+                });
+            }
+            query.status = { $in: statuses };
+        }
+
+        const invitations = await TeacherInvitation.find(query)
             .sort({ createdAt: -1 });
 
         res.status(200).json({
@@ -233,7 +274,10 @@ export const getTeacherInvitations = async (req, res) => {
                 status: inv.status,
                 expiresAt: inv.expiresAt,
                 createdAt: inv.createdAt,
-                acceptedAt: inv.acceptedAt
+                acceptedAt: inv.acceptedAt,
+                lastSentAt: inv.lastSentAt,
+                sendCount: inv.sendCount,
+                revokedAt: inv.revokedAt
             }))
         });
     } catch (error) {
@@ -243,3 +287,126 @@ export const getTeacherInvitations = async (req, res) => {
         });
     }
 };
+
+/**
+ * Resend a teacher invitation with a new token and a fresh 7 days
+ * Pending and expired invitations can be resent; the old link stops working.
+ * Body: { locale } (optional)
+ */
+export const resendTeacherInvitation = async (req, res) => {
+    try {
+        const { invitation, statusCode, message } = await findInvitationForRequest(req);
+        if (!invitation) {
+            return res.status(statusCode).json({ message });
+        }
+
+        if (!['pending', 'expired'].includes(invitation.status)) {
+            return res.status(400).json({ 
+                message: `This invitation has been ${invitation.status} and can't be resent` 
+            });
+        }
+
+        // Don't leave two live invitations for the same email
+        const otherPending = await TeacherInvitation.exists({
+            _id: { $ne: invitation._id },
+            email: invitation.email,
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        });
+        if (otherPending) {
+            return res.status(400).json({ 
+                message: "A newer pending invitation already exists for this email" 
+            });
+        }
+
+        invitation.token = await generateUniqueToken();
+        invitation.status = 'pending';
+        invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+        invitation.lastSentAt = new Date();
+        invitation.sendCount = (invitation.sendCount || 1) + 1;
+        await invitation.save();
+
+        const teacherName = `${invitation.firstName} ${invitation.lastName}`;
+        const details = {
+            id: invitation._id,
+            email: invitation.email,
+            status: invitation.status,
+            expiresAt: invitation.expiresAt,
+            sendCount: invitation.sendCount
+        };
+
+        try {
+            await sendTeacherInvitationEmail(
+                invitation.email,
+                teacherName,
+                invitation.token,
+                req.user.name || 'Administrator',
+                req.body?.locale
+            );
+        } catch (emailError) {
+            console.error('Failed to resend email, but invitation renewed:', {
+                error: emailError.message,
+                email: invitation.email,
+                teacherName
+            });
+
+            return res.status(200).json({
+                message: "Invitation renewed but email failed to send. Please share the invitation link manually.",
+                invitation: {
+                    ...details,
+                    invitationLink: `${getFrontendUrl()}/teacher/register?token=${invitation.token}`
+                },
+                warning: "Email not configured. Please share this invitation link with the teacher manually.",
+                emailError: emailError.message
+            });
+        }
+
+        res.status(200).json({
+            message: "Teacher invitation resent successfully",
+            invitation: details
+        });
+    } catch (error) {
+        console.error("Error resending teacher invitation:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
+
+/**
+ * Revoke a teacher invitation so its link can't be used
+ */
+export const revokeTeacherInvitation = async (req, res) => {
+    try {
+        const { invitation, statusCode, message } = await findInvitationForRequest(req);
+        if (!invitation) {
+            return res.status(statusCode).json({ message });
+        }
+
+        if (!['pending', 'expired'].includes(invitation.status)) {
+            return res.status(400).json({ 
+                message: `This invitation has already been ${invitation.status}` 
+            });
+        }
+
+        invitation.status = 'revoked';
+        invitation.revokedAt = new Date();
+        invitation.revokedBy = req.user.id;
+        await invitation.save();
+
+        res.status(200).json({
+            message: "Teacher invitation revoked",
+            invitation: {
+                id: invitation._id,
+                email: invitation.email,
+                status: invitation.status,
+                revokedAt: invitation.revokedAt
+            }
+        });
+    } catch (error) {
+        console.error("Error revoking teacher invitation:", error);
+        res.status(500).json({ 
+            message: error.message || "Internal server error" 
+        });
+    }
+};
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import TranscriptionJob from "../models/TranscriptionJob.js";
+import { listProviders } from "../lib/speechToText/index.js";
+import { reviewTranscript } from "../lib/transcriptReview.js";
+import { canAccessChild, canAccessTeacher } from "../lib/accessPolicy.js";
+
+/**
+ * Load a job and check the caller may see it
+ * Child jobs follow the child's access rules; classroom jobs are only visible
+ * to admins and the teacher they belong to.
+ * @returns {Promise<Object>} { job } or { statusCode, message }
+ */
+const findJobForRequest = async (req) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { statusCode: 404, message: "Transcription job not found" };
+    }
+
+    const job = await TranscriptionJob.findById(id);
+    if (!job) {
+        return { statusCode: 404, message: "Transcription job not found" };
+    }
+
+    const allowed = job.type === 'classroom'
+        ? await canAccessTeacher(req.user, job.teacherId, { own: true })
+        : await canAccessChild(req.user, job.childId);
+    if (!allowed) {
+        return { statusCode: 403, message: "You can only access your own transcription jobs" };
+    }
+
+    return { job };
+};
+
+const sendAccessError = (res, access) => res.status(access.statusCode).json({ message: access.message });
+
+/**
+ * Get the status of a queued transcription job
+ * Returns the review payload once the job is ready
+ */
+export const getTranscriptionJob = async (req, res) => {
+    try {
+        const access = await findJobForRequest(req);
+        if (!access.job) {
+            return sendAccessError(res, access);
+        }
+
+        res.status(200).json({ job: access.job.toStatusResponse() });
+    } catch (error) {
+        console.error("Error fetching transcription job:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * Preview a corrected transcript: re-scores it server-side and diffs it
+ * against the ASR transcript without saving anything
+ */
+export const reviewTranscriptionJob = async (req, res) => {
+    try {
+        const access = await findJobForRequest(req);
+        if (!access.job) {
+            return sendAccessError(res, access);
+        }
+
+        const { job } = access;
+        if (job.status !== 'ready') {
+            return res.status(409).json({ message: `Transcription job is ${job.status}, not ready` });
+        }
+
+        const { transcript } = req.body || {};
+        if (transcript !== undefined && typeof transcript !== 'string') {
+            return res.status(400).json({ message: "transcript must be a string" });
+        }
+
+        const review = await reviewTranscript({ transcript, original: job.result });
+
+        res.status(200).json({
+            review: {
+                ...review.fields,
+                originalTranscript: review.originalTranscript,
+                diff: review.diff,
+                edited: review.edited,
+                rescored: review.rescored,
+                provenance: review.provenance
+            }
+        });
+    } catch (error) {
+        console.error("Error reviewing transcription job:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * List speech-to-text providers (admins can choose one per upload)
+ */
+export const getSpeechToTextProviders = async (req, res) => {
+    try {
+        res.status(200).json({ providers: listProviders() });
+    } catch (error) {
+        console.error("Error listing speech-to-text providers:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -1,10 +1,8 @@
 import dotenv from "dotenv";
-import Assessment from "../models/Assessment.js";
 import fs from "fs";
-import revai from "../lib/revai.js";
-import ragClassifier from "../lib/ragClassifier.js";
-import hybridScorer from "../lib/hybridScorer.js";
-import { analyzeTranscript, calculateScores, extractKeywordSegments } from "../lib/transcriptProcessor.js";
+import transcriptionQueue from "../lib/transcriptionQueue.js";
+import { resolveProviderName } from "../lib/speechToText/index.js";
+import { parseRecordingDate, removeUploadedFile } from "../lib/transcriptionPipeline.js";
 
 dotenv.config();
 
@@ -45,227 +43,39 @@ const revaiController = async (req, res) => {
             });
         }
 
-        // Check if RevAI API key exists
-        const config = revai.getConfig();
-        console.log(`RevAI configuration:`, {
-            apiBaseUrl: config.apiBaseUrl,
-            apiKeySet: config.apiKeySet
-        });
-
-        if (!config.apiKeySet) {
-            console.warn("⚠️  RevAI API key not set - transcription may fail");
-        }
-
-        // Check RevAI service health (non-blocking, just a warning)
-        try {
-            const isHealthy = await revai.isHealthy();
-            if (!isHealthy) {
-                console.warn("⚠️  RevAI service health check failed - will attempt transcription anyway");
-            } else {
-                console.log("✓ RevAI service is ready");
-            }
-        } catch (healthError) {
-            console.warn("⚠️  Could not check RevAI service health:", healthError.message);
+        // Admins may pick the speech-to-text provider for this upload
+        const provider = resolveProviderName(req.body.sttProvider, req.user);
+        if (provider.error) {
+            removeUploadedFile(filePath);
+            return res.status(provider.statusCode).json({ message: provider.error });
         }
 
-        // Transcribe audio using RevAI
-        console.log(`Starting transcription for file: ${req.file.filename}`);
-        
-        // Optimize for speed: skip diarization (speaker identification) for faster processing
-        const transcriptionResult = await revai.transcribeFromFile(filePath, {
-            filename: req.file.filename,
-            mimetype: req.file.mimetype,
-            skipDiarization: true, // Skip speaker diarization for faster processing
-            language: 'en' // Specify language for faster processing
-        });
-
-        console.log("RevAI Response received:", {
-            hasText: !!transcriptionResult.text,
-            hasRaw: !!transcriptionResult.raw,
-            jobId: transcriptionResult.jobId
-        });
-        
-        const transcript = revai.getTranscript(transcriptionResult);
-        console.log(`Transcript extracted (${transcript.length} characters):`, transcript.substring(0, 100) + "...");
-
-        // Validate transcript
-        if (!transcript || transcript.trim().length === 0) {
-            console.warn("⚠️  Empty transcript received from RevAI");
-            // Continue processing even with empty transcript
-        }
-
-        // Analyze transcript for keywords
-        const keywordCounts = analyzeTranscript(transcript || "");
-        const keywordScores = calculateScores(keywordCounts);
-
-        console.log("=== Keyword Analysis Complete ===");
-        console.log("Transcript length:", transcript?.length || 0, "characters");
-        console.log("Total words in transcript:", transcript?.split(/\s+/).filter(w => w.length > 0).length || 0);
-        console.log("Keyword counts:", keywordCounts);
-        console.log("Keyword scores:", keywordScores);
-
-        // RAG Classification (if enabled)
-        let ragScores = null;
-        let ragSegments = null;
-        let finalScores = keywordScores;
-        // Check RAG_ENABLED - handle string 'true', boolean true, or case variations
-        const ragEnabledValue = process.env.RAG_ENABLED?.toString().toLowerCase().trim();
-        const ragEnabled = ragEnabledValue === 'true';
-        
-        // Debug logging for RAG configuration
-        console.log("=== RAG Configuration Debug ===");
-        console.log("RAG_ENABLED env value:", process.env.RAG_ENABLED);
-        console.log("RAG_ENABLED normalized:", ragEnabledValue);
-        console.log("ragEnabled computed:", ragEnabled);
-        console.log("OPENAI_API_KEY set:", !!process.env.OPENAI_API_KEY);
-
-        if (ragEnabled && transcript && transcript.trim().length > 0) {
-            try {
-                console.log("=== Starting RAG Classification ===");
-                const ragResult = await ragClassifier.classifyWithSegments(transcript);
-                ragScores = ragResult.scores;
-                ragSegments = ragResult.segments || [];
-                console.log("RAG scores:", ragScores);
-                console.log("RAG segments found:", ragSegments.length);
-
-                // Combine RAG and keyword scores using hybrid scorer
-                finalScores = hybridScorer.combineScores(ragScores, keywordScores);
-                console.log("=== Hybrid Scoring Complete ===");
-                console.log("Final combined scores:", finalScores);
-                console.log("Weights:", hybridScorer.getWeights());
-            } catch (ragError) {
-                console.error("⚠️  RAG classification failed, falling back to keyword-only:", ragError.message);
-                // Use keyword scores as fallback
-                finalScores = keywordScores;
-                ragScores = null;
-                ragSegments = null;
-            }
-        } else {
-            if (!ragEnabled) {
-                console.log("RAG classification is disabled (RAG_ENABLED=false or not set)");
-            } else {
-                console.log("Skipping RAG classification (empty transcript)");
-            }
-        }
-
-        // Fallback: always generate segments for highlighting (keyword-based when RAG has none)
-        if (!ragSegments || ragSegments.length === 0) {
-            ragSegments = extractKeywordSegments(transcript || "");
-            if (ragSegments.length > 0) {
-                console.log("Using keyword-based segments for highlighting:", ragSegments.length, "segments");
-            }
-        }
-
-        // Prepare assessment data (but don't save yet - wait for user acceptance)
-        console.log("Preparing assessment data...");
-        
-        // Use provided recordingDate or default to current date
-        let assessmentDate = new Date();
-        if (recordingDate) {
-            const parsedDate = new Date(recordingDate);
-            if (!isNaN(parsedDate.getTime())) {
-                assessmentDate = parsedDate;
-                console.log("Using provided recording date:", assessmentDate.toISOString());
-            } else {
-                console.warn("Invalid recordingDate provided, using current date");
-            }
-        } else {
-            console.log("No recordingDate provided, using current date");
-        }
-        
-        const assessmentData = {
+        // Queue transcription - the worker runs transcribe → classify in the background
+        const job = await transcriptionQueue.enqueue('child', req.file, {
+            sttProvider: provider.name,
             childId,
-            audioFileName: req.file.filename,
-            transcript: transcript || "",
-            scienceTalk: finalScores.scienceTalk,
-            socialTalk: finalScores.socialTalk,
-            literatureTalk: finalScores.literatureTalk,
-            languageDevelopment: finalScores.languageDevelopment,
-            keywordCounts,
             uploadedBy: uploadedBy || "Unknown",
-            date: assessmentDate
-        };
-
-        // Store RAG scores and segments (segments enable transcript highlighting)
-        if (ragScores) {
-            assessmentData.ragScores = ragScores;
-            assessmentData.ragSegments = ragSegments;
-            assessmentData.classificationMethod = 'hybrid';
-        } else {
-            assessmentData.classificationMethod = 'keyword-only';
-        }
-        // Always include segments when available (keyword-based fallback enables highlighting)
-        if (ragSegments && ragSegments.length > 0) {
-            assessmentData.ragSegments = ragSegments;
-        }
-
-        // Don't save yet - return data for user review
-        console.log("✓ Assessment data prepared (awaiting user acceptance)");
-
-        // Clean up uploaded file
-        if (fs.existsSync(filePath)) {
-            try {
-                fs.unlinkSync(filePath);
-                console.log(`✓ Cleaned up file: ${filePath}`);
-            } catch (cleanupError) {
-                console.warn("⚠️  Could not delete uploaded file:", cleanupError.message);
-            }
-        }
+            // The uploader owns the draft assessment the worker saves for review
+            requestedBy: { id: String(req.user.id), role: req.user.role },
+            recordingDate: parseRecordingDate(recordingDate)
+        });
 
-        console.log("=== Audio Processing Complete ===");
-        
-        res.status(200).json({
-            message: "Audio processed successfully - please review transcript",
-            assessment: assessmentData, // Return assessment data without saving
-            transcript,
-            keywordCounts,
-            scores: finalScores,
-            keywordScores: keywordScores,
-            ragScores: ragScores || null,
-            ragSegments: ragSegments || null,
-            classificationMethod: assessmentData.classificationMethod
+        res.status(202).json({
+            message: "Audio uploaded - transcription in progress",
+            jobId: job._id,
+            status: job.status,
+            sttProvider: job.sttProvider,
+            statusUrl: `/api/whisper/jobs/${job._id}`
         });
     } catch (error) {
-        console.error("=== ERROR PROCESSING AUDIO ===");
-        console.error("Error type:", error.constructor.name);
+        console.error("=== ERROR QUEUING AUDIO ===");
         console.error("Error message:", error.message);
         console.error("Error stack:", error.stack);
-        
-        // Provide more specific error messages
-        let errorMessage = "Failed to process audio";
-        let statusCode = 500;
 
-        if (error.message.includes("unreachable") || error.message.includes("ECONNREFUSED")) {
-            errorMessage = "RevAI service is not reachable. Please check your internet connection and API key.";
-            statusCode = 503;
-        } else if (error.message.includes("timeout") || error.message.includes("timed out")) {
-            errorMessage = "Audio transcription timed out. The audio file may be too long or the service is overloaded.";
-            statusCode = 504;
-        } else if (error.message.includes("not found")) {
-            errorMessage = "Audio file not found on server.";
-            statusCode = 404;
-        } else if (error.message.includes("API error") || error.message.includes("RevAI")) {
-            errorMessage = `RevAI API error: ${error.message}`;
-            statusCode = 502;
-        } else if (error.message.includes("API key")) {
-            errorMessage = "RevAI API key is required. Please set REVAI_API_KEY environment variable.";
-            statusCode = 401;
-        } else {
-            errorMessage = error.message || "Failed to process audio. Check server logs for details.";
-        }
-
-        // Clean up file if it exists
-        if (filePath && fs.existsSync(filePath)) {
-            try {
-                fs.unlinkSync(filePath);
-                console.log(`✓ Cleaned up file after error: ${filePath}`);
-            } catch (cleanupError) {
-                console.warn("⚠️  Could not delete uploaded file after error:", cleanupError.message);
-            }
-        }
+        removeUploadedFile(filePath);
 
-        res.status(statusCode).json({ 
-            message: errorMessage,
+        res.status(500).json({ 
+            message: error.message || "Failed to process audio. Check server logs for details.",
             error: process.env.NODE_ENV === 'development' ? error.stack : undefined
         });
     }
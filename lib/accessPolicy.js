@@ -0,0 +1,201 @@
+/**
+ * Who may see what - the single place role rules live.
+ *
+ * - admin: everything
+ * - teacher: children whose lead teacher is in their center (themselves
+ *   included), teachers in their center, their own classroom assessments
+ * - parent: only their own children (req.user.childIds)
+ *
+ * Children are matched on their lead teacher's ID only: names can be shared or
+ * changed, so a name-valued `leadTeacher` (from before children stored IDs -
+ * see scripts/migrateLeadTeachers.js) grants no teacher access. Route-level
+ * checks use middleware/authorize.js.
+ */
+
+import mongoose from "mongoose";
+import { Child, Teacher } from "../models/User.js";
+import Note from "../models/Note.js";
+
+export const ROLES = ['admin', 'teacher', 'parent'];
+
+/**
+ * Load the teacher's center and the IDs of every teacher in it. Cached on the
+ * user object for the rest of the request.
+ * @private
+ * @param {Object} user - Authenticated teacher (req.user)
+ * @returns {Promise<Object>} { center, leadTeachers }
+ */
+const getTeacherScope = async (user) => {
+    if (user._teacherScope) {
+        return user._teacherScope;
+    }
+
+    const teacher = mongoose.Types.ObjectId.isValid(user.id)
+        ? await Teacher.findById(user.id, 'center')
+        : null;
+    const colleagues = teacher?.center
+        ? await Teacher.find({ center: teacher.center }, '_id')
+        : (teacher ? [teacher] : []);
+
+    const leadTeachers = new Set(colleagues.map(colleague => String(colleague._id)));
+    // A token issued before the teacher moved center still covers their own children
+    leadTeachers.add(String(user.id));
+
+    const scope = { center: teacher?.center || null, leadTeachers: Array.from(leadTeachers) };
+    Object.defineProperty(user, '_teacherScope', { value: scope, enumerable: false });
+    return scope;
+};
+
+/**
+ * IDs of the children a parent is linked to
+ * Tokens issued before parents could have several children only carry childId.
+ * @param {Object} user - Authenticated parent (req.user)
+ * @returns {Array<string>} Child IDs
+ */
+export const getParentChildIds = (user) => (Array.isArray(user?.childIds) ? user.childIds : [user?.childId])
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id))
+    .map(String);
+
+/**
+ * Mongo filter for the children a user may see
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object|null>} Filter for Child.find, or null if the user may see none
+ */
+export const childScopeFilter = async (user) => {
+    if (user?.role === 'admin') {
+        return {};
+    }
+    if (user?.role === 'teacher') {
+        const { leadTeachers } = await getTeacherScope(user);
+        return { leadTeacher: { $in: leadTeachers } };
+    }
+    if (user?.role === 'parent') {
+        const childIds = getParentChildIds(user);
+        return childIds.length ? { _id: { $in: childIds } } : null;
+    }
+    return null;
+};
+
+/**
+ * Check whether a user may access a child and everything recorded about them
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object|string} child - Child document (with leadTeacher) or child ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+export const canAccessChild = async (user, child) => {
+    if (!user) {
+        return false;
+    }
+    if (user.role === 'admin') {
+        return true;
+    }
+
+    const childId = String(child?._id || child);
+    if (user.role === 'parent') {
+        return getParentChildIds(user).includes(childId);
+    }
+    if (user.role !== 'teacher') {
+        return false;
+    }
+
+    let leadTeacher = child?.leadTeacher;
+    if (leadTeacher === undefined) {
+        if (!mongoose.Types.ObjectId.isValid(childId)) {
+            return false;
+        }
+        const found = await Child.findById(childId, 'leadTeacher');
+        if (!found) {
+            return false;
+        }
+        leadTeacher = found.leadTeacher;
+    }
+
+    const { leadTeachers } = await getTeacherScope(user);
+    return leadTeachers.includes(String(leadTeacher));
+};
+
+/**
+ * Check whether a user may access a teacher's profile and classroom assessments
+ * Teachers may see colleagues in their center but only act on their own records.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} teacherId - Teacher ID
+ * @param {Object} options - { own: true } to allow only the teacher themselves
+ * @returns {Promise<boolean>} True if allowed
+ */
+export const canAccessTeacher = async (user, teacherId, options = {}) => {
+    if (!user) {
+        return false;
+    }
+    if (user.role === 'admin') {
+        return true;
+    }
+    if (user.role !== 'teacher') {
+        return false;
+    }
+    if (String(user.id) === String(teacherId)) {
+        return true;
+    }
+    if (options.own || !mongoose.Types.ObjectId.isValid(teacherId)) {
+        return false;
+    }
+
+    const { center } = await getTeacherScope(user);
+    if (!center) {
+        return false;
+    }
+    const teacher = await Teacher.findById(teacherId, 'center');
+    return teacher?.center === center;
+};
+
+/**
+ * Check whether a user may access a center's data
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} centerName - Center name
+ * @returns {Promise<boolean>} True if allowed
+ */
+export const canAccessCenter = async (user, centerName) => {
+    if (user?.role === 'admin') {
+        return true;
+    }
+    if (user?.role !== 'teacher') {
+        return false;
+    }
+    const { center } = await getTeacherScope(user);
+    return !!center && center === centerName;
+};
+
+/**
+ * Check whether a user may view an assessment
+ * Child assessments follow the child's access rules; classroom (teacher)
+ * assessments are visible to admins and the teacher they belong to.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} assessment - Assessment document
+ * @param {string} kind - 'child' or 'teacher'
+ * @returns {Promise<boolean>} True if allowed
+ */
+export const canViewAssessment = async (user, assessment, kind) => {
+    if (kind === 'teacher') {
+        return canAccessTeacher(user, assessment.teacherId, { own: true });
+    }
+    return canAccessChild(user, assessment.childId);
+};
+
+/**
+ * Check whether a user may access a note (through the child it's about)
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object>} { note } if allowed, { note: null } if missing, { forbidden: true } otherwise
+ */
+export const findAccessibleNote = async (user, noteId) => {
+    if (!mongoose.Types.ObjectId.isValid(noteId)) {
+        return { note: null };
+    }
+    const note = await Note.findById(noteId);
+    if (!note) {
+        return { note: null };
+    }
+    if (!(await canAccessChild(user, note.childId))) {
+        return { forbidden: true };
+    }
+    return { note };
+};
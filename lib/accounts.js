@@ -0,0 +1,213 @@
+/**
+ * Sign-in accounts across the Admin, Teacher and Parent collections.
+ *
+ * Signing in starts a session (models/Session.js) and returns a short-lived
+ * access token naming it (`sid`) plus a refresh token that is swapped for a new
+ * pair each time it is used. Every access token also carries the account's
+ * `tokenVersion`; changing or resetting a password bumps it and ends the
+ * account's other sessions, so authenticateToken rejects tokens issued before.
+ */
+
+import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import mongoose from "mongoose";
+import { Admin, Teacher, Parent } from "../models/User.js";
+import Session from "../models/Session.js";
+import Account, { normalizeEmail } from "../models/Account.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+
+const SALT_ROUNDS = 10;
+
+const getAccessTokenExpiresIn = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const getRefreshTtlMs = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10) * 24 * 60 * 60 * 1000;
+
+export const ACCOUNT_MODELS = { admin: Admin, teacher: Teacher, parent: Parent };
+
+// Same as the other registration checks
+export const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Find an account by email (any role, ignoring case) through the account directory
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} Account document
+ */
+export const findAccountByEmail = async (email) => {
+    if (!email || typeof email !== 'string') {
+        return null;
+    }
+    const entry = await Account.findOne({ email: normalizeEmail(email) });
+    if (entry) {
+        const account = await findAccount(entry.role, entry.accountId);
+        if (account) {
+            return account;
+        }
+    }
+    // Accounts scripts/migrateAccountDirectory.js hasn't added yet: admins, then teachers, then parents
+    for (const Model of Object.values(ACCOUNT_MODELS)) {
+        const account = await Model.findOne({ email });
+        if (account) {
+            return account;
+        }
+    }
+    return null;
+};
+
+/**
+ * Find an account by role and ID
+ * @param {string} role - 'admin', 'teacher' or 'parent'
+ * @param {string} id - Account ID
+ * @param {string} projection - Fields to load (optional)
+ * @returns {Promise<Object|null>} Account document
+ */
+export const findAccount = async (role, id, projection) => {
+    const Model = ACCOUNT_MODELS[role];
+    if (!Model || !mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return Model.findById(id, projection);
+};
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+/**
+ * Check a password against a stored one (bcrypt hash, or plain text for legacy accounts)
+ * @param {Object} account - Account document
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} True if it matches
+ */
+export const passwordMatches = async (account, password) => {
+    if (typeof password !== 'string') {
+        return false;
+    }
+    if (/^\$2[aby]\$/.test(account.password)) {
+        return bcrypt.compare(password, account.password);
+    }
+    return account.password === password;
+};
+
+/**
+ * Replace an account's password and end every session signed in with the old one
+ * @param {Object} account - Account document
+ * @param {string} password - New plain-text password
+ * @param {Object} options - { keepSessionId: session to leave signed in }
+ * @returns {Promise<Object>} The saved account
+ */
+export const setPassword = async (account, password, options = {}) => {
+    account.password = await hashPassword(password);
+    account.passwordChangedAt = new Date();
+    account.tokenVersion = (account.tokenVersion || 0) + 1;
+    await account.save();
+    await Session.revokeAll(account._id, { except: options.keepSessionId, reason: 'password_changed' });
+    return account;
+};
+
+/**
+ * Claims for an account's token
+ * Parents also get childIds (every linked child) and childId (the first, for older clients).
+ * @param {Object} account - Account document
+ * @returns {Object} JWT payload
+ */
+export const buildTokenPayload = (account) => {
+    const payload = {
+        id: account._id.toString(),
+        name: account.name,
+        email: account.email,
+        role: account.role,
+        tokenVersion: account.tokenVersion || 0
+    };
+    if (account.role === 'parent') {
+        payload.childIds = account.getChildIds().map(String);
+        payload.childId = payload.childIds[0];
+    }
+    return payload;
+};
+
+/**
+ * Sign an access token for an account
+ * @param {Object} account - Account document
+ * @param {Object} options - { sessionId: session the token belongs to }
+ * @returns {string} JWT
+ */
+export const signAccountToken = (account, options = {}) => {
+    const payload = buildTokenPayload(account);
+    if (options.sessionId) {
+        payload.sid = options.sessionId.toString();
+    }
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: getAccessTokenExpiresIn() });
+};
+
+/**
+ * Response fields for a signed-in session
+ * `user` is the access token (the name older clients read it by).
+ * @private
+ */
+const sessionTokens = (account, session, refreshToken) => {
+    const accessToken = signAccountToken(account, { sessionId: session._id });
+    return {
+        user: accessToken,
+        refreshToken,
+        accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000)
+    };
+};
+
+/**
+ * Sign an account in on a new device
+ * @param {Object} account - Account document
+ * @param {Object} req - Express request (user agent and IP are kept to list devices)
+ * @returns {Promise<Object>} { user: access token, refreshToken, accessTokenExpiresAt }
+ */
+export const startSession = async (account, req) => {
+    const { session, refreshToken } = await Session.open(account, {
+        userAgent: req?.get?.('user-agent'),
+        ip: req?.ip
+    }, getRefreshTtlMs());
+    return sessionTokens(account, session, refreshToken);
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * An admin without 2FA can't keep a session going while the policy requires it.
+ * @param {string} refreshToken - Refresh token from startSession or an earlier refresh
+ * @returns {Promise<Object|null>} Same fields as startSession, or null if the session has ended
+ */
+export const refreshSession = async (refreshToken) => {
+    const rotated = await Session.rotate(refreshToken, getRefreshTtlMs());
+    if (!rotated) {
+        return null;
+    }
+    const { session } = rotated;
+    const account = await findAccount(session.role, session.accountId);
+    if (!account || account.deactivatedAt) {
+        await session.revoke('account_unavailable');
+        return null;
+    }
+    if (account.role === 'admin' && !account.mfa?.enabled && (await SecurityPolicy.getPolicy()).requireAdminMfa) {
+        await session.revoke('mfa_required');
+        return null;
+    }
+    return sessionTokens(account, session, rotated.refreshToken);
+};
+
+/**
+ * Whether a verified token may still be used: it is an access token (not an interim
+ * two-factor token), the account exists and isn't deactivated, its password hasn't changed
+ * since the token was issued (tokens without tokenVersion count as 0), and the token's
+ * session (if it names one) hasn't ended
+ * @param {Object} claims - Verified JWT payload
+ * @returns {Promise<boolean>} True if the token may be used
+ */
+export const isTokenCurrent = async (claims) => {
+    if (claims?.purpose) {
+        return false;
+    }
+    const account = await findAccount(claims?.role, claims?.id, 'tokenVersion deactivatedAt');
+    if (!account || account.deactivatedAt || (account.tokenVersion || 0) !== (claims.tokenVersion || 0)) {
+        return false;
+    }
+    return !claims.sid || Session.isActive(claims.sid, account._id);
+};
@@ -0,0 +1,269 @@
+/**
+ * Research exports: one row per accepted Assessment / TeacherAssessment, as
+ * CSV or XLSX, streamed straight to the response.
+ *
+ * Rows come from aggregation cursors that project only the exported fields
+ * (the transcript is reduced to its length on the server), so memory use does
+ * not grow with the export. Child and teacher IDs are pseudonymized by default
+ * with a keyed hash: the same ID always maps to the same pseudonym, so rows
+ * can still be linked across exports without revealing the real ID.
+ */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import ExcelJS from "exceljs";
+import Assessment from "../models/Assessment.js";
+import TeacherAssessment from "../models/TeacherAssessment.js";
+import { ACCEPTED_STATUS_FILTER } from "../models/schemas/reviewStatus.js";
+import { Child, Teacher } from "../models/User.js";
+import { SCORE_FIELDS } from "./reclassification.js";
+import { parseRangeDate } from "./dateRange.js";
+import { writeCsv as writeCsvRows } from "./csv.js";
+
+dotenv.config();
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const EXPORT_KINDS = ['all', 'child', 'teacher'];
+
+const KEYWORD_FIELDS = ['science', 'social', 'literature', 'language'];
+
+export const EXPORT_COLUMNS = [
+    { key: 'assessmentId', header: 'assessment_id' },
+    { key: 'kind', header: 'kind' },
+    { key: 'childId', header: 'child_id' },
+    { key: 'teacherId', header: 'teacher_id' },
+    { key: 'center', header: 'center' },
+    { key: 'date', header: 'date' },
+    ...SCORE_FIELDS.map(field => ({ key: field, header: field })),
+    ...KEYWORD_FIELDS.map(field => ({ key: `keyword_${field}`, header: `keyword_count_${field}` })),
+    { key: 'classificationMethod', header: 'classification_method' },
+    ...SCORE_FIELDS.map(field => ({ key: `rag_${field}`, header: `rag_${field}` })),
+    { key: 'transcriptLength', header: 'transcript_length' },
+    { key: 'scoringVersion', header: 'scoring_version' }
+];
+
+const getPseudonymSecret = () => process.env.EXPORT_PSEUDONYM_SECRET || process.env.JWT_SECRET || '';
+
+/**
+ * Stable pseudonym for an ID
+ * @param {string} id - Child or teacher ID
+ * @returns {string|null} e.g. "p_3f9a0c1d2e4b5a6c"
+ */
+export const pseudonymize = (id) => {
+    if (!id) {
+        return null;
+    }
+    const digest = crypto.createHmac('sha256', getPseudonymSecret()).update(String(id)).digest('hex');
+    return `p_${digest.slice(0, 16)}`;
+};
+
+/**
+ * Parse export query parameters
+ * `to` is exclusive; a date-only `to` includes that whole day (see lib/dateRange.js).
+ * @param {Object} query - { format, kind, center, childId, from, to, pseudonymize }
+ * @returns {Object} Options or { error }
+ */
+export const parseExportOptions = (query = {}) => {
+    const format = (query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+    }
+    const kind = query.kind || 'all';
+    if (!EXPORT_KINDS.includes(kind)) {
+        return { error: `kind must be one of: ${EXPORT_KINDS.join(', ')}` };
+    }
+    if (query.childId && !mongoose.Types.ObjectId.isValid(query.childId)) {
+        return { error: "Invalid childId" };
+    }
+
+    const options = {
+        format,
+        kind,
+        center: query.center || null,
+        childId: query.childId || null,
+        // IDs are pseudonymized unless explicitly turned off
+        pseudonymize: query.pseudonymize !== 'false',
+        from: null,
+        to: null
+    };
+    for (const key of ['from', 'to']) {
+        if (!query[key]) {
+            continue;
+        }
+        const value = parseRangeDate(query[key], key);
+        if (!value) {
+            return { error: `Invalid ${key} date` };
+        }
+        options[key] = value;
+    }
+
+    return options;
+};
+
+/**
+ * Look up centers for rows: teacher → center, and child → lead teacher's center
+ * @private
+ */
+const buildCenterResolver = async () => {
+    const teachers = await Teacher.find({}, 'center').lean();
+    // Children are matched to a center by lead teacher ID only, as in lib/accessPolicy.js
+    const centerByLeadTeacher = new Map(teachers.map(teacher => [String(teacher._id), teacher.center]));
+
+    const childCenters = new Map();
+    return {
+        teacherCenter: (teacherId) => centerByLeadTeacher.get(String(teacherId)) || null,
+        childCenter: async (childId) => {
+            const key = String(childId);
+            if (!childCenters.has(key)) {
+                const child = await Child.findById(childId, 'leadTeacher').lean();
+                childCenters.set(key, child ? centerByLeadTeacher.get(String(child.leadTeacher)) || null : null);
+            }
+            return childCenters.get(key);
+        },
+        teachersIn: (center) => teachers.filter(teacher => teacher.center === center)
+    };
+};
+
+const buildMatch = (options) => {
+    const match = { status: ACCEPTED_STATUS_FILTER };
+    if (options.from || options.to) {
+        match.date = {};
+        if (options.from) {
+            match.date.$gte = options.from;
+        }
+        if (options.to) {
+            match.date.$lt = options.to;
+        }
+    }
+    return match;
+};
+
+// Only the exported fields leave the database
+const exportProjection = {
+    childId: 1,
+    teacherId: 1,
+    center: 1,
+    date: 1,
+    ...Object.fromEntries(SCORE_FIELDS.map(field => [field, 1])),
+    keywordCounts: 1,
+    classificationMethod: 1,
+    ragScores: 1,
+    scoringVersion: 1,
+    transcriptLength: { $strLenCP: { $ifNull: ['$transcript', ''] } }
+};
+
+const toRow = (doc, kind, center, options) => {
+    const mapId = (id) => (id ? (options.pseudonymize ? pseudonymize(id) : String(id)) : null);
+    const row = {
+        assessmentId: String(doc._id),
+        kind,
+        childId: kind === 'child' ? mapId(doc.childId) : null,
+        teacherId: kind === 'teacher' ? mapId(doc.teacherId) : null,
+        center: center || null,
+        date: doc.date ? new Date(doc.date).toISOString() : null,
+        classificationMethod: doc.classificationMethod || null,
+        transcriptLength: doc.transcriptLength || 0,
+        scoringVersion: doc.scoringVersion || 1
+    };
+    SCORE_FIELDS.forEach(field => {
+        row[field] = doc[field] ?? null;
+        row[`rag_${field}`] = doc.ragScores?.[field] ?? null;
+    });
+    KEYWORD_FIELDS.forEach(field => {
+        row[`keyword_${field}`] = doc.keywordCounts?.[field] ?? 0;
+    });
+    return row;
+};
+
+/**
+ * Export rows, one assessment at a time
+ * Stopping early (e.g. the client disconnected) closes the open cursor.
+ * @param {Object} options - Output of parseExportOptions
+ * @returns {AsyncGenerator<Object>} Row objects keyed by EXPORT_COLUMNS keys
+ */
+export async function* exportRows(options) {
+    const centers = await buildCenterResolver();
+
+    if (options.kind !== 'teacher') {
+        const match = buildMatch(options);
+        if (options.childId) {
+            match.childId = new mongoose.Types.ObjectId(options.childId);
+        }
+        if (options.center) {
+            const leadTeachers = centers.teachersIn(options.center).map(teacher => String(teacher._id));
+            const children = await Child.find({ leadTeacher: { $in: leadTeachers } }, '_id').lean();
+            const childIds = children.map(child => child._id);
+            match.childId = options.childId
+                ? (childIds.some(id => String(id) === options.childId) ? match.childId : { $in: [] })
+                : { $in: childIds };
+        }
+
+        const cursor = Assessment.aggregate([
+            { $match: match },
+            { $sort: { date: 1 } },
+            { $project: exportProjection }
+        ]).cursor({ batchSize: 500 });
+        try {
+            for await (const doc of cursor) {
+                yield toRow(doc, 'child', await centers.childCenter(doc.childId), options);
+            }
+        } finally {
+            await cursor.close();
+        }
+    }
+
+    // A child filter only applies to child assessments
+    if (options.kind !== 'child' && !options.childId) {
+        const match = buildMatch(options);
+        if (options.center) {
+            match.$or = [
+                { center: options.center },
+                { teacherId: { $in: centers.teachersIn(options.center).map(teacher => teacher._id) } }
+            ];
+        }
+
+        const cursor = TeacherAssessment.aggregate([
+            { $match: match },
+            { $sort: { date: 1 } },
+            { $project: exportProjection }
+        ]).cursor({ batchSize: 500 });
+        try {
+            for await (const doc of cursor) {
+                yield toRow(doc, 'teacher', doc.center || centers.teacherCenter(doc.teacherId), options);
+            }
+        } finally {
+            await cursor.close();
+        }
+    }
+}
+
+/**
+ * Stream rows as CSV, waiting for the client when the socket buffer is full
+ * @param {AsyncIterable<Object>} rows - Export rows
+ * @param {Writable} stream - Destination (the response)
+ * @returns {Promise<number>} Number of rows written
+ */
+export const writeCsv = (rows, stream) => writeCsvRows(rows, stream, EXPORT_COLUMNS);
+
+/**
+ * Stream rows as an XLSX workbook (rows are committed as they are written)
+ * @param {AsyncIterable<Object>} rows - Export rows
+ * @param {Writable} stream - Destination (the response)
+ * @returns {Promise<number>} Number of rows written
+ */
+export const writeXlsx = async (rows, stream) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false, useStyles: false });
+    const sheet = workbook.addWorksheet('Assessments');
+    sheet.columns = EXPORT_COLUMNS.map(column => ({ header: column.header, key: column.key }));
+
+    let count = 0;
+    for await (const row of rows) {
+        sheet.addRow(row).commit();
+        count++;
+    }
+    sheet.commit();
+    await workbook.commit();
+    return count;
+};
+
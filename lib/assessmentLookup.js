@@ -0,0 +1,31 @@
+/**
+ * Find assessments by ID without knowing whether they are child or classroom
+ * (teacher) assessments. Who may see them is decided in lib/accessPolicy.js.
+ */
+
+import mongoose from "mongoose";
+import Assessment from "../models/Assessment.js";
+import TeacherAssessment from "../models/TeacherAssessment.js";
+
+/**
+ * Find a child or teacher assessment by ID
+ * @param {string} id - Assessment ID
+ * @returns {Promise<Object|null>} { assessment, kind: 'child' | 'teacher' } or null
+ */
+export const findAssessmentById = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+
+    const assessment = await Assessment.findById(id);
+    if (assessment) {
+        return { assessment, kind: 'child' };
+    }
+
+    const teacherAssessment = await TeacherAssessment.findById(id);
+    if (teacherAssessment) {
+        return { assessment: teacherAssessment, kind: 'teacher' };
+    }
+
+    return null;
+};
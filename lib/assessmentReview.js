@@ -0,0 +1,199 @@
+/**
+ * Draft assessment lifecycle: draft → accepted | rejected.
+ *
+ * The transcription worker saves every scored recording as a draft, so a
+ * closed browser no longer loses the transcription. Reviewers accept the draft
+ * (optionally correcting the transcript - scores are recomputed server-side)
+ * or reject it.
+ */
+
+import Assessment from "../models/Assessment.js";
+import TeacherAssessment from "../models/TeacherAssessment.js";
+import { buildAssessmentFields } from "./transcriptionPipeline.js";
+import { reviewTranscript, draftReviewSource } from "./transcriptReview.js";
+import { buildScoringRun } from "./scoringProvenance.js";
+import { applySpeakerRoles, summarizeRoleScores } from "./speakerScoring.js";
+import { canViewAssessment } from "./accessPolicy.js";
+
+/**
+ * Save the draft assessment for a job that just finished scoring
+ * Safe to call twice for the same job (a retried job reuses the existing draft).
+ * @param {Object} job - Ready TranscriptionJob (result already built)
+ * @param {Object} scoring - Result of scoreTranscript
+ * @returns {Promise<Object>} Draft assessment
+ */
+export const createDraftFromJob = async (job, scoring) => {
+    const Model = job.type === 'classroom' ? TeacherAssessment : Assessment;
+    const existing = await Model.findById(job.assessmentId);
+    if (existing) {
+        return existing;
+    }
+
+    const { assessment: result } = job.result;
+    const draft = new Model({
+        _id: job.assessmentId,
+        ...buildAssessmentFields(result.transcript, scoring),
+        originalTranscript: result.transcript,
+        audioFileName: job.audioFileName,
+        audio: job.audio?.key ? job.audio : undefined,
+        uploadedBy: result.uploadedBy,
+        date: result.date,
+        status: 'draft',
+        jobId: job._id,
+        requestedBy: job.requestedBy?.id ? job.requestedBy : undefined
+    });
+
+    if (job.type === 'classroom') {
+        draft.teacherId = job.teacherId;
+        draft.center = job.center || null;
+        draft.diarized = !!result.diarized;
+        draft.speakers = result.speakers || undefined;
+    } else {
+        draft.childId = job.childId;
+    }
+
+    draft.scoringRuns = [buildScoringRun(draft, { provenance: scoring.provenance })];
+    await draft.save();
+    return draft;
+};
+
+/**
+ * Check whether a user may accept or reject a draft
+ * The uploader may always review their recording; otherwise admins and
+ * teachers with access to the assessment may (parents only review their own uploads).
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} assessment - Draft assessment
+ * @param {string} kind - 'child' or 'teacher'
+ * @returns {Promise<boolean>} True if allowed
+ */
+export const canReviewAssessment = async (user, assessment, kind) => {
+    if (!user) {
+        return false;
+    }
+    if (assessment.requestedBy?.id && String(assessment.requestedBy.id) === String(user.id)) {
+        return true;
+    }
+    return user.role !== 'parent' && canViewAssessment(user, assessment, kind);
+};
+
+const reviewerOf = (user) => (user ? { id: String(user.id), role: user.role } : undefined);
+
+/**
+ * Accept a draft, re-scoring the transcript if the reviewer corrected it
+ * @param {Object} draft - Draft assessment document
+ * @param {Object} options - { transcript, speakerRoles, date, reviewer }
+ * @returns {Promise<Object>} { assessment, rescored } or { error, statusCode }
+ */
+export const acceptDraft = async (draft, options = {}) => {
+    const { transcript, speakerRoles, date, reviewer } = options;
+
+    if (!draft.isDraft()) {
+        return { error: `Assessment is already ${draft.status}`, statusCode: 409 };
+    }
+    if (transcript !== undefined && typeof transcript !== 'string') {
+        return { error: "transcript must be a string", statusCode: 400 };
+    }
+
+    let mappedSpeakers;
+    // An empty mapping (sent by clients for undiarized recordings) changes nothing
+    if (Array.isArray(speakerRoles) ? speakerRoles.length > 0 : speakerRoles !== undefined) {
+        if (!draft.diarized || !draft.speakers?.length) {
+            return { error: "This assessment was not recorded in diarized mode", statusCode: 400 };
+        }
+        const mapped = applySpeakerRoles(draft.speakers, speakerRoles);
+        if (mapped.error) {
+            return { error: mapped.error, statusCode: 400 };
+        }
+        mappedSpeakers = mapped.speakers;
+    }
+
+    let reviewDate;
+    if (date) {
+        reviewDate = new Date(date);
+        if (isNaN(reviewDate.getTime())) {
+            return { error: "Invalid date", statusCode: 400 };
+        }
+    }
+
+    const review = await reviewTranscript({ transcript, original: draftReviewSource(draft) });
+
+    draft.transcriptDiff = review.diff || undefined;
+    if (review.rescored) {
+        // The draft's scores were never final - the accepted scores become run 1
+        draft.set(review.fields);
+        draft.scoringRuns = [buildScoringRun(draft, { provenance: review.provenance })];
+    } else {
+        draft.transcript = review.transcript;
+    }
+    if (mappedSpeakers) {
+        draft.speakers = mappedSpeakers;
+        draft.roleScores = summarizeRoleScores(mappedSpeakers);
+        const currentRun = draft.currentScoringRun();
+        if (currentRun) {
+            currentRun.roleScores = draft.roleScores;
+        }
+    }
+    if (reviewDate) {
+        draft.date = reviewDate;
+    }
+
+    draft.status = 'accepted';
+    draft.reviewedBy = reviewerOf(reviewer);
+    draft.reviewedAt = new Date();
+    await draft.save();
+
+    return { assessment: draft, rescored: review.rescored };
+};
+
+/**
+ * Reject a draft (its audio is purged after AUDIO_PENDING_RETENTION_DAYS)
+ * @param {Object} draft - Draft assessment document
+ * @param {Object} options - { reason, reviewer }
+ * @returns {Promise<Object>} { assessment } or { error, statusCode }
+ */
+export const rejectDraft = async (draft, options = {}) => {
+    if (!draft.isDraft()) {
+        return { error: `Assessment is already ${draft.status}`, statusCode: 409 };
+    }
+
+    draft.status = 'rejected';
+    draft.rejectionReason = options.reason ? String(options.reason).slice(0, 500) : undefined;
+    draft.reviewedBy = reviewerOf(options.reviewer);
+    draft.reviewedAt = new Date();
+    await draft.save();
+
+    return { assessment: draft };
+};
+
+/**
+ * Drafts waiting for a user's review
+ * Users see drafts they uploaded; teachers also see classroom drafts about them;
+ * admins may ask for every pending draft.
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { all } (admins only)
+ * @returns {Promise<Array>} Drafts (newest first) tagged with `kind`
+ */
+export const listPendingReviews = async (user, options = {}) => {
+    const everyone = user.role === 'admin' && options.all;
+    const mine = { 'requestedBy.id': String(user.id) };
+
+    const childFilter = everyone ? { status: 'draft' } : { status: 'draft', ...mine };
+    const teacherFilter = everyone
+        ? { status: 'draft' }
+        : {
+            status: 'draft',
+            $or: user.role === 'teacher' ? [mine, { teacherId: user.id }] : [mine]
+        };
+
+    // Transcripts, timelines and speaker details are left out of the listing
+    const projection = '-transcript -originalTranscript -words -ragSegments -speakers -scoringRuns';
+    const [childDrafts, teacherDrafts] = await Promise.all([
+        Assessment.find(childFilter, projection).sort({ createdAt: -1 }).lean(),
+        TeacherAssessment.find(teacherFilter, projection).sort({ createdAt: -1 }).lean()
+    ]);
+
+    return [
+        ...childDrafts.map(draft => ({ ...draft, kind: 'child' })),
+        ...teacherDrafts.map(draft => ({ ...draft, kind: 'teacher' }))
+    ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
@@ -0,0 +1,204 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Assessment from "../models/Assessment.js";
+import TeacherAssessment from "../models/TeacherAssessment.js";
+import TranscriptionJob from "../models/TranscriptionJob.js";
+import Center from "../models/Center.js";
+import { Child, Teacher } from "../models/User.js";
+import { getAudioStorage } from "./audioStorage/index.js";
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Periodic purge of stored recordings.
+ *
+ * Assessment audio is kept for the center's `audioRetentionDays` (or
+ * AUDIO_RETENTION_DAYS). Recordings whose review was never accepted
+ * (draft or rejected assessments, jobs without an assessment) are kept for
+ * AUDIO_PENDING_RETENTION_DAYS. Purged assessments keep their
+ * transcript and scores; only `audio.purgedAt` is set.
+ */
+class AudioRetention {
+    constructor(options = {}) {
+        this.defaultDays = options.defaultDays ||
+            parseInt(process.env.AUDIO_RETENTION_DAYS || "365", 10);
+        this.pendingDays = options.pendingDays ||
+            parseInt(process.env.AUDIO_PENDING_RETENTION_DAYS || "7", 10);
+        this.sweepInterval = options.sweepInterval ||
+            parseInt(process.env.AUDIO_RETENTION_SWEEP_INTERVAL_MS || "21600000", 10);
+
+        this.timer = null;
+        this.sweeping = false;
+    }
+
+    /**
+     * Run a sweep now and then every sweep interval
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        console.log(`Audio retention sweep scheduled every ${Math.round(this.sweepInterval / 60000)} minutes`);
+        this.timer = setInterval(() => this._run(), this.sweepInterval);
+        // Don't keep the process alive just for the sweep
+        this.timer.unref?.();
+        setTimeout(() => this._run(), 60000).unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _run() {
+        if (this.sweeping || mongoose.connection.readyState !== 1) {
+            return;
+        }
+        try {
+            await this.sweep();
+        } catch (error) {
+            console.error("Audio retention sweep failed:", error.message);
+        }
+    }
+
+    /**
+     * Purge every recording past its retention period
+     * @param {Object} options - { now } (for testing)
+     * @returns {Promise<Object>} { assessments, teacherAssessments, pending } purge counts
+     */
+    async sweep(options = {}) {
+        this.sweeping = true;
+        try {
+            const now = options.now || new Date();
+            const centerDays = await this._loadCenterPolicies();
+            // Nothing younger than the shortest policy can be due
+            const shortestDays = Math.min(this.defaultDays, this.pendingDays, ...centerDays.values());
+            const candidateFilter = {
+                'audio.key': { $exists: true },
+                'audio.purgedAt': null,
+                'audio.storedAt': { $lt: new Date(now.getTime() - shortestDays * DAY_MS) }
+            };
+
+            const resolveChildCenter = this._childCenterResolver();
+
+            const counts = {
+                assessments: await this._purgeAssessments(Assessment, candidateFilter, now, async (assessment) =>
+                    centerDays.get(await resolveChildCenter(assessment.childId))),
+                teacherAssessments: await this._purgeAssessments(TeacherAssessment, candidateFilter, now, async (assessment) =>
+                    centerDays.get(assessment.center)),
+                pending: await this._purgePendingJobs(now)
+            };
+
+            if (counts.assessments || counts.teacherAssessments || counts.pending) {
+                console.log(`Audio retention: purged ${counts.assessments} child, ${counts.teacherAssessments} classroom, ${counts.pending} unaccepted recordings`);
+            }
+            return counts;
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    /**
+     * Map center name → retention days for centers with their own policy
+     * @private
+     */
+    async _loadCenterPolicies() {
+        const centers = await Center.find({ audioRetentionDays: { $gte: 1 } }, 'name audioRetentionDays');
+        return new Map(centers.map(center => [center.name, center.audioRetentionDays]));
+    }
+
+    /**
+     * Child assessments don't store a center - derive it from the child's lead teacher
+     * @private
+     */
+    _childCenterResolver() {
+        const cache = new Map();
+        return async (childId) => {
+            const cacheKey = String(childId);
+            if (!cache.has(cacheKey)) {
+                let center = null;
+                const child = await Child.findById(childId, 'leadTeacher');
+                if (child?.leadTeacher) {
+                    const teacher = mongoose.Types.ObjectId.isValid(child.leadTeacher)
+                        ? await Teacher.findById(child.leadTeacher, 'center')
+                        : await Teacher.findOne({ name: child.leadTeacher }, 'center');
+                    center = teacher?.center || null;
+                }
+                cache.set(cacheKey, center);
+            }
+            return cache.get(cacheKey);
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _purgeAssessments(Model, filter, now, getCenterDays) {
+        const storage = await getAudioStorage();
+        let purged = 0;
+
+        for await (const assessment of Model.find(filter).cursor()) {
+            const days = assessment.status === 'draft' || assessment.status === 'rejected'
+                ? this.pendingDays
+                : (await getCenterDays(assessment)) || this.defaultDays;
+            if (assessment.audio.storedAt.getTime() > now.getTime() - days * DAY_MS) {
+                continue;
+            }
+            try {
+                await storage.remove(assessment.audio.key);
+                await Model.updateOne({ _id: assessment._id }, { $set: { 'audio.purgedAt': now } });
+                purged++;
+            } catch (error) {
+                console.error(`Could not purge audio for assessment ${assessment._id}:`, error.message);
+            }
+        }
+
+        return purged;
+    }
+
+    /**
+     * Remove recordings from jobs whose review was never accepted
+     * @private
+     */
+    async _purgePendingJobs(now) {
+        const storage = await getAudioStorage();
+        const cutoff = new Date(now.getTime() - this.pendingDays * DAY_MS);
+        let purged = 0;
+
+        const jobs = TranscriptionJob.find({
+            'audio.key': { $exists: true },
+            'audio.purgedAt': null,
+            createdAt: { $lt: cutoff }
+        }).cursor();
+
+        for await (const job of jobs) {
+            const Model = job.type === 'classroom' ? TeacherAssessment : Assessment;
+            // The recording belongs to the (draft or accepted) assessment - just drop the job's reference
+            if (await Model.exists({ _id: job.assessmentId })) {
+                await TranscriptionJob.updateOne({ _id: job._id }, { $unset: { audio: 1 } });
+                continue;
+            }
+            try {
+                await storage.remove(job.audio.key);
+                await TranscriptionJob.updateOne({ _id: job._id }, { $set: { 'audio.purgedAt': now } });
+                purged++;
+            } catch (error) {
+                console.error(`Could not purge audio for transcription job ${job._id}:`, error.message);
+            }
+        }
+
+        return purged;
+    }
+}
+
+// Export singleton instance
+const audioRetention = new AudioRetention();
+export { AudioRetention };
+export default audioRetention;
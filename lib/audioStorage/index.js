@@ -0,0 +1,109 @@
+/**
+ * Audio storage registry.
+ *
+ * Every backend implements:
+ *   save(key, sourcePath, { contentType }) → Promise<{ key, size, contentType }>
+ *   stat(key) → Promise<{ size } | null>
+ *   createReadStream(key, { start, end }) → Promise<Readable>
+ *   remove(key) → Promise<boolean>
+ *   getConfig() → Object (without secrets)
+ *
+ * The backend comes from AUDIO_STORAGE (local | s3). Recordings are keyed by
+ * the assessment they belong to, so the same key works on any backend.
+ */
+
+import dotenv from "dotenv";
+import crypto from "crypto";
+import path from "path";
+import LocalDiskStorage from "./localDiskStorage.js";
+
+dotenv.config();
+
+const STORAGE_FACTORIES = {
+    local: async () => new LocalDiskStorage(),
+    // Loaded on demand so local deployments never touch the AWS SDK
+    s3: async () => {
+        const { default: S3Storage } = await import("./s3Storage.js");
+        return new S3Storage();
+    }
+};
+
+export const STORAGE_NAMES = Object.keys(STORAGE_FACTORIES);
+
+let instancePromise = null;
+
+/**
+ * Name of the configured storage backend
+ * @returns {string} Backend name
+ */
+export const getStorageName = () => {
+    const configured = process.env.AUDIO_STORAGE?.toLowerCase().trim();
+    if (configured && STORAGE_NAMES.includes(configured)) {
+        return configured;
+    }
+    if (configured) {
+        console.warn(`Unknown AUDIO_STORAGE "${configured}", falling back to local`);
+    }
+    return 'local';
+};
+
+/**
+ * Get the configured storage backend (created on first use)
+ * @returns {Promise<Object>} Storage backend
+ */
+export const getAudioStorage = () => {
+    if (!instancePromise) {
+        instancePromise = STORAGE_FACTORIES[getStorageName()]().catch(error => {
+            instancePromise = null;
+            throw error;
+        });
+    }
+    return instancePromise;
+};
+
+/**
+ * Storage key for an assessment's recording
+ * @param {string} assessmentId - Assessment ID
+ * @param {string} fileName - Original or uploaded file name (for the extension)
+ * @returns {string} Key, e.g. "assessments/65f.../audio.webm"
+ */
+export const buildAudioKey = (assessmentId, fileName = '') => {
+    const extension = path.extname(fileName || '').toLowerCase();
+    return `assessments/${assessmentId}/audio${extension}`;
+};
+
+const getSigningSecret = () => process.env.AUDIO_URL_SECRET || process.env.JWT_SECRET;
+
+const computeSignature = (assessmentId, expires) => crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${assessmentId}:${expires}`)
+    .digest('hex');
+
+/**
+ * Create a short-lived signature so <audio src> can load a recording without an Authorization header
+ * @param {string} assessmentId - Assessment ID
+ * @param {number} ttlSeconds - Lifetime (defaults to AUDIO_URL_TTL_SECONDS or 15 minutes)
+ * @returns {Object} { expires, signature }
+ */
+export const signAudioAccess = (assessmentId, ttlSeconds) => {
+    const ttl = ttlSeconds || parseInt(process.env.AUDIO_URL_TTL_SECONDS || "900", 10);
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    return { expires, signature: computeSignature(String(assessmentId), expires) };
+};
+
+/**
+ * Check a signature created by signAudioAccess
+ * @param {string} assessmentId - Assessment ID
+ * @param {string|number} expires - Expiry (unix seconds)
+ * @param {string} signature - Hex signature
+ * @returns {boolean} True when valid and not expired
+ */
+export const verifyAudioAccess = (assessmentId, expires, signature) => {
+    const expiresAt = parseInt(expires, 10);
+    if (!signature || isNaN(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+        return false;
+    }
+    const expected = Buffer.from(computeSignature(String(assessmentId), expiresAt), 'hex');
+    const provided = Buffer.from(String(signature), 'hex');
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
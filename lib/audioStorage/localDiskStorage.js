@@ -0,0 +1,101 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', '..', 'storage', 'audio');
+
+/**
+ * Audio storage on the server's local disk (default backend).
+ * Objects live at `<AUDIO_STORAGE_DIR>/<key>`.
+ */
+class LocalDiskStorage {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.rootDir = path.resolve(options.rootDir || process.env.AUDIO_STORAGE_DIR || DEFAULT_STORAGE_DIR);
+    }
+
+    /**
+     * Resolve a key to a path inside the storage directory
+     * @private
+     * @param {string} key - Object key (e.g. "assessments/<id>.webm")
+     * @returns {string} Absolute path
+     */
+    _resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid audio storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Copy a local file into storage
+     * @param {string} key - Object key
+     * @param {string} sourcePath - File to store
+     * @param {Object} options - { contentType }
+     * @returns {Promise<Object>} { key, size, contentType }
+     */
+    async save(key, sourcePath, options = {}) {
+        const filePath = this._resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.copyFile(sourcePath, filePath);
+        const { size } = await fs.promises.stat(filePath);
+        return { key, size, contentType: options.contentType || null };
+    }
+
+    /**
+     * Get the size of a stored object
+     * @param {string} key - Object key
+     * @returns {Promise<Object|null>} { size } or null when missing
+     */
+    async stat(key) {
+        try {
+            const { size } = await fs.promises.stat(this._resolve(key));
+            return { size };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open a stored object for reading
+     * @param {string} key - Object key
+     * @param {Object} range - { start, end } inclusive byte range (optional)
+     * @returns {Promise<ReadableStream>} Node readable stream
+     */
+    async createReadStream(key, range = {}) {
+        return fs.createReadStream(this._resolve(key), range);
+    }
+
+    /**
+     * Delete a stored object
+     * @param {string} key - Object key
+     * @returns {Promise<boolean>} True if something was deleted
+     */
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this._resolve(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    getConfig() {
+        return { name: this.name, rootDir: this.rootDir };
+    }
+}
+
+export default LocalDiskStorage;
@@ -0,0 +1,136 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} from "@aws-sdk/client-s3";
+
+dotenv.config();
+
+/**
+ * Audio storage in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...).
+ *
+ * Set AUDIO_S3_ENDPOINT for non-AWS services; path-style addressing is used
+ * whenever an endpoint is configured so a local MinIO works out of the box.
+ */
+class S3Storage {
+    constructor(options = {}) {
+        this.name = 's3';
+        this.bucket = options.bucket || process.env.AUDIO_S3_BUCKET;
+        this.prefix = options.prefix ?? process.env.AUDIO_S3_PREFIX ?? '';
+        this.endpoint = options.endpoint || process.env.AUDIO_S3_ENDPOINT || undefined;
+        this.region = options.region || process.env.AUDIO_S3_REGION || 'us-east-1';
+
+        if (!this.bucket) {
+            throw new Error("AUDIO_S3_BUCKET is required when AUDIO_STORAGE=s3");
+        }
+
+        const forcePathStyle = process.env.AUDIO_S3_FORCE_PATH_STYLE !== undefined
+            ? process.env.AUDIO_S3_FORCE_PATH_STYLE.toLowerCase() === 'true'
+            : !!this.endpoint;
+
+        const credentials = process.env.AUDIO_S3_ACCESS_KEY_ID
+            ? {
+                accessKeyId: process.env.AUDIO_S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.AUDIO_S3_SECRET_ACCESS_KEY
+            }
+            : undefined; // Fall back to the default AWS credential chain
+
+        this.client = options.client || new S3Client({
+            region: this.region,
+            endpoint: this.endpoint,
+            forcePathStyle,
+            credentials
+        });
+    }
+
+    /**
+     * @private
+     */
+    _objectKey(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    /**
+     * Upload a local file
+     * @param {string} key - Object key
+     * @param {string} sourcePath - File to store
+     * @param {Object} options - { contentType }
+     * @returns {Promise<Object>} { key, size, contentType }
+     */
+    async save(key, sourcePath, options = {}) {
+        const { size } = await fs.promises.stat(sourcePath);
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this._objectKey(key),
+            Body: fs.createReadStream(sourcePath),
+            ContentLength: size,
+            ContentType: options.contentType || undefined
+        }));
+        return { key, size, contentType: options.contentType || null };
+    }
+
+    /**
+     * Get the size of a stored object
+     * @param {string} key - Object key
+     * @returns {Promise<Object|null>} { size, contentType } or null when missing
+     */
+    async stat(key) {
+        try {
+            const head = await this.client.send(new HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this._objectKey(key)
+            }));
+            return { size: head.ContentLength, contentType: head.ContentType || null };
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open a stored object for reading
+     * @param {string} key - Object key
+     * @param {Object} range - { start, end } inclusive byte range (optional)
+     * @returns {Promise<ReadableStream>} Node readable stream
+     */
+    async createReadStream(key, range = {}) {
+        const hasRange = range.start !== undefined && range.end !== undefined;
+        const object = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this._objectKey(key),
+            Range: hasRange ? `bytes=${range.start}-${range.end}` : undefined
+        }));
+        return object.Body;
+    }
+
+    /**
+     * Delete a stored object
+     * @param {string} key - Object key
+     * @returns {Promise<boolean>} True (S3 deletes are idempotent)
+     */
+    async remove(key) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this._objectKey(key)
+        }));
+        return true;
+    }
+
+    getConfig() {
+        return {
+            name: this.name,
+            bucket: this.bucket,
+            prefix: this.prefix,
+            endpoint: this.endpoint || null,
+            region: this.region
+        };
+    }
+}
+
+export default S3Storage;
@@ -0,0 +1,129 @@
+/**
+ * Audit trail of who viewed or changed children's and staff records.
+ *
+ * Every API request runs inside an audit context (middleware/audit.js), so
+ * changes saved anywhere while handling it are logged with the signed-in
+ * user, IP, method and path. Changes are logged by the models themselves
+ * (models/schemas/auditTrail.js) with a before/after value per changed field;
+ * changes made outside a request (background jobs, scripts) are logged as
+ * `system`. Reads of transcripts and recordings are logged by the routes
+ * that serve them.
+ *
+ * Passwords and tokens are never written: a change to one shows as
+ * "[redacted]". Large values (e.g. transcripts) are replaced by their size.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import AuditLog from "../models/AuditLog.js";
+
+const auditStorage = new AsyncLocalStorage();
+
+// Values never written to the log
+const REDACTED_FIELDS = ['password', 'token', 'invitationToken'];
+// Timestamps and sign-in bookkeeping: a change to only these isn't logged
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'tokenVersion', 'mfa'];
+const MAX_VALUE_LENGTH = 2000;
+
+/**
+ * Run a callback with a request as the audit context
+ * @param {Object} req - Express request (req.user is read when an entry is written)
+ * @param {Function} callback - Code to run
+ */
+export const runWithAuditContext = (req, callback) => auditStorage.run({ req }, callback);
+
+/**
+ * Run a callback outside any audit context
+ * Timers and callbacks inherit the context they are created in, so background
+ * work scheduled while handling a request would otherwise be credited to that
+ * request's user.
+ * @param {Function} callback - Code to run
+ * @returns {*} The callback's return value
+ */
+export const runOutsideAuditContext = (callback) => auditStorage.exit(callback);
+
+/**
+ * Request being handled, if any
+ * @returns {Object|null} Express request
+ */
+export const getAuditRequest = () => auditStorage.getStore()?.req || null;
+
+// ObjectIds to strings, Dates to ISO strings
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const compactValue = (value) => {
+    if (value === undefined) {
+        return null;
+    }
+    const json = JSON.stringify(value);
+    return json.length > MAX_VALUE_LENGTH ? `[omitted: ${json.length} characters]` : value;
+};
+
+/**
+ * Fields that differ between two versions of a record
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @returns {Object[]} [{ field, before, after }]
+ */
+export const diffRecords = (before, after) => {
+    const oldValues = toPlain(before) || {};
+    const newValues = toPlain(after) || {};
+    const fields = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+
+    const changes = [];
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) {
+            continue;
+        }
+        if (JSON.stringify(oldValues[field]) === JSON.stringify(newValues[field])) {
+            continue;
+        }
+        if (REDACTED_FIELDS.includes(field)) {
+            changes.push({
+                field,
+                before: oldValues[field] === undefined ? null : '[redacted]',
+                after: newValues[field] === undefined ? null : '[redacted]'
+            });
+            continue;
+        }
+        changes.push({ field, before: compactValue(oldValues[field]), after: compactValue(newValues[field]) });
+    }
+    return changes;
+};
+
+/**
+ * Who is acting, from a request
+ * @private
+ */
+const describeActor = (req) => {
+    if (!req) {
+        return { actorId: null, actorRole: 'system', actorEmail: null };
+    }
+    const user = req.user;
+    return {
+        actorId: user?.id || null,
+        actorRole: user?.role || 'anonymous',
+        actorEmail: user?.email || null,
+        ip: req.ip || null,
+        method: req.method,
+        // Without the query string, which can hold tokens
+        path: `${req.baseUrl || ''}${req.path || ''}`
+    };
+};
+
+/**
+ * Write an audit entry. Never throws: a failed write is logged and the request carries on.
+ * @param {Object} entry - { action, targetType, targetId, changes, details }
+ * @param {Object} req - Request to attribute it to (default: the current audit context)
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (entry, req = getAuditRequest()) => {
+    try {
+        await AuditLog.create({
+            ...describeActor(req),
+            ...entry,
+            targetId: entry.targetId ? String(entry.targetId) : null
+        });
+    } catch (error) {
+        console.error("Audit log write failed:", error.message);
+    }
+};
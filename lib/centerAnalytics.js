@@ -0,0 +1,319 @@
+/**
+ * Center and cohort analytics.
+ *
+ * Child assessments don't store a center: a child belongs to the center of
+ * their lead teacher, so the pipelines join Child and filter on the center's
+ * teacher IDs. As in lib/accessPolicy.js, a name-valued `leadTeacher` matches
+ * no center (see scripts/migrateLeadTeachers.js).
+ * Classroom recordings (TeacherAssessment) carry the center name and teacher.
+ *
+ * Every report covers a period and, unless disabled, the period of the same
+ * length just before it so dashboards can show the change.
+ */
+
+import mongoose from "mongoose";
+import Assessment from "../models/Assessment.js";
+import Center from "../models/Center.js";
+import TeacherAssessment from "../models/TeacherAssessment.js";
+import { ACCEPTED_STATUS_FILTER } from "../models/schemas/reviewStatus.js";
+import { Child, Teacher } from "../models/User.js";
+import { SCORE_FIELDS, computeScoreDeltas } from "./reclassification.js";
+import { parseRangeDate } from "./dateRange.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Default report period when no from/to is given
+const DEFAULT_PERIOD_DAYS = 90;
+
+// Age at the time of the recording, in whole years: [min, max) → label
+export const AGE_BANDS = [
+    { label: 'under-3', max: 3 },
+    { label: '3', min: 3, max: 4 },
+    { label: '4', min: 4, max: 5 },
+    { label: '5', min: 5, max: 6 },
+    { label: '6-plus', min: 6 }
+];
+
+export const BREAKDOWN_DIMENSIONS = ['teacher', 'classroom', 'ageBand', 'primaryLanguage', 'diagnosis'];
+
+/**
+ * Parse the report period: from/to (default: the last 90 days) and compare ('previous' | 'none')
+ * `to` is exclusive; a date-only `to` includes that whole day (see lib/dateRange.js).
+ * @param {Object} query - Request query
+ * @returns {Object} { current: { from, to }, previous: { from, to } | null } or { error }
+ */
+export const parseAnalyticsPeriod = (query = {}) => {
+    const to = query.to ? parseRangeDate(query.to, 'to') : new Date();
+    if (!to) {
+        return { error: "Invalid to date" };
+    }
+    const from = query.from ? parseRangeDate(query.from, 'from') : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+    if (!from) {
+        return { error: "Invalid from date" };
+    }
+    if (from >= to) {
+        return { error: "from must be before to" };
+    }
+
+    const compare = query.compare || 'previous';
+    if (!['previous', 'none'].includes(compare)) {
+        return { error: "compare must be 'previous' or 'none'" };
+    }
+
+    const length = to.getTime() - from.getTime();
+    return {
+        current: { from, to },
+        previous: compare === 'previous'
+            ? { from: new Date(from.getTime() - length), to: from }
+            : null
+    };
+};
+
+/**
+ * Teachers of a center and their IDs, as children's leadTeacher holds them
+ * @param {Object} center - Center document
+ * @returns {Promise<Object>} { teachers, leadTeachers }
+ */
+export const loadCenterTeachers = async (center) => {
+    const teachers = await Teacher.find({ center: center.name }, 'name').lean();
+    const leadTeachers = teachers.map(teacher => String(teacher._id));
+    return { teachers, leadTeachers };
+};
+
+// $group accumulators shared by every pipeline
+const scoreAccumulators = () => {
+    const accumulators = { count: { $sum: 1 } };
+    SCORE_FIELDS.forEach(field => {
+        accumulators[field] = { $avg: `$${field}` };
+    });
+    return accumulators;
+};
+
+// Round averages to one decimal in the final stage
+const roundedScores = () => {
+    const projection = { _id: 0, key: '$_id', count: 1 };
+    SCORE_FIELDS.forEach(field => {
+        projection[field] = { $round: [{ $ifNull: [`$${field}`, 0] }, 1] };
+    });
+    return projection;
+};
+
+const ageBandExpression = () => {
+    const ageYears = { $divide: [{ $subtract: ['$date', '$child.dateOfBirth'] }, YEAR_MS] };
+    return {
+        $switch: {
+            branches: AGE_BANDS.map(band => {
+                const conditions = [];
+                if (band.min !== undefined) {
+                    conditions.push({ $gte: [ageYears, band.min] });
+                }
+                if (band.max !== undefined) {
+                    conditions.push({ $lt: [ageYears, band.max] });
+                }
+                return { case: { $and: conditions }, then: band.label };
+            }),
+            default: 'unknown'
+        }
+    };
+};
+
+// Group key for child assessments per dimension (null = one overall group)
+const CHILD_GROUP_KEYS = {
+    overall: () => null,
+    teacher: () => '$child.leadTeacher',
+    ageBand: ageBandExpression,
+    primaryLanguage: () => ({ $ifNull: ['$child.primaryLanguage', 'unknown'] }),
+    diagnosis: () => ({ $ifNull: ['$child.diagnosis', 'unknown'] })
+};
+
+const reviewedFilter = (period) => ({
+    status: ACCEPTED_STATUS_FILTER,
+    date: { $gte: period.from, $lt: period.to }
+});
+
+/**
+ * Average child assessment scores for a center, grouped by a dimension
+ * @private
+ */
+const aggregateChildScores = async (leadTeachers, period, dimension) => {
+    const groups = await Assessment.aggregate([
+        { $match: reviewedFilter(period) },
+        {
+            $lookup: {
+                from: Child.collection.name,
+                localField: 'childId',
+                foreignField: '_id',
+                as: 'child'
+            }
+        },
+        { $unwind: '$child' },
+        { $match: { 'child.leadTeacher': { $in: leadTeachers } } },
+        {
+            $group: {
+                _id: CHILD_GROUP_KEYS[dimension](),
+                ...scoreAccumulators(),
+                children: { $addToSet: '$childId' }
+            }
+        },
+        { $project: { ...roundedScores(), childCount: { $size: '$children' } } },
+        { $sort: { key: 1 } }
+    ]);
+    return groups;
+};
+
+/**
+ * Average classroom recording scores for a center, overall or per teacher
+ * @private
+ */
+const aggregateClassroomScores = async (center, teachers, period, byTeacher) => {
+    const groups = await TeacherAssessment.aggregate([
+        {
+            $match: {
+                ...reviewedFilter(period),
+                $or: [
+                    { center: center.name },
+                    { teacherId: { $in: teachers.map(teacher => teacher._id) } }
+                ]
+            }
+        },
+        { $group: { _id: byTeacher ? '$teacherId' : null, ...scoreAccumulators() } },
+        { $project: roundedScores() },
+        { $sort: { key: 1 } }
+    ]);
+    return groups;
+};
+
+const pickScores = (group) => {
+    const scores = {};
+    SCORE_FIELDS.forEach(field => {
+        scores[field] = group?.[field] ?? null;
+    });
+    return scores;
+};
+
+const roundDeltas = (deltas) => {
+    Object.keys(deltas).forEach(field => {
+        deltas[field] = Math.round(deltas[field] * 10) / 10;
+    });
+    return deltas;
+};
+
+const groupSummary = (group) => (group
+    ? { count: group.count, childCount: group.childCount, averages: pickScores(group) }
+    : null);
+
+/**
+ * Current and previous figures for one group, with score changes
+ * @private
+ * @param {Object} current - Group in the report period (or undefined)
+ * @param {Object} previous - Group in the previous period (or undefined)
+ * @param {boolean} compared - Whether a previous period was requested
+ */
+const compareGroup = (current, previous, compared) => ({
+    current: groupSummary(current),
+    previous: compared ? groupSummary(previous) : undefined,
+    deltas: current && previous ? roundDeltas(computeScoreDeltas(pickScores(previous), pickScores(current))) : null
+});
+
+/**
+ * Pair current and previous groups by key
+ * @private
+ */
+const compareGroups = (currentGroups, previousGroups, describe) => {
+    const currentByKey = new Map(currentGroups.map(group => [String(group.key), group]));
+    const previousByKey = new Map((previousGroups || []).map(group => [String(group.key), group]));
+    const keys = new Set([...currentByKey.keys(), ...previousByKey.keys()]);
+
+    return Array.from(keys).map(key => {
+        const current = currentByKey.get(key);
+        const previous = previousByKey.get(key);
+        return {
+            ...describe((current || previous).key),
+            ...compareGroup(current, previous, !!previousGroups)
+        };
+    });
+};
+
+/**
+ * Overview for a center: child and classroom averages for the period and the previous one
+ * @param {Object} center - Center document
+ * @param {Object} period - Output of parseAnalyticsPeriod
+ * @returns {Promise<Object>} Overview
+ */
+export const getCenterOverview = async (center, period) => {
+    const { teachers, leadTeachers } = await loadCenterTeachers(center);
+    const childCount = await Child.countDocuments({ leadTeacher: { $in: leadTeachers } });
+
+    const load = async (range) => {
+        const [children] = await aggregateChildScores(leadTeachers, range, 'overall');
+        const [classrooms] = await aggregateClassroomScores(center, teachers, range, false);
+        return { children, classrooms };
+    };
+
+    const current = await load(period.current);
+    const previous = period.previous ? await load(period.previous) : {};
+    const compared = !!period.previous;
+
+    return {
+        center: { id: center._id, name: center.name },
+        period: period.current,
+        previousPeriod: period.previous,
+        teacherCount: teachers.length,
+        childCount,
+        childAssessments: compareGroup(current.children, previous.children, compared),
+        classroomAssessments: compareGroup(current.classrooms, previous.classrooms, compared)
+    };
+};
+
+/**
+ * Scores for a center broken down by teacher, classroom, age band, language or diagnosis
+ * @param {Object} center - Center document
+ * @param {string} dimension - One of BREAKDOWN_DIMENSIONS
+ * @param {Object} period - Output of parseAnalyticsPeriod
+ * @returns {Promise<Object>} { center, dimension, period, previousPeriod, groups }
+ */
+export const getCenterBreakdown = async (center, dimension, period) => {
+    const { teachers, leadTeachers } = await loadCenterTeachers(center);
+
+    const teacherById = new Map(teachers.map(teacher => [String(teacher._id), teacher]));
+
+    let load;
+    let describe;
+    if (dimension === 'classroom') {
+        load = (range) => aggregateClassroomScores(center, teachers, range, true);
+        describe = (key) => {
+            const teacher = teacherById.get(String(key));
+            return { teacherId: key, teacherName: teacher?.name || null };
+        };
+    } else if (dimension === 'teacher') {
+        load = (range) => aggregateChildScores(leadTeachers, range, 'teacher');
+        describe = (key) => ({ teacherId: key, teacherName: teacherById.get(String(key))?.name || null });
+    } else {
+        load = (range) => aggregateChildScores(leadTeachers, range, dimension);
+        describe = (key) => ({ [dimension]: key });
+    }
+
+    const current = await load(period.current);
+    const previous = period.previous ? await load(period.previous) : null;
+
+    return {
+        center: { id: center._id, name: center.name },
+        dimension,
+        period: period.current,
+        previousPeriod: period.previous,
+        groups: compareGroups(current, previous, describe)
+    };
+};
+
+/**
+ * Check a center ID and load the center
+ * @param {string} id - Center ID
+ * @returns {Promise<Object|null>} Center document
+ */
+export const findCenter = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return Center.findById(id);
+};
@@ -0,0 +1,62 @@
+/**
+ * Streaming CSV writer shared by the assessment export and the audit log export.
+ */
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    // Guard against spreadsheet formula injection from free-text fields
+    const safe = /^[=+\-@\t\r]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Waits for 'drain' when the buffer is full; rejects if the client goes away
+// first, since 'drain' never fires on a closed socket
+const write = (stream, chunk) => new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+        reject(new Error("Client disconnected"));
+        return;
+    }
+    const ok = stream.write(chunk, (error) => (error ? reject(error) : null));
+    if (ok) {
+        resolve();
+        return;
+    }
+
+    const settle = (error) => {
+        stream.off('drain', onDrain);
+        stream.off('close', onClose);
+        stream.off('error', settle);
+        if (error) {
+            reject(error);
+        } else {
+            resolve();
+        }
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error("Client disconnected"));
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', settle);
+});
+
+/**
+ * Stream rows as CSV, waiting for the client when the socket buffer is full
+ * If the client disconnects, iteration stops (so `rows` can close its cursor) and this rejects.
+ * @param {AsyncIterable<Object>} rows - Row objects
+ * @param {Writable} stream - Destination (the response)
+ * @param {Object[]} columns - { key, header } per column
+ * @returns {Promise<number>} Number of rows written
+ */
+export const writeCsv = async (rows, stream, columns) => {
+    let count = 0;
+    await write(stream, columns.map(column => column.header).join(',') + '\n');
+    for await (const row of rows) {
+        await write(stream, columns.map(column => escapeCsv(row[column.key])).join(',') + '\n');
+        count++;
+    }
+    stream.end();
+    return count;
+};
@@ -0,0 +1,27 @@
+/**
+ * `from` / `to` query parameters for reports and exports.
+ *
+ * Ranges include `from` and exclude `to`. A `to` given as a date without a
+ * time (`2026-03-01`) covers that whole day: it is moved to the start of the
+ * next day (UTC), so filters use `$lt` for it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a `from` or `to` query value
+ * @param {string} value - Date or date-time string
+ * @param {string} bound - 'from' or 'to'
+ * @returns {Date|null} Date, or null if the value isn't a valid date
+ */
+export const parseRangeDate = (value, bound = 'from') => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    if (bound === 'to' && DATE_ONLY.test(String(value).trim())) {
+        return new Date(date.getTime() + DAY_MS);
+    }
+    return date;
+};
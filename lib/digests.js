@@ -0,0 +1,361 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Assessment from "../models/Assessment.js";
+import TeacherAssessment from "../models/TeacherAssessment.js";
+import { ACCEPTED_STATUS_FILTER } from "../models/schemas/reviewStatus.js";
+import Note from "../models/Note.js";
+import DigestLog from "../models/DigestLog.js";
+import { Child, Parent, Teacher } from "../models/User.js";
+import { sendDigestEmail } from "./emailService.js";
+import { renderEmail, getFrontendUrl, resolveLocale } from "./emailTemplates.js";
+import { SCORE_FIELDS, computeScoreDeltas } from "./reclassification.js";
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_NOTES = 10;
+
+const getUnsubscribeSecret = () => process.env.DIGEST_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || '';
+
+const sign = (payload) => crypto.createHmac('sha256', getUnsubscribeSecret()).update(payload).digest('base64url');
+
+/**
+ * Token for the unsubscribe link in digests (doesn't expire; only turns digests off)
+ * @param {string} role - 'parent' or 'teacher'
+ * @param {string} id - User ID
+ * @returns {string} Token
+ */
+export const createUnsubscribeToken = (role, id) => {
+    const payload = Buffer.from(`${role}:${id}`).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Check an unsubscribe token
+ * @param {string} token - Token from createUnsubscribeToken
+ * @returns {Object|null} { role, id } or null if invalid
+ */
+export const verifyUnsubscribeToken = (token) => {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+    const expected = sign(payload);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+    const [role, id] = Buffer.from(payload, 'base64url').toString().split(':');
+    if (!['parent', 'teacher'].includes(role) || !mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return { role, id };
+};
+
+/**
+ * Last complete digest period before `now` (UTC): the previous day, or the previous ISO week (Monday-Sunday)
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {Date} now - Current time
+ * @returns {Object} { start, end } (end exclusive)
+ */
+export const digestPeriod = (frequency, now = new Date()) => {
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (frequency === 'daily') {
+        return { start: new Date(today.getTime() - DAY_MS), end: today };
+    }
+    const daysSinceMonday = (today.getUTCDay() + 6) % 7;
+    const end = new Date(today.getTime() - daysSinceMonday * DAY_MS);
+    return { start: new Date(end.getTime() - 7 * DAY_MS), end };
+};
+
+// Accepted in the period: reviewed drafts by acceptance time, direct saves by creation time
+const acceptedInPeriod = (period) => ({
+    status: ACCEPTED_STATUS_FILTER,
+    $or: [
+        { reviewedAt: { $gte: period.start, $lt: period.end } },
+        { reviewedAt: null, createdAt: { $gte: period.start, $lt: period.end } }
+    ]
+});
+
+const averageScores = (assessments) => {
+    const averages = {};
+    SCORE_FIELDS.forEach(field => {
+        const total = assessments.reduce((sum, assessment) => sum + (assessment[field] || 0), 0);
+        averages[field] = assessments.length ? Math.round(total / assessments.length * 10) / 10 : 0;
+    });
+    return averages;
+};
+
+/**
+ * Periodic digest emails.
+ *
+ * Parents get a summary of new accepted assessments and notes for each of
+ * their children (daily or weekly, per their preference); teachers get a weekly summary
+ * of their classroom assessments compared with the week before. Each digest
+ * covers the last complete period and is recorded in DigestLog before it is
+ * sent, so overlapping runs or restarts never send the same digest twice.
+ */
+class DigestScheduler {
+    constructor(options = {}) {
+        this.sweepInterval = options.sweepInterval ||
+            parseInt(process.env.DIGEST_SWEEP_INTERVAL_MS || "3600000", 10);
+        this.enabled = options.enabled ?? process.env.DIGESTS_ENABLED !== 'false';
+
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Check for due digests now and then every sweep interval
+     */
+    start() {
+        if (this.timer || !this.enabled) {
+            return;
+        }
+        console.log(`Email digests checked every ${Math.round(this.sweepInterval / 60000)} minutes`);
+        this.timer = setInterval(() => this._run(), this.sweepInterval);
+        // Don't keep the process alive just for digests
+        this.timer.unref?.();
+        setTimeout(() => this._run(), 120000).unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _run() {
+        if (this.running || mongoose.connection.readyState !== 1) {
+            return;
+        }
+        try {
+            await this.run();
+        } catch (error) {
+            console.error("Digest run failed:", error.message);
+        }
+    }
+
+    /**
+     * Send every digest that is due
+     * @param {Object} options - { now, dryRun } (dryRun lists the digests without sending or logging them)
+     * @returns {Promise<Object>} { parents, teachers } with sent / skipped / failed counts (and previews when dryRun)
+     */
+    async run(options = {}) {
+        this.running = true;
+        try {
+            const now = options.now || new Date();
+            const summary = {
+                parents: await this._sendParentDigests(now, options),
+                teachers: await this._sendTeacherDigests(now, options)
+            };
+            const sent = summary.parents.sent + summary.teachers.sent;
+            if (sent && !options.dryRun) {
+                console.log(`Email digests: sent ${summary.parents.sent} parent, ${summary.teachers.sent} teacher`);
+            }
+            return summary;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _sendParentDigests(now, options) {
+        const counts = { sent: 0, skipped: 0, failed: 0, previews: options.dryRun ? [] : undefined };
+        const parents = Parent.find({
+            invitationAccepted: true,
+            deactivatedAt: null,
+            'emailPreferences.digest': { $ne: false }
+        }, 'name email childIds childId emailPreferences').cursor();
+
+        for await (const parent of parents) {
+            const frequency = parent.emailPreferences?.digestFrequency || 'weekly';
+            // One digest per child
+            for (const childId of parent.getChildIds()) {
+                await this._deliver({
+                    kind: 'parent',
+                    recipient: parent,
+                    childId,
+                    frequency,
+                    period: digestPeriod(frequency, now),
+                    build: (period) => this._buildParentDigest(parent, childId, period)
+                }, counts, options);
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * @private
+     */
+    async _sendTeacherDigests(now, options) {
+        const counts = { sent: 0, skipped: 0, failed: 0, previews: options.dryRun ? [] : undefined };
+        const teachers = Teacher.find({
+            deactivatedAt: null,
+            'emailPreferences.digest': { $ne: false }
+        }, 'name email emailPreferences').cursor();
+
+        for await (const teacher of teachers) {
+            await this._deliver({
+                kind: 'teacher',
+                recipient: teacher,
+                childId: null,
+                frequency: 'weekly',
+                period: digestPeriod('weekly', now),
+                build: (period) => this._buildTeacherDigest(teacher, period)
+            }, counts, options);
+        }
+        return counts;
+    }
+
+    /**
+     * Build, claim (via the DigestLog unique index) and send one digest
+     * @private
+     */
+    async _deliver({ kind, recipient, childId, frequency, period, build }, counts, options) {
+        const key = { kind, recipientId: recipient._id, childId: childId || null, periodStart: period.start, periodEnd: period.end };
+        if (!options.dryRun && await DigestLog.exists(key)) {
+            return;
+        }
+
+        let digest;
+        try {
+            digest = await build(period);
+        } catch (error) {
+            console.error(`Could not build ${kind} digest for ${recipient._id}:`, error.message);
+            counts.failed++;
+            return;
+        }
+
+        if (options.dryRun) {
+            counts[digest ? 'sent' : 'skipped']++;
+            if (digest) {
+                counts.previews.push({ email: recipient.email, subject: digest.message.subject, locale: digest.message.locale, itemCounts: digest.itemCounts });
+            }
+            return;
+        }
+
+        let log;
+        try {
+            log = await DigestLog.create({
+                ...key,
+                email: recipient.email,
+                frequency,
+                status: digest ? 'sending' : 'skipped',
+                itemCounts: digest?.itemCounts
+            });
+        } catch (error) {
+            // Another run claimed this digest first
+            if (error.code === 11000) {
+                return;
+            }
+            throw error;
+        }
+        if (!digest) {
+            counts.skipped++;
+            return;
+        }
+
+        try {
+            const result = await sendDigestEmail(recipient.email, digest.message, kind);
+            log.status = 'sent';
+            log.messageId = result.messageId;
+            log.sentAt = new Date();
+            counts.sent++;
+        } catch (error) {
+            log.status = 'failed';
+            log.error = error.message;
+            counts.failed++;
+        }
+        await log.save();
+    }
+
+    /**
+     * New accepted assessments and notes for one of the parent's children, or null if there are none
+     * @private
+     */
+    async _buildParentDigest(parent, childId, period) {
+        const child = await Child.findById(childId, 'name primaryLanguage');
+        if (!child) {
+            return null;
+        }
+
+        const assessments = await Assessment.find(
+            { childId: child._id, ...acceptedInPeriod(period) },
+            `date ${SCORE_FIELDS.join(' ')}`
+        ).sort({ date: 1 }).lean();
+        const notes = await Note.find({
+            childId: child._id,
+            createdAt: { $gte: period.start, $lt: period.end }
+        }).sort({ createdAt: 1 }).limit(MAX_NOTES).lean();
+
+        if (assessments.length === 0 && notes.length === 0) {
+            return null;
+        }
+
+        const message = renderEmail('parentDigest', {
+            parentName: parent.name,
+            childName: child.name,
+            periodStart: period.start,
+            periodEnd: new Date(period.end.getTime() - 1),
+            assessments: assessments.map(assessment => ({
+                date: assessment.date,
+                scores: Object.fromEntries(SCORE_FIELDS.map(field => [field, assessment[field]]))
+            })),
+            notes: notes.map(note => ({ author: note.author, content: note.content, date: note.timestamp || note.createdAt })),
+            dashboardLink: `${getFrontendUrl()}/parent/dashboard`,
+            unsubscribeLink: `${getFrontendUrl()}/unsubscribe?token=${createUnsubscribeToken('parent', parent._id)}`
+        }, { locale: resolveLocale(parent.emailPreferences?.locale, child.primaryLanguage) });
+        return { message, itemCounts: { assessments: assessments.length, notes: notes.length } };
+    }
+
+    /**
+     * The teacher's classroom averages for the week and the change from the week before, or null if they recorded nothing
+     * @private
+     */
+    async _buildTeacherDigest(teacher, period) {
+        const fields = `date ${SCORE_FIELDS.join(' ')}`;
+        const assessments = await TeacherAssessment.find(
+            { teacherId: teacher._id, ...acceptedInPeriod(period) }, fields
+        ).lean();
+        if (assessments.length === 0) {
+            return null;
+        }
+
+        const previousPeriod = { start: new Date(period.start.getTime() - 7 * DAY_MS), end: period.start };
+        const previous = await TeacherAssessment.find(
+            { teacherId: teacher._id, ...acceptedInPeriod(previousPeriod) }, fields
+        ).lean();
+
+        const averages = averageScores(assessments);
+        let deltas = null;
+        if (previous.length > 0) {
+            deltas = computeScoreDeltas(averageScores(previous), averages);
+            SCORE_FIELDS.forEach(field => { deltas[field] = Math.round(deltas[field] * 10) / 10; });
+        }
+
+        const message = renderEmail('teacherDigest', {
+            teacherName: teacher.name,
+            periodStart: period.start,
+            periodEnd: new Date(period.end.getTime() - 1),
+            count: assessments.length,
+            averages,
+            deltas,
+            dashboardLink: `${getFrontendUrl()}/teacher/dashboard`,
+            unsubscribeLink: `${getFrontendUrl()}/unsubscribe?token=${createUnsubscribeToken('teacher', teacher._id)}`
+        }, { locale: teacher.emailPreferences?.locale });
+        return { message, itemCounts: { assessments: assessments.length, notes: 0 } };
+    }
+}
+
+// Export singleton instance
+const digestScheduler = new DigestScheduler();
+export { DigestScheduler };
+export default digestScheduler;
@@ -0,0 +1,84 @@
+import * as brevo from "@getbrevo/brevo";
+import dotenv from "dotenv";
+import { permanentError } from "./errors.js";
+
+dotenv.config();
+
+/**
+ * Email provider backed by the Brevo transactional email API (BREVO_API_KEY)
+ */
+class BrevoApiProvider {
+    constructor(options = {}) {
+        this.name = 'brevo';
+        this.apiKey = (options.apiKey ?? process.env.BREVO_API_KEY)?.trim();
+        this.api = null;
+        if (this.apiKey) {
+            try {
+                this.api = new brevo.TransactionalEmailsApi();
+                this.api.setApiKey(brevo.TransactionalEmailsApiApiKeys.apiKey, this.apiKey);
+            } catch (error) {
+                console.error('Failed to initialize Brevo API:', error);
+            }
+        }
+    }
+
+    isConfigured() {
+        return !!this.api;
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - { to, subject, html, text }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, subject, html, text }) {
+        if (!this.api) {
+            throw permanentError('Brevo API key not configured (BREVO_API_KEY)');
+        }
+        const fromEmail = process.env.EMAIL_FROM_EMAIL?.trim() || process.env.EMAIL_USER?.trim() || 'noreply@bainumproject.com';
+        const fromName = process.env.EMAIL_FROM_NAME || 'Bainum Project';
+
+        const sendSmtpEmail = new brevo.SendSmtpEmail();
+        sendSmtpEmail.subject = subject;
+        sendSmtpEmail.htmlContent = html;
+        sendSmtpEmail.textContent = text;
+        sendSmtpEmail.sender = { name: fromName, email: fromEmail };
+        sendSmtpEmail.to = [{ email: to }];
+
+        try {
+            const data = await this.api.sendTransacEmail(sendSmtpEmail);
+            return { messageId: data.messageId || data.body?.messageId };
+        } catch (error) {
+            const status = error.status || error.response?.statusCode;
+            // 4xx other than rate limiting won't succeed on retry
+            if (status && status >= 400 && status < 500 && status !== 429) {
+                throw permanentError(`Brevo API rejected the message: ${error.message}`, { status });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check the API key by fetching the account
+     * @returns {Promise<boolean>} True if Brevo accepts the key
+     */
+    async isHealthy() {
+        if (!this.apiKey) {
+            return false;
+        }
+        const accountApi = new brevo.AccountApi();
+        accountApi.setApiKey(brevo.AccountApiApiKeys.apiKey, this.apiKey);
+        await accountApi.getAccount();
+        return true;
+    }
+
+    getConfig() {
+        return {
+            name: this.name,
+            configured: this.isConfigured(),
+            from: process.env.EMAIL_FROM_EMAIL?.trim() || process.env.EMAIL_USER?.trim() || 'noreply@bainumproject.com'
+        };
+    }
+}
+
+export default BrevoApiProvider;
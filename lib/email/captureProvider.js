@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import CapturedEmail from "../../models/CapturedEmail.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CAPTURE_DIR = path.join(__dirname, '..', '..', 'uploads', 'email-outbox');
+
+/**
+ * Offline email transport for tests and local development.
+ *
+ * Nothing leaves the machine: each message is stored in the CapturedEmail
+ * collection (EMAIL_CAPTURE_STORE=db, the default) or written as a JSON file
+ * to EMAIL_CAPTURE_DIR (EMAIL_CAPTURE_STORE=dir). Admins can read the
+ * captured messages from GET /api/admin/email/outbox.
+ */
+class CaptureProvider {
+    constructor(options = {}) {
+        this.name = 'capture';
+        const store = (options.store || process.env.EMAIL_CAPTURE_STORE || 'db').toLowerCase();
+        this.store = store === 'dir' ? 'dir' : 'db';
+        this.captureDir = options.captureDir || process.env.EMAIL_CAPTURE_DIR || DEFAULT_CAPTURE_DIR;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Store a message
+     * @param {Object} message - { to, subject, html, text, label }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, subject, html, text, label }) {
+        if (this.store === 'db') {
+            const captured = await CapturedEmail.create({ to, subject, html, text, label });
+            return { messageId: `capture-${captured._id}` };
+        }
+
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await fs.promises.mkdir(this.captureDir, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(this.captureDir, `${id}.json`),
+            JSON.stringify({ id, to, subject, html, text, label, createdAt: new Date() }, null, 2)
+        );
+        return { messageId: `capture-${id}` };
+    }
+
+    /**
+     * Captured messages, newest first
+     * @param {Object} options - { to, limit }
+     * @returns {Promise<Array>} Messages
+     */
+    async list({ to, limit = 50 } = {}) {
+        if (this.store === 'db') {
+            return CapturedEmail.find(to ? { to } : {}).sort({ createdAt: -1 }).limit(limit).lean();
+        }
+
+        if (!fs.existsSync(this.captureDir)) {
+            return [];
+        }
+        // File names start with the capture time, so they sort chronologically
+        const files = (await fs.promises.readdir(this.captureDir))
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .reverse();
+        const messages = [];
+        for (const file of files) {
+            const message = JSON.parse(await fs.promises.readFile(path.join(this.captureDir, file), 'utf-8'));
+            if (!to || message.to === to) {
+                messages.push(message);
+            }
+            if (messages.length >= limit) {
+                break;
+            }
+        }
+        return messages;
+    }
+
+    /**
+     * Delete every captured message
+     * @returns {Promise<number>} Number deleted
+     */
+    async clear() {
+        if (this.store === 'db') {
+            const result = await CapturedEmail.deleteMany({});
+            return result.deletedCount;
+        }
+
+        if (!fs.existsSync(this.captureDir)) {
+            return 0;
+        }
+        const files = (await fs.promises.readdir(this.captureDir)).filter(file => file.endsWith('.json'));
+        await Promise.all(files.map(file => fs.promises.unlink(path.join(this.captureDir, file))));
+        return files.length;
+    }
+
+    async isHealthy() {
+        return true;
+    }
+
+    getConfig() {
+        return {
+            name: this.name,
+            configured: true,
+            store: this.store,
+            captureDir: this.store === 'dir' ? this.captureDir : undefined
+        };
+    }
+}
+
+export default CaptureProvider;
@@ -0,0 +1,8 @@
+/**
+ * Mark an error as permanent so the sender moves on to the next provider without retrying
+ * (missing configuration, rejected credentials, invalid recipient)
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties (e.g. { code })
+ * @returns {Error} Error with retryable = false
+ */
+export const permanentError = (message, details = {}) => Object.assign(new Error(message), details, { retryable: false });
@@ -0,0 +1,161 @@
+/**
+ * Email provider registry.
+ *
+ * Every provider implements:
+ *   send({ to, subject, html, text, label }) → Promise<{ messageId }>
+ *   isConfigured() → boolean
+ *   isHealthy() → Promise<boolean> (may throw with the reason)
+ *   getConfig() → Object (without secrets)
+ *
+ * Messages go to the providers in order (EMAIL_PROVIDERS, e.g.
+ * "resend,brevo,smtp"): each is retried with exponential backoff on transient
+ * errors, then the next one is tried. Errors marked `retryable: false`
+ * (missing configuration, rejected credentials) move on immediately. Without
+ * EMAIL_PROVIDERS the order follows the legacy settings: Brevo when
+ * EMAIL_SERVICE=brevo, otherwise Resend, then SMTP. `capture` stores messages
+ * locally instead of sending them (for tests).
+ */
+
+import dotenv from "dotenv";
+import BrevoApiProvider from "./brevoApiProvider.js";
+import ResendProvider from "./resendProvider.js";
+import SmtpProvider from "./smtpProvider.js";
+import CaptureProvider from "./captureProvider.js";
+
+dotenv.config();
+
+const PROVIDER_FACTORIES = {
+    brevo: () => new BrevoApiProvider(),
+    resend: () => new ResendProvider(),
+    smtp: () => new SmtpProvider(),
+    capture: () => new CaptureProvider()
+};
+
+export const EMAIL_PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+// Providers are created on first use so unused ones don't need credentials
+const instances = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get a provider instance
+ * @param {string} name - One of EMAIL_PROVIDER_NAMES
+ * @returns {Object} Provider
+ */
+export const getEmailProvider = (name) => {
+    if (!EMAIL_PROVIDER_NAMES.includes(name)) {
+        throw new Error(`Unknown email provider: ${name}`);
+    }
+    if (!instances.has(name)) {
+        instances.set(name, PROVIDER_FACTORIES[name]());
+    }
+    return instances.get(name);
+};
+
+/**
+ * Providers to try, in order
+ * @returns {Array<string>} Provider names
+ */
+export const getProviderOrder = () => {
+    const configured = process.env.EMAIL_PROVIDERS?.toLowerCase().split(',').map(name => name.trim()).filter(Boolean);
+    if (configured?.length) {
+        const unknown = configured.filter(name => !EMAIL_PROVIDER_NAMES.includes(name));
+        if (unknown.length) {
+            console.warn(`Unknown EMAIL_PROVIDERS entries ignored: ${unknown.join(', ')}`);
+        }
+        return configured.filter(name => EMAIL_PROVIDER_NAMES.includes(name));
+    }
+
+    // Brevo accounts don't have a Resend sender, so Resend is skipped when Brevo is chosen
+    return process.env.EMAIL_SERVICE?.toLowerCase() === 'brevo'
+        ? ['brevo', 'smtp']
+        : ['resend', 'brevo', 'smtp'];
+};
+
+const getRetryOptions = () => ({
+    attempts: Math.max(1, parseInt(process.env.EMAIL_RETRY_ATTEMPTS || "3", 10)),
+    baseDelay: parseInt(process.env.EMAIL_RETRY_BASE_MS || "500", 10)
+});
+
+/**
+ * Send with one provider, retrying transient errors with exponential backoff
+ * @private
+ */
+const sendWithRetry = async (provider, message, label, retry) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await provider.send(message);
+        } catch (error) {
+            if (error.retryable === false || attempt >= retry.attempts) {
+                throw error;
+            }
+            const delay = retry.baseDelay * 2 ** (attempt - 1);
+            console.warn(`Sending ${label} via ${provider.name} failed (attempt ${attempt}/${retry.attempts}), retrying in ${delay}ms:`, error.message);
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Send an email through the first provider that succeeds
+ * @param {Object} message - { to, subject, html, text }
+ * @param {string} label - What is being sent, for logs and error messages (e.g. 'invitation email')
+ * @returns {Promise<Object>} { success: true, messageId, provider }
+ */
+export const sendEmail = async (message, label = 'email') => {
+    const providers = getProviderOrder()
+        .map(getEmailProvider)
+        .filter(provider => provider.isConfigured());
+    if (providers.length === 0) {
+        throw new Error('Email service is not configured. Please contact the administrator.');
+    }
+
+    const retry = getRetryOptions();
+    const failures = [];
+    for (const provider of providers) {
+        try {
+            const { messageId } = await sendWithRetry(provider, { ...message, label }, label, retry);
+            console.log(`${label} sent via ${provider.name}:`, { to: message.to, messageId });
+            return { success: true, messageId, provider: provider.name };
+        } catch (error) {
+            console.error(`Sending ${label} via ${provider.name} failed:`, error.message);
+            failures.push(`${provider.name}: ${error.message}`);
+        }
+    }
+
+    throw new Error(`Failed to send ${label}. ${failures.join('; ')}`);
+};
+
+/**
+ * Check every provider in the send order
+ * @returns {Promise<Array>} [{ name, configured, healthy, error }]
+ */
+export const checkEmailProviders = async () => {
+    const results = [];
+    for (const name of getProviderOrder()) {
+        const provider = getEmailProvider(name);
+        const result = { ...provider.getConfig(), healthy: false };
+        if (provider.isConfigured()) {
+            try {
+                result.healthy = await provider.isHealthy();
+            } catch (error) {
+                result.error = error.message;
+            }
+        }
+        results.push(result);
+    }
+    return results;
+};
+
+/**
+ * Capture transport (for the outbox endpoint)
+ * @returns {Object} CaptureProvider
+ */
+export const getCaptureProvider = () => getEmailProvider('capture');
+
+/**
+ * Whether captured messages are being collected (capture is in the send order)
+ * @returns {boolean} True if capture is enabled
+ */
+export const isCaptureEnabled = () => getProviderOrder().includes('capture');
@@ -0,0 +1,102 @@
+import { Resend } from "resend";
+import dotenv from "dotenv";
+import { permanentError } from "./errors.js";
+
+dotenv.config();
+
+// Resend only sends from verified domains - never from free mailbox providers
+const FREE_EMAIL_DOMAINS = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com'];
+
+/**
+ * Sender address for Resend: RESEND_FROM_EMAIL, or onboarding@resend.dev when unset or on a free domain
+ * @returns {string} Email address
+ */
+const getFromEmail = () => {
+    const fromEmail = process.env.RESEND_FROM_EMAIL;
+    if (!fromEmail) {
+        // Free tier (can only send to your own email)
+        return 'onboarding@resend.dev';
+    }
+    const emailDomain = fromEmail.split('@')[1]?.toLowerCase();
+    if (emailDomain && FREE_EMAIL_DOMAINS.includes(emailDomain)) {
+        console.warn(`Resend does not allow free email domains like ${emailDomain}. Using onboarding@resend.dev instead.`);
+        return 'onboarding@resend.dev';
+    }
+    return fromEmail;
+};
+
+/**
+ * Email provider backed by the Resend API (RESEND_API_KEY)
+ */
+class ResendProvider {
+    constructor(options = {}) {
+        this.name = 'resend';
+        const apiKey = (options.apiKey ?? process.env.RESEND_API_KEY)?.trim();
+        this.client = null;
+        if (apiKey) {
+            try {
+                this.client = new Resend(apiKey);
+            } catch (error) {
+                console.error('Failed to initialize Resend:', error);
+            }
+        }
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - { to, subject, html, text }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, subject, html, text }) {
+        if (!this.client) {
+            throw permanentError('Resend API key not configured (RESEND_API_KEY)');
+        }
+        const fromName = process.env.EMAIL_FROM_NAME || 'Bainum Project';
+
+        const data = await this.client.emails.send({
+            from: `${fromName} <${getFromEmail()}>`,
+            to: [to],
+            subject,
+            html,
+            text
+        });
+
+        if (data.error) {
+            const error = new Error(`Resend API error: ${data.error.message || JSON.stringify(data.error)}`);
+            const status = data.error.statusCode;
+            if (status && status >= 400 && status < 500 && status !== 429) {
+                error.retryable = false;
+            }
+            throw error;
+        }
+
+        // Resend returns { id: '...' } on success
+        const messageId = data.id || data.data?.id;
+        if (!messageId) {
+            throw new Error(`Resend API returned unexpected response format. Response: ${JSON.stringify(data)}`);
+        }
+        return { messageId };
+    }
+
+    /**
+     * Resend has no cheap credential check for send-only keys - a configured client counts as healthy
+     * @returns {Promise<boolean>} True when configured
+     */
+    async isHealthy() {
+        return this.isConfigured();
+    }
+
+    getConfig() {
+        return {
+            name: this.name,
+            configured: this.isConfigured(),
+            from: getFromEmail()
+        };
+    }
+}
+
+export default ResendProvider;
@@ -0,0 +1,142 @@
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import { permanentError } from "./errors.js";
+
+dotenv.config();
+
+/**
+ * Email provider over SMTP: Brevo SMTP (EMAIL_SERVICE=brevo, works on Render) or Gmail (local development)
+ */
+class SmtpProvider {
+    constructor() {
+        this.name = 'smtp';
+        this.transporter = null;
+    }
+
+    _credentials() {
+        const user = process.env.EMAIL_USER?.trim();
+        const password = process.env.EMAIL_PASSWORD?.trim();
+        const appPassword = process.env.EMAIL_APP_PASSWORD?.trim();
+        return { user, password, appPassword };
+    }
+
+    _isBrevo() {
+        return process.env.EMAIL_SERVICE?.toLowerCase() === 'brevo';
+    }
+
+    isConfigured() {
+        const { user, password, appPassword } = this._credentials();
+        return !!user && !!(password || appPassword);
+    }
+
+    /**
+     * Create the reusable transporter on first use
+     * @private
+     */
+    _getTransporter() {
+        if (this.transporter) {
+            return this.transporter;
+        }
+        const { user, password, appPassword } = this._credentials();
+        if (!this.isConfigured()) {
+            throw permanentError('Email credentials not configured. Please set EMAIL_USER and EMAIL_PASSWORD (or EMAIL_APP_PASSWORD) in your environment variables.', { code: 'EMAIL_CONFIG_MISSING' });
+        }
+
+        let smtpConfig;
+        if (this._isBrevo()) {
+            // Brevo SMTP configuration (works on Render)
+            const port = parseInt(process.env.EMAIL_PORT) || 587;
+            smtpConfig = {
+                host: 'smtp-relay.brevo.com',
+                port: port,
+                secure: port === 465, // true for 465 (SSL), false for 587 (TLS/STARTTLS)
+                auth: {
+                    user, // Your Brevo account email
+                    pass: password || appPassword // Your Brevo SMTP key
+                }
+            };
+        } else {
+            // Default Gmail SMTP configuration (for local development)
+            const useSSL = process.env.EMAIL_PORT === '465' || !process.env.EMAIL_PORT;
+            smtpConfig = {
+                host: 'smtp.gmail.com',
+                port: useSSL ? 465 : 587,
+                secure: useSSL,
+                auth: {
+                    user,
+                    pass: appPassword || password // Prefer App Password for Gmail
+                },
+                pool: false // Disable pooling to avoid connection issues
+            };
+        }
+
+        this.transporter = nodemailer.createTransport({
+            ...smtpConfig,
+            // Generous timeouts for Render's network
+            connectionTimeout: 60000,
+            greetingTimeout: 30000,
+            socketTimeout: 60000,
+            tls: {
+                // Some networks have certificate issues
+                rejectUnauthorized: false,
+                minVersion: 'TLSv1.2'
+            },
+            debug: process.env.NODE_ENV === 'development',
+            logger: process.env.NODE_ENV === 'development'
+        });
+        return this.transporter;
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - { to, subject, html, text }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, subject, html, text }) {
+        const isProduction = process.env.NODE_ENV === 'production' || !!process.env.RENDER;
+        if (isProduction && !this._isBrevo()) {
+            throw permanentError('Gmail SMTP connections are blocked on Render. Please set RESEND_API_KEY or configure Brevo (EMAIL_SERVICE=brevo).');
+        }
+
+        const fromEmail = process.env.EMAIL_FROM_EMAIL?.trim() || process.env.EMAIL_USER?.trim();
+        const fromName = process.env.EMAIL_FROM_NAME || 'Bainum Project';
+
+        try {
+            const info = await this._getTransporter().sendMail({
+                from: `"${fromName}" <${fromEmail}>`,
+                to,
+                subject,
+                html,
+                text
+            });
+            return { messageId: info.messageId };
+        } catch (error) {
+            if (error.code === 'EAUTH' || error.responseCode === 535) {
+                throw permanentError('Email authentication failed. Please check email credentials.', { code: error.code });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open a connection and authenticate
+     * @returns {Promise<boolean>} True if the SMTP server accepts the credentials
+     */
+    async isHealthy() {
+        if (!this.isConfigured()) {
+            return false;
+        }
+        await this._getTransporter().verify();
+        return true;
+    }
+
+    getConfig() {
+        return {
+            name: this.name,
+            configured: this.isConfigured(),
+            service: this._isBrevo() ? 'brevo' : 'gmail'
+        };
+    }
+}
+
+export default SmtpProvider;
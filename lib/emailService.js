@@ -1,112 +1,7 @@
-import nodemailer from 'nodemailer';
-import { Resend } from 'resend';
-import * as brevo from '@getbrevo/brevo';
-import dotenv from 'dotenv';
+import { renderEmail, getFrontendUrl } from './emailTemplates.js';
+import { sendEmail, checkEmailProviders } from './email/index.js';
 
-// Load environment variables (if not already loaded by server)
-dotenv.config();
-
-// Initialize Resend if API key is provided (preferred for production/cloud hosting)
-let resend = null;
-if (process.env.RESEND_API_KEY?.trim()) {
-    try {
-        resend = new Resend(process.env.RESEND_API_KEY.trim());
-        console.log('Resend API initialized successfully');
-    } catch (error) {
-        console.error('Failed to initialize Resend:', error);
-    }
-} else {
-    console.log('Resend API key not found, will use SMTP fallback');
-}
-
-// Initialize Brevo API if API key is provided
-let brevoApi = null;
-if (process.env.BREVO_API_KEY?.trim()) {
-    try {
-        brevoApi = new brevo.TransactionalEmailsApi();
-        brevoApi.setApiKey(brevo.TransactionalEmailsApiApiKeys.apiKey, process.env.BREVO_API_KEY.trim());
-        console.log('Brevo API initialized successfully');
-    } catch (error) {
-        console.error('Failed to initialize Brevo API:', error);
-    }
-} else {
-    console.log('Brevo API key not found, will use SMTP if configured');
-}
-
-// Create reusable transporter
-const createTransporter = () => {
-    // Check if email credentials are configured (trim whitespace)
-    const emailUser = process.env.EMAIL_USER?.trim();
-    const emailPassword = process.env.EMAIL_PASSWORD?.trim();
-    const emailAppPassword = process.env.EMAIL_APP_PASSWORD?.trim();
-    
-    if (!emailUser || (!emailPassword && !emailAppPassword)) {
-        const error = new Error('Email credentials not configured. Please set EMAIL_USER and EMAIL_PASSWORD (or EMAIL_APP_PASSWORD) in your environment variables.');
-        error.code = 'EMAIL_CONFIG_MISSING';
-        throw error;
-    }
-
-    // Support multiple email services
-    const emailService = process.env.EMAIL_SERVICE?.toLowerCase();
-    
-    let smtpConfig;
-    
-    if (emailService === 'brevo') {
-        // Brevo SMTP configuration (works on Render)
-        const port = parseInt(process.env.EMAIL_PORT) || 587;
-        smtpConfig = {
-            host: 'smtp-relay.brevo.com',
-            port: port,
-            secure: port === 465, // true for 465 (SSL), false for 587 (TLS/STARTTLS)
-            auth: {
-                user: emailUser, // Your Brevo account email
-                pass: emailPassword || emailAppPassword, // Your Brevo SMTP key
-            },
-            connectionTimeout: 60000,
-            greetingTimeout: 30000,
-            socketTimeout: 60000,
-            tls: {
-                rejectUnauthorized: false,
-                minVersion: 'TLSv1.2'
-            },
-            debug: process.env.NODE_ENV === 'development',
-            logger: process.env.NODE_ENV === 'development'
-        };
-        console.log('Using Brevo SMTP configuration');
-    } else {
-        // Default Gmail SMTP configuration (for local development)
-        const useSSL = process.env.EMAIL_PORT === '465' || !process.env.EMAIL_PORT;
-        smtpConfig = {
-            host: 'smtp.gmail.com',
-            port: useSSL ? 465 : 587,
-            secure: useSSL, // true for 465, false for other ports
-            auth: {
-                user: emailUser,
-                pass: emailAppPassword || emailPassword, // Prefer App Password for Gmail
-            },
-            // Increased timeouts for Render's network
-            connectionTimeout: 60000, // 60 seconds
-            greetingTimeout: 30000,
-            socketTimeout: 60000,
-            // Retry configuration
-            pool: false, // Disable pooling to avoid connection issues
-            // Additional options for reliability
-            tls: {
-                // Do not fail on invalid certs (some networks have issues)
-                rejectUnauthorized: false,
-                minVersion: 'TLSv1.2'
-            },
-            // Debug mode in development
-            debug: process.env.NODE_ENV === 'development',
-            logger: process.env.NODE_ENV === 'development'
-        };
-        console.log('Using Gmail SMTP configuration');
-    }
-    
-    const transporter = nodemailer.createTransport(smtpConfig);
-    
-    return transporter;
-};
+// Providers, failover and retries live in lib/email/ - this module builds the messages
 
 /**
  * Send invitation email to parent
@@ -114,402 +9,13 @@ const createTransporter = () => {
  * @param {string} childName - Name of the child
  * @param {string} invitationToken - Unique invitation token
  * @param {string} inviterName - Name of the person sending the invitation
+ * @param {string} locale - Language for the email (see resolveLocale; default English)
  * @returns {Promise<Object>} Email send result
  */
-export const sendInvitationEmail = async (email, childName, invitationToken, inviterName) => {
-    // Create invitation link - prioritize production URL
-    // Check for production environment indicators
-    const isProduction = process.env.NODE_ENV === 'production' || 
-                        process.env.RENDER || 
-                        !process.env.FRONTEND_URL?.includes('localhost');
-    
-    let baseUrl = process.env.FRONTEND_URL;
-    
-    // If no FRONTEND_URL is set in production, use the production frontend URL
-    if (!baseUrl || (isProduction && baseUrl.includes('localhost'))) {
-        baseUrl = 'https://bainum-frontend-prod.vercel.app';
-    }
-    
-    // Ensure baseUrl doesn't have trailing slash
-    baseUrl = baseUrl.replace(/\/$/, '');
-    
-    const invitationLink = `${baseUrl}/parent/register?token=${invitationToken}`;
-
-    // Check if Brevo is configured (prioritize over Resend if set)
-    const emailServiceForResend = process.env.EMAIL_SERVICE?.toLowerCase();
-    const isBrevoForResend = emailServiceForResend === 'brevo';
-    const hasBrevoApi = !!brevoApi;
-    const hasBrevoApiKey = !!process.env.BREVO_API_KEY;
-    
-    // Use Resend API if available (but not if Brevo is explicitly configured)
-    console.log('Email service check:', {
-        hasResend: !!resend,
-        hasResendKey: !!process.env.RESEND_API_KEY,
-        resendKeyLength: process.env.RESEND_API_KEY?.length || 0,
-        emailService: emailServiceForResend,
-        isBrevo: isBrevoForResend,
-        hasBrevoApi: hasBrevoApi,
-        hasBrevoApiKey: hasBrevoApiKey,
-        nodeEnv: process.env.NODE_ENV,
-        isRender: !!process.env.RENDER,
-        emailUser: process.env.EMAIL_USER ? 'set' : 'not set',
-        emailPassword: process.env.EMAIL_PASSWORD ? 'set' : 'not set'
-    });
-    
-    // If Brevo API is available, use it (preferred over SMTP)
-    if (isBrevoForResend && hasBrevoApi) {
-        console.log('Using Brevo API to send email');
-        try {
-            const fromEmail = process.env.EMAIL_FROM_EMAIL?.trim() || process.env.EMAIL_USER?.trim() || 'noreply@bainumproject.com';
-            const fromName = process.env.EMAIL_FROM_NAME || 'Bainum Project';
-            
-            const sendSmtpEmail = new brevo.SendSmtpEmail();
-            sendSmtpEmail.subject = `Invitation to View ${childName}'s Progress`;
-            sendSmtpEmail.htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-                        .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
-                        .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-                        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Parent Portal Invitation</h1>
-                        </div>
-                        <div class="content">
-                            <p>Hello,</p>
-                            <p>You have been invited by <strong>${inviterName}</strong> to view your child <strong>${childName}</strong>'s progress and assessments.</p>
-                            <p>Click the button below to create your account and access your child's data:</p>
-                            <div style="text-align: center;">
-                                <a href="${invitationLink}" class="button">Accept Invitation</a>
-                            </div>
-                            <p>Or copy and paste this link into your browser:</p>
-                            <p style="word-break: break-all; color: #4F46E5;">${invitationLink}</p>
-                            <p><strong>Note:</strong> This invitation link will expire in 7 days.</p>
-                            <p>If you did not expect this invitation, please ignore this email.</p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message from the Bainum Project system.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `;
-            sendSmtpEmail.textContent = `
-                Parent Portal Invitation
-
-                Hello,
-
-                You have been invited by ${inviterName} to view your child ${childName}'s progress and assessments.
-
-                Click the link below to create your account and access your child's data:
-
-                ${invitationLink}
-
-                Note: This invitation link will expire in 7 days.
-
-                If you did not expect this invitation, please ignore this email.
-
-                This is an automated message from the Bainum Project system.
-            `;
-            sendSmtpEmail.sender = { name: fromName, email: fromEmail };
-            sendSmtpEmail.to = [{ email: email }];
-            
-            const data = await brevoApi.sendTransacEmail(sendSmtpEmail);
-            console.log('Email sent successfully via Brevo API:', {
-                to: email,
-                messageId: data.messageId
-            });
-            
-            return { success: true, messageId: data.messageId };
-        } catch (error) {
-            console.error('Brevo API error details:', {
-                message: error.message,
-                response: error.response?.body,
-                status: error.status
-            });
-            throw new Error(`Failed to send invitation email via Brevo API: ${error.message || 'Unknown error'}`);
-        }
-    }
-    
-    // If Brevo is explicitly configured, skip Resend entirely
-    if (isBrevoForResend) {
-        console.log('Brevo is configured, skipping Resend API');
-    } else if (resend) {
-        console.log('Using Resend API to send email');
-        try {
-            const htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-                        .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
-                        .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-                        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Parent Portal Invitation</h1>
-                        </div>
-                        <div class="content">
-                            <p>Hello,</p>
-                            <p>You have been invited by <strong>${inviterName}</strong> to view your child <strong>${childName}</strong>'s progress and assessments.</p>
-                            <p>Click the button below to create your account and access your child's data:</p>
-                            <div style="text-align: center;">
-                                <a href="${invitationLink}" class="button">Accept Invitation</a>
-                            </div>
-                            <p>Or copy and paste this link into your browser:</p>
-                            <p style="word-break: break-all; color: #4F46E5;">${invitationLink}</p>
-                            <p><strong>Note:</strong> This invitation link will expire in 7 days.</p>
-                            <p>If you did not expect this invitation, please ignore this email.</p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message from the Bainum Project system.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `;
-
-            const textContent = `
-                Parent Portal Invitation
-
-                Hello,
-
-                You have been invited by ${inviterName} to view your child ${childName}'s progress and assessments.
-
-                Click the link below to create your account and access your child's data:
-
-                ${invitationLink}
-
-                Note: This invitation link will expire in 7 days.
-
-                If you did not expect this invitation, please ignore this email.
-
-                This is an automated message from the Bainum Project system.
-            `;
-
-            // Resend requires a verified domain or using onboarding@resend.dev
-            // Never use Gmail or other free email domains with Resend - they're not allowed
-            // Always use onboarding@resend.dev if RESEND_FROM_EMAIL is not set
-            let fromEmail = process.env.RESEND_FROM_EMAIL;
-            if (!fromEmail) {
-                // Always use onboarding@resend.dev for free tier (can only send to your own email)
-                fromEmail = 'onboarding@resend.dev';
-            } else {
-                // Check if trying to use a free email domain (gmail.com, yahoo.com, etc.)
-                const freeEmailDomains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com'];
-                const emailDomain = fromEmail.split('@')[1]?.toLowerCase();
-                if (emailDomain && freeEmailDomains.includes(emailDomain)) {
-                    console.warn(`Resend does not allow free email domains like ${emailDomain}. Using onboarding@resend.dev instead.`);
-                    fromEmail = 'onboarding@resend.dev';
-                }
-            }
-            const fromName = process.env.EMAIL_FROM_NAME || 'Bainum Project';
-
-            console.log('Attempting to send email via Resend:', {
-                from: `${fromName} <${fromEmail}>`,
-                to: email,
-                hasResend: !!resend,
-                fromEmail: fromEmail
-            });
-
-            const data = await resend.emails.send({
-                from: `${fromName} <${fromEmail}>`,
-                to: [email],
-                subject: `Invitation to View ${childName}'s Progress`,
-                html: htmlContent,
-                text: textContent,
-            });
-
-            console.log('Resend API response:', JSON.stringify(data, null, 2));
-
-            // Check for errors in response
-            if (data.error) {
-                throw new Error(`Resend API error: ${data.error.message || JSON.stringify(data.error)}`);
-            }
-
-            // Resend returns { id: '...' } on success
-            const emailId = data.id || data.data?.id;
-            
-            if (!emailId) {
-                console.error('Resend response missing ID:', data);
-                throw new Error(`Resend API returned unexpected response format. Response: ${JSON.stringify(data)}`);
-            }
-            
-            console.log('Email sent successfully via Resend:', {
-                to: email,
-                id: emailId
-            });
-            
-            return { success: true, messageId: emailId };
-        } catch (error) {
-            console.error('Resend API error details:', {
-                message: error.message,
-                name: error.name,
-                response: error.response,
-                status: error.status,
-                stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-            });
-            throw new Error(`Failed to send invitation email via Resend: ${error.message || 'Unknown error'}`);
-        }
-    }
-
-    // Fallback to SMTP
-    // Brevo SMTP works on Render, but Gmail SMTP is blocked
-    const emailServiceForSMTP = process.env.EMAIL_SERVICE?.toLowerCase();
-    const isBrevoForSMTP = emailServiceForSMTP === 'brevo';
-    
-    console.log('Attempting to use SMTP:', {
-        emailService: emailServiceForSMTP,
-        isBrevo: isBrevoForSMTP,
-        isProduction: isProduction,
-        hasResend: !!resend
-    });
-    
-    if (isProduction && !isBrevoForSMTP && !resend) {
-        console.error('CRITICAL: Attempting to use Gmail SMTP in production without Resend API key.');
-        console.error('Gmail SMTP will likely fail on Render. Please set RESEND_API_KEY or use Brevo SMTP (EMAIL_SERVICE=brevo).');
-        throw new Error('Email service not configured for production. Please set RESEND_API_KEY or configure Brevo SMTP (EMAIL_SERVICE=brevo). Gmail SMTP connections are blocked on Render.');
-    }
-    
-    if (isBrevoForSMTP) {
-        console.log('Using Brevo SMTP for email sending');
-    } else {
-        console.log('Using SMTP fallback (local development only)');
-    }
-    let transporter;
-    try {
-        transporter = createTransporter();
-        
-        // Skip verification for Brevo in production to avoid timeout issues
-        // Brevo SMTP can timeout during verification but still work for sending
-        if (isBrevoForSMTP && isProduction) {
-            console.log('Skipping SMTP verification for Brevo in production (will verify on first send)');
-        } else if (process.env.NODE_ENV === 'development') {
-            try {
-                await transporter.verify();
-            } catch (verifyError) {
-                console.error('Email transporter verification failed:', {
-                    code: verifyError.code,
-                    command: verifyError.command,
-                    response: verifyError.response,
-                    responseCode: verifyError.responseCode
-                });
-                throw new Error(`Email service connection failed: ${verifyError.message}. Please check your email credentials.`);
-            }
-        }
-
-        // Use EMAIL_FROM_EMAIL if set, otherwise use EMAIL_USER
-        const fromEmail = process.env.EMAIL_FROM_EMAIL?.trim() || process.env.EMAIL_USER?.trim();
-        const fromName = process.env.EMAIL_FROM_NAME || 'Bainum Project';
-        
-        const mailOptions = {
-            from: `"${fromName}" <${fromEmail}>`,
-            to: email,
-            subject: `Invitation to View ${childName}'s Progress`,
-            html: `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-                        .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
-                        .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-                        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Parent Portal Invitation</h1>
-                        </div>
-                        <div class="content">
-                            <p>Hello,</p>
-                            <p>You have been invited by <strong>${inviterName}</strong> to view your child <strong>${childName}</strong>'s progress and assessments.</p>
-                            <p>Click the button below to create your account and access your child's data:</p>
-                            <div style="text-align: center;">
-                                <a href="${invitationLink}" class="button">Accept Invitation</a>
-                            </div>
-                            <p>Or copy and paste this link into your browser:</p>
-                            <p style="word-break: break-all; color: #4F46E5;">${invitationLink}</p>
-                            <p><strong>Note:</strong> This invitation link will expire in 7 days.</p>
-                            <p>If you did not expect this invitation, please ignore this email.</p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message from the Bainum Project system.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `,
-            text: `
-                Parent Portal Invitation
-
-                Hello,
-
-                You have been invited by ${inviterName} to view your child ${childName}'s progress and assessments.
-
-                Click the link below to create your account and access your child's data:
-
-                ${invitationLink}
-
-                Note: This invitation link will expire in 7 days.
-
-                If you did not expect this invitation, please ignore this email.
-
-                This is an automated message from the Bainum Project system.
-            `
-        };
-
-        const info = await transporter.sendMail(mailOptions);
-        console.log('Email sent successfully:', {
-            to: email,
-            messageId: info.messageId,
-            response: info.response
-        });
-        return { success: true, messageId: info.messageId };
-    } catch (error) {
-        // Enhanced error logging for debugging
-        const errorDetails = {
-            message: error.message,
-            code: error.code,
-            command: error.command,
-            response: error.response,
-            responseCode: error.responseCode,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        };
-        console.error('Error sending invitation email:', errorDetails);
-        
-        // Provide more specific error messages
-        if (error.code === 'EMAIL_CONFIG_MISSING') {
-            throw new Error('Email service is not configured. Please contact the administrator.');
-        } else if (error.code === 'EAUTH' || error.responseCode === 535) {
-            throw new Error('Email authentication failed. Please check email credentials.');
-        } else if (error.code === 'ECONNECTION' || error.code === 'ETIMEDOUT' || error.code === 'ETIMEOUT') {
-            if (isBrevoForSMTP) {
-                throw new Error(`Brevo SMTP connection timeout: ${error.message}. This may indicate network issues or that Render is blocking SMTP connections. Consider using Brevo API (set BREVO_API_KEY) instead of SMTP for better reliability.`);
-            } else {
-                throw new Error('Email service connection timeout. Render may be blocking SMTP connections. Consider using a third-party email service like SendGrid or Mailgun.');
-            }
-        } else {
-            throw new Error(`Failed to send invitation email: ${error.message}`);
-        }
-    }
+export const sendInvitationEmail = async (email, childName, invitationToken, inviterName, locale) => {
+    const invitationLink = `${getFrontendUrl()}/parent/register?token=${invitationToken}`;
+    const message = renderEmail('parentInvitation', { childName, inviterName, invitationLink }, { locale });
+    return sendEmail({ to: email, ...message }, 'invitation email');
 };
 
 /**
@@ -518,414 +24,79 @@ export const sendInvitationEmail = async (email, childName, invitationToken, inv
  * @param {string} teacherName - Name of the teacher
  * @param {string} invitationToken - Unique invitation token
  * @param {string} inviterName - Name of the person sending the invitation
+ * @param {string} locale - Language for the email (see resolveLocale; default English)
  * @returns {Promise<Object>} Email send result
  */
-export const sendTeacherInvitationEmail = async (email, teacherName, invitationToken, inviterName) => {
-    // Create invitation link - prioritize production URL
-    const isProduction = process.env.NODE_ENV === 'production' || 
-                        process.env.RENDER || 
-                        !process.env.FRONTEND_URL?.includes('localhost');
-    
-    let baseUrl = process.env.FRONTEND_URL;
-    
-    // If no FRONTEND_URL is set in production, use the production frontend URL
-    if (!baseUrl || (isProduction && baseUrl.includes('localhost'))) {
-        baseUrl = 'https://bainum-frontend-prod.vercel.app';
-    }
-    
-    // Ensure baseUrl doesn't have trailing slash
-    baseUrl = baseUrl.replace(/\/$/, '');
-    
-    const invitationLink = `${baseUrl}/teacher/register?token=${invitationToken}`;
-
-    // Check if Brevo is configured (prioritize over Resend if set)
-    const emailServiceTeacherResend = process.env.EMAIL_SERVICE?.toLowerCase();
-    const isBrevoTeacherResend = emailServiceTeacherResend === 'brevo';
-    const hasBrevoApiTeacher = !!brevoApi;
-    
-    // If Brevo API is available, use it (preferred over SMTP)
-    if (isBrevoTeacherResend && hasBrevoApiTeacher) {
-        console.log('Using Brevo API to send teacher invitation email');
-        try {
-            const fromEmail = process.env.EMAIL_FROM_EMAIL?.trim() || process.env.EMAIL_USER?.trim() || 'noreply@bainumproject.com';
-            const fromName = process.env.EMAIL_FROM_NAME || 'Bainum Project';
-            
-            const sendSmtpEmail = new brevo.SendSmtpEmail();
-            sendSmtpEmail.subject = `Invitation to Join Bainum Project as a Teacher`;
-            sendSmtpEmail.htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-                        .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
-                        .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-                        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Teacher Invitation</h1>
-                        </div>
-                        <div class="content">
-                            <p>Hello ${teacherName},</p>
-                            <p>You have been invited by <strong>${inviterName}</strong> to join the Bainum Project as a teacher.</p>
-                            <p>Click the button below to create your account and get started:</p>
-                            <div style="text-align: center;">
-                                <a href="${invitationLink}" class="button">Accept Invitation</a>
-                            </div>
-                            <p>Or copy and paste this link into your browser:</p>
-                            <p style="word-break: break-all; color: #4F46E5;">${invitationLink}</p>
-                            <p><strong>Note:</strong> This invitation link will expire in 7 days.</p>
-                            <p>If you did not expect this invitation, please ignore this email.</p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message from the Bainum Project system.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `;
-            sendSmtpEmail.textContent = `
-                Teacher Invitation
-
-                Hello ${teacherName},
-
-                You have been invited by ${inviterName} to join the Bainum Project as a teacher.
-
-                Click the link below to create your account and get started:
-
-                ${invitationLink}
-
-                Note: This invitation link will expire in 7 days.
-
-                If you did not expect this invitation, please ignore this email.
-
-                This is an automated message from the Bainum Project system.
-            `;
-            sendSmtpEmail.sender = { name: fromName, email: fromEmail };
-            sendSmtpEmail.to = [{ email: email }];
-            
-            const data = await brevoApi.sendTransacEmail(sendSmtpEmail);
-            console.log('Teacher invitation email sent successfully via Brevo API:', {
-                to: email,
-                messageId: data.messageId
-            });
-            
-            return { success: true, messageId: data.messageId };
-        } catch (error) {
-            console.error('Brevo API error details for teacher invitation:', {
-                message: error.message,
-                response: error.response?.body,
-                status: error.status
-            });
-            throw new Error(`Failed to send teacher invitation email via Brevo API: ${error.message || 'Unknown error'}`);
-        }
-    }
-    
-    // If Brevo is explicitly configured, skip Resend entirely
-    if (isBrevoTeacherResend) {
-        console.log('Brevo is configured for teacher invitation, skipping Resend API');
-    } else if (resend) {
-        try {
-            const htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-                        .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
-                        .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-                        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Teacher Invitation</h1>
-                        </div>
-                        <div class="content">
-                            <p>Hello ${teacherName},</p>
-                            <p>You have been invited by <strong>${inviterName}</strong> to join the Bainum Project as a teacher.</p>
-                            <p>Click the button below to create your account and get started:</p>
-                            <div style="text-align: center;">
-                                <a href="${invitationLink}" class="button">Accept Invitation</a>
-                            </div>
-                            <p>Or copy and paste this link into your browser:</p>
-                            <p style="word-break: break-all; color: #4F46E5;">${invitationLink}</p>
-                            <p><strong>Note:</strong> This invitation link will expire in 7 days.</p>
-                            <p>If you did not expect this invitation, please ignore this email.</p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message from the Bainum Project system.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `;
-
-            const textContent = `
-                Teacher Invitation
-
-                Hello ${teacherName},
-
-                You have been invited by ${inviterName} to join the Bainum Project as a teacher.
-
-                Click the link below to create your account and get started:
-
-                ${invitationLink}
-
-                Note: This invitation link will expire in 7 days.
-
-                If you did not expect this invitation, please ignore this email.
-
-                This is an automated message from the Bainum Project system.
-            `;
-
-            // Resend requires a verified domain or using onboarding@resend.dev
-            // Never use Gmail or other free email domains with Resend - they're not allowed
-            // Always use onboarding@resend.dev if RESEND_FROM_EMAIL is not set
-            let fromEmail = process.env.RESEND_FROM_EMAIL;
-            if (!fromEmail) {
-                // Always use onboarding@resend.dev for free tier (can only send to your own email)
-                fromEmail = 'onboarding@resend.dev';
-            } else {
-                // Check if trying to use a free email domain (gmail.com, yahoo.com, etc.)
-                const freeEmailDomains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com'];
-                const emailDomain = fromEmail.split('@')[1]?.toLowerCase();
-                if (emailDomain && freeEmailDomains.includes(emailDomain)) {
-                    console.warn(`Resend does not allow free email domains like ${emailDomain}. Using onboarding@resend.dev instead.`);
-                    fromEmail = 'onboarding@resend.dev';
-                }
-            }
-            const fromName = process.env.EMAIL_FROM_NAME || 'Bainum Project';
-
-            console.log('Attempting to send teacher invitation via Resend:', {
-                from: `${fromName} <${fromEmail}>`,
-                to: email,
-                hasResend: !!resend,
-                fromEmail: fromEmail
-            });
-
-            const data = await resend.emails.send({
-                from: `${fromName} <${fromEmail}>`,
-                to: [email],
-                subject: `Invitation to Join Bainum Project as a Teacher`,
-                html: htmlContent,
-                text: textContent,
-            });
-
-            console.log('Resend API response for teacher invitation:', JSON.stringify(data, null, 2));
-
-            // Check for errors in response
-            if (data.error) {
-                throw new Error(`Resend API error: ${data.error.message || JSON.stringify(data.error)}`);
-            }
-
-            // Resend returns { id: '...' } on success
-            const emailId = data.id || data.data?.id;
-            
-            if (!emailId) {
-                console.error('Resend response missing ID:', data);
-                throw new Error(`Resend API returned unexpected response format. Response: ${JSON.stringify(data)}`);
-            }
-            
-            console.log('Teacher invitation email sent successfully via Resend:', {
-                to: email,
-                id: emailId
-            });
-            
-            return { success: true, messageId: emailId };
-        } catch (error) {
-            // Enhanced error logging
-            const errorInfo = {
-                message: error.message,
-                name: error.name,
-                status: error.status,
-                response: error.response,
-                data: error.data,
-                // Log full error for debugging
-                fullError: process.env.NODE_ENV === 'development' ? error : undefined
-            };
-            console.error('Resend API error details for teacher invitation:', errorInfo);
-            
-            // Check if it's a domain/email validation error
-            if (error.message?.includes('domain') || error.message?.includes('from') || error.message?.includes('sender')) {
-                throw new Error(`Resend email validation failed: ${error.message}. Please verify your domain in Resend or use onboarding@resend.dev.`);
-            }
-            
-            throw new Error(`Failed to send teacher invitation email via Resend: ${error.message || 'Unknown error'}`);
-        }
-    }
-
-    // Fallback to SMTP
-    // Brevo SMTP works on Render, but Gmail SMTP is blocked
-    const emailServiceTeacherSMTP = process.env.EMAIL_SERVICE?.toLowerCase();
-    const isBrevoTeacherSMTP = emailServiceTeacherSMTP === 'brevo';
-    const isProductionTeacher = process.env.NODE_ENV === 'production' || process.env.RENDER;
-    
-    console.log('Attempting to use SMTP for teacher invitation:', {
-        emailService: emailServiceTeacherSMTP,
-        isBrevo: isBrevoTeacherSMTP,
-        isProduction: isProductionTeacher,
-        hasResend: !!resend
-    });
-    
-    if (isProductionTeacher && !isBrevoTeacherSMTP && !resend) {
-        console.error('CRITICAL: Attempting to use Gmail SMTP in production without Resend API key.');
-        console.error('Gmail SMTP will likely fail on Render. Please set RESEND_API_KEY or use Brevo SMTP (EMAIL_SERVICE=brevo).');
-        throw new Error('Email service not configured for production. Please set RESEND_API_KEY or configure Brevo SMTP (EMAIL_SERVICE=brevo). Gmail SMTP connections are blocked on Render.');
-    }
-    
-    if (isBrevoTeacherSMTP) {
-        console.log('Using Brevo SMTP for teacher invitation email sending');
-    } else {
-        console.log('Using SMTP fallback for teacher invitation (local development only)');
-    }
-    let transporter;
-    try {
-        transporter = createTransporter();
-        
-        // Skip verification for Brevo in production to avoid timeout issues
-        // Brevo SMTP can timeout during verification but still work for sending
-        if (isBrevoTeacherSMTP && isProductionTeacher) {
-            console.log('Skipping SMTP verification for Brevo in production (will verify on first send)');
-        } else if (process.env.NODE_ENV === 'development') {
-            try {
-                await transporter.verify();
-            } catch (verifyError) {
-                console.error('Email transporter verification failed:', {
-                    code: verifyError.code,
-                    command: verifyError.command,
-                    response: verifyError.response,
-                    responseCode: verifyError.responseCode
-                });
-                throw new Error(`Email service connection failed: ${verifyError.message}. Please check your email credentials.`);
-            }
-        } else {
-            // In production, warn that SMTP may not work
-            console.warn('Using SMTP in production - this may fail due to network restrictions. Consider using Brevo API or Resend API.');
-        }
-
-        // Use EMAIL_FROM_EMAIL if set, otherwise use EMAIL_USER
-        const fromEmailTeacher = process.env.EMAIL_FROM_EMAIL?.trim() || process.env.EMAIL_USER?.trim();
-        const fromNameTeacher = process.env.EMAIL_FROM_NAME || 'Bainum Project';
-        
-        const mailOptions = {
-            from: `"${fromNameTeacher}" <${fromEmailTeacher}>`,
-            to: email,
-            subject: `Invitation to Join Bainum Project as a Teacher`,
-            html: `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-                        .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
-                        .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-                        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Teacher Invitation</h1>
-                        </div>
-                        <div class="content">
-                            <p>Hello ${teacherName},</p>
-                            <p>You have been invited by <strong>${inviterName}</strong> to join the Bainum Project as a teacher.</p>
-                            <p>Click the button below to create your account and get started:</p>
-                            <div style="text-align: center;">
-                                <a href="${invitationLink}" class="button">Accept Invitation</a>
-                            </div>
-                            <p>Or copy and paste this link into your browser:</p>
-                            <p style="word-break: break-all; color: #4F46E5;">${invitationLink}</p>
-                            <p><strong>Note:</strong> This invitation link will expire in 7 days.</p>
-                            <p>If you did not expect this invitation, please ignore this email.</p>
-                        </div>
-                        <div class="footer">
-                            <p>This is an automated message from the Bainum Project system.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `,
-            text: `
-                Teacher Invitation
-
-                Hello ${teacherName},
-
-                You have been invited by ${inviterName} to join the Bainum Project as a teacher.
-
-                Click the link below to create your account and get started:
-
-                ${invitationLink}
+export const sendTeacherInvitationEmail = async (email, teacherName, invitationToken, inviterName, locale) => {
+    const invitationLink = `${getFrontendUrl()}/teacher/register?token=${invitationToken}`;
+    const message = renderEmail('teacherInvitation', { teacherName, inviterName, invitationLink }, { locale });
+    return sendEmail({ to: email, ...message }, 'teacher invitation email');
+};
 
-                Note: This invitation link will expire in 7 days.
+/**
+ * Send a password reset link
+ * @param {string} email - Account email address
+ * @param {string} name - Account holder's name
+ * @param {string} resetToken - Single-use reset token
+ * @param {number} expiresInMinutes - How long the link works
+ * @param {string} locale - Language for the email (see resolveLocale; default English)
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendPasswordResetEmail = async (email, name, resetToken, expiresInMinutes, locale) => {
+    const resetLink = `${getFrontendUrl()}/reset-password?token=${resetToken}`;
+    const message = renderEmail('passwordReset', { name, resetLink, expiresInMinutes }, { locale });
+    return sendEmail({ to: email, ...message }, 'password reset email');
+};
 
-                If you did not expect this invitation, please ignore this email.
+/**
+ * Send an email address confirmation link
+ * @param {string} email - Address to confirm
+ * @param {string} name - Account holder's name
+ * @param {string} verificationToken - Single-use verification token
+ * @param {number} expiresInHours - How long the link works
+ * @param {string} locale - Language for the email (see resolveLocale; default English)
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendVerificationEmail = async (email, name, verificationToken, expiresInHours, locale) => {
+    const verificationLink = `${getFrontendUrl()}/verify-email?token=${verificationToken}`;
+    const message = renderEmail('emailVerification', { name, verificationLink, expiresInHours }, { locale });
+    return sendEmail({ to: email, ...message }, 'verification email');
+};
 
-                This is an automated message from the Bainum Project system.
-            `
-        };
+/**
+ * Tell an account holder their account was locked after failed sign-in attempts
+ * @param {string} email - Account email
+ * @param {string} name - Account holder's name
+ * @param {number} lockoutMinutes - How long the lock lasts
+ * @param {string} locale - Language for the email (see resolveLocale; default English)
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendAccountLockedEmail = async (email, name, lockoutMinutes, locale) => {
+    const forgotPasswordLink = `${getFrontendUrl()}/forgot-password`;
+    const message = renderEmail('accountLocked', { name, lockoutMinutes, forgotPasswordLink }, { locale });
+    return sendEmail({ to: email, ...message }, 'account locked email');
+};
 
-        const info = await transporter.sendMail(mailOptions);
-        console.log('Teacher invitation email sent successfully:', {
-            to: email,
-            messageId: info.messageId,
-            response: info.response
-        });
-        return { success: true, messageId: info.messageId };
-    } catch (error) {
-        // Enhanced error logging for debugging
-        const errorDetails = {
-            message: error.message,
-            code: error.code,
-            command: error.command,
-            response: error.response,
-            responseCode: error.responseCode,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        };
-        console.error('Error sending teacher invitation email:', errorDetails);
-        
-        // Provide more specific error messages
-        if (error.code === 'EMAIL_CONFIG_MISSING') {
-            throw new Error('Email service is not configured. Please contact the administrator.');
-        } else if (error.code === 'EAUTH' || error.responseCode === 535) {
-            throw new Error('Email authentication failed. Please check email credentials.');
-        } else if (error.code === 'ECONNECTION' || error.code === 'ETIMEDOUT' || error.code === 'ETIMEOUT') {
-            if (isBrevoTeacherSMTP) {
-                throw new Error(`Brevo SMTP connection timeout: ${error.message}. This may indicate network issues or that Render is blocking SMTP connections. Consider using Brevo API (set BREVO_API_KEY) instead of SMTP for better reliability.`);
-            } else {
-                throw new Error('Email service connection timeout. Render may be blocking SMTP connections. Consider using a third-party email service like SendGrid or Mailgun.');
-            }
-        } else {
-            throw new Error(`Failed to send teacher invitation email: ${error.message}`);
-        }
-    }
+/**
+ * Send a parent or teacher digest
+ * @param {string} email - Recipient's email address
+ * @param {Object} message - { subject, html, text } rendered by lib/digests.js
+ * @param {string} kind - 'parent' or 'teacher'
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendDigestEmail = async (email, message, kind) => {
+    return sendEmail({ to: email, ...message }, `${kind} digest email`);
 };
 
 /**
  * Verify email configuration
- * @returns {Promise<boolean>} True if email is configured
+ * @returns {Promise<boolean>} True if at least one email provider is healthy
  */
 export const verifyEmailConfig = async () => {
     try {
-        if (!process.env.EMAIL_USER || (!process.env.EMAIL_PASSWORD && !process.env.EMAIL_APP_PASSWORD)) {
-            return false;
-        }
-        const transporter = createTransporter();
-        await transporter.verify();
-        return true;
+        const providers = await checkEmailProviders();
+        return providers.some(provider => provider.healthy);
     } catch (error) {
         return false;
     }
 };
-
@@ -0,0 +1,429 @@
+/**
+ * Email templates shared by invitations, digests and account emails.
+ *
+ * Templates are files in lib/email/templates/<locale>/:
+ *   <name>.html, <name>.txt   - HTML and plain-text parts
+ *   layout.html, layout.txt   - wrap every message (header, content, footer)
+ *   strings.json              - subjects, titles and score labels
+ * A template without its own HTML part in a locale is sent in English, and
+ * strings missing from a locale's strings.json come from English, so a new
+ * locale can start with only the emails families need.
+ *
+ * Files use a small Mustache subset:
+ *   {{name}}, {{a.b}}        value (HTML-escaped in .html files)
+ *   {{{name}}}               value without escaping
+ *   {{#name}}...{{/name}}    once per item of a list, or once if truthy
+ *   {{^name}}...{{/name}}    only if falsy or an empty list
+ *   {{.}}                    the current list item
+ * Each template's view() turns the caller's data into those values
+ * (formatted dates, score rows, localized labels).
+ */
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMPLATE_DIR = path.join(__dirname, 'email', 'templates');
+
+const PRODUCTION_FRONTEND_URL = 'https://bainum-frontend-prod.vercel.app';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Every directory under lib/email/templates is a locale
+export const SUPPORTED_LOCALES = fs.readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+// Child.primaryLanguage is free text; languages without templates yet fall back to English
+const LANGUAGE_LOCALES = {
+    english: 'en',
+    spanish: 'es',
+    'español': 'es',
+    espanol: 'es',
+    castellano: 'es',
+    french: 'fr',
+    'français': 'fr',
+    portuguese: 'pt',
+    'português': 'pt',
+    chinese: 'zh',
+    mandarin: 'zh',
+    vietnamese: 'vi',
+    arabic: 'ar',
+    korean: 'ko'
+};
+
+// Parsed files are cached in production; elsewhere edits show up on the next render
+const cache = new Map();
+
+/**
+ * Escape a value for HTML
+ * @param {*} value - Value to interpolate
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Frontend base URL for links in emails (no trailing slash)
+ * Falls back to the production frontend when FRONTEND_URL is unset or points at localhost in production.
+ * @returns {string} Base URL
+ */
+export const getFrontendUrl = () => {
+    const isProduction = process.env.NODE_ENV === 'production' ||
+                        process.env.RENDER ||
+                        !process.env.FRONTEND_URL?.includes('localhost');
+
+    let baseUrl = process.env.FRONTEND_URL;
+    if (!baseUrl || (isProduction && baseUrl.includes('localhost'))) {
+        baseUrl = PRODUCTION_FRONTEND_URL;
+    }
+    return baseUrl.replace(/\/$/, '');
+};
+
+/**
+ * Pick the first supported locale from the candidates
+ * @param {...string} candidates - Locale codes ('es', 'es-MX') or language names ('Spanish'), most specific first
+ * @returns {string} Supported locale (DEFAULT_LOCALE if none match)
+ */
+export const resolveLocale = (...candidates) => {
+    for (const candidate of candidates) {
+        if (typeof candidate !== 'string' || !candidate.trim()) {
+            continue;
+        }
+        const value = candidate.trim().toLowerCase();
+        const locale = LANGUAGE_LOCALES[value] || value.split(/[-_]/)[0];
+        if (SUPPORTED_LOCALES.includes(locale)) {
+            return locale;
+        }
+    }
+    return DEFAULT_LOCALE;
+};
+
+/**
+ * Parse a template into text and tag nodes
+ * @private
+ */
+const parse = (source, file) => {
+    // A section tag alone on its line doesn't leave a blank line behind
+    const trimmed = source.replace(/^[ \t]*(\{\{\s*[#^/][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+    const root = { children: [] };
+    const stack = [root];
+    const tag = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+    let last = 0;
+
+    for (const match of trimmed.matchAll(tag)) {
+        const current = stack[stack.length - 1];
+        if (match.index > last) {
+            current.children.push(trimmed.slice(last, match.index));
+        }
+        last = match.index + match[0].length;
+
+        const [, rawName, kind, name] = match;
+        if (rawName) {
+            current.children.push({ type: 'raw', name: rawName });
+        } else if (kind === '#' || kind === '^') {
+            const section = { type: kind === '#' ? 'section' : 'inverted', name, children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (kind === '/') {
+            if (current.name !== name) {
+                throw new Error(`Unexpected {{/${name}}} in email template ${file}`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'value', name });
+        }
+    }
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}} in email template ${file}`);
+    }
+    if (last < trimmed.length) {
+        root.children.push(trimmed.slice(last));
+    }
+    return root.children;
+};
+
+/**
+ * Look a name up in the innermost context that has it
+ * @private
+ */
+const lookup = (name, contexts) => {
+    if (name === '.') {
+        return contexts[0];
+    }
+    const [first, ...rest] = name.split('.');
+    const context = contexts.find(value => value !== null && typeof value === 'object' && first in value);
+    return rest.reduce((value, key) => value?.[key], context?.[first]);
+};
+
+/**
+ * @private
+ */
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+    if (typeof node === 'string') {
+        return node;
+    }
+    const value = lookup(node.name, contexts);
+    switch (node.type) {
+        case 'value':
+            return escape ? escapeHtml(value) : String(value ?? '');
+        case 'raw':
+            return String(value ?? '');
+        case 'section':
+            if (Array.isArray(value)) {
+                return value.map(item => renderNodes(node.children, [item, ...contexts], escape)).join('');
+            }
+            if (!value) {
+                return '';
+            }
+            return renderNodes(node.children, typeof value === 'object' ? [value, ...contexts] : contexts, escape);
+        default:
+            return (!value || (Array.isArray(value) && value.length === 0))
+                ? renderNodes(node.children, contexts, escape)
+                : '';
+    }
+}).join('');
+
+/**
+ * Read and parse a file, or null if the locale doesn't have it
+ * @private
+ */
+const loadFile = (locale, file, parseFile) => {
+    const filePath = path.join(TEMPLATE_DIR, locale, file);
+    if (cache.has(filePath)) {
+        return cache.get(filePath);
+    }
+    const source = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    const loaded = source === null ? null : parseFile(source, `${locale}/${file}`);
+    if (process.env.NODE_ENV === 'production') {
+        cache.set(filePath, loaded);
+    }
+    return loaded;
+};
+
+/**
+ * A template file in the locale, falling back to English
+ * @private
+ */
+const loadTemplate = (locale, file) => {
+    const nodes = loadFile(locale, file, parse) || loadFile(DEFAULT_LOCALE, file, parse);
+    if (!nodes) {
+        throw new Error(`Missing email template file: ${file}`);
+    }
+    return nodes;
+};
+
+/**
+ * strings.json for the locale, with missing entries taken from English
+ * @private
+ */
+const loadStrings = (locale) => {
+    const read = (name) => loadFile(name, 'strings.json', JSON.parse) || {};
+    const fallback = read(DEFAULT_LOCALE);
+    const strings = locale === DEFAULT_LOCALE ? {} : read(locale);
+    return Object.fromEntries(Object.keys(fallback).map(group => [group, { ...fallback[group], ...strings[group] }]));
+};
+
+const renderString = (template, data) => renderNodes(parse(template, 'strings.json'), [data], false);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatDelta = (value) => (value === null || value === undefined ? null : `${value >= 0 ? '+' : ''}${value}`);
+
+const scoreFields = (strings) => Object.keys(strings.scoreLabels);
+
+const TEMPLATES = {
+    /**
+     * Data: { childName, inviterName, invitationLink }
+     */
+    parentInvitation: {
+        view: (data) => data,
+        sample: {
+            childName: 'Alex Rivera',
+            inviterName: 'Ms. Johnson',
+            invitationLink: `${getFrontendUrl()}/parent/register?token=sample-token`
+        }
+    },
+
+    /**
+     * Data: { teacherName, inviterName, invitationLink }
+     */
+    teacherInvitation: {
+        view: (data) => data,
+        sample: {
+            teacherName: 'Jordan Lee',
+            inviterName: 'Administrator',
+            invitationLink: `${getFrontendUrl()}/teacher/register?token=sample-token`
+        }
+    },
+
+    /**
+     * Data: { parentName, childName, periodStart, periodEnd, assessments: [{ date, scores }],
+     *         notes: [{ author, content, date }], dashboardLink, unsubscribeLink }
+     */
+    parentDigest: {
+        view: (data, strings) => {
+            const fields = scoreFields(strings);
+            return {
+                ...data,
+                periodStart: formatDate(data.periodStart),
+                periodEnd: formatDate(data.periodEnd),
+                scoreLabels: fields.map(field => strings.scoreLabels[field]),
+                assessmentCount: data.assessments.length,
+                assessments: data.assessments.map(assessment => ({
+                    date: formatDate(assessment.date),
+                    scores: fields.map((field, index) => ({
+                        label: strings.scoreLabels[field],
+                        value: Math.round(assessment.scores[field] || 0),
+                        last: index === fields.length - 1
+                    }))
+                })),
+                noteCount: data.notes.length,
+                notes: data.notes.map(note => ({ ...note, date: formatDate(note.date) }))
+            };
+        },
+        sample: {
+            parentName: 'Maria Rivera',
+            childName: 'Alex Rivera',
+            periodStart: '2024-03-04',
+            periodEnd: '2024-03-10',
+            assessments: [
+                { date: '2024-03-05', scores: { scienceTalk: 42, socialTalk: 55, literatureTalk: 38, languageDevelopment: 61 } },
+                { date: '2024-03-08', scores: { scienceTalk: 47, socialTalk: 52, literatureTalk: 44, languageDevelopment: 63 } }
+            ],
+            notes: [{ author: 'Ms. Johnson', content: 'Alex told the class all about the seeds we planted.', date: '2024-03-06' }],
+            dashboardLink: `${getFrontendUrl()}/parent/dashboard`,
+            unsubscribeLink: `${getFrontendUrl()}/unsubscribe?token=sample-token`
+        }
+    },
+
+    /**
+     * Data: { teacherName, periodStart, periodEnd, count, averages, deltas (null without a previous week),
+     *         dashboardLink, unsubscribeLink }
+     */
+    teacherDigest: {
+        view: (data, strings) => ({
+            ...data,
+            periodStart: formatDate(data.periodStart),
+            periodEnd: formatDate(data.periodEnd),
+            singular: data.count === 1,
+            hasPrevious: Boolean(data.deltas),
+            rows: scoreFields(strings).map(field => ({
+                label: strings.scoreLabels[field],
+                average: data.averages[field],
+                change: data.deltas ? formatDelta(data.deltas[field]) : null
+            }))
+        }),
+        sample: {
+            teacherName: 'Jordan Lee',
+            periodStart: '2024-03-04',
+            periodEnd: '2024-03-10',
+            count: 12,
+            averages: { scienceTalk: 45.2, socialTalk: 51.8, literatureTalk: 40.1, languageDevelopment: 58.3 },
+            deltas: { scienceTalk: 2.4, socialTalk: -1.1, literatureTalk: 0, languageDevelopment: 3.7 },
+            dashboardLink: `${getFrontendUrl()}/teacher/dashboard`,
+            unsubscribeLink: `${getFrontendUrl()}/unsubscribe?token=sample-token`
+        }
+    },
+
+    /**
+     * Data: { name, resetLink, expiresInMinutes }
+     */
+    passwordReset: {
+        view: (data) => data,
+        sample: {
+            name: 'Jordan Lee',
+            resetLink: `${getFrontendUrl()}/reset-password?token=sample-token`,
+            expiresInMinutes: 60
+        }
+    },
+
+    /**
+     * Data: { name, verificationLink, expiresInHours }
+     */
+    emailVerification: {
+        view: (data) => data,
+        sample: {
+            name: 'Maria Rivera',
+            verificationLink: `${getFrontendUrl()}/verify-email?token=sample-token`,
+            expiresInHours: 48
+        }
+    },
+
+    /**
+     * Data: { name, lockoutMinutes, forgotPasswordLink }
+     */
+    accountLocked: {
+        view: (data) => data,
+        sample: {
+            name: 'Jordan Lee',
+            lockoutMinutes: 15,
+            forgotPasswordLink: `${getFrontendUrl()}/forgot-password`
+        }
+    }
+};
+
+export const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Locales that have their own HTML part for a template (others fall back to English)
+ * @param {string} name - One of TEMPLATE_NAMES
+ * @returns {Array<string>} Locales
+ */
+export const getTemplateLocales = (name) => SUPPORTED_LOCALES
+    .filter(locale => fs.existsSync(path.join(TEMPLATE_DIR, locale, `${name}.html`)));
+
+/**
+ * Sample data for previewing a template
+ * @param {string} name - One of TEMPLATE_NAMES
+ * @returns {Object} Data for renderEmail
+ */
+export const getSampleData = (name) => structuredClone(TEMPLATES[name]?.sample || {});
+
+/**
+ * Render a template
+ * @param {string} name - One of TEMPLATE_NAMES
+ * @param {Object} data - Template data
+ * @param {Object} options - { locale } (anything resolveLocale accepts; default English)
+ * @returns {Object} { subject, html, text, locale } (locale actually used)
+ */
+export const renderEmail = (name, data = {}, options = {}) => {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const requested = resolveLocale(options.locale);
+    const locale = getTemplateLocales(name).includes(requested) ? requested : DEFAULT_LOCALE;
+    const strings = loadStrings(locale);
+    const view = template.view(data, strings);
+    const layout = {
+        lang: locale,
+        title: renderString(strings.titles[name] || '', view),
+        unsubscribeLink: view.unsubscribeLink
+    };
+
+    return {
+        subject: renderString(strings.subjects[name] || '', view),
+        html: renderNodes(loadTemplate(locale, 'layout.html'), [{
+            ...layout,
+            body: renderNodes(loadTemplate(locale, `${name}.html`), [view], true)
+        }], true),
+        text: renderNodes(loadTemplate(locale, 'layout.txt'), [{
+            ...layout,
+            body: renderNodes(loadTemplate(locale, `${name}.txt`), [view], false).trimEnd()
+        }], false),
+        locale
+    };
+};
@@ -0,0 +1,86 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Invitation from "../models/Invitation.js";
+import TeacherInvitation from "../models/TeacherInvitation.js";
+
+dotenv.config();
+
+/**
+ * Periodic expiry of invitations.
+ *
+ * Parent and teacher invitations stay `pending` until someone opens them, so
+ * lists would show long-dead invitations as outstanding. The sweep marks every
+ * pending invitation past its `expiresAt` as `expired`; resending one makes it
+ * pending again with a new token.
+ */
+class InvitationSweeper {
+    constructor(options = {}) {
+        this.sweepInterval = options.sweepInterval ||
+            parseInt(process.env.INVITATION_SWEEP_INTERVAL_MS || "3600000", 10);
+
+        this.timer = null;
+        this.sweeping = false;
+    }
+
+    /**
+     * Run a sweep now and then every sweep interval
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        console.log(`Invitation expiry sweep scheduled every ${Math.round(this.sweepInterval / 60000)} minutes`);
+        this.timer = setInterval(() => this._run(), this.sweepInterval);
+        // Don't keep the process alive just for the sweep
+        this.timer.unref?.();
+        setTimeout(() => this._run(), 60000).unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _run() {
+        if (this.sweeping || mongoose.connection.readyState !== 1) {
+            return;
+        }
+        try {
+            await this.sweep();
+        } catch (error) {
+            console.error("Invitation expiry sweep failed:", error.message);
+        }
+    }
+
+    /**
+     * Expire every overdue pending invitation
+     * @param {Object} options - { now } (for testing)
+     * @returns {Promise<Object>} { parents, teachers } expired counts
+     */
+    async sweep(options = {}) {
+        this.sweeping = true;
+        try {
+            const now = options.now || new Date();
+            const expired = {
+                parents: await Invitation.expireOverdue(now),
+                teachers: await TeacherInvitation.expireOverdue(now)
+            };
+            if (expired.parents || expired.teachers) {
+                console.log(`Invitation expiry sweep: ${expired.parents} parent, ${expired.teachers} teacher invitation(s) expired`);
+            }
+            return expired;
+        } finally {
+            this.sweeping = false;
+        }
+    }
+}
+
+// Export singleton instance
+const invitationSweeper = new InvitationSweeper();
+export { InvitationSweeper };
+export default invitationSweeper;
@@ -0,0 +1,293 @@
+import dotenv from "dotenv";
+import { redis } from "../config/upstash.js";
+
+dotenv.config();
+
+/**
+ * Failed-login tracking per account (email) and per IP address.
+ *
+ * After a few failures each further attempt has to wait, twice as long each
+ * time. An account that reaches `maxFailures` within the failure window is
+ * locked for `lockoutMinutes`; an IP that reaches `ipMaxFailures` is blocked
+ * for the rest of the window. Counters live in Redis when Upstash is
+ * configured (so every instance sees them) and in memory otherwise.
+ *
+ * Accounts are tracked by email whether or not they exist, so responses
+ * don't reveal which emails have accounts.
+ */
+
+// Failures allowed before attempts are delayed
+const FREE_ACCOUNT_FAILURES = 2;
+const MAX_DELAY_MS = 30 * 1000;
+
+// Memory store: how often expired counters are swept, and how many are kept at most
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_MEMORY_ENTRIES = 100000;
+
+/**
+ * Counters in process memory (single instance, lost on restart)
+ * Expired counters are swept as new ones are written, and the oldest are
+ * dropped past `maxEntries`, so failures with random emails can't grow it without bound.
+ */
+class MemoryStore {
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.maxEntries = options.maxEntries || MAX_MEMORY_ENTRIES;
+        this.lastSweep = Date.now();
+    }
+
+    _live(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    _sweep(now) {
+        if (now - this.lastSweep < SWEEP_INTERVAL_MS) {
+            return;
+        }
+        this.lastSweep = now;
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    _write(key, value, ttlMs) {
+        const now = Date.now();
+        this._sweep(now);
+        // Re-inserted so the Map stays in write order (oldest first)
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: now + ttlMs });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async incr(key, ttlMs) {
+        const entry = this._live(key);
+        if (entry) {
+            entry.value += 1;
+            return entry.value;
+        }
+        this._write(key, 1, ttlMs);
+        return 1;
+    }
+
+    async get(key) {
+        return this._live(key)?.value ?? null;
+    }
+
+    async set(key, value, ttlMs) {
+        this._write(key, value, ttlMs);
+    }
+
+    async del(...keys) {
+        keys.forEach(key => this.entries.delete(key));
+    }
+}
+
+/**
+ * Counters in Upstash Redis
+ */
+class RedisStore {
+    constructor(client) {
+        this.redis = client;
+    }
+
+    async incr(key, ttlMs) {
+        const value = await this.redis.incr(key);
+        // The window starts at the first failure
+        if (value === 1) {
+            await this.redis.pexpire(key, ttlMs);
+        }
+        return value;
+    }
+
+    async get(key) {
+        const value = await this.redis.get(key);
+        return value === null || value === undefined ? null : Number(value);
+    }
+
+    async set(key, value, ttlMs) {
+        await this.redis.set(key, value, { px: ttlMs });
+    }
+
+    async del(...keys) {
+        await this.redis.del(...keys);
+    }
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+class LoginThrottle {
+    constructor(options = {}) {
+        this.maxFailures = options.maxFailures ||
+            parseInt(process.env.LOGIN_MAX_FAILURES || "5", 10);
+        this.lockoutMs = (options.lockoutMinutes ||
+            parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15", 10)) * 60 * 1000;
+        this.windowMs = (options.windowMinutes ||
+            parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || "15", 10)) * 60 * 1000;
+        this.ipMaxFailures = options.ipMaxFailures ||
+            parseInt(process.env.LOGIN_IP_MAX_FAILURES || "50", 10);
+
+        this.store = options.store || (redis ? new RedisStore(redis) : new MemoryStore());
+    }
+
+    _keys(email, ip) {
+        const account = normalizeEmail(email);
+        return {
+            accountFailures: `login:failures:account:${account}`,
+            accountWait: `login:wait:account:${account}`,
+            lock: `login:lock:${account}`,
+            ipFailures: `login:failures:ip:${ip || 'unknown'}`,
+            ipWait: `login:wait:ip:${ip || 'unknown'}`
+        };
+    }
+
+    /**
+     * Wait before the next attempt after this many failures
+     * @private
+     */
+    _delayMs(failures, freeFailures) {
+        if (failures <= freeFailures) {
+            return 0;
+        }
+        return Math.min(1000 * 2 ** (failures - freeFailures - 1), MAX_DELAY_MS);
+    }
+
+    /**
+     * Whether a login attempt may go ahead
+     * Fails open: if the store can't be reached, attempts are allowed.
+     * @param {Object} attempt - { email, ip }
+     * @returns {Promise<Object>} { allowed } or { allowed: false, reason: 'locked' | 'ip_blocked' | 'too_soon', retryAfter (seconds), lockedUntil }
+     */
+    async check({ email, ip }) {
+        try {
+            const keys = this._keys(email, ip);
+            const now = Date.now();
+
+            const lockedUntil = await this.store.get(keys.lock);
+            if (lockedUntil && lockedUntil > now) {
+                return this._blocked('locked', lockedUntil, now);
+            }
+
+            const ipFailures = await this.store.get(keys.ipFailures);
+            if (ipFailures && ipFailures >= this.ipMaxFailures) {
+                return { allowed: false, reason: 'ip_blocked', retryAfter: Math.ceil(this.windowMs / 1000) };
+            }
+
+            for (const waitKey of [keys.accountWait, keys.ipWait]) {
+                const nextAttemptAt = await this.store.get(waitKey);
+                if (nextAttemptAt && nextAttemptAt > now) {
+                    return this._blocked('too_soon', nextAttemptAt, now);
+                }
+            }
+            return { allowed: true };
+        } catch (error) {
+            console.error("Login throttle check failed:", error.message);
+            return { allowed: true };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _blocked(reason, until, now) {
+        const result = { allowed: false, reason, retryAfter: Math.ceil((until - now) / 1000) };
+        if (reason === 'locked') {
+            result.lockedUntil = new Date(until);
+        }
+        return result;
+    }
+
+    /**
+     * Count a failed attempt, locking the account when it reaches the limit
+     * @param {Object} attempt - { email, ip }
+     * @returns {Promise<Object>} { failures, locked: true if this failure locked the account, lockedUntil, retryAfter }
+     */
+    async recordFailure({ email, ip }) {
+        try {
+            const keys = this._keys(email, ip);
+            const now = Date.now();
+
+            const failures = await this.store.incr(keys.accountFailures, this.windowMs);
+            const ipFailures = await this.store.incr(keys.ipFailures, this.windowMs);
+
+            if (failures >= this.maxFailures) {
+                const lockedUntil = now + this.lockoutMs;
+                await this.store.set(keys.lock, lockedUntil, this.lockoutMs);
+                // Start counting afresh once the lock ends
+                await this.store.del(keys.accountFailures, keys.accountWait);
+                return { failures, locked: true, ...this._blocked('locked', lockedUntil, now) };
+            }
+
+            const accountDelay = this._delayMs(failures, FREE_ACCOUNT_FAILURES);
+            if (accountDelay) {
+                await this.store.set(keys.accountWait, now + accountDelay, accountDelay);
+            }
+            // Shared addresses (a center's network) get more room before they are slowed down
+            const ipDelay = this._delayMs(ipFailures, Math.floor(this.ipMaxFailures / 2));
+            if (ipDelay) {
+                await this.store.set(keys.ipWait, now + ipDelay, ipDelay);
+            }
+            return { failures, locked: false };
+        } catch (error) {
+            console.error("Login throttle update failed:", error.message);
+            return { failures: 0, locked: false };
+        }
+    }
+
+    /**
+     * Clear an account's failures after a successful login
+     * The IP's failures are kept, so one working password doesn't reset guessing at others.
+     * @param {Object} attempt - { email, ip }
+     */
+    async recordSuccess({ email, ip }) {
+        try {
+            const keys = this._keys(email, ip);
+            await this.store.del(keys.accountFailures, keys.accountWait);
+        } catch (error) {
+            console.error("Login throttle update failed:", error.message);
+        }
+    }
+
+    /**
+     * Current state for an account
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} { failures, lockedUntil }
+     */
+    async getStatus(email) {
+        const keys = this._keys(email);
+        const lockedUntil = await this.store.get(keys.lock);
+        return {
+            failures: (await this.store.get(keys.accountFailures)) || 0,
+            lockedUntil: lockedUntil && lockedUntil > Date.now() ? new Date(lockedUntil) : null
+        };
+    }
+
+    /**
+     * Lift an account's lockout and clear its failures (and optionally an IP's)
+     * @param {string} email - Account email
+     * @param {string} ip - IP address to clear as well (optional)
+     * @returns {Promise<boolean>} True if the account was locked
+     */
+    async unlock(email, ip) {
+        const keys = this._keys(email, ip);
+        const { lockedUntil } = await this.getStatus(email);
+        await this.store.del(keys.lock, keys.accountFailures, keys.accountWait);
+        if (ip) {
+            await this.store.del(keys.ipFailures, keys.ipWait);
+        }
+        return !!lockedUntil;
+    }
+}
+
+// Export singleton instance
+const loginThrottle = new LoginThrottle();
+export { LoginThrottle, MemoryStore };
+export default loginThrottle;
@@ -0,0 +1,209 @@
+/**
+ * Two-factor authentication for admin and teacher accounts.
+ *
+ * Setting up stores a new TOTP secret as pending; confirming it with a code
+ * from the authenticator app turns 2FA on and hands out single-use recovery
+ * codes. Once on, login answers a correct password with a short-lived
+ * `mfa_challenge` token instead of a session, and POST /api/auth/login/mfa
+ * swaps it plus a code for the session. When the security policy requires
+ * 2FA for admins, an admin without it gets an `mfa_enrollment` token that
+ * only works for setting 2FA up.
+ *
+ * Secrets are encrypted with MFA_ENCRYPTION_KEY (default: JWT_SECRET);
+ * recovery codes are stored hashed.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { findAccount } from "./accounts.js";
+import { generateSecret, verifyCode, buildOtpauthUri } from "./totp.js";
+
+dotenv.config();
+
+export const MFA_ROLES = ['admin', 'teacher'];
+export const MFA_TOKEN_PURPOSES = ['mfa_challenge', 'mfa_enrollment'];
+export const RECOVERY_CODE_COUNT = 10;
+
+// Projection that loads the fields left out of queries by default
+export const MFA_SECRET_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.recoveryCodeHashes +mfa.lastUsedStep';
+
+const MFA_TOKEN_EXPIRES_IN = '10m';
+
+const getIssuer = () => process.env.MFA_ISSUER || 'Bainum Project';
+
+const getEncryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext, base64
+ */
+export const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} Base32 secret
+ */
+export const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Replace an account's recovery codes (the caller saves the account)
+ * @param {Object} account - Account loaded with MFA_SECRET_FIELDS
+ * @returns {string[]} The new codes, shown to the user once
+ */
+export const generateRecoveryCodes = (account) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    account.mfa.recoveryCodeHashes = codes.map(hashRecoveryCode);
+    return codes;
+};
+
+/**
+ * Start setting up 2FA: store a pending secret
+ * @param {Object} account - Account loaded with MFA_SECRET_FIELDS
+ * @returns {Promise<Object>} { secret, otpauthUri } for the authenticator app
+ */
+export const beginEnrollment = async (account) => {
+    const secret = generateSecret();
+    account.mfa.pendingSecret = encryptSecret(secret);
+    await account.save();
+    return { secret, otpauthUri: buildOtpauthUri(secret, account.email, getIssuer()) };
+};
+
+/**
+ * Finish setting up 2FA with a code from the app
+ * @param {Object} account - Account loaded with MFA_SECRET_FIELDS
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong
+ */
+export const completeEnrollment = async (account, code) => {
+    const secret = decryptSecret(account.mfa.pendingSecret);
+    const step = verifyCode(secret, code);
+    if (step === null) {
+        return null;
+    }
+    account.mfa.secret = account.mfa.pendingSecret;
+    account.mfa.pendingSecret = null;
+    account.mfa.enabled = true;
+    account.mfa.enabledAt = new Date();
+    account.mfa.lastUsedStep = step;
+    const recoveryCodes = generateRecoveryCodes(account);
+    await account.save();
+    return recoveryCodes;
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {Object} account - Account loaded with MFA_SECRET_FIELDS
+ * @returns {Promise<Object>} The saved account
+ */
+export const disableMfa = (account) => {
+    account.mfa.enabled = false;
+    account.mfa.enabledAt = null;
+    account.mfa.secret = null;
+    account.mfa.pendingSecret = null;
+    account.mfa.recoveryCodeHashes = [];
+    account.mfa.lastUsedStep = null;
+    return account.save();
+};
+
+/**
+ * Check a second factor: a code from the app, or a recovery code (used up)
+ * Each app code works once; the checks are atomic so two requests can't both use one.
+ * @param {Object} account - Account loaded with MFA_SECRET_FIELDS
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null if not accepted
+ */
+export const verifySecondFactor = async (account, { code, recoveryCode }) => {
+    if (!account.mfa?.enabled || !account.mfa.secret) {
+        return null;
+    }
+    const Model = account.constructor;
+
+    if (code) {
+        const step = verifyCode(decryptSecret(account.mfa.secret), code);
+        if (step === null) {
+            return null;
+        }
+        const result = await Model.updateOne(
+            { _id: account._id, $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }] },
+            { $set: { 'mfa.lastUsedStep': step } }
+        );
+        return result.modifiedCount > 0 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const result = await Model.updateOne(
+            { _id: account._id, 'mfa.recoveryCodeHashes': hash },
+            { $pull: { 'mfa.recoveryCodeHashes': hash } }
+        );
+        if (result.modifiedCount > 0) {
+            account.mfa.recoveryCodeHashes = account.mfa.recoveryCodeHashes.filter(h => h !== hash);
+            return 'recovery';
+        }
+    }
+    return null;
+};
+
+/**
+ * Sign the interim token login hands out instead of a session
+ * @param {Object} account - Account document
+ * @param {string} purpose - One of MFA_TOKEN_PURPOSES
+ * @returns {string} JWT
+ */
+export const signMfaToken = (account, purpose) => jwt.sign(
+    {
+        id: account._id.toString(),
+        email: account.email,
+        role: account.role,
+        tokenVersion: account.tokenVersion || 0,
+        purpose
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Load the account an interim token was issued to
+ * @param {string} token - Token from signMfaToken
+ * @param {string} purpose - Purpose it must have been issued for
+ * @param {string} projection - Fields to load (optional)
+ * @returns {Promise<Object|null>} Account, or null if the token is invalid, expired or out of date
+ */
+export const verifyMfaToken = async (token, purpose, projection) => {
+    let claims;
+    try {
+        claims = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    if (claims.purpose !== purpose) {
+        return null;
+    }
+    const account = await findAccount(claims.role, claims.id, projection);
+    if (!account || account.deactivatedAt || (account.tokenVersion || 0) !== (claims.tokenVersion || 0)) {
+        return null;
+    }
+    return account;
+};
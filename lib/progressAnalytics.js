@@ -0,0 +1,299 @@
+/**
+ * Longitudinal progress over assessments.
+ *
+ * Assessments are grouped into weekly (ISO, Monday-based, UTC) or monthly
+ * buckets by their `date`. Each bucket gets average scores, keyword totals and
+ * a rolling average over the preceding buckets; a least-squares slope over the
+ * bucket averages gives the trend direction, and a bucket that falls well
+ * below its rolling average is flagged as a significant drop.
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Assessment from "../models/Assessment.js";
+import { ACCEPTED_STATUS_FILTER } from "../models/schemas/reviewStatus.js";
+import { SCORE_FIELDS } from "./reclassification.js";
+import { parseRangeDate } from "./dateRange.js";
+
+dotenv.config();
+
+export const PROGRESS_INTERVALS = ['week', 'month'];
+
+const KEYWORD_FIELDS = ['science', 'social', 'literature', 'language'];
+
+// Points per interval below which a trend counts as stable
+const STABLE_SLOPE = parseFloat(process.env.PROGRESS_STABLE_SLOPE || "1");
+// Points below the rolling average that count as a significant drop
+const DROP_THRESHOLD = parseFloat(process.env.PROGRESS_DROP_THRESHOLD || "15");
+
+const DEFAULT_WINDOW = 3;
+const MAX_WINDOW = 12;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Parse progress query parameters
+ * `to` is exclusive; a date-only `to` includes that whole day (see lib/dateRange.js).
+ * @param {Object} query - { from, to, interval, window }
+ * @returns {Object} { from, to, interval, window } or { error }
+ */
+export const parseProgressOptions = (query = {}) => {
+    const interval = query.interval || 'week';
+    if (!PROGRESS_INTERVALS.includes(interval)) {
+        return { error: `interval must be one of: ${PROGRESS_INTERVALS.join(', ')}` };
+    }
+
+    const window = query.window === undefined ? DEFAULT_WINDOW : parseInt(query.window, 10);
+    if (isNaN(window) || window < 1 || window > MAX_WINDOW) {
+        return { error: `window must be between 1 and ${MAX_WINDOW}` };
+    }
+
+    const options = { interval, window, from: null, to: null };
+    for (const key of ['from', 'to']) {
+        if (!query[key]) {
+            continue;
+        }
+        const value = parseRangeDate(query[key], key);
+        if (!value) {
+            return { error: `Invalid ${key} date` };
+        }
+        options[key] = value;
+    }
+    if (options.from && options.to && options.from >= options.to) {
+        return { error: "from must be before to" };
+    }
+
+    return options;
+};
+
+/**
+ * Start (inclusive) and end (exclusive) of the bucket containing a date
+ * @param {Date} date - Assessment date
+ * @param {string} interval - 'week' or 'month'
+ * @returns {Object} { start, end }
+ */
+export const bucketBounds = (date, interval) => {
+    if (interval === 'month') {
+        const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+        const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+        return { start, end };
+    }
+
+    // ISO weeks start on Monday
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday));
+    const end = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
+    return { start, end };
+};
+
+/**
+ * Label for a bucket: ISO week ("2026-W03") or month ("2026-01")
+ * @private
+ */
+const bucketLabel = (start, interval) => {
+    if (interval === 'month') {
+        return `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`;
+    }
+    // The ISO week belongs to the year of its Thursday
+    const thursday = new Date(start.getTime() + 3 * 24 * 60 * 60 * 1000);
+    const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((thursday - yearStart) / (24 * 60 * 60 * 1000) + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Group assessments into time buckets with averages, keyword totals and rolling averages
+ * @param {Array} assessments - Objects with date, score fields and keywordCounts
+ * @param {Object} options - { interval, window }
+ * @returns {Array} Buckets in chronological order (empty periods are skipped)
+ */
+export const bucketAssessments = (assessments = [], options = {}) => {
+    const interval = options.interval || 'week';
+    const window = options.window || DEFAULT_WINDOW;
+    const buckets = new Map();
+
+    assessments.forEach(assessment => {
+        const date = new Date(assessment.date);
+        if (isNaN(date.getTime())) {
+            return;
+        }
+        const { start, end } = bucketBounds(date, interval);
+        const key = start.getTime();
+        if (!buckets.has(key)) {
+            const totals = {};
+            SCORE_FIELDS.forEach(field => { totals[field] = 0; });
+            const keywordCounts = {};
+            KEYWORD_FIELDS.forEach(field => { keywordCounts[field] = 0; });
+            buckets.set(key, { period: bucketLabel(start, interval), start, end, count: 0, totals, keywordCounts });
+        }
+
+        const bucket = buckets.get(key);
+        bucket.count++;
+        SCORE_FIELDS.forEach(field => {
+            bucket.totals[field] += assessment[field] || 0;
+        });
+        KEYWORD_FIELDS.forEach(field => {
+            bucket.keywordCounts[field] += assessment.keywordCounts?.[field] || 0;
+        });
+    });
+
+    const ordered = Array.from(buckets.values()).sort((a, b) => a.start - b.start);
+
+    ordered.forEach((bucket, index) => {
+        bucket.averages = {};
+        SCORE_FIELDS.forEach(field => {
+            bucket.averages[field] = round(bucket.totals[field] / bucket.count);
+        });
+        delete bucket.totals;
+
+        // Mean of this bucket and up to window - 1 preceding buckets
+        const recent = ordered.slice(Math.max(0, index - window + 1), index + 1);
+        bucket.rollingAverages = {};
+        SCORE_FIELDS.forEach(field => {
+            const sum = recent.reduce((total, entry) => total + entry.averages[field], 0);
+            bucket.rollingAverages[field] = round(sum / recent.length);
+        });
+    });
+
+    return ordered;
+};
+
+/**
+ * Least-squares slope of each score across buckets (points per interval)
+ * @param {Array} buckets - Output of bucketAssessments
+ * @returns {Object} Per score: { slope, direction, first, last, change }
+ */
+export const computeTrends = (buckets = []) => {
+    const trends = {};
+
+    SCORE_FIELDS.forEach(field => {
+        if (buckets.length === 0) {
+            trends[field] = { slope: 0, direction: 'insufficient-data', first: null, last: null, change: null };
+            return;
+        }
+
+        const values = buckets.map(bucket => bucket.averages[field]);
+        const first = values[0];
+        const last = values[values.length - 1];
+
+        if (values.length < 2) {
+            trends[field] = { slope: 0, direction: 'insufficient-data', first, last, change: 0 };
+            return;
+        }
+
+        const n = values.length;
+        const meanX = (n - 1) / 2;
+        const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+        let numerator = 0;
+        let denominator = 0;
+        values.forEach((value, x) => {
+            numerator += (x - meanX) * (value - meanY);
+            denominator += (x - meanX) ** 2;
+        });
+        const slope = numerator / denominator;
+
+        let direction = 'stable';
+        if (slope >= STABLE_SLOPE) {
+            direction = 'improving';
+        } else if (slope <= -STABLE_SLOPE) {
+            direction = 'declining';
+        }
+
+        trends[field] = { slope: round(slope), direction, first, last, change: round(last - first) };
+    });
+
+    return trends;
+};
+
+/**
+ * Flag buckets that fall well below the rolling average of the buckets before them
+ * @param {Array} buckets - Output of bucketAssessments
+ * @param {Object} options - { window, threshold }
+ * @returns {Array} [{ metric, period, start, baseline, value, drop }]
+ */
+export const detectDrops = (buckets = [], options = {}) => {
+    const window = options.window || DEFAULT_WINDOW;
+    const threshold = options.threshold ?? DROP_THRESHOLD;
+    const drops = [];
+
+    buckets.forEach((bucket, index) => {
+        if (index === 0) {
+            return;
+        }
+        const previous = buckets.slice(Math.max(0, index - window), index);
+        SCORE_FIELDS.forEach(field => {
+            const baseline = previous.reduce((sum, entry) => sum + entry.averages[field], 0) / previous.length;
+            const drop = baseline - bucket.averages[field];
+            if (drop >= threshold) {
+                drops.push({
+                    metric: field,
+                    period: bucket.period,
+                    start: bucket.start,
+                    baseline: round(baseline),
+                    value: bucket.averages[field],
+                    drop: round(drop)
+                });
+            }
+        });
+    });
+
+    return drops;
+};
+
+/**
+ * Build the progress report for a set of assessments
+ * @param {Array} assessments - Assessments (date, scores, keywordCounts)
+ * @param {Object} options - { interval, window }
+ * @returns {Object} { interval, window, totalAssessments, buckets, trends, drops }
+ */
+export const summarizeProgress = (assessments, options = {}) => {
+    const buckets = bucketAssessments(assessments, options);
+    return {
+        interval: options.interval || 'week',
+        window: options.window || DEFAULT_WINDOW,
+        totalAssessments: assessments.length,
+        buckets,
+        trends: computeTrends(buckets),
+        drops: detectDrops(buckets, options)
+    };
+};
+
+/**
+ * Mongo filter for accepted assessments in a date range
+ * @param {Object} base - Filter to extend (e.g. { childId })
+ * @param {Object} options - { from, to }
+ * @returns {Object} Filter
+ */
+export const buildProgressFilter = (base, options = {}) => {
+    const filter = { ...base, status: ACCEPTED_STATUS_FILTER };
+    if (options.from || options.to) {
+        filter.date = {};
+        if (options.from) {
+            filter.date.$gte = options.from;
+        }
+        if (options.to) {
+            filter.date.$lt = options.to;
+        }
+    }
+    return filter;
+};
+
+/**
+ * Progress report for one child
+ * @param {string} childId - Child ID
+ * @param {Object} options - Output of parseProgressOptions
+ * @returns {Promise<Object>} Progress report
+ */
+export const getChildProgress = async (childId, options = {}) => {
+    const assessments = await Assessment.find(
+        buildProgressFilter({ childId: new mongoose.Types.ObjectId(childId) }, options),
+        `date keywordCounts ${SCORE_FIELDS.join(' ')}`
+    ).sort({ date: 1 }).lean();
+
+    return {
+        childId,
+        from: options.from || null,
+        to: options.to || null,
+        ...summarizeProgress(assessments, options)
+    };
+};
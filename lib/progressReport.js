@@ -0,0 +1,338 @@
+/**
+ * Printable PDF progress report for a child.
+ *
+ * Rendered locally with PDFKit (built-in fonts, vector charts) - no external
+ * services. The report covers a period (default: the last 90 days) and has
+ * four parts: recent assessments, a trend chart per talk category (from
+ * lib/progressAnalytics.js buckets), example highlighted segments from
+ * `ragSegments`, and notes written about the child.
+ */
+
+import PDFDocument from "pdfkit";
+import mongoose from "mongoose";
+import Assessment from "../models/Assessment.js";
+import Note from "../models/Note.js";
+import { Teacher } from "../models/User.js";
+import { SCORE_FIELDS } from "./reclassification.js";
+import { summarizeProgress, buildProgressFilter } from "./progressAnalytics.js";
+
+const DEFAULT_PERIOD_DAYS = 90;
+const MAX_ASSESSMENT_ROWS = 12;
+const EXAMPLES_PER_CATEGORY = 2;
+const MAX_NOTES = 10;
+
+export const SCORE_LABELS = {
+    scienceTalk: 'Science Talk',
+    socialTalk: 'Social Talk',
+    literatureTalk: 'Literature Talk',
+    languageDevelopment: 'Language Development'
+};
+
+// ragSegments use the classifier's short category keys
+const SEGMENT_CATEGORIES = {
+    science: 'scienceTalk',
+    social: 'socialTalk',
+    literature: 'literatureTalk',
+    language: 'languageDevelopment'
+};
+
+const CHART_COLORS = {
+    scienceTalk: '#2b7bb9',
+    socialTalk: '#d9822b',
+    literatureTalk: '#3b9c5a',
+    languageDevelopment: '#8e5bb5'
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Default the report period to the last 90 days
+ * @param {Object} options - Output of parseProgressOptions
+ * @returns {Object} Options with from and to set
+ */
+export const reportPeriod = (options = {}) => {
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    return { ...options, from, to };
+};
+
+/**
+ * Pick up to `perCategory` highlighted segments per talk category, newest assessments first
+ * @param {Array} assessments - Assessments with ragSegments, oldest first
+ * @param {number} perCategory - Examples per category
+ * @returns {Object} Score field → [{ text, date, speaker }]
+ */
+export const pickExampleSegments = (assessments = [], perCategory = EXAMPLES_PER_CATEGORY) => {
+    const examples = {};
+    SCORE_FIELDS.forEach(field => { examples[field] = []; });
+
+    [...assessments].reverse().forEach(assessment => {
+        (assessment.ragSegments || []).forEach(segment => {
+            const field = SEGMENT_CATEGORIES[segment.category] || (SCORE_FIELDS.includes(segment.category) ? segment.category : null);
+            const text = (segment.text || '').trim();
+            if (!field || !text || examples[field].length >= perCategory) {
+                return;
+            }
+            examples[field].push({ text, date: assessment.date, speaker: segment.speaker || null });
+        });
+    });
+
+    return examples;
+};
+
+/**
+ * Gather everything the report shows
+ * @param {Object} child - Child document
+ * @param {Object} options - Output of parseProgressOptions
+ * @returns {Promise<Object>} Report data
+ */
+export const buildChildReport = async (child, options = {}) => {
+    const period = reportPeriod(options);
+    const assessments = await Assessment.find(
+        buildProgressFilter({ childId: new mongoose.Types.ObjectId(String(child._id)) }, period),
+        `date keywordCounts ragSegments classificationMethod ${SCORE_FIELDS.join(' ')}`
+    ).sort({ date: 1 }).lean();
+
+    const notes = await Note.find({ childId: child._id })
+        .sort({ timestamp: -1 })
+        .limit(MAX_NOTES)
+        .lean();
+
+    // leadTeacher holds a teacher ID or a name
+    const teacher = mongoose.Types.ObjectId.isValid(child.leadTeacher)
+        ? await Teacher.findById(child.leadTeacher, 'name center').lean()
+        : null;
+
+    return {
+        child: {
+            name: child.name,
+            dateOfBirth: child.dateOfBirth,
+            primaryLanguage: child.primaryLanguage,
+            teacher: teacher?.name || child.leadTeacher || null,
+            center: teacher?.center || null
+        },
+        period: { from: period.from, to: period.to },
+        generatedAt: new Date(),
+        progress: summarizeProgress(assessments, period),
+        recentAssessments: assessments.slice(-MAX_ASSESSMENT_ROWS).reverse(),
+        examples: pickExampleSegments(assessments),
+        notes
+    };
+};
+
+/**
+ * Start a new page when fewer than `height` points are left
+ * @private
+ */
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+};
+
+const sectionHeading = (doc, title) => {
+    ensureSpace(doc, 60);
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#222222').text(title, doc.page.margins.left);
+    doc.moveDown(0.4);
+    doc.font('Helvetica').fontSize(10);
+};
+
+const drawAssessmentTable = (doc, assessments) => {
+    sectionHeading(doc, 'Recent assessments');
+    if (assessments.length === 0) {
+        doc.fillColor('#666666').text('No assessments in this period.');
+        return;
+    }
+
+    const left = doc.page.margins.left;
+    const columns = [
+        { title: 'Date', width: 90, value: (a) => formatDate(a.date) },
+        // Short titles keep the header on one line
+        ...SCORE_FIELDS.map(field => ({ title: SCORE_LABELS[field].split(' ')[0], width: 100, value: (a) => String(Math.round(a[field] || 0)) }))
+    ];
+
+    const drawRow = (values, bold) => {
+        ensureSpace(doc, 18);
+        const y = doc.y;
+        let x = left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#222222');
+        columns.forEach((column, index) => {
+            doc.text(values[index], x, y, { width: column.width, lineBreak: false });
+            x += column.width;
+        });
+        doc.y = y + 16;
+    };
+
+    drawRow(columns.map(column => column.title), true);
+    assessments.forEach(assessment => drawRow(columns.map(column => column.value(assessment)), false));
+    doc.x = left;
+};
+
+/**
+ * Line chart of one score's bucket averages (solid) and rolling averages (dashed), 0-100
+ * @private
+ */
+const drawTrendChart = (doc, field, buckets, trend, x, y, width, height) => {
+    const color = CHART_COLORS[field];
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#222222')
+        .text(SCORE_LABELS[field], x, y, { width, lineBreak: false });
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+        .text(`Trend: ${trend.direction}${trend.change !== null ? ` (${trend.change >= 0 ? '+' : ''}${trend.change})` : ''}`, x, y + 13, { width, lineBreak: false });
+
+    const plotTop = y + 28;
+    const plotHeight = height - 42;
+    const plotLeft = x + 18;
+    const plotWidth = width - 22;
+
+    doc.lineWidth(0.5).strokeColor('#cccccc');
+    [0, 50, 100].forEach(value => {
+        const lineY = plotTop + plotHeight - (value / 100) * plotHeight;
+        doc.moveTo(plotLeft, lineY).lineTo(plotLeft + plotWidth, lineY).stroke();
+        doc.fontSize(7).fillColor('#999999').text(String(value), x, lineY - 3, { width: 16, align: 'right', lineBreak: false });
+    });
+
+    if (buckets.length === 0) {
+        doc.fontSize(8).fillColor('#999999').text('No data', plotLeft, plotTop + plotHeight / 2 - 4, { width: plotWidth, align: 'center', lineBreak: false });
+        return;
+    }
+
+    const pointX = (index) => (buckets.length === 1
+        ? plotLeft + plotWidth / 2
+        : plotLeft + (index / (buckets.length - 1)) * plotWidth);
+    const pointY = (value) => plotTop + plotHeight - (Math.min(Math.max(value, 0), 100) / 100) * plotHeight;
+
+    const drawLine = (key, dashed) => {
+        doc.lineWidth(dashed ? 1 : 1.5).strokeColor(color);
+        if (dashed) {
+            doc.dash(3, { space: 2 });
+        }
+        buckets.forEach((bucket, index) => {
+            const point = [pointX(index), pointY(bucket[key][field])];
+            if (index === 0) {
+                doc.moveTo(...point);
+            } else {
+                doc.lineTo(...point);
+            }
+        });
+        doc.stroke();
+        doc.undash();
+    };
+
+    if (buckets.length > 1) {
+        drawLine('rollingAverages', true);
+        drawLine('averages', false);
+    }
+    doc.fillColor(color);
+    buckets.forEach((bucket, index) => {
+        doc.circle(pointX(index), pointY(bucket.averages[field]), 2).fill();
+    });
+
+    doc.fontSize(7).fillColor('#999999');
+    doc.text(buckets[0].period, plotLeft, plotTop + plotHeight + 3, { width: plotWidth / 2, lineBreak: false });
+    if (buckets.length > 1) {
+        doc.text(buckets[buckets.length - 1].period, plotLeft + plotWidth / 2, plotTop + plotHeight + 3, { width: plotWidth / 2, align: 'right', lineBreak: false });
+    }
+};
+
+const drawTrendCharts = (doc, progress) => {
+    sectionHeading(doc, 'Trends');
+    doc.fontSize(8).fillColor('#666666')
+        .text(`Average score per ${progress.interval} (solid) and rolling average (dashed).`);
+    doc.moveDown(0.5);
+
+    const left = doc.page.margins.left;
+    const gap = 20;
+    const width = (doc.page.width - doc.page.margins.left - doc.page.margins.right - gap) / 2;
+    const height = 140;
+
+    for (let index = 0; index < SCORE_FIELDS.length; index += 2) {
+        ensureSpace(doc, height + 10);
+        const y = doc.y;
+        SCORE_FIELDS.slice(index, index + 2).forEach((field, column) => {
+            drawTrendChart(doc, field, progress.buckets, progress.trends[field], left + column * (width + gap), y, width, height);
+        });
+        doc.x = left;
+        doc.y = y + height + 10;
+    }
+};
+
+const drawExamples = (doc, examples) => {
+    sectionHeading(doc, 'Highlighted moments');
+    const any = SCORE_FIELDS.some(field => examples[field].length > 0);
+    if (!any) {
+        doc.fillColor('#666666').text('No highlighted segments in this period.');
+        return;
+    }
+
+    SCORE_FIELDS.forEach(field => {
+        if (examples[field].length === 0) {
+            return;
+        }
+        ensureSpace(doc, 40);
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(CHART_COLORS[field]).text(SCORE_LABELS[field]);
+        examples[field].forEach(example => {
+            ensureSpace(doc, 30);
+            doc.font('Helvetica-Oblique').fontSize(9).fillColor('#222222')
+                .text(`"${example.text}"`, { indent: 10 });
+            doc.font('Helvetica').fontSize(8).fillColor('#666666')
+                .text(formatDate(example.date), { indent: 10 });
+            doc.moveDown(0.3);
+        });
+    });
+};
+
+const drawNotes = (doc, notes) => {
+    sectionHeading(doc, 'Teacher notes');
+    if (notes.length === 0) {
+        doc.fillColor('#666666').text('No notes yet.');
+        return;
+    }
+
+    notes.forEach(note => {
+        ensureSpace(doc, 40);
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#222222')
+            .text(`${note.author} - ${formatDate(note.timestamp || note.createdAt)}`);
+        doc.font('Helvetica').fontSize(9).fillColor('#222222').text(note.content);
+        doc.moveDown(0.5);
+    });
+};
+
+/**
+ * Render report data as a PDF into a stream
+ * @param {Object} report - Output of buildChildReport
+ * @param {Writable} stream - Destination (the response)
+ * @returns {Promise<void>} Resolves when the PDF has been written
+ */
+export const renderChildReport = (report, stream) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: 50,
+        info: { Title: `Progress report - ${report.child.name}` }
+    });
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.on('error', reject);
+    doc.pipe(stream);
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#222222').text('Progress Report');
+    doc.font('Helvetica').fontSize(12).text(report.child.name);
+    doc.moveDown(0.5);
+    doc.fontSize(9).fillColor('#666666');
+    const details = [
+        // The period's end is exclusive - show the last day it covers
+        `Period: ${formatDate(report.period.from)} to ${formatDate(report.period.to - 1)}`,
+        report.child.teacher ? `Teacher: ${report.child.teacher}` : null,
+        report.child.center ? `Center: ${report.child.center}` : null,
+        `Assessments: ${report.progress.totalAssessments}`,
+        `Generated: ${formatDate(report.generatedAt)}`
+    ].filter(Boolean);
+    details.forEach(line => doc.text(line));
+
+    drawAssessmentTable(doc, report.recentAssessments);
+    drawTrendCharts(doc, report.progress);
+    drawExamples(doc, report.examples);
+    drawNotes(doc, report.notes);
+
+    doc.end();
+});
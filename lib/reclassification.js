@@ -0,0 +1,255 @@
+/**
+ * Re-run the current classifier over stored transcripts.
+ *
+ * Tuning KEYWORDS, the hybrid weights or the knowledge base makes older scores
+ * incomparable. Re-classification scores the stored transcript again, records
+ * the result as a new scoring run next to the previous ones, and reports how
+ * much each score moved.
+ */
+
+import mongoose from "mongoose";
+import Assessment from "../models/Assessment.js";
+import TeacherAssessment from "../models/TeacherAssessment.js";
+import { ACCEPTED_STATUS_FILTER } from "../models/schemas/reviewStatus.js";
+import { SCORE_FIELDS } from "./transcriptProcessor.js";
+import { scoreTranscript } from "./transcriptionPipeline.js";
+import { rescoreSpeakers, summarizeRoleScores } from "./speakerScoring.js";
+import { buildScoringRun } from "./scoringProvenance.js";
+
+export { SCORE_FIELDS };
+
+const MODELS = {
+    child: Assessment,
+    teacher: TeacherAssessment
+};
+
+export const ASSESSMENT_KINDS = Object.keys(MODELS);
+
+/**
+ * Difference between two score sets (after - before)
+ * @param {Object} before - Previous scores
+ * @param {Object} after - New scores
+ * @returns {Object} Delta per score field
+ */
+export const computeScoreDeltas = (before = {}, after = {}) => {
+    const deltas = {};
+    SCORE_FIELDS.forEach(field => {
+        deltas[field] = (after[field] || 0) - (before[field] || 0);
+    });
+    return deltas;
+};
+
+const pickScores = (source) => {
+    const scores = {};
+    SCORE_FIELDS.forEach(field => {
+        scores[field] = source?.[field] || 0;
+    });
+    return scores;
+};
+
+/**
+ * Snapshot of an assessment saved before scoring runs were recorded (no provenance)
+ * @private
+ */
+const buildLegacyRun = (assessment) => buildScoringRun(assessment, {
+    version: assessment.scoringVersion || 1,
+    scoredAt: assessment.createdAt || assessment.date
+});
+
+/**
+ * Re-classify one assessment
+ * @param {Object} assessment - Assessment or TeacherAssessment document
+ * @param {Object} options - { triggeredBy: { id, role }, dryRun }
+ * @returns {Promise<Object>} { assessmentId, previousVersion, version, previous, current, deltas, classificationMethod, provenance, dryRun }
+ */
+export const reclassifyAssessment = async (assessment, options = {}) => {
+    const { triggeredBy, dryRun = false } = options;
+    const previousVersion = assessment.scoringVersion || 1;
+    const previous = pickScores(assessment);
+
+    const scoring = await scoreTranscript(assessment.transcript || "", {
+        words: assessment.words?.length ? assessment.words : undefined
+    });
+    const current = pickScores(scoring.scores);
+    const deltas = computeScoreDeltas(previous, current);
+
+    let speakers;
+    let roleScores;
+    if (assessment.diarized && assessment.speakers?.length) {
+        speakers = await rescoreSpeakers(assessment.speakers);
+        roleScores = summarizeRoleScores(speakers);
+    }
+
+    const version = previousVersion + 1;
+    const summary = {
+        assessmentId: assessment._id,
+        previousVersion,
+        version,
+        previous,
+        current,
+        deltas,
+        classificationMethod: scoring.classificationMethod,
+        provenance: scoring.provenance,
+        dryRun
+    };
+    if (roleScores) {
+        summary.roleScores = roleScores;
+    }
+
+    if (dryRun) {
+        return summary;
+    }
+
+    // Older assessments have no history yet - keep their scores as the first run
+    if (!assessment.scoringRuns?.length) {
+        assessment.scoringRuns = [buildLegacyRun(assessment)];
+    }
+    assessment.scoringRuns.forEach(run => {
+        run.isCurrent = false;
+    });
+    assessment.scoringRuns.push(buildScoringRun({
+        ...current,
+        keywordCounts: scoring.keywordCounts,
+        ragScores: scoring.ragScores,
+        ragSegments: scoring.ragSegments,
+        classificationMethod: scoring.classificationMethod,
+        roleScores
+    }, {
+        version,
+        trigger: 'reclassify',
+        triggeredBy,
+        provenance: scoring.provenance,
+        deltas
+    }));
+
+    SCORE_FIELDS.forEach(field => {
+        assessment[field] = current[field];
+    });
+    assessment.keywordCounts = scoring.keywordCounts;
+    assessment.ragScores = scoring.ragScores || null;
+    assessment.ragSegments = scoring.ragSegments || null;
+    if (scoring.words) {
+        assessment.words = scoring.words;
+    }
+    assessment.classificationMethod = scoring.classificationMethod;
+    assessment.scoringVersion = version;
+    if (speakers) {
+        assessment.speakers = speakers;
+        assessment.roleScores = roleScores;
+    }
+
+    await assessment.save();
+    return summary;
+};
+
+/**
+ * Build a query for bulk re-classification
+ * @param {string} kind - 'child' or 'teacher'
+ * @param {Object} criteria - { childId, teacherId, center, from, to }
+ * @returns {Object} { filter } or { error }
+ */
+export const buildReclassifyFilter = (kind, criteria = {}) => {
+    // Drafts are scored again when accepted; rejected recordings are never reported
+    const filter = { status: ACCEPTED_STATUS_FILTER };
+
+    if (criteria.childId) {
+        if (kind !== 'child') {
+            return { filter: null };
+        }
+        if (!mongoose.Types.ObjectId.isValid(criteria.childId)) {
+            return { error: "Invalid childId" };
+        }
+        filter.childId = criteria.childId;
+    }
+    if (criteria.teacherId || criteria.center) {
+        // Teacher filters only apply to classroom assessments
+        if (kind !== 'teacher') {
+            return { filter: null };
+        }
+        if (criteria.teacherId) {
+            if (!mongoose.Types.ObjectId.isValid(criteria.teacherId)) {
+                return { error: "Invalid teacherId" };
+            }
+            filter.teacherId = criteria.teacherId;
+        }
+        if (criteria.center) {
+            filter.center = criteria.center;
+        }
+    }
+    if (criteria.from || criteria.to) {
+        filter.date = {};
+        for (const [key, operator] of [['from', '$gte'], ['to', '$lte']]) {
+            if (!criteria[key]) {
+                continue;
+            }
+            const value = new Date(criteria[key]);
+            if (isNaN(value.getTime())) {
+                return { error: `Invalid ${key} date` };
+            }
+            filter.date[operator] = value;
+        }
+    }
+
+    return { filter };
+};
+
+/**
+ * Re-classify many assessments, one at a time
+ * @param {Object} options - { kind: 'child' | 'teacher' | 'all', criteria, limit, dryRun, triggeredBy }
+ * @returns {Promise<Object>} { processed, failed, dryRun, averageDeltas, results, errors } or { error }
+ */
+export const reclassifyAssessments = async (options = {}) => {
+    const { kind = 'all', criteria = {}, limit = 100, dryRun = false, triggeredBy } = options;
+    const kinds = kind === 'all' ? ASSESSMENT_KINDS : [kind];
+    if (!kinds.every(k => ASSESSMENT_KINDS.includes(k))) {
+        return { error: `Invalid kind "${kind}". Use: all, ${ASSESSMENT_KINDS.join(', ')}` };
+    }
+
+    const results = [];
+    const errors = [];
+    const totals = computeScoreDeltas();
+
+    for (const assessmentKind of kinds) {
+        const { filter, error } = buildReclassifyFilter(assessmentKind, criteria);
+        if (error) {
+            return { error };
+        }
+        if (!filter) {
+            continue;
+        }
+
+        const remaining = limit - results.length - errors.length;
+        if (remaining <= 0) {
+            break;
+        }
+
+        const cursor = MODELS[assessmentKind].find(filter).sort({ date: -1 }).limit(remaining).cursor();
+        // Sequential on purpose: every assessment may make its own RAG request
+        for await (const assessment of cursor) {
+            try {
+                const result = await reclassifyAssessment(assessment, { triggeredBy, dryRun });
+                results.push({ kind: assessmentKind, ...result });
+                SCORE_FIELDS.forEach(field => {
+                    totals[field] += result.deltas[field];
+                });
+            } catch (reclassifyError) {
+                console.error(`Error re-classifying assessment ${assessment._id}:`, reclassifyError.message);
+                errors.push({ kind: assessmentKind, assessmentId: assessment._id, message: reclassifyError.message });
+            }
+        }
+    }
+
+    const averageDeltas = {};
+    SCORE_FIELDS.forEach(field => {
+        averageDeltas[field] = results.length ? Math.round((totals[field] / results.length) * 10) / 10 : 0;
+    });
+
+    return {
+        processed: results.length,
+        failed: errors.length,
+        dryRun,
+        averageDeltas,
+        results,
+        errors
+    };
+};
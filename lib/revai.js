@@ -159,8 +159,9 @@ class RevAI {
         const transcript = await this._pollForTranscript(jobId);
         
         return {
-            text: transcript,
-            raw: { jobId, transcript },
+            text: transcript.text,
+            monologues: transcript.monologues,
+            raw: { jobId, transcript: transcript.text },
             jobId: jobId
         };
     }
@@ -171,7 +172,7 @@ class RevAI {
      * 
      * @private
      * @param {string} jobId - Job ID from submission
-     * @returns {Promise<string>} Transcript text
+     * @returns {Promise<Object>} Transcript text and monologues
      */
     async _pollForTranscript(jobId) {
         let attempts = 0;
@@ -255,7 +256,7 @@ class RevAI {
      * 
      * @private
      * @param {string} jobId - Job ID
-     * @returns {Promise<string>} Transcript text
+     * @returns {Promise<Object>} { text, monologues } - monologues keep speaker and element timing data
      */
     async _getTranscript(jobId) {
         try {
@@ -294,7 +295,10 @@ class RevAI {
                 transcriptText = transcript.text;
             }
 
-            return transcriptText || '';
+            return {
+                text: transcriptText || '',
+                monologues: Array.isArray(transcript.monologues) ? transcript.monologues : []
+            };
         } catch (error) {
             console.error("RevAI Transcript Retrieval Error:", {
                 jobId,
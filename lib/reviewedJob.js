@@ -0,0 +1,57 @@
+/**
+ * Hand a reviewed transcription job over to the assessment created from it.
+ * The job reserves the assessment ID up front, so the audio key
+ * (assessments/<id>/...) is already correct when the review is accepted.
+ * Jobs scored since drafts were introduced already have a draft assessment under
+ * that ID; the accept routes then accept the draft instead of creating a new one.
+ */
+
+import mongoose from "mongoose";
+import TranscriptionJob from "../models/TranscriptionJob.js";
+import Assessment from "../models/Assessment.js";
+import TeacherAssessment from "../models/TeacherAssessment.js";
+
+/**
+ * Resolve the job, assessment ID and stored audio for an accepted review
+ * @param {string} jobId - TranscriptionJob ID sent with the accept request
+ * @param {string} type - 'child' or 'classroom'
+ * @param {string} ownerId - Child (or teacher, for classroom jobs) the assessment is saved for
+ * @returns {Promise<Object>} { job, assessmentId, audio, draft? } or { error, statusCode }
+ */
+export const resolveReviewedJob = async (jobId, type, ownerId) => {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        return { error: "Invalid jobId", statusCode: 400 };
+    }
+
+    const job = await TranscriptionJob.findById(jobId);
+    // Another child's (or teacher's) job is reported as missing, so its existence isn't leaked
+    const jobOwner = type === 'classroom' ? job?.teacherId : job?.childId;
+    if (!job || job.type !== type || String(jobOwner) !== String(ownerId)) {
+        return { error: "Transcription job not found", statusCode: 404 };
+    }
+    if (job.status !== 'ready') {
+        return { error: `Transcription job is ${job.status}, not ready`, statusCode: 409 };
+    }
+
+    const Model = type === 'classroom' ? TeacherAssessment : Assessment;
+    const existing = await Model.findById(job.assessmentId);
+    if (existing && !existing.isDraft()) {
+        return { error: "This recording has already been saved as an assessment", statusCode: 409 };
+    }
+    if (existing) {
+        return { job, assessmentId: job.assessmentId, draft: existing };
+    }
+
+    const hasAudio = job.audio?.key && !job.audio.purgedAt;
+    return {
+        job,
+        assessmentId: job.assessmentId,
+        audio: hasAudio ? {
+            key: job.audio.key,
+            storage: job.audio.storage,
+            contentType: job.audio.contentType,
+            size: job.audio.size,
+            storedAt: job.audio.storedAt
+        } : undefined
+    };
+};
@@ -0,0 +1,89 @@
+/**
+ * Record exactly how an assessment was scored, for research reporting:
+ * keyword list fingerprint, hybrid weights, RAG/embedding models, knowledge
+ * base snapshot and RAG_TOP_K, plus the time of scoring.
+ */
+
+import crypto from "crypto";
+import { KEYWORDS, SCORE_FIELDS } from "./transcriptProcessor.js";
+import hybridScorer from "./hybridScorer.js";
+import ragClassifier from "./ragClassifier.js";
+import embeddingService from "./embeddingService.js";
+import vectorStore from "./vectorStore.js";
+
+let keywordFingerprint = null;
+
+/**
+ * Fingerprint of the KEYWORDS list - changes whenever a keyword is added, removed or moved
+ * @returns {Object} { hash, count }
+ */
+export const getKeywordFingerprint = () => {
+    if (!keywordFingerprint) {
+        const normalized = Object.keys(KEYWORDS).sort().map(category => [category, [...KEYWORDS[category]].sort()]);
+        keywordFingerprint = {
+            hash: crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 12),
+            count: Object.values(KEYWORDS).reduce((total, words) => total + words.length, 0)
+        };
+    }
+    return keywordFingerprint;
+};
+
+/**
+ * Describe the scoring configuration used for one scoring pass
+ * RAG settings are only recorded when RAG actually contributed to the scores.
+ * @param {string} classificationMethod - 'keyword-only' or 'hybrid'
+ * @returns {Promise<Object>} Provenance record
+ */
+export const buildScoringProvenance = async (classificationMethod) => {
+    const provenance = {
+        classificationMethod,
+        keywords: getKeywordFingerprint(),
+        weights: null,
+        ragModel: null,
+        embeddingModel: null,
+        knowledgeBaseSnapshotId: null,
+        topK: null,
+        scoredAt: new Date()
+    };
+
+    if (classificationMethod === 'hybrid') {
+        provenance.weights = { rag: hybridScorer.ragWeight, keyword: hybridScorer.keywordWeight };
+        provenance.ragModel = ragClassifier.classificationModel;
+        provenance.embeddingModel = embeddingService.model;
+        provenance.topK = ragClassifier.topK;
+        try {
+            provenance.knowledgeBaseSnapshotId = await vectorStore.getSnapshotId();
+        } catch (error) {
+            console.warn("⚠️  Could not record knowledge base snapshot:", error.message);
+        }
+    }
+
+    return provenance;
+};
+
+/**
+ * Build a scoring run entry for an assessment's scoringRuns history
+ * @param {Object} source - Scores, keywordCounts, ragScores, ragSegments, classificationMethod, roleScores
+ * @param {Object} details - { version, trigger, triggeredBy, provenance, deltas, scoredAt }
+ * @returns {Object} Scoring run (marked current)
+ */
+export const buildScoringRun = (source, details = {}) => {
+    const run = {
+        version: details.version || 1,
+        isCurrent: true,
+        trigger: details.trigger || 'original',
+        triggeredBy: details.triggeredBy ? { id: String(details.triggeredBy.id), role: details.triggeredBy.role } : undefined,
+        scoredAt: details.scoredAt || details.provenance?.scoredAt || new Date(),
+        keywordCounts: source.keywordCounts,
+        ragScores: source.ragScores || null,
+        ragSegments: source.ragSegments?.length ? source.ragSegments : undefined,
+        classificationMethod: source.classificationMethod,
+        roleScores: source.roleScores || undefined,
+        provenance: details.provenance || undefined,
+        deltas: details.deltas
+    };
+    SCORE_FIELDS.forEach(field => {
+        run[field] = source[field] || 0;
+    });
+    return run;
+};
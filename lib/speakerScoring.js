@@ -0,0 +1,203 @@
+/**
+ * Per-speaker scoring for diarized classroom recordings.
+ *
+ * The speech-to-text provider labels each word with a speaker ("0", "1", ...).
+ * Each speaker's words are scored on their own, and the reviewer later maps
+ * labels to roles (teacher / child / a named child) so teacher talk and
+ * children's responses can be measured separately.
+ */
+
+import mongoose from "mongoose";
+import { SCORE_FIELDS } from "./transcriptProcessor.js";
+import { scoreTranscript } from "./transcriptionPipeline.js";
+
+export const SPEAKER_ROLES = ['teacher', 'child', 'unknown'];
+
+// Speakers with fewer words than this are scored by keywords only (not worth a RAG call)
+const MIN_WORDS_FOR_RAG = parseInt(process.env.DIARIZATION_MIN_SPEAKER_WORDS || "20", 10);
+
+/**
+ * Group transcript words by speaker label, keeping turn order
+ * @param {Array} words - Provider words ({ text, speaker, ... })
+ * @returns {Array} [{ label, transcript, wordCount, turns }]
+ */
+export const groupWordsBySpeaker = (words = []) => {
+    const speakers = new Map();
+    let previousLabel = null;
+
+    words.forEach(word => {
+        if (word.speaker === null || word.speaker === undefined || !word.text) {
+            return;
+        }
+        const label = String(word.speaker);
+        if (!speakers.has(label)) {
+            speakers.set(label, { label, turns: [], wordCount: 0 });
+        }
+        const speaker = speakers.get(label);
+
+        // A new turn starts whenever the speaker changes
+        if (label !== previousLabel || speaker.turns.length === 0) {
+            speaker.turns.push([]);
+        }
+        speaker.turns[speaker.turns.length - 1].push(word.text);
+        speaker.wordCount++;
+        previousLabel = label;
+    });
+
+    return Array.from(speakers.values()).map(speaker => ({
+        label: speaker.label,
+        transcript: speaker.turns.map(turn => turn.join(' ')).join(' '),
+        wordCount: speaker.wordCount,
+        turns: speaker.turns.length
+    }));
+};
+
+/**
+ * Score one speaker's transcript
+ * @private
+ * @param {Object} speaker - { transcript, wordCount }
+ * @returns {Promise<Object>} Scores, keywordCounts, ragScores, classificationMethod
+ */
+const scoreSpeakerTranscript = async (speaker) => {
+    const scoring = await scoreTranscript(speaker.transcript, {
+        useRag: speaker.wordCount >= MIN_WORDS_FOR_RAG
+    });
+
+    return {
+        ...scoring.scores,
+        keywordCounts: scoring.keywordCounts,
+        ragScores: scoring.ragScores || null,
+        classificationMethod: scoring.classificationMethod
+    };
+};
+
+/**
+ * Score each speaker's talk separately
+ * @param {Array} words - Provider words with speaker labels
+ * @returns {Promise<Array>} Speaker entries with scores (role 'unknown' until mapped)
+ */
+export const scoreSpeakers = async (words = []) => {
+    const grouped = groupWordsBySpeaker(words);
+    const speakers = [];
+
+    // Sequential on purpose: each speaker may trigger its own RAG request
+    for (const speaker of grouped) {
+        speakers.push({
+            label: speaker.label,
+            role: 'unknown',
+            transcript: speaker.transcript,
+            wordCount: speaker.wordCount,
+            turns: speaker.turns,
+            ...(await scoreSpeakerTranscript(speaker))
+        });
+    }
+
+    // The speaker who talks most is usually the teacher - offered as a suggestion only
+    const mostTalkative = speakers.reduce((top, speaker) => (!top || speaker.wordCount > top.wordCount ? speaker : top), null);
+    speakers.forEach(speaker => {
+        speaker.suggestedRole = speaker === mostTalkative ? 'teacher' : 'child';
+    });
+
+    return speakers;
+};
+
+/**
+ * Re-score stored speakers with the current classifier, keeping their role mapping
+ * @param {Array} speakers - Stored speaker entries
+ * @returns {Promise<Array>} Speaker entries with fresh scores
+ */
+export const rescoreSpeakers = async (speakers = []) => {
+    const rescored = [];
+    for (const speaker of speakers) {
+        const plain = typeof speaker.toObject === 'function' ? speaker.toObject() : { ...speaker };
+        rescored.push({ ...plain, ...(await scoreSpeakerTranscript(plain)) });
+    }
+    return rescored;
+};
+
+/**
+ * Apply the reviewer's label → role mapping
+ * @param {Array} speakers - Stored speaker entries
+ * @param {Array} speakerRoles - [{ label, role, childId?, name? }]
+ * @returns {Object} { speakers } or { error }
+ */
+export const applySpeakerRoles = (speakers = [], speakerRoles = []) => {
+    if (!Array.isArray(speakerRoles)) {
+        return { error: "speakerRoles must be an array of { label, role, childId, name }" };
+    }
+
+    const byLabel = new Map();
+    for (const mapping of speakerRoles) {
+        const label = mapping?.label !== undefined ? String(mapping.label) : null;
+        if (!label) {
+            return { error: "Each speaker role mapping needs a label" };
+        }
+        if (!SPEAKER_ROLES.includes(mapping.role)) {
+            return { error: `Invalid role "${mapping.role}" for speaker ${label}. Use: ${SPEAKER_ROLES.join(', ')}` };
+        }
+        if (mapping.childId && !mongoose.Types.ObjectId.isValid(mapping.childId)) {
+            return { error: `Invalid childId for speaker ${label}` };
+        }
+        if (mapping.childId && mapping.role !== 'child') {
+            return { error: `Only child speakers can be linked to a child (speaker ${label})` };
+        }
+        byLabel.set(label, mapping);
+    }
+
+    const knownLabels = new Set(speakers.map(speaker => String(speaker.label)));
+    const unknownLabel = Array.from(byLabel.keys()).find(label => !knownLabels.has(label));
+    if (unknownLabel) {
+        return { error: `Speaker ${unknownLabel} does not exist in this recording` };
+    }
+
+    return {
+        speakers: speakers.map(speaker => {
+            const plain = typeof speaker.toObject === 'function' ? speaker.toObject() : { ...speaker };
+            const mapping = byLabel.get(String(plain.label));
+            if (!mapping) {
+                return plain;
+            }
+            return {
+                ...plain,
+                role: mapping.role,
+                childId: mapping.childId || null,
+                name: mapping.name || null
+            };
+        })
+    };
+};
+
+/**
+ * Word-weighted average scores per role
+ * @param {Array} speakers - Speaker entries with roles
+ * @returns {Object} { teacher: {...scores, wordCount, speakers}, child: {...} }
+ */
+export const summarizeRoleScores = (speakers = []) => {
+    const summary = {};
+
+    speakers.forEach(speaker => {
+        if (!speaker.role || speaker.role === 'unknown' || !speaker.wordCount) {
+            return;
+        }
+        if (!summary[speaker.role]) {
+            summary[speaker.role] = { wordCount: 0, speakers: [], totals: {} };
+            SCORE_FIELDS.forEach(field => { summary[speaker.role].totals[field] = 0; });
+        }
+        const entry = summary[speaker.role];
+        entry.wordCount += speaker.wordCount;
+        entry.speakers.push(String(speaker.label));
+        SCORE_FIELDS.forEach(field => {
+            entry.totals[field] += (speaker[field] || 0) * speaker.wordCount;
+        });
+    });
+
+    Object.keys(summary).forEach(role => {
+        const entry = summary[role];
+        SCORE_FIELDS.forEach(field => {
+            entry[field] = Math.round(entry.totals[field] / entry.wordCount);
+        });
+        delete entry.totals;
+    });
+
+    return summary;
+};
@@ -0,0 +1,109 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseRevaiMonologues } from "./revaiProvider.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'transcripts');
+
+/**
+ * Offline speech-to-text provider for tests and demos.
+ *
+ * Instead of calling a service it reads a sidecar transcript:
+ *   1. `<upload path>.json` / `.txt` next to the audio file
+ *   2. `<original file name without extension>.json` / `.txt` in STT_FIXTURE_DIR
+ *   3. `default.json` / `default.txt` in STT_FIXTURE_DIR
+ *
+ * JSON fixtures may contain `{ text, words, speakers }` or RevAI-style `{ monologues }`.
+ */
+class FixtureProvider {
+    constructor(options = {}) {
+        this.name = 'fixture';
+        this.fixtureDir = options.fixtureDir || process.env.STT_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+    }
+
+    /**
+     * Find the sidecar transcript for an upload
+     * @private
+     * @param {Object} file - { path, originalName }
+     * @returns {string|null} Path to the fixture file
+     */
+    _findFixture(file) {
+        const candidates = [`${file.path}.json`, `${file.path}.txt`];
+
+        if (file.originalName) {
+            const stem = path.parse(file.originalName).name;
+            candidates.push(
+                path.join(this.fixtureDir, `${stem}.json`),
+                path.join(this.fixtureDir, `${stem}.txt`)
+            );
+        }
+        candidates.push(
+            path.join(this.fixtureDir, 'default.json'),
+            path.join(this.fixtureDir, 'default.txt')
+        );
+
+        return candidates.find(candidate => fs.existsSync(candidate)) || null;
+    }
+
+    /**
+     * "Transcribe" an audio file by reading its sidecar transcript
+     * @param {Object} file - { path, originalName }
+     * @returns {Promise<Object>} { text, words, speakers }
+     */
+    async transcribe(file) {
+        const fixturePath = this._findFixture(file);
+        if (!fixturePath) {
+            throw new Error(`No fixture transcript available for ${file.originalName || file.path} (looked in ${this.fixtureDir})`);
+        }
+
+        const content = fs.readFileSync(fixturePath, 'utf-8');
+
+        if (fixturePath.endsWith('.txt')) {
+            const text = content.trim();
+            const words = text.split(/\s+/).filter(Boolean).map(word => ({
+                text: word.replace(/^[^\w']+|[^\w']+$/g, ''),
+                start: null,
+                end: null,
+                confidence: null,
+                speaker: null
+            })).filter(word => word.text.length > 0);
+            return { text, words, speakers: [] };
+        }
+
+        const data = JSON.parse(content);
+        if (Array.isArray(data.monologues)) {
+            const { words, speakers } = parseRevaiMonologues(data.monologues);
+            const text = data.monologues
+                .map(monologue => (monologue.elements || []).map(element => element.value || '').join(''))
+                .join(' ')
+                .trim();
+            return { text, words, speakers };
+        }
+
+        return {
+            text: (data.text || '').trim(),
+            words: Array.isArray(data.words) ? data.words : [],
+            speakers: Array.isArray(data.speakers) ? data.speakers : []
+        };
+    }
+
+    async isHealthy() {
+        return fs.existsSync(this.fixtureDir);
+    }
+
+    getConfig() {
+        return {
+            name: this.name,
+            configured: fs.existsSync(this.fixtureDir),
+            fixtureDir: this.fixtureDir
+        };
+    }
+}
+
+export default FixtureProvider;
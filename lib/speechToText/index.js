@@ -0,0 +1,98 @@
+/**
+ * Speech-to-text provider registry.
+ *
+ * Every provider implements:
+ *   transcribe(file, options) → Promise<{ text, words, speakers }>
+ *   isHealthy() → Promise<boolean>
+ *   getConfig() → Object (without secrets)
+ *
+ * The default provider comes from STT_PROVIDER (revai | openai | fixture);
+ * admins may override it per upload.
+ */
+
+import dotenv from "dotenv";
+import RevAIProvider from "./revaiProvider.js";
+import OpenAIWhisperProvider from "./openaiWhisperProvider.js";
+import FixtureProvider from "./fixtureProvider.js";
+
+dotenv.config();
+
+const PROVIDER_FACTORIES = {
+    revai: () => new RevAIProvider(),
+    openai: () => new OpenAIWhisperProvider(),
+    fixture: () => new FixtureProvider()
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+// Providers are created on first use so unused ones don't need credentials
+const instances = new Map();
+
+export const isKnownProvider = (name) => PROVIDER_NAMES.includes(name);
+
+/**
+ * Name of the provider used when the request doesn't choose one
+ * @returns {string} Provider name
+ */
+export const getDefaultProviderName = () => {
+    const configured = process.env.STT_PROVIDER?.toLowerCase().trim();
+    if (configured && isKnownProvider(configured)) {
+        return configured;
+    }
+    if (configured) {
+        console.warn(`Unknown STT_PROVIDER "${configured}", falling back to revai`);
+    }
+    return 'revai';
+};
+
+/**
+ * Get a provider instance
+ * @param {string} name - Provider name (defaults to STT_PROVIDER)
+ * @returns {Object} Provider
+ */
+export const getProvider = (name) => {
+    const providerName = name || getDefaultProviderName();
+    if (!isKnownProvider(providerName)) {
+        throw new Error(`Unknown speech-to-text provider: ${providerName}`);
+    }
+    if (!instances.has(providerName)) {
+        instances.set(providerName, PROVIDER_FACTORIES[providerName]());
+    }
+    return instances.get(providerName);
+};
+
+/**
+ * Decide which provider an upload should use
+ * Only admins may override the configured default.
+ * @param {string} requestedName - Provider requested in the upload form
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} { name } or { error, statusCode }
+ */
+export const resolveProviderName = (requestedName, user) => {
+    const requested = requestedName?.toString().toLowerCase().trim();
+    if (!requested) {
+        return { name: getDefaultProviderName() };
+    }
+    if (!user || user.role !== 'admin') {
+        return { error: "Only admins can choose a speech-to-text provider", statusCode: 403 };
+    }
+    if (!isKnownProvider(requested)) {
+        return {
+            error: `Unknown speech-to-text provider "${requested}". Available: ${PROVIDER_NAMES.join(', ')}`,
+            statusCode: 400
+        };
+    }
+    return { name: requested };
+};
+
+/**
+ * Describe all providers (for admin tooling)
+ * @returns {Array} Provider configs with a `default` flag
+ */
+export const listProviders = () => {
+    const defaultName = getDefaultProviderName();
+    return PROVIDER_NAMES.map(name => ({
+        ...getProvider(name).getConfig(),
+        default: name === defaultName
+    }));
+};
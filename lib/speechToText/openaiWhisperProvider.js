@@ -0,0 +1,81 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import OpenAI from "openai";
+
+dotenv.config();
+
+/**
+ * Speech-to-text provider backed by the OpenAI Whisper API
+ */
+class OpenAIWhisperProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.model = options.model || process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+        this.openai = null;
+
+        const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        if (apiKey) {
+            this.openai = new OpenAI({ apiKey });
+        }
+    }
+
+    /**
+     * Transcribe an audio file
+     * @param {Object} file - { path, filename, mimetype }
+     * @param {Object} options - { language }
+     * @returns {Promise<Object>} { text, words, speakers }
+     */
+    async transcribe(file, options = {}) {
+        if (!this.openai) {
+            throw new Error('OpenAI API key is required for Whisper transcription. Set OPENAI_API_KEY environment variable.');
+        }
+        if (!fs.existsSync(file.path)) {
+            throw new Error(`Audio file not found: ${file.path}`);
+        }
+
+        let response;
+        try {
+            response = await this.openai.audio.transcriptions.create({
+                file: fs.createReadStream(file.path),
+                model: this.model,
+                language: options.language || 'en',
+                response_format: 'verbose_json',
+                timestamp_granularities: ['word']
+            });
+        } catch (error) {
+            if (error.status) {
+                throw new Error(`OpenAI Whisper API error (${error.status}): ${error.message}`);
+            }
+            throw new Error(`OpenAI Whisper API unreachable: ${error.message}`);
+        }
+
+        // Whisper does not identify speakers
+        const words = (response.words || []).map(word => ({
+            text: word.word,
+            start: typeof word.start === 'number' ? word.start : null,
+            end: typeof word.end === 'number' ? word.end : null,
+            confidence: null,
+            speaker: null
+        }));
+
+        return {
+            text: (response.text || '').trim(),
+            words,
+            speakers: []
+        };
+    }
+
+    async isHealthy() {
+        return !!this.openai;
+    }
+
+    getConfig() {
+        return {
+            name: this.name,
+            configured: !!this.openai,
+            model: this.model
+        };
+    }
+}
+
+export default OpenAIWhisperProvider;
@@ -0,0 +1,87 @@
+import revai from "../revai.js";
+
+/**
+ * Convert RevAI monologues into the provider-neutral word and speaker lists
+ * @param {Array} monologues - RevAI transcript monologues
+ * @returns {Object} { words, speakers }
+ */
+export const parseRevaiMonologues = (monologues = []) => {
+    const words = [];
+    const speakerCounts = new Map();
+
+    monologues.forEach(monologue => {
+        const speaker = monologue.speaker !== undefined && monologue.speaker !== null
+            ? String(monologue.speaker)
+            : null;
+
+        (monologue.elements || []).forEach(element => {
+            if (element.type !== 'text' || !element.value) {
+                return;
+            }
+            words.push({
+                text: element.value,
+                start: typeof element.ts === 'number' ? element.ts : null,
+                end: typeof element.end_ts === 'number' ? element.end_ts : null,
+                confidence: typeof element.confidence === 'number' ? element.confidence : null,
+                speaker
+            });
+            if (speaker !== null) {
+                speakerCounts.set(speaker, (speakerCounts.get(speaker) || 0) + 1);
+            }
+        });
+    });
+
+    const speakers = Array.from(speakerCounts.entries()).map(([label, wordCount]) => ({ label, wordCount }));
+
+    return { words, speakers };
+};
+
+/**
+ * Speech-to-text provider backed by Rev.ai
+ */
+class RevAIProvider {
+    constructor(client = revai) {
+        this.name = 'revai';
+        this.client = client;
+    }
+
+    /**
+     * Transcribe an audio file
+     * @param {Object} file - { path, filename, mimetype }
+     * @param {Object} options - { language, diarization }
+     * @returns {Promise<Object>} { text, words, speakers }
+     */
+    async transcribe(file, options = {}) {
+        const result = await this.client.transcribeFromFile(file.path, {
+            filename: file.filename,
+            mimetype: file.mimetype,
+            // Skip diarization (speaker identification) unless requested - it is slower
+            skipDiarization: !options.diarization,
+            language: options.language || 'en'
+        });
+
+        const { words, speakers } = parseRevaiMonologues(result.monologues);
+
+        return {
+            text: this.client.getTranscript(result) || '',
+            words,
+            speakers,
+            providerJobId: result.jobId
+        };
+    }
+
+    async isHealthy() {
+        return this.client.isHealthy();
+    }
+
+    getConfig() {
+        const config = this.client.getConfig();
+        return {
+            name: this.name,
+            configured: config.apiKeySet,
+            apiBaseUrl: config.apiBaseUrl
+        };
+    }
+}
+
+export default RevAIProvider;
@@ -0,0 +1,75 @@
+/**
+ * Align transcript character offsets with audio time.
+ *
+ * Speech-to-text providers return words with start/end seconds; keyword and
+ * RAG segments only know character offsets into the transcript. The word
+ * timeline records where each word sits in the transcript so any segment can
+ * be mapped to the moment it was spoken.
+ */
+
+const toSeconds = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+/**
+ * Locate each provider word in the transcript text
+ * @param {Array} words - Provider words ({ text, start, end, speaker, confidence })
+ * @param {string} transcript - Transcript text the words came from
+ * @returns {Array} Words with startIndex/endIndex (null when the word couldn't be located)
+ */
+export const buildWordTimeline = (words = [], transcript = '') => {
+    const text = transcript || '';
+    const lowerText = text.toLowerCase();
+    let cursor = 0;
+
+    return words
+        .filter(word => word && word.text)
+        .map(word => {
+            let startIndex = text.indexOf(word.text, cursor);
+            if (startIndex < 0) {
+                startIndex = lowerText.indexOf(word.text.toLowerCase(), cursor);
+            }
+
+            const entry = {
+                text: word.text,
+                start: toSeconds(word.start),
+                end: toSeconds(word.end),
+                speaker: word.speaker !== undefined && word.speaker !== null ? String(word.speaker) : null,
+                confidence: toSeconds(word.confidence),
+                startIndex: null,
+                endIndex: null
+            };
+
+            // Words that can't be found (e.g. edited away) keep their timing but no offsets
+            if (startIndex >= 0) {
+                entry.startIndex = startIndex;
+                entry.endIndex = startIndex + word.text.length;
+                cursor = entry.endIndex;
+            }
+
+            return entry;
+        });
+};
+
+/**
+ * Add start/end seconds (and speaker, when unambiguous) to character-offset segments
+ * @param {Array} segments - [{ text, category, startIndex, endIndex }]
+ * @param {Array} timeline - Result of buildWordTimeline
+ * @returns {Array} Segments with startTime/endTime in seconds (null when unknown)
+ */
+export const alignSegments = (segments = [], timeline = []) => {
+    const locatedWords = timeline.filter(word => word.startIndex !== null && word.endIndex !== null);
+
+    return segments.map(segment => {
+        const overlapping = locatedWords.filter(word =>
+            word.startIndex < segment.endIndex && word.endIndex > segment.startIndex
+        );
+        const timed = overlapping.filter(word => word.start !== null && word.end !== null);
+        const speakers = new Set(overlapping.map(word => word.speaker).filter(speaker => speaker !== null));
+
+        return {
+            ...segment,
+            startTime: timed.length > 0 ? Math.min(...timed.map(word => word.start)) : null,
+            endTime: timed.length > 0 ? Math.max(...timed.map(word => word.end)) : null,
+            speaker: speakers.size === 1 ? Array.from(speakers)[0] : null
+        };
+    });
+};
@@ -0,0 +1,133 @@
+/**
+ * Word-level diff between the ASR transcript and a reviewer's correction.
+ */
+
+// Above this many LCS cells (~16MB) the changed middle is reported as one replacement
+const MAX_DIFF_CELLS = 4000000;
+
+const tokenize = (text) => (text || '').trim().split(/\s+/).filter(Boolean);
+
+/**
+ * Longest-common-subsequence edit script for two word arrays
+ * @private
+ * @returns {Array} Ops: { type: 'equal' | 'delete' | 'insert', word }
+ */
+const lcsOps = (a, b) => {
+    const width = b.length + 1;
+    const table = new Uint32Array((a.length + 1) * width);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i * width + j] = a[i] === b[j]
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'equal', word: a[i] });
+            i++;
+            j++;
+        } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+            ops.push({ type: 'delete', word: a[i++] });
+        } else {
+            ops.push({ type: 'insert', word: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ type: 'delete', word: a[i++] });
+    while (j < b.length) ops.push({ type: 'insert', word: b[j++] });
+    return ops;
+};
+
+/**
+ * Diff two transcripts word by word
+ * @param {string} original - ASR transcript
+ * @param {string} corrected - Reviewer-corrected transcript
+ * @returns {Object} { changed, hunks: [{ type, originalStart, originalText, correctedStart, correctedText }], summary }
+ */
+export const diffTranscripts = (original, corrected) => {
+    const a = tokenize(original);
+    const b = tokenize(corrected);
+
+    // Corrections are usually local - skip the shared prefix/suffix before running LCS
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const middleA = a.slice(prefix, a.length - suffix);
+    const middleB = b.slice(prefix, b.length - suffix);
+    const ops = (middleA.length + 1) * (middleB.length + 1) <= MAX_DIFF_CELLS
+        ? lcsOps(middleA, middleB)
+        : [
+            ...middleA.map(word => ({ type: 'delete', word })),
+            ...middleB.map(word => ({ type: 'insert', word }))
+        ];
+
+    // Group consecutive deletes/inserts into hunks
+    const hunks = [];
+    let originalIndex = prefix;
+    let correctedIndex = prefix;
+    let current = null;
+    let inserted = 0;
+    let deleted = 0;
+
+    const closeHunk = () => {
+        if (!current) {
+            return;
+        }
+        const hasDeleted = current.deletedWords.length > 0;
+        const hasInserted = current.insertedWords.length > 0;
+        hunks.push({
+            type: hasDeleted && hasInserted ? 'replace' : (hasDeleted ? 'delete' : 'insert'),
+            originalStart: current.originalStart,
+            originalText: current.deletedWords.join(' '),
+            correctedStart: current.correctedStart,
+            correctedText: current.insertedWords.join(' ')
+        });
+        current = null;
+    };
+
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            closeHunk();
+            originalIndex++;
+            correctedIndex++;
+            return;
+        }
+        if (!current) {
+            current = { originalStart: originalIndex, correctedStart: correctedIndex, deletedWords: [], insertedWords: [] };
+        }
+        if (op.type === 'delete') {
+            current.deletedWords.push(op.word);
+            originalIndex++;
+            deleted++;
+        } else {
+            current.insertedWords.push(op.word);
+            correctedIndex++;
+            inserted++;
+        }
+    });
+    closeHunk();
+
+    return {
+        changed: hunks.length > 0,
+        hunks,
+        summary: {
+            originalWords: a.length,
+            correctedWords: b.length,
+            inserted,
+            deleted,
+            unchanged: a.length - deleted
+        }
+    };
+};
@@ -84,6 +84,9 @@ export const analyzeTranscript = (transcript) => {
     return counts;
 };
 
+// Scores every assessment carries, as returned by calculateScores
+export const SCORE_FIELDS = ['scienceTalk', 'socialTalk', 'literatureTalk', 'languageDevelopment'];
+
 export const calculateScores = (counts) => {
     const maxPerCategory = 20;
     return {
@@ -0,0 +1,84 @@
+/**
+ * Server-side transcript review.
+ *
+ * Reviewers may correct the ASR transcript before accepting an assessment.
+ * Scores are always computed here from the final transcript - client-sent
+ * numbers are never trusted. The original ASR transcript and a word diff are
+ * kept alongside the corrected one.
+ */
+
+import { scoreTranscript, buildAssessmentFields } from "./transcriptionPipeline.js";
+import { diffTranscripts } from "./transcriptDiff.js";
+
+const normalize = (text) => (text || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Rebuild a scoreTranscript result from a stored ASR result
+ * @private
+ */
+const scoringFromResult = (result) => ({
+    keywordCounts: result.keywordCounts,
+    scores: result.scores,
+    ragScores: result.ragScores || null,
+    ragSegments: result.ragSegments || [],
+    words: result.words || null,
+    classificationMethod: result.classificationMethod,
+    provenance: result.provenance
+});
+
+/**
+ * Score the reviewed transcript
+ * @param {Object} options
+ * @param {string} options.transcript - Transcript submitted by the reviewer (defaults to the ASR transcript)
+ * @param {Object} options.original - Stored ASR result: a ready job's `result` or draftReviewSource(draft) (optional)
+ * @param {Array} options.words - Word timings when there is no ASR result (optional)
+ * @returns {Promise<Object>} { transcript, fields, provenance, originalTranscript, diff, edited, rescored }
+ */
+export const reviewTranscript = async ({ transcript, original, words } = {}) => {
+    const originalTranscript = original?.transcript;
+    const finalTranscript = typeof transcript === 'string' ? transcript : (originalTranscript || '');
+    const edited = originalTranscript !== undefined && normalize(originalTranscript) !== normalize(finalTranscript);
+
+    // Unchanged transcripts keep the worker's scores (no second RAG request)
+    let scoring;
+    let rescored = false;
+    if (original?.scores && !edited) {
+        scoring = scoringFromResult(original);
+    } else {
+        scoring = await scoreTranscript(finalTranscript, {
+            words: original?.words?.length ? original.words : (Array.isArray(words) ? words : undefined)
+        });
+        rescored = true;
+    }
+
+    return {
+        transcript: finalTranscript,
+        fields: buildAssessmentFields(finalTranscript, scoring),
+        provenance: scoring.provenance,
+        originalTranscript,
+        diff: originalTranscript !== undefined ? diffTranscripts(originalTranscript, finalTranscript) : null,
+        edited,
+        rescored
+    };
+};
+
+/**
+ * Describe a draft assessment's ASR result in the shape reviewTranscript expects
+ * @param {Object} draft - Draft Assessment or TeacherAssessment
+ * @returns {Object} { transcript, keywordCounts, scores, ragScores, ragSegments, words, classificationMethod, provenance }
+ */
+export const draftReviewSource = (draft) => ({
+    transcript: draft.originalTranscript ?? draft.transcript ?? '',
+    keywordCounts: draft.keywordCounts,
+    scores: {
+        scienceTalk: draft.scienceTalk,
+        socialTalk: draft.socialTalk,
+        literatureTalk: draft.literatureTalk,
+        languageDevelopment: draft.languageDevelopment
+    },
+    ragScores: draft.ragScores || null,
+    ragSegments: draft.ragSegments || [],
+    words: draft.words || null,
+    classificationMethod: draft.classificationMethod,
+    provenance: draft.provenance || undefined
+});
@@ -0,0 +1,206 @@
+/**
+ * Shared transcription pipeline for child and classroom recordings:
+ * transcribe → analyzeTranscript → ragClassifier.classifyWithSegments → hybridScorer.
+ * Used by the transcription queue worker.
+ */
+
+import dotenv from "dotenv";
+import fs from "fs";
+import { getProvider } from "./speechToText/index.js";
+import ragClassifier from "./ragClassifier.js";
+import hybridScorer from "./hybridScorer.js";
+import { analyzeTranscript, calculateScores, extractKeywordSegments } from "./transcriptProcessor.js";
+import { buildWordTimeline, alignSegments } from "./transcriptAlignment.js";
+import { buildScoringProvenance } from "./scoringProvenance.js";
+
+dotenv.config();
+
+/**
+ * Check RAG_ENABLED - handles string 'true', boolean true, or case variations
+ * @returns {boolean} True if RAG classification should run
+ */
+export const isRagEnabled = () => {
+    return process.env.RAG_ENABLED?.toString().toLowerCase().trim() === 'true';
+};
+
+/**
+ * Transcribe an uploaded audio file with the selected speech-to-text provider
+ * @param {Object} file - { path, filename, originalName, mimetype }
+ * @param {Object} options - { provider, language, diarization }
+ * @returns {Promise<Object>} { text, words, speakers }
+ */
+export const transcribeAudio = async (file, options = {}) => {
+    if (!fs.existsSync(file.path)) {
+        throw new Error(`Audio file not found: ${file.path}`);
+    }
+
+    const provider = getProvider(options.provider);
+
+    // Check provider health (non-blocking, just a warning)
+    try {
+        if (!(await provider.isHealthy())) {
+            console.warn(`⚠️  ${provider.name} health check failed - will attempt transcription anyway`);
+        }
+    } catch (healthError) {
+        console.warn(`⚠️  Could not check ${provider.name} health:`, healthError.message);
+    }
+
+    console.log(`Starting transcription with ${provider.name} for file: ${file.filename}`);
+    const result = await provider.transcribe(file, {
+        language: options.language || 'en',
+        diarization: !!options.diarization
+    });
+
+    return {
+        text: result.text || "",
+        words: result.words || [],
+        speakers: result.speakers || []
+    };
+};
+
+/**
+ * Score a transcript with keyword analysis and, when enabled, RAG + hybrid scoring
+ * @param {string} transcript - Transcript text
+ * @param {Object} options - { useRag, words } - set useRag false to force keyword-only scoring;
+ *   pass the provider words to get a word timeline and timed segments
+ * @returns {Promise<Object>} keywordCounts, keywordScores, ragScores, ragSegments, words, scores, classificationMethod, provenance
+ */
+export const scoreTranscript = async (transcript, options = {}) => {
+    const text = transcript || "";
+    const keywordCounts = analyzeTranscript(text);
+    const keywordScores = calculateScores(keywordCounts);
+
+    let ragScores = null;
+    let ragSegments = null;
+    let scores = keywordScores;
+
+    const useRag = options.useRag !== false && isRagEnabled();
+
+    if (useRag && text.trim().length > 0) {
+        try {
+            const ragResult = await ragClassifier.classifyWithSegments(text);
+            ragScores = ragResult.scores;
+            ragSegments = ragResult.segments || [];
+            scores = hybridScorer.combineScores(ragScores, keywordScores);
+        } catch (ragError) {
+            console.error("⚠️  RAG classification failed, falling back to keyword-only:", ragError.message);
+            ragScores = null;
+            ragSegments = null;
+            scores = keywordScores;
+        }
+    }
+
+    // Fallback: always generate segments for highlighting (keyword-based when RAG has none)
+    if (!ragSegments || ragSegments.length === 0) {
+        ragSegments = extractKeywordSegments(text);
+    }
+
+    // Attach start/end seconds so a highlighted phrase can seek the recording
+    const words = Array.isArray(options.words) && options.words.length > 0
+        ? buildWordTimeline(options.words, text)
+        : null;
+    if (words) {
+        ragSegments = alignSegments(ragSegments, words);
+    }
+
+    const classificationMethod = ragScores ? 'hybrid' : 'keyword-only';
+
+    return {
+        keywordCounts,
+        keywordScores,
+        ragScores,
+        ragSegments,
+        words,
+        scores,
+        classificationMethod,
+        provenance: await buildScoringProvenance(classificationMethod)
+    };
+};
+
+/**
+ * Build the assessment fields shared by child and teacher assessments
+ * @param {string} transcript - Transcript text
+ * @param {Object} scoring - Result of scoreTranscript
+ * @returns {Object} Assessment fields
+ */
+export const buildAssessmentFields = (transcript, scoring) => {
+    const fields = {
+        transcript: transcript || "",
+        scienceTalk: scoring.scores.scienceTalk,
+        socialTalk: scoring.scores.socialTalk,
+        literatureTalk: scoring.scores.literatureTalk,
+        languageDevelopment: scoring.scores.languageDevelopment,
+        keywordCounts: scoring.keywordCounts,
+        classificationMethod: scoring.classificationMethod
+    };
+
+    if (scoring.ragScores) {
+        fields.ragScores = scoring.ragScores;
+    }
+    // Always include segments when available (keyword-based fallback enables highlighting)
+    if (scoring.ragSegments && scoring.ragSegments.length > 0) {
+        fields.ragSegments = scoring.ragSegments;
+    }
+    if (scoring.words && scoring.words.length > 0) {
+        fields.words = scoring.words;
+    }
+
+    return fields;
+};
+
+/**
+ * Parse a recording date from the request, defaulting to now
+ * @param {string} value - Date string from the upload form
+ * @returns {Date} Recording date
+ */
+export const parseRecordingDate = (value) => {
+    if (value) {
+        const parsedDate = new Date(value);
+        if (!isNaN(parsedDate.getTime())) {
+            return parsedDate;
+        }
+        console.warn("Invalid recordingDate provided, using current date");
+    }
+    return new Date();
+};
+
+/**
+ * Map a transcription/classification error to a user-facing message and status code
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {Object} { message, statusCode }
+ */
+export const describeTranscriptionError = (error) => {
+    const rawMessage = error?.message || "";
+
+    if (rawMessage.includes("unreachable") || rawMessage.includes("ECONNREFUSED")) {
+        return { message: "Speech-to-text service is not reachable. Please check your internet connection and API key.", statusCode: 503 };
+    }
+    if (rawMessage.includes("timeout") || rawMessage.includes("timed out")) {
+        return { message: "Audio transcription timed out. The audio file may be too long or the service is overloaded.", statusCode: 504 };
+    }
+    if (rawMessage.includes("not found")) {
+        return { message: "Audio file not found on server.", statusCode: 404 };
+    }
+    if (rawMessage.includes("API key")) {
+        return { message: `Speech-to-text provider is not configured: ${rawMessage}`, statusCode: 401 };
+    }
+    if (rawMessage.includes("API error") || rawMessage.includes("RevAI") || rawMessage.includes("Whisper")) {
+        return { message: `Transcription API error: ${rawMessage}`, statusCode: 502 };
+    }
+    return { message: rawMessage || "Failed to process audio. Check server logs for details.", statusCode: 500 };
+};
+
+/**
+ * Remove an uploaded audio file if it still exists
+ * @param {string} filePath - Path to the uploaded file
+ */
+export const removeUploadedFile = (filePath) => {
+    if (filePath && fs.existsSync(filePath)) {
+        try {
+            fs.unlinkSync(filePath);
+            console.log(`✓ Cleaned up file: ${filePath}`);
+        } catch (cleanupError) {
+            console.warn("⚠️  Could not delete uploaded file:", cleanupError.message);
+        }
+    }
+};
@@ -0,0 +1,330 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import TranscriptionJob from "../models/TranscriptionJob.js";
+import {
+    transcribeAudio,
+    scoreTranscript,
+    buildAssessmentFields,
+    describeTranscriptionError,
+    removeUploadedFile
+} from "./transcriptionPipeline.js";
+import { scoreSpeakers } from "./speakerScoring.js";
+import { getAudioStorage, buildAudioKey } from "./audioStorage/index.js";
+import { createDraftFromJob } from "./assessmentReview.js";
+import { runOutsideAuditContext } from "./audit.js";
+
+dotenv.config();
+
+/**
+ * Background worker for audio uploads.
+ *
+ * Upload endpoints persist a TranscriptionJob and return immediately; this
+ * worker claims queued jobs one at a time and moves them through
+ * queued → transcribing → classifying → ready (or failed).
+ */
+class TranscriptionQueue {
+    constructor(options = {}) {
+        this.pollInterval = options.pollInterval ||
+            parseInt(process.env.TRANSCRIPTION_POLL_INTERVAL_MS || "2000", 10);
+        // Jobs stuck in progress longer than this (e.g. after a restart) are re-queued
+        this.staleAfterMs = options.staleAfterMs ||
+            parseInt(process.env.TRANSCRIPTION_STALE_AFTER_MS || "900000", 10);
+        this.maxAttempts = options.maxAttempts ||
+            parseInt(process.env.TRANSCRIPTION_MAX_ATTEMPTS || "2", 10);
+
+        this.running = false;
+        this.processing = false;
+        this.timer = null;
+    }
+
+    /**
+     * Queue an uploaded file for transcription
+     * @param {string} type - 'child' or 'classroom'
+     * @param {Object} file - Multer file object
+     * @param {Object} details - childId/teacherId, center, uploadedBy, requestedBy, recordingDate
+     * @returns {Promise<Object>} Saved TranscriptionJob
+     */
+    async enqueue(type, file, details = {}) {
+        const job = new TranscriptionJob({
+            type,
+            audioFilePath: file.path,
+            audioFileName: file.filename,
+            originalFileName: file.originalname,
+            mimetype: file.mimetype,
+            fileSize: file.size,
+            ...details
+        });
+
+        await job.save();
+        console.log(`Transcription job queued: ${job._id} (${type})`);
+
+        // Pick the job up right away instead of waiting for the next poll
+        this._schedule(0);
+
+        return job;
+    }
+
+    /**
+     * Start polling for queued jobs
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        console.log(`Transcription worker started (poll interval ${this.pollInterval}ms)`);
+
+        this._requeueStaleJobs()
+            .catch(error => console.error("Error re-queuing stale transcription jobs:", error.message))
+            .finally(() => this._schedule(0));
+    }
+
+    /**
+     * Stop polling (the job in progress, if any, is allowed to finish)
+     */
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _schedule(delay) {
+        if (!this.running) {
+            return;
+        }
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        // enqueue() runs inside the upload request - the worker's changes are the system's, not the uploader's
+        this.timer = runOutsideAuditContext(() => setTimeout(() => this._tick(), delay));
+    }
+
+    /**
+     * Drain the queue, then wait for the next poll
+     * @private
+     */
+    async _tick() {
+        this.timer = null;
+        if (this.processing) {
+            return;
+        }
+
+        this.processing = true;
+        try {
+            // Wait for the initial database connection before claiming jobs
+            if (mongoose.connection.readyState !== 1) {
+                return;
+            }
+
+            let job = await this._claimNextJob();
+            while (job && this.running) {
+                await this._processJob(job);
+                job = await this._claimNextJob();
+            }
+        } catch (error) {
+            console.error("Transcription worker error:", error.message);
+        } finally {
+            this.processing = false;
+            this._schedule(this.pollInterval);
+        }
+    }
+
+    /**
+     * Atomically claim the oldest queued job
+     * @private
+     * @returns {Promise<Object|null>} Claimed job
+     */
+    async _claimNextJob() {
+        return TranscriptionJob.findOneAndUpdate(
+            { status: 'queued' },
+            {
+                $set: { status: 'transcribing', startedAt: new Date() },
+                $inc: { attempts: 1 }
+            },
+            { sort: { createdAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Run the transcribe → classify pipeline for a claimed job
+     * @private
+     * @param {Object} job - TranscriptionJob document
+     */
+    async _processJob(job) {
+        console.log(`=== Processing transcription job ${job._id} (${job.type}) ===`);
+
+        try {
+            const transcription = await transcribeAudio({
+                path: job.audioFilePath,
+                filename: job.audioFileName,
+                originalName: job.originalFileName,
+                mimetype: job.mimetype
+            }, { provider: job.sttProvider, diarization: job.diarization });
+            const transcript = transcription.text;
+            console.log(`Transcript extracted (${transcript.length} characters)`);
+
+            if (transcript.trim().length === 0) {
+                console.warn(`⚠️  Empty transcript received from ${job.sttProvider}`);
+            }
+
+            job.status = 'classifying';
+            await job.save();
+
+            const scoring = await scoreTranscript(transcript, { words: transcription.words });
+            console.log("Final scores:", scoring.scores, `(${scoring.classificationMethod})`);
+
+            let speakers = null;
+            if (job.diarization) {
+                speakers = await scoreSpeakers(transcription.words);
+                if (speakers.length === 0) {
+                    console.warn(`⚠️  ${job.sttProvider} returned no speaker labels - storing undiarized result`);
+                    speakers = null;
+                } else {
+                    console.log(`Scored ${speakers.length} speakers separately`);
+                }
+            }
+
+            await this._storeAudio(job);
+
+            job.result = this._buildResult(job, transcript, scoring, speakers);
+            await this._saveDraft(job, scoring);
+            job.status = 'ready';
+            job.completedAt = new Date();
+            await job.save();
+
+            console.log(`✓ Transcription job ${job._id} ready`);
+        } catch (error) {
+            console.error(`Transcription job ${job._id} failed:`, error.message);
+            job.status = 'failed';
+            job.error = describeTranscriptionError(error);
+            job.completedAt = new Date();
+            await job.save();
+        } finally {
+            removeUploadedFile(job.audioFilePath);
+        }
+    }
+
+    /**
+     * Keep the recording for replay and re-classification (keyed by the future assessment ID)
+     * A storage failure doesn't fail the job - the review just has no audio.
+     * @private
+     * @param {Object} job - TranscriptionJob document
+     */
+    async _storeAudio(job) {
+        try {
+            const storage = await getAudioStorage();
+            const key = buildAudioKey(job.assessmentId, job.originalFileName || job.audioFileName);
+            const stored = await storage.save(key, job.audioFilePath, { contentType: job.mimetype });
+            job.audio = {
+                key: stored.key,
+                storage: storage.name,
+                contentType: stored.contentType,
+                size: stored.size,
+                storedAt: new Date()
+            };
+            console.log(`✓ Audio stored (${storage.name}): ${stored.key}`);
+        } catch (error) {
+            console.error(`⚠️  Could not store audio for job ${job._id}:`, error.message);
+        }
+    }
+
+    /**
+     * Persist the result as a draft assessment awaiting review
+     * If this fails the job is still ready and the review can be accepted via the job.
+     * @private
+     * @param {Object} job - TranscriptionJob document (result already built)
+     * @param {Object} scoring - Result of scoreTranscript
+     */
+    async _saveDraft(job, scoring) {
+        try {
+            const draft = await createDraftFromJob(job, scoring);
+            console.log(`✓ Draft assessment saved: ${draft._id}`);
+        } catch (error) {
+            console.error(`⚠️  Could not save draft assessment for job ${job._id}:`, error.message);
+        }
+    }
+
+    /**
+     * Build the review payload returned by the job status endpoint
+     * @private
+     */
+    _buildResult(job, transcript, scoring, speakers = null) {
+        const assessment = {
+            // Draft to accept/reject via /api/assessments/:id (jobId kept for the legacy accept routes)
+            id: job.assessmentId,
+            jobId: job._id,
+            audioFileName: job.audioFileName,
+            ...buildAssessmentFields(transcript, scoring),
+            uploadedBy: job.uploadedBy || "Unknown",
+            date: job.recordingDate || job.createdAt
+        };
+
+        if (job.type === 'classroom') {
+            assessment.teacherId = job.teacherId;
+            assessment.center = job.center || null;
+            assessment.diarized = !!speakers;
+            if (speakers) {
+                assessment.speakers = speakers;
+            }
+        } else {
+            assessment.childId = job.childId;
+        }
+
+        return {
+            message: "Audio processed successfully - please review transcript",
+            assessment,
+            transcript,
+            keywordCounts: scoring.keywordCounts,
+            scores: scoring.scores,
+            keywordScores: scoring.keywordScores,
+            ragScores: scoring.ragScores || null,
+            ragSegments: scoring.ragSegments || null,
+            words: scoring.words || null,
+            classificationMethod: scoring.classificationMethod,
+            provenance: scoring.provenance,
+            speakers: speakers || null,
+            sttProvider: job.sttProvider
+        };
+    }
+
+    /**
+     * Re-queue jobs left in progress by a previous process
+     * @private
+     */
+    async _requeueStaleJobs() {
+        const cutoff = new Date(Date.now() - this.staleAfterMs);
+        const staleFilter = {
+            status: { $in: ['transcribing', 'classifying'] },
+            startedAt: { $lt: cutoff }
+        };
+
+        const failed = await TranscriptionJob.updateMany(
+            { ...staleFilter, attempts: { $gte: this.maxAttempts } },
+            {
+                $set: {
+                    status: 'failed',
+                    error: { message: "Transcription did not complete. Please upload the recording again.", statusCode: 500 },
+                    completedAt: new Date()
+                }
+            }
+        );
+        const requeued = await TranscriptionJob.updateMany(
+            { ...staleFilter, attempts: { $lt: this.maxAttempts } },
+            { $set: { status: 'queued' } }
+        );
+
+        if (requeued.modifiedCount || failed.modifiedCount) {
+            console.log(`Stale transcription jobs: ${requeued.modifiedCount} re-queued, ${failed.modifiedCount} failed`);
+        }
+    }
+}
+
+// Export singleton instance
+const transcriptionQueue = new TranscriptionQueue();
+export { TranscriptionQueue };
+export default transcriptionQueue;
@@ -1,10 +1,17 @@
 import dotenv from "dotenv";
+import crypto from "crypto";
 import KnowledgeBaseEmbedding from "../models/KnowledgeBaseEmbedding.js";
 import embeddingService from "./embeddingService.js";
 
 dotenv.config();
 
 class VectorStore {
+    constructor() {
+        // Snapshot IDs are cached briefly; the init script may change the KB from another process
+        this.snapshotTtlMs = parseInt(process.env.KB_SNAPSHOT_CACHE_MS || "300000", 10);
+        this.snapshot = null;
+    }
+
     /**
      * Calculate cosine similarity between two vectors
      * @param {number[]} vecA - First vector
@@ -45,6 +52,7 @@ class VectorStore {
      * @returns {Promise<Object>} Saved document
      */
     async storeEmbedding(text, category, embedding, metadata = {}) {
+        this.snapshot = null;
         try {
             // Check if embedding already exists for this text and category
             const existing = await KnowledgeBaseEmbedding.findOne({
@@ -148,6 +156,7 @@ class VectorStore {
      * @returns {Promise<Object>} Deletion result
      */
     async clearAll() {
+        this.snapshot = null;
         try {
             return await KnowledgeBaseEmbedding.deleteMany({});
         } catch (error) {
@@ -156,6 +165,44 @@ class VectorStore {
         }
     }
 
+    /**
+     * Identify the current knowledge base contents (changes whenever an example is added, updated or removed)
+     * @returns {Promise<string>} Snapshot ID, e.g. "kb-3f9a1c0d2b7e"
+     */
+    async getSnapshotId() {
+        if (this.snapshot && Date.now() - this.snapshot.computedAt < this.snapshotTtlMs) {
+            return this.snapshot.id;
+        }
+
+        try {
+            const stats = await KnowledgeBaseEmbedding.aggregate([
+                {
+                    $group: {
+                        _id: "$category",
+                        count: { $sum: 1 },
+                        lastUpdated: { $max: "$updatedAt" },
+                        ids: { $push: "$_id" }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ]);
+
+            const fingerprint = stats.map(stat => ({
+                category: stat._id,
+                count: stat.count,
+                lastUpdated: stat.lastUpdated,
+                ids: stat.ids.map(String).sort()
+            }));
+            const id = `kb-${crypto.createHash('sha256').update(JSON.stringify(fingerprint)).digest('hex').slice(0, 12)}`;
+
+            this.snapshot = { id, computedAt: Date.now() };
+            return id;
+        } catch (error) {
+            console.error("Error computing knowledge base snapshot:", error);
+            throw new Error(`Failed to compute knowledge base snapshot: ${error.message}`);
+        }
+    }
+
     /**
      * Get count of embeddings by category
      * @returns {Promise<Object>} Object with category counts
@@ -0,0 +1,32 @@
+// audit.js - attribute changes to the request's user and log reads of sensitive records (lib/audit.js)
+import { runWithAuditContext, recordAudit } from "../lib/audit.js";
+
+// Read "params.id" / "body.childId" style paths from the request
+const readRequestValue = (req, path) => path.split('.').reduce((value, key) => value?.[key], req);
+
+/**
+ * Run the rest of the request in an audit context, so model changes are logged with its user
+ * Mount before the routes; req.user is read when an entry is written, after authentication.
+ */
+export const auditContext = (req, res, next) => runWithAuditContext(req, next);
+
+/**
+ * Log a successful read of a record (written once the response has been sent)
+ * @param {string} targetType - e.g. 'Child', 'Assessment'
+ * @param {string|null} idPath - Where the record ID is, e.g. 'params.childId' (null for bulk reads)
+ * @param {string|Function} details - What was read, or (req) => description
+ */
+export const auditRead = (targetType, idPath, details) => (req, res, next) => {
+    res.on('finish', () => {
+        if (res.statusCode >= 400) {
+            return;
+        }
+        recordAudit({
+            action: 'read',
+            targetType,
+            targetId: idPath ? readRequestValue(req, idPath) : null,
+            details: typeof details === 'function' ? details(req) : details
+        }, req);
+    });
+    next();
+};
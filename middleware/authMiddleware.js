@@ -1,5 +1,7 @@
 // authMiddleware.js
 import jwt from "jsonwebtoken";
+import { isTokenCurrent } from "../lib/accounts.js";
+import { verifyMfaToken } from "../lib/mfa.js";
 
 function authenticateToken(req, res, next) {
     // Get token from the Authorization header (format: "Bearer TOKEN")
@@ -11,10 +13,25 @@ function authenticateToken(req, res, next) {
     }
 
     // Verify the token
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+        // Access tokens are short-lived: tell the client to use its refresh token
+        if (err && err.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: "Access token expired. Refresh the session to continue." });
+        }
         if (err) {
             console.error('JWT verification error:', err.message);
-            return res.sendStatus(403); // If token is invalid or expired, return Forbidden
+            return res.sendStatus(403); // If token is invalid, return Forbidden
+        }
+
+        // Tokens issued before a password change, for a deleted or deactivated account,
+        // or for a session that was signed out no longer work
+        try {
+            if (!(await isTokenCurrent(user))) {
+                return res.status(401).json({ message: "Your session has ended. Please sign in again." });
+            }
+        } catch (error) {
+            console.error('Session check error:', error.message);
+            return res.status(500).json({ message: error.message });
         }
         
         req.user = user; // Attach user payload to the request object
@@ -22,4 +39,51 @@ function authenticateToken(req, res, next) {
     });
 }
 
+// Attach req.user when a valid token is sent, but let anonymous requests through
+export function optionalAuthenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (token == null) {
+        return next();
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+        try {
+            if (!err && await isTokenCurrent(user)) {
+                req.user = user;
+            }
+        } catch (error) {
+            console.error('Session check error:', error.message);
+        }
+        next();
+    });
+}
+
+// Two-factor setup also accepts the enrollment token login hands out when the
+// security policy requires 2FA (req.user.mfaEnrollment is then true)
+export async function authenticateMfaEnrollment(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    try {
+        const account = token && await verifyMfaToken(token, 'mfa_enrollment');
+        if (!account) {
+            return authenticateToken(req, res, next);
+        }
+        req.user = {
+            id: account._id.toString(),
+            name: account.name,
+            email: account.email,
+            role: account.role,
+            tokenVersion: account.tokenVersion || 0,
+            mfaEnrollment: true
+        };
+        next();
+    } catch (error) {
+        console.error('Session check error:', error.message);
+        return res.status(500).json({ message: error.message });
+    }
+}
+
 export default authenticateToken;
@@ -0,0 +1,113 @@
+// authorize.js - declarative role and resource checks (rules live in lib/accessPolicy.js)
+import {
+    canAccessChild,
+    canAccessTeacher,
+    canAccessCenter,
+    findAccessibleNote
+} from "../lib/accessPolicy.js";
+import { removeUploadedFile } from "../lib/transcriptionPipeline.js";
+
+// Read "params.id" / "body.childId" style paths from the request
+const readRequestValue = (req, path) => path.split('.').reduce((value, key) => value?.[key], req);
+
+// Multer has already saved the upload when a check runs after it - don't leave it behind
+const deny = (req, res, statusCode, message) => {
+    if (req.file?.path) {
+        removeUploadedFile(req.file.path);
+    }
+    return res.status(statusCode).json({ message });
+};
+
+/**
+ * Only let the listed roles through (use after authenticateToken)
+ * @param {...string} roles - Allowed roles, e.g. authorize('admin', 'teacher')
+ */
+export const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.sendStatus(401);
+    }
+    if (!roles.includes(req.user.role)) {
+        return deny(req, res, 403, `This action requires the ${roles.join(' or ')} role`);
+    }
+    next();
+};
+
+/**
+ * Require access to the child identified by a request value
+ * @param {string} path - Where the child ID is, e.g. 'params.childId' or 'body.childId'
+ */
+export const requireChildAccess = (path = 'params.childId') => async (req, res, next) => {
+    try {
+        const childId = readRequestValue(req, path);
+        if (!childId) {
+            return deny(req, res, 400, "Child ID is required");
+        }
+        if (!(await canAccessChild(req.user, childId))) {
+            return deny(req, res, 403, "You don't have access to this child's data");
+        }
+        next();
+    } catch (error) {
+        console.error("Error checking child access:", error);
+        deny(req, res, 500, error.message);
+    }
+};
+
+/**
+ * Require access to the teacher identified by a request value
+ * @param {string} path - Where the teacher ID is, e.g. 'params.teacherId'
+ * @param {Object} options - { own: true } to allow only the teacher themselves (and admins)
+ */
+export const requireTeacherAccess = (path = 'params.teacherId', options = {}) => async (req, res, next) => {
+    try {
+        const teacherId = readRequestValue(req, path);
+        if (!teacherId) {
+            return deny(req, res, 400, "Teacher ID is required");
+        }
+        if (!(await canAccessTeacher(req.user, teacherId, options))) {
+            return deny(req, res, 403, options.own
+                ? "You can only access your own records"
+                : "You don't have access to this teacher's data");
+        }
+        next();
+    } catch (error) {
+        console.error("Error checking teacher access:", error);
+        deny(req, res, 500, error.message);
+    }
+};
+
+/**
+ * Require access to the center named by a request value
+ * @param {string} path - Where the center name is, e.g. 'params.centerName'
+ */
+export const requireCenterAccess = (path = 'params.centerName') => async (req, res, next) => {
+    try {
+        if (!(await canAccessCenter(req.user, readRequestValue(req, path)))) {
+            return deny(req, res, 403, "You don't have access to this center");
+        }
+        next();
+    } catch (error) {
+        console.error("Error checking center access:", error);
+        deny(req, res, 500, error.message);
+    }
+};
+
+/**
+ * Require access to the note in req.params.noteId (through its child)
+ */
+export const requireNoteAccess = async (req, res, next) => {
+    try {
+        const { note, forbidden } = await findAccessibleNote(req.user, req.params.noteId);
+        if (forbidden) {
+            return deny(req, res, 403, "You don't have access to this child's data");
+        }
+        if (!note) {
+            return deny(req, res, 404, "Note not found");
+        }
+        next();
+    } catch (error) {
+        console.error("Error checking note access:", error);
+        deny(req, res, 500, error.message);
+    }
+};
+
+export default authorize;
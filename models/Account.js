@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+export const ACCOUNT_ROLES = ["admin", "teacher", "parent"];
+
+/**
+ * Lowercased, trimmed form emails are stored under in the directory
+ * @param {string} email - Email address
+ * @returns {string} Normalized email
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Directory of every sign-in account. The accounts themselves stay in the Admin,
+// Teacher and Parent collections; this holds one entry per account so an email
+// belongs to exactly one of them and accounts can be listed across roles.
+// Kept in step by models/schemas/accountDirectory.js; filled for existing
+// accounts by scripts/migrateAccountDirectory.js.
+const accountSchema = new mongoose.Schema({
+    // _id of the Admin, Teacher or Parent document
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true
+    },
+    role: {
+        type: String,
+        enum: ACCOUNT_ROLES,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        set: normalizeEmail
+    },
+    name: {
+        type: String,
+        default: null
+    },
+    deactivatedAt: {
+        type: Date,
+        default: null
+    },
+    deactivatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+accountSchema.index({ role: 1, deactivatedAt: 1 });
+
+const Account = mongoose.model("Account", accountSchema);
+
+export default Account;
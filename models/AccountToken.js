@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+export const ACCOUNT_TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Single-use, time-limited tokens emailed to account holders. Only a hash is stored.
+const accountTokenSchema = new mongoose.Schema({
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ["admin", "teacher", "parent"],
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ACCOUNT_TOKEN_PURPOSES,
+        required: true
+    },
+    // Address the token was sent to - verifying it only counts while the account still uses it
+    email: {
+        type: String,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// MongoDB deletes tokens once they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+accountTokenSchema.index({ accountId: 1, purpose: 1 });
+
+/**
+ * Create a token, replacing any unused one for the same account and purpose
+ * @param {Object} account - { _id, role, email }
+ * @param {string} purpose - One of ACCOUNT_TOKEN_PURPOSES
+ * @param {number} ttlMs - How long the token is valid
+ * @returns {Promise<string>} The token to email (not stored)
+ */
+accountTokenSchema.statics.issue = async function(account, purpose, ttlMs) {
+    await this.deleteMany({ accountId: account._id, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.create({
+        accountId: account._id,
+        role: account.role,
+        purpose,
+        email: account.email,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return token;
+};
+
+/**
+ * Use a token: marks it used so it can't be used again
+ * @param {string} token - Token from the email
+ * @param {string} purpose - One of ACCOUNT_TOKEN_PURPOSES
+ * @returns {Promise<Object|null>} The token record, or null if unknown, used or expired
+ */
+accountTokenSchema.statics.consume = function(token, purpose) {
+    if (!token || typeof token !== 'string') {
+        return Promise.resolve(null);
+    }
+    const now = new Date();
+    return this.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    );
+};
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+
+export default AccountToken;
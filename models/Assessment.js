@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import { wordSchema, ragSegmentSchema } from "./schemas/transcriptSchemas.js";
+import { audioSchema } from "./schemas/audioSchema.js";
+import { scoringRunSchema, scoringHistoryPlugin } from "./schemas/scoringRunSchema.js";
+import { reviewStatusPlugin } from "./schemas/reviewStatus.js";
+import { auditTrailPlugin } from "./schemas/auditTrail.js";
 
 const assessmentSchema = new mongoose.Schema({
     childId: { 
@@ -18,6 +23,15 @@ const assessmentSchema = new mongoose.Schema({
         type: String, 
         required: false 
     },
+    // ASR output before the reviewer's corrections, and a word diff to the final transcript
+    originalTranscript: {
+        type: String,
+        required: false
+    },
+    transcriptDiff: {
+        type: mongoose.Schema.Types.Mixed,
+        required: false
+    },
     scienceTalk: { 
         type: Number, 
         default: 0,
@@ -53,14 +67,33 @@ const assessmentSchema = new mongoose.Schema({
         required: false
     },
     ragSegments: {
-        type: [mongoose.Schema.Types.Mixed],
+        type: [ragSegmentSchema],
         required: false
     },
+    // Word-level timeline so highlighted segments can seek the recording
+    words: {
+        type: [wordSchema],
+        default: undefined
+    },
+    // Source recording kept for replay and re-classification
+    audio: {
+        type: audioSchema,
+        default: undefined
+    },
     classificationMethod: {
         type: String,
         enum: ['keyword-only', 'hybrid'],
         default: 'keyword-only'
     },
+    // Version of the scores above; every scoring run (with provenance) is kept in scoringRuns
+    scoringVersion: {
+        type: Number,
+        default: 1
+    },
+    scoringRuns: {
+        type: [scoringRunSchema],
+        default: undefined
+    },
     uploadedBy: { 
         type: String, 
         required: false 
@@ -69,6 +102,10 @@ const assessmentSchema = new mongoose.Schema({
     timestamps: true
 });
 
+assessmentSchema.plugin(scoringHistoryPlugin);
+assessmentSchema.plugin(reviewStatusPlugin);
+assessmentSchema.plugin(auditTrailPlugin, { targetType: 'Assessment' });
+
 const Assessment = mongoose.model("Assessment", assessmentSchema);
 
 export default Assessment;
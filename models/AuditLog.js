@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'read'];
+
+// What was changed, as a field with its value before and after (see lib/audit.js)
+const auditChangeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// Who viewed or changed which record. Entries are only ever added.
+const auditLogSchema = new mongoose.Schema({
+    // Null for changes made outside a request (background jobs and scripts)
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // admin, teacher, parent, anonymous (no sign-in, e.g. accepting an invitation) or system
+    actorRole: {
+        type: String,
+        required: true
+    },
+    actorEmail: {
+        type: String,
+        default: null
+    },
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    // Model name: Child, Teacher, Center, Note, Assessment, TeacherAssessment, Invitation or TeacherInvitation
+    targetType: {
+        type: String,
+        required: true
+    },
+    targetId: {
+        type: String,
+        default: null
+    },
+    // What was read, e.g. "assessments with transcripts"
+    details: {
+        type: String,
+        default: null
+    },
+    changes: {
+        type: [auditChangeSchema],
+        default: []
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    method: {
+        type: String,
+        default: null
+    },
+    path: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
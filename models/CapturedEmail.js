@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Message kept by the capture email transport instead of being delivered
+const capturedEmailSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true,
+        index: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    html: {
+        type: String
+    },
+    text: {
+        type: String
+    },
+    // What was sent, e.g. 'invitation email' or 'parent digest email'
+    label: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+const CapturedEmail = mongoose.model("CapturedEmail", capturedEmailSchema);
+
+export default CapturedEmail;
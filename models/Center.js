@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditTrailPlugin } from "./schemas/auditTrail.js";
 
 const centerSchema = new mongoose.Schema({
     name: { 
@@ -18,10 +19,18 @@ const centerSchema = new mongoose.Schema({
     description: { 
         type: String 
     },
+    // Days to keep assessment recordings; null uses AUDIO_RETENTION_DAYS
+    audioRetentionDays: {
+        type: Number,
+        min: 1,
+        default: null
+    },
 }, {
     timestamps: true
 });
 
+centerSchema.plugin(auditTrailPlugin, { targetType: 'Center' });
+
 const Center = mongoose.model("Center", centerSchema);
 
 export default Center;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import { DIGEST_FREQUENCIES } from "./schemas/emailPreferences.js";
+
+export const DIGEST_KINDS = ['parent', 'teacher'];
+export const DIGEST_STATUSES = ['sending', 'sent', 'skipped', 'failed'];
+
+// One entry per recipient, child and period - the unique index stops a digest going out twice
+const digestLogSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: DIGEST_KINDS,
+        required: true
+    },
+    recipientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    // Child the parent digest is about (null for teacher digests)
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Child",
+        default: null
+    },
+    frequency: {
+        type: String,
+        enum: DIGEST_FREQUENCIES,
+        required: true
+    },
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    // 'skipped' = nothing new in the period
+    status: {
+        type: String,
+        enum: DIGEST_STATUSES,
+        default: 'sending',
+        index: true
+    },
+    itemCounts: {
+        assessments: { type: Number, default: 0 },
+        notes: { type: Number, default: 0 }
+    },
+    messageId: {
+        type: String
+    },
+    error: {
+        type: String
+    },
+    sentAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+digestLogSchema.index({ kind: 1, recipientId: 1, childId: 1, periodStart: 1, periodEnd: 1 }, { unique: true });
+
+const DigestLog = mongoose.model("DigestLog", digestLogSchema);
+
+export default DigestLog;
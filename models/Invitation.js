@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import crypto from "crypto";
+import { auditTrailPlugin } from "./schemas/auditTrail.js";
 
 const invitationSchema = new mongoose.Schema({
     email: { 
@@ -27,7 +28,7 @@ const invitationSchema = new mongoose.Schema({
     },
     status: { 
         type: String, 
-        enum: ["pending", "accepted", "expired"], 
+        enum: ["pending", "accepted", "expired", "revoked"], 
         default: "pending" 
     },
     expiresAt: { 
@@ -38,10 +39,28 @@ const invitationSchema = new mongoose.Schema({
     acceptedAt: { 
         type: Date 
     },
+    // Resending replaces the token and restarts the 7 days
+    lastSentAt: { 
+        type: Date, 
+        default: Date.now 
+    },
+    sendCount: { 
+        type: Number, 
+        default: 1 
+    },
+    revokedAt: { 
+        type: Date 
+    },
+    revokedBy: { 
+        type: mongoose.Schema.Types.ObjectId 
+    },
 }, {
     timestamps: true
 });
 
+// For the expiry sweep
+invitationSchema.index({ status: 1, expiresAt: 1 });
+
 // Generate unique token
 invitationSchema.statics.generateToken = function() {
     return crypto.randomBytes(32).toString('hex');
@@ -52,11 +71,22 @@ invitationSchema.methods.isExpired = function() {
     return new Date() > this.expiresAt;
 };
 
+// Mark pending invitations past their expiry as expired
+invitationSchema.statics.expireOverdue = async function(now = new Date()) {
+    const result = await this.updateMany(
+        { status: 'pending', expiresAt: { $lte: now } },
+        { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+};
+
 // Check if invitation is valid
 invitationSchema.methods.isValid = function() {
     return this.status === 'pending' && !this.isExpired();
 };
 
+invitationSchema.plugin(auditTrailPlugin, { targetType: 'Invitation' });
+
 const Invitation = mongoose.model("Invitation", invitationSchema);
 
 export default Invitation;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditTrailPlugin } from "./schemas/auditTrail.js";
 
 const noteSchema = new mongoose.Schema({
     childId: { 
@@ -26,6 +27,8 @@ const noteSchema = new mongoose.Schema({
     timestamps: true
 });
 
+noteSchema.plugin(auditTrailPlugin, { targetType: 'Note' });
+
 const Note = mongoose.model("Note", noteSchema);
 
 export default Note;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Site-wide sign-in rules set by admins. There is a single document.
+const securityPolicySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: "default",
+        unique: true
+    },
+    // Admins must use two-factor authentication to sign in
+    requireAdminMfa: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Current policy (defaults if none has been saved)
+ * @returns {Promise<Object>} { requireAdminMfa, updatedBy, updatedAt }
+ */
+securityPolicySchema.statics.getPolicy = async function() {
+    const policy = await this.findOne({ key: "default" }).lean();
+    return policy || { requireAdminMfa: false, updatedBy: null, updatedAt: null };
+};
+
+/**
+ * Change the policy
+ * @param {Object} changes - Fields to set
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<Object>} Updated policy
+ */
+securityPolicySchema.statics.updatePolicy = function(changes, adminId) {
+    return this.findOneAndUpdate(
+        { key: "default" },
+        { $set: { ...changes, updatedBy: adminId } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+};
+
+const SecurityPolicy = mongoose.model("SecurityPolicy", securityPolicySchema);
+
+export default SecurityPolicy;
@@ -0,0 +1,204 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// How many rotated-out refresh tokens are remembered to spot replays
+const USED_TOKEN_HISTORY = 20;
+// Two tabs refreshing at once both send the same token; the slower one isn't treated as a replay
+const REUSE_GRACE_MS = 10 * 1000;
+
+// A signed-in device. Access tokens name their session (`sid`), so ending it
+// signs the device out; the refresh token is `<sessionId>.<secret>` and only a hash is stored.
+const sessionSchema = new mongoose.Schema({
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ["admin", "teacher", "parent"],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    usedTokenHashes: {
+        type: [String],
+        default: []
+    },
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Moves forward each time the refresh token is used
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // logout, logout_all, password_changed, account_deleted, account_deactivated,
+    // account_unavailable, mfa_required or refresh_token_reuse
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// MongoDB deletes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ accountId: 1, revokedAt: 1 });
+
+const parseRefreshToken = (refreshToken) => {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return null;
+    }
+    const [id, secret] = refreshToken.split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return { id, tokenHash: hashToken(secret) };
+};
+
+/**
+ * Start a session for an account
+ * @param {Object} account - { _id, role }
+ * @param {Object} client - { userAgent, ip }
+ * @param {number} ttlMs - How long the refresh token is valid
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+sessionSchema.statics.open = async function(account, client, ttlMs) {
+    const session = new this({
+        accountId: account._id,
+        role: account.role,
+        userAgent: client?.userAgent ? String(client.userAgent).slice(0, 500) : null,
+        ip: client?.ip || null,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    const secret = newSecret();
+    session.tokenHash = hashToken(secret);
+    await session.save();
+    return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Swap a refresh token for a new one
+ * Replaying a token that was already swapped ends the session, since it means the token was copied.
+ * @param {string} refreshToken - Current refresh token
+ * @param {number} ttlMs - How long the new refresh token is valid
+ * @returns {Promise<Object|null>} { session, refreshToken }, or null if the token can't be used
+ */
+sessionSchema.statics.rotate = async function(refreshToken, ttlMs) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return null;
+    }
+
+    const now = new Date();
+    const secret = newSecret();
+    // Conditional on the current hash so two requests can't both rotate the same token
+    const session = await this.findOneAndUpdate(
+        { _id: parsed.id, tokenHash: parsed.tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                tokenHash: hashToken(secret),
+                rotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: new Date(now.getTime() + ttlMs)
+            },
+            $push: { usedTokenHashes: { $each: [parsed.tokenHash], $slice: -USED_TOKEN_HISTORY } }
+        },
+        { new: true }
+    );
+    if (session) {
+        return { session, refreshToken: `${session._id}.${secret}` };
+    }
+
+    const replayed = await this.findOne({ _id: parsed.id, usedTokenHashes: parsed.tokenHash, revokedAt: null });
+    if (replayed) {
+        const justRotated = replayed.usedTokenHashes[replayed.usedTokenHashes.length - 1] === parsed.tokenHash &&
+            now - replayed.rotatedAt < REUSE_GRACE_MS;
+        if (!justRotated) {
+            await replayed.revoke('refresh_token_reuse');
+        }
+    }
+    return null;
+};
+
+/**
+ * End the session a refresh token belongs to
+ * @param {string} refreshToken - Current refresh token
+ * @param {string} reason - Why it ended
+ * @returns {Promise<boolean>} True if a session was ended
+ */
+sessionSchema.statics.revokeByToken = async function(refreshToken, reason) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return false;
+    }
+    const result = await this.updateOne(
+        { _id: parsed.id, tokenHash: parsed.tokenHash, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * End every session of an account
+ * @param {string} accountId - Account ID
+ * @param {Object} options - { except: session ID to keep, reason }
+ * @returns {Promise<number>} Number of sessions ended
+ */
+sessionSchema.statics.revokeAll = async function(accountId, options = {}) {
+    const filter = { accountId, revokedAt: null };
+    if (options.except) {
+        filter._id = { $ne: options.except };
+    }
+    const result = await this.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: options.reason || null }
+    });
+    return result.modifiedCount;
+};
+
+/**
+ * Whether a session can still be used
+ * @param {string} id - Session ID (the access token's `sid`)
+ * @param {string} accountId - Account the token was issued to
+ * @returns {Promise<boolean>} True if it exists, belongs to the account and hasn't ended
+ */
+sessionSchema.statics.isActive = async function(id, accountId) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return false;
+    }
+    const session = await this.exists({ _id: id, accountId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return !!session;
+};
+
+sessionSchema.methods.revoke = function(reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason || null;
+    return this.save();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -1,4 +1,64 @@
 import mongoose from "mongoose";
+import { wordSchema, ragSegmentSchema } from "./schemas/transcriptSchemas.js";
+import { audioSchema } from "./schemas/audioSchema.js";
+import { scoringRunSchema, scoringHistoryPlugin } from "./schemas/scoringRunSchema.js";
+import { reviewStatusPlugin } from "./schemas/reviewStatus.js";
+import { auditTrailPlugin } from "./schemas/auditTrail.js";
+
+// One diarized speaker in a classroom recording, scored on their own words
+const speakerSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['teacher', 'child', 'unknown'],
+        default: 'unknown'
+    },
+    // Role guessed by the worker (most talkative speaker = teacher) to pre-fill the review
+    suggestedRole: {
+        type: String,
+        enum: ['teacher', 'child'],
+        required: false
+    },
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Child",
+        required: false
+    },
+    name: {
+        type: String,
+        required: false
+    },
+    transcript: {
+        type: String,
+        required: false
+    },
+    wordCount: {
+        type: Number,
+        default: 0
+    },
+    scienceTalk: { type: Number, default: 0, min: 0, max: 100 },
+    socialTalk: { type: Number, default: 0, min: 0, max: 100 },
+    literatureTalk: { type: Number, default: 0, min: 0, max: 100 },
+    languageDevelopment: { type: Number, default: 0, min: 0, max: 100 },
+    keywordCounts: {
+        science: { type: Number, default: 0 },
+        social: { type: Number, default: 0 },
+        literature: { type: Number, default: 0 },
+        language: { type: Number, default: 0 }
+    },
+    ragScores: {
+        type: mongoose.Schema.Types.Mixed,
+        required: false
+    },
+    classificationMethod: {
+        type: String,
+        enum: ['keyword-only', 'hybrid'],
+        default: 'keyword-only'
+    }
+}, { _id: false });
 
 const teacherAssessmentSchema = new mongoose.Schema({
     teacherId: { 
@@ -18,6 +78,15 @@ const teacherAssessmentSchema = new mongoose.Schema({
         type: String, 
         required: false 
     },
+    // ASR output before the reviewer's corrections, and a word diff to the final transcript
+    originalTranscript: {
+        type: String,
+        required: false
+    },
+    transcriptDiff: {
+        type: mongoose.Schema.Types.Mixed,
+        required: false
+    },
     scienceTalk: { 
         type: Number, 
         default: 0,
@@ -53,14 +122,33 @@ const teacherAssessmentSchema = new mongoose.Schema({
         required: false
     },
     ragSegments: {
-        type: [mongoose.Schema.Types.Mixed],
+        type: [ragSegmentSchema],
         required: false
     },
+    // Word-level timeline so highlighted segments can seek the recording
+    words: {
+        type: [wordSchema],
+        default: undefined
+    },
+    // Source recording kept for replay and re-classification
+    audio: {
+        type: audioSchema,
+        default: undefined
+    },
     classificationMethod: {
         type: String,
         enum: ['keyword-only', 'hybrid'],
         default: 'keyword-only'
     },
+    // Version of the scores above; every scoring run (with provenance) is kept in scoringRuns
+    scoringVersion: {
+        type: Number,
+        default: 1
+    },
+    scoringRuns: {
+        type: [scoringRunSchema],
+        default: undefined
+    },
     uploadedBy: { 
         type: String, 
         required: false 
@@ -68,11 +156,28 @@ const teacherAssessmentSchema = new mongoose.Schema({
     center: { 
         type: String, 
         required: false 
+    },
+    diarized: {
+        type: Boolean,
+        default: false
+    },
+    speakers: {
+        type: [speakerSchema],
+        default: undefined
+    },
+    // Word-weighted scores per mapped role, e.g. { teacher: {...}, child: {...} }
+    roleScores: {
+        type: mongoose.Schema.Types.Mixed,
+        required: false
     }
 }, {
     timestamps: true
 });
 
+teacherAssessmentSchema.plugin(scoringHistoryPlugin);
+teacherAssessmentSchema.plugin(reviewStatusPlugin);
+teacherAssessmentSchema.plugin(auditTrailPlugin, { targetType: 'TeacherAssessment' });
+
 const TeacherAssessment = mongoose.model("TeacherAssessment", teacherAssessmentSchema);
 
 export default TeacherAssessment;
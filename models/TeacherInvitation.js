@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import crypto from "crypto";
+import { auditTrailPlugin } from "./schemas/auditTrail.js";
 
 const invitationSchema = new mongoose.Schema({
     email: { 
@@ -43,7 +44,7 @@ const invitationSchema = new mongoose.Schema({
     },
     status: { 
         type: String, 
-        enum: ["pending", "accepted", "expired"], 
+        enum: ["pending", "accepted", "expired", "revoked"], 
         default: "pending" 
     },
     expiresAt: { 
@@ -54,10 +55,28 @@ const invitationSchema = new mongoose.Schema({
     acceptedAt: { 
         type: Date 
     },
+    // Resending replaces the token and restarts the 7 days
+    lastSentAt: { 
+        type: Date, 
+        default: Date.now 
+    },
+    sendCount: { 
+        type: Number, 
+        default: 1 
+    },
+    revokedAt: { 
+        type: Date 
+    },
+    revokedBy: { 
+        type: mongoose.Schema.Types.ObjectId 
+    },
 }, {
     timestamps: true
 });
 
+// For the expiry sweep
+invitationSchema.index({ status: 1, expiresAt: 1 });
+
 // Generate unique token
 invitationSchema.statics.generateToken = function() {
     return crypto.randomBytes(32).toString('hex');
@@ -68,11 +87,22 @@ invitationSchema.methods.isExpired = function() {
     return new Date() > this.expiresAt;
 };
 
+// Mark pending invitations past their expiry as expired
+invitationSchema.statics.expireOverdue = async function(now = new Date()) {
+    const result = await this.updateMany(
+        { status: 'pending', expiresAt: { $lte: now } },
+        { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+};
+
 // Check if invitation is valid
 invitationSchema.methods.isValid = function() {
     return this.status === 'pending' && !this.isExpired();
 };
 
+invitationSchema.plugin(auditTrailPlugin, { targetType: 'TeacherInvitation' });
+
 const TeacherInvitation = mongoose.model("TeacherInvitation", invitationSchema);
 
 export default TeacherInvitation;
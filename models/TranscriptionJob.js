@@ -0,0 +1,128 @@
+import mongoose from "mongoose";
+
+const transcriptionJobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ["child", "classroom"],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["queued", "transcribing", "classifying", "ready", "failed"],
+        default: "queued",
+        index: true
+    },
+    // Location of the uploaded audio on this server (never returned to clients)
+    audioFilePath: {
+        type: String,
+        required: true
+    },
+    audioFileName: {
+        type: String,
+        required: true
+    },
+    originalFileName: {
+        type: String
+    },
+    mimetype: {
+        type: String
+    },
+    fileSize: {
+        type: Number
+    },
+    // Speech-to-text provider chosen at upload time (see lib/speechToText)
+    sttProvider: {
+        type: String,
+        required: true
+    },
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Child"
+    },
+    teacherId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Teacher"
+    },
+    center: {
+        type: String
+    },
+    // Keep speaker labels so each speaker can be scored separately (classroom uploads)
+    diarization: {
+        type: Boolean,
+        default: false
+    },
+    uploadedBy: {
+        type: String
+    },
+    requestedBy: {
+        id: { type: String },
+        role: { type: String }
+    },
+    recordingDate: {
+        type: Date
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // ID of the draft assessment saved for review (audio is stored under it)
+    assessmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: () => new mongoose.Types.ObjectId()
+    },
+    // Recording copied to audio storage once transcription succeeds
+    audio: {
+        key: { type: String },
+        storage: { type: String },
+        contentType: { type: String },
+        size: { type: Number },
+        storedAt: { type: Date },
+        purgedAt: { type: Date }
+    },
+    // Same payload the upload endpoint used to return synchronously
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    error: {
+        message: { type: String },
+        statusCode: { type: Number }
+    },
+    startedAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+transcriptionJobSchema.index({ status: 1, createdAt: 1 });
+
+// Check if the job has finished (successfully or not)
+transcriptionJobSchema.methods.isFinished = function() {
+    return this.status === 'ready' || this.status === 'failed';
+};
+
+// Public view of the job for the status endpoint
+transcriptionJobSchema.methods.toStatusResponse = function() {
+    return {
+        id: this._id,
+        type: this.type,
+        status: this.status,
+        childId: this.childId,
+        teacherId: this.teacherId,
+        audioFileName: this.audioFileName,
+        assessmentId: this.status === 'ready' ? this.assessmentId : undefined,
+        sttProvider: this.sttProvider,
+        createdAt: this.createdAt,
+        startedAt: this.startedAt,
+        completedAt: this.completedAt,
+        result: this.status === 'ready' ? this.result : undefined,
+        error: this.status === 'failed' ? this.error : undefined
+    };
+};
+
+const TranscriptionJob = mongoose.model("TranscriptionJob", transcriptionJobSchema);
+
+export default TranscriptionJob;
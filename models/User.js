@@ -1,10 +1,16 @@
 import mongoose from "mongoose";
+import { emailPreferencesSchema } from "./schemas/emailPreferences.js";
+import { accountSecurityFields, mfaFields } from "./schemas/accountSecurity.js";
+import { accountDirectoryPlugin } from "./schemas/accountDirectory.js";
+import { auditTrailPlugin } from "./schemas/auditTrail.js";
 
 const adminSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     role: { type: String, required: true, enum: ["admin"] },
     password: { type: String, required: true },
+    ...accountSecurityFields,
+    ...mfaFields,
 });
 
 const teacherSchema = new mongoose.Schema({
@@ -15,6 +21,9 @@ const teacherSchema = new mongoose.Schema({
     center: { type: String, required: true },
     education: { type: String, required: true },
     dateOfBirth: { type: Date, required: true },
+    emailPreferences: { type: emailPreferencesSchema, default: () => ({}) },
+    ...accountSecurityFields,
+    ...mfaFields,
 });
 
 const parentSchema = new mongoose.Schema({
@@ -22,17 +31,47 @@ const parentSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true },
     role: { type: String, required: true, enum: ["parent"] },
     password: { type: String, required: true },
+    // Every child the parent is linked to (one accepted invitation each)
+    childIds: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Child" }],
+        validate: {
+            validator: (ids) => ids.length > 0,
+            message: "A parent must be linked to at least one child"
+        }
+    },
+    // Single child of accounts created before parents could have several;
+    // moved into childIds on save or by scripts/migrateParentChildren.js
     childId: { 
         type: mongoose.Schema.Types.ObjectId, 
-        ref: "Child", 
-        required: true 
+        ref: "Child"
     },
     invitationToken: { type: String }, // Store the invitation token used
     invitationAccepted: { type: Boolean, default: false },
+    emailPreferences: { type: emailPreferencesSchema, default: () => ({}) },
+    ...accountSecurityFields,
 }, {
     timestamps: true
 });
 
+// Linked children, including the legacy childId of unmigrated accounts
+parentSchema.methods.getChildIds = function() {
+    const ids = [...(this.childIds || [])];
+    if (this.childId && !ids.some(id => id.equals(this.childId))) {
+        ids.unshift(this.childId);
+    }
+    return ids;
+};
+
+parentSchema.pre('validate', function() {
+    if (this.childId) {
+        this.childIds = this.getChildIds();
+        this.childId = undefined;
+    }
+});
+
+// One email per account across all three collections (see models/Account.js)
+[adminSchema, teacherSchema, parentSchema].forEach(schema => schema.plugin(accountDirectoryPlugin));
+
 const childSchema = new mongoose.Schema({
     name: { type: String, required: true },
     role: { type: String, required: true, enum: ["child"] },
@@ -49,6 +88,9 @@ const childSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Who changed teacher and child records (see lib/audit.js)
+teacherSchema.plugin(auditTrailPlugin, { targetType: 'Teacher' });
+childSchema.plugin(auditTrailPlugin, { targetType: 'Child' });
 
 const Admin = mongoose.model("Admin", adminSchema);
 const Teacher = mongoose.model("Teacher", teacherSchema);   
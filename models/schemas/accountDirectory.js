@@ -0,0 +1,52 @@
+import Account, { normalizeEmail } from "../Account.js";
+
+/**
+ * Keep an account collection's entries in the account directory (models/Account.js).
+ *
+ * The directory entry is written before the account is saved, so an email that
+ * already belongs to another account (of any role) stops the save.
+ */
+export const accountDirectoryPlugin = (schema) => {
+    schema.pre('save', async function() {
+        if (!this.isNew && !this.isModified('email') && !this.isModified('name') && !this.isModified('deactivatedAt')) {
+            return;
+        }
+        try {
+            await Account.updateOne(
+                { accountId: this._id },
+                {
+                    $set: {
+                        role: this.role,
+                        email: normalizeEmail(this.email),
+                        name: this.name,
+                        deactivatedAt: this.deactivatedAt || null
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new Error(`An account with the email ${this.email} already exists`);
+            }
+            throw error;
+        }
+    });
+
+    // A new account that failed to save gives its email back
+    schema.post('save', async function(error, doc, next) {
+        if (doc?.isNew) {
+            await Account.deleteOne({ accountId: doc._id }).catch(() => {});
+        }
+        next(error);
+    });
+
+    schema.post('findOneAndDelete', async function(doc) {
+        if (doc) {
+            await Account.deleteOne({ accountId: doc._id });
+        }
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function() {
+        await Account.deleteOne({ accountId: this._id });
+    });
+};
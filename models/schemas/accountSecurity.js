@@ -0,0 +1,24 @@
+// Sign-in fields shared by admin, teacher and parent accounts
+export const accountSecurityFields = {
+    // Bumped when the password changes so tokens issued before stop working
+    tokenVersion: { type: Number, default: 0 },
+    passwordChangedAt: { type: Date, default: null },
+    emailVerifiedAt: { type: Date, default: null },
+    // Deactivated accounts can't sign in and their tokens stop working
+    deactivatedAt: { type: Date, default: null }
+};
+
+// Two-factor authentication (admin and teacher accounts). The secrets are encrypted
+// (see lib/mfa.js) and left out of queries unless asked for with '+mfa.secret' etc.
+export const mfaFields = {
+    mfa: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date, default: null },
+        secret: { type: String, default: null, select: false },
+        // Set up but not yet confirmed with a code
+        pendingSecret: { type: String, default: null, select: false },
+        recoveryCodeHashes: { type: [String], default: [], select: false },
+        // Last time step a code was accepted for, so a code only works once
+        lastUsedStep: { type: Number, default: null, select: false }
+    }
+};
@@ -0,0 +1,11 @@
+import mongoose from "mongoose";
+
+// Stored source recording (see lib/audioStorage); purgedAt is set by the retention sweep
+export const audioSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    storage: { type: String },
+    contentType: { type: String },
+    size: { type: Number },
+    storedAt: { type: Date, default: Date.now },
+    purgedAt: { type: Date, default: null }
+}, { _id: false });
@@ -0,0 +1,72 @@
+import { diffRecords, recordAudit } from "../../lib/audit.js";
+
+/**
+ * Log creates, updates and deletes of a model's records to the audit log (lib/audit.js).
+ *
+ * Covers save(), findOneAndUpdate/findByIdAndUpdate, updateOne, findOneAndDelete/
+ * findByIdAndDelete and deleteOne. updateMany and deleteMany are not logged.
+ * @param {Object} options - { targetType: name shown in the log }
+ */
+export const auditTrailPlugin = (schema, { targetType }) => {
+    const record = (action, targetId, before, after) => {
+        const changes = diffRecords(before, after);
+        // Saves that only touched timestamps or sign-in bookkeeping
+        if (action === 'update' && changes.length === 0) {
+            return;
+        }
+        return recordAudit({ action, targetType, targetId, changes });
+    };
+
+    schema.pre('save', async function() {
+        this.$locals.auditWasNew = this.isNew;
+        this.$locals.auditBefore = !this.isNew && this.isModified()
+            ? await this.constructor.findById(this._id).lean()
+            : null;
+    });
+
+    schema.post('save', async function() {
+        const before = this.$locals.auditBefore;
+        this.$locals.auditBefore = null;
+        if (this.$locals.auditWasNew) {
+            await record('create', this._id, null, this.toObject());
+        } else if (before) {
+            await record('update', this._id, before, this.toObject());
+        }
+    });
+
+    // Query updates: load the record before and after
+    const loadBefore = async function() {
+        this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+    };
+    const recordUpdate = async function() {
+        const before = this._auditBefore;
+        if (before) {
+            const after = await this.model.findById(before._id).lean();
+            await record('update', before._id, before, after);
+        } else if (this.getOptions().upsert) {
+            const created = await this.model.findOne(this.getFilter()).lean();
+            if (created) {
+                await record('create', created._id, null, created);
+            }
+        }
+    };
+    schema.pre('findOneAndUpdate', loadBefore);
+    schema.post('findOneAndUpdate', recordUpdate);
+    schema.pre('updateOne', { document: false, query: true }, loadBefore);
+    schema.post('updateOne', { document: false, query: true }, recordUpdate);
+
+    schema.post('findOneAndDelete', async function(doc) {
+        if (doc) {
+            await record('delete', doc._id, doc.toObject ? doc.toObject() : doc, null);
+        }
+    });
+
+    // doc.deleteOne() runs this query middleware too
+    schema.pre('deleteOne', { document: false, query: true }, loadBefore);
+    schema.post('deleteOne', { document: false, query: true }, async function() {
+        const before = this._auditBefore;
+        if (before) {
+            await record('delete', before._id, before, null);
+        }
+    });
+};
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+// Per-user email settings. Digests are on by default; every digest links to a one-click unsubscribe.
+export const emailPreferencesSchema = new mongoose.Schema({
+    digest: { type: Boolean, default: true },
+    // Parents only - teachers always get a weekly summary
+    digestFrequency: { type: String, enum: DIGEST_FREQUENCIES, default: 'weekly' },
+    unsubscribedAt: { type: Date, default: null },
+    // Language for emails (e.g. 'es'); parents default to their child's primary language, everyone else to English
+    locale: { type: String, default: null }
+}, { _id: false });
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+export const REVIEW_STATUSES = ['draft', 'accepted', 'rejected'];
+
+// `status` condition for reviewed assessments: accepted, or saved before the lifecycle (no status).
+// The one place that decides what counts towards reports - use it as { status: ACCEPTED_STATUS_FILTER }.
+export const ACCEPTED_STATUS_FILTER = { $nin: ['draft', 'rejected'] };
+
+/**
+ * Plugin for assessment schemas with a review lifecycle.
+ *
+ * The transcription worker saves a `draft` as soon as a recording is scored;
+ * a reviewer then accepts (optionally correcting the transcript) or rejects it.
+ * Assessments saved before the lifecycle existed have no status and count as accepted.
+ */
+export const reviewStatusPlugin = (schema) => {
+    schema.add({
+        status: {
+            type: String,
+            enum: REVIEW_STATUSES,
+            default: 'accepted',
+            index: true
+        },
+        // Transcription job the draft came from
+        jobId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "TranscriptionJob"
+        },
+        // User who uploaded the recording (owner of the pending review)
+        requestedBy: {
+            id: { type: String },
+            role: { type: String }
+        },
+        reviewedBy: {
+            id: { type: String },
+            role: { type: String }
+        },
+        reviewedAt: {
+            type: Date
+        },
+        rejectionReason: {
+            type: String
+        }
+    });
+
+    schema.index({ status: 1, 'requestedBy.id': 1, createdAt: -1 });
+
+    // Only reviewed (accepted or legacy) assessments count towards reports
+    schema.query.accepted = function() {
+        return this.where({ status: ACCEPTED_STATUS_FILTER });
+    };
+
+    schema.methods.isDraft = function() {
+        return this.status === 'draft';
+    };
+};
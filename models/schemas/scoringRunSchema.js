@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import { ragSegmentSchema } from "./transcriptSchemas.js";
+
+// How a scoring run was produced (see lib/scoringProvenance.js).
+// RAG fields are null for keyword-only runs.
+export const provenanceSchema = new mongoose.Schema({
+    classificationMethod: { type: String },
+    keywords: {
+        hash: { type: String },
+        count: { type: Number }
+    },
+    weights: {
+        type: new mongoose.Schema({
+            rag: { type: Number },
+            keyword: { type: Number }
+        }, { _id: false }),
+        default: null
+    },
+    ragModel: { type: String, default: null },
+    embeddingModel: { type: String, default: null },
+    knowledgeBaseSnapshotId: { type: String, default: null },
+    topK: { type: Number, default: null },
+    scoredAt: { type: Date }
+}, { _id: false });
+
+// One scoring pass over an assessment's transcript. The assessment's top-level
+// scores always mirror the run marked isCurrent; older runs stay for comparison.
+export const scoringRunSchema = new mongoose.Schema({
+    version: { type: Number, required: true },
+    isCurrent: { type: Boolean, default: false },
+    trigger: {
+        type: String,
+        enum: ['original', 'reclassify'],
+        default: 'original'
+    },
+    triggeredBy: {
+        id: { type: String },
+        role: { type: String }
+    },
+    scoredAt: { type: Date, default: Date.now },
+    scienceTalk: { type: Number, default: 0 },
+    socialTalk: { type: Number, default: 0 },
+    literatureTalk: { type: Number, default: 0 },
+    languageDevelopment: { type: Number, default: 0 },
+    keywordCounts: {
+        science: { type: Number, default: 0 },
+        social: { type: Number, default: 0 },
+        literature: { type: Number, default: 0 },
+        language: { type: Number, default: 0 }
+    },
+    ragScores: { type: mongoose.Schema.Types.Mixed },
+    ragSegments: { type: [ragSegmentSchema], default: undefined },
+    classificationMethod: { type: String },
+    // Per-role scores for diarized classroom recordings
+    roleScores: { type: mongoose.Schema.Types.Mixed },
+    provenance: { type: provenanceSchema, default: undefined },
+    // Score change compared with the previous run
+    deltas: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+/**
+ * Plugin for assessment schemas with a scoringRuns history:
+ * adds currentScoringRun() and a `provenance` virtual included in JSON responses.
+ */
+export const scoringHistoryPlugin = (schema) => {
+    schema.methods.currentScoringRun = function() {
+        const runs = this.scoringRuns || [];
+        return runs.find(run => run.isCurrent) || runs[runs.length - 1] || null;
+    };
+
+    // Null for assessments scored before provenance was recorded
+    schema.virtual('provenance').get(function() {
+        return this.currentScoringRun()?.provenance || null;
+    });
+
+    schema.set('toJSON', { virtuals: true });
+};
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// One recognized word with its position in the audio (seconds) and in the transcript (characters)
+export const wordSchema = new mongoose.Schema({
+    text: { type: String, required: true },
+    start: { type: Number, default: null },
+    end: { type: Number, default: null },
+    speaker: { type: String, default: null },
+    confidence: { type: Number, default: null },
+    startIndex: { type: Number, default: null },
+    endIndex: { type: Number, default: null }
+}, { _id: false });
+
+// Highlighted transcript segment (RAG or keyword based), aligned to the recording
+export const ragSegmentSchema = new mongoose.Schema({
+    text: { type: String },
+    category: { type: String },
+    startIndex: { type: Number },
+    endIndex: { type: Number },
+    startTime: { type: Number, default: null },
+    endTime: { type: Number, default: null },
+    speaker: { type: String, default: null }
+}, { _id: false });
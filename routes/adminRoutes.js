@@ -0,0 +1,45 @@
+import express from "express";
+import { bulkReclassify } from "../controllers/reclassifyController.js";
+import { runDigests, getDigestLog } from "../controllers/digestController.js";
+import {
+    getEmailOutbox,
+    clearEmailOutbox,
+    getEmailProviders,
+    getEmailTemplates,
+    previewEmailTemplate
+} from "../controllers/emailAdminController.js";
+import { getLoginLockout, unlockLogin } from "../controllers/authController.js";
+import { getSecurityPolicy, updateSecurityPolicy, resetAccountMfa } from "../controllers/mfaController.js";
+import {
+    listAccounts,
+    getAccountDetails,
+    deactivateAccount,
+    reactivateAccount
+} from "../controllers/accountAdminController.js";
+import authenticateToken from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+// Everything under /api/admin is admin-only
+router.use(authenticateToken, authorize("admin"));
+
+router.post("/reclassify", bulkReclassify);
+router.post("/digests/run", runDigests);
+router.get("/digests", getDigestLog);
+router.get("/email/outbox", getEmailOutbox);
+router.delete("/email/outbox", clearEmailOutbox);
+router.get("/email/providers", getEmailProviders);
+router.get("/email/templates", getEmailTemplates);
+router.get("/email/templates/:name/preview", previewEmailTemplate);
+router.get("/login-lockouts", getLoginLockout);
+router.post("/login-lockouts/unlock", unlockLogin);
+router.get("/security-policy", getSecurityPolicy);
+router.put("/security-policy", updateSecurityPolicy);
+router.post("/mfa/reset", resetAccountMfa);
+router.get("/accounts", listAccounts);
+router.get("/accounts/:id", getAccountDetails);
+router.post("/accounts/:id/deactivate", deactivateAccount);
+router.post("/accounts/:id/reactivate", reactivateAccount);
+
+export default router;
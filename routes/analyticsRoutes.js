@@ -0,0 +1,14 @@
+import express from "express";
+import { getCenterAnalytics, getCenterAnalyticsBreakdown } from "../controllers/analyticsController.js";
+import authenticateToken from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+// Admins see every center, teachers their own
+router.use(authenticateToken, authorize("admin", "teacher"));
+
+router.get("/centers/:id", getCenterAnalytics);
+router.get("/centers/:id/:dimension", getCenterAnalyticsBreakdown);
+
+export default router;
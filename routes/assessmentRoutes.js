@@ -0,0 +1,22 @@
+import express from "express";
+import { streamAssessmentAudio, getAssessmentAudioUrl } from "../controllers/assessmentAudioController.js";
+import { reclassifyAssessmentById } from "../controllers/reclassifyController.js";
+import { getPendingReviews, getAssessment, acceptAssessment, rejectAssessment } from "../controllers/assessmentReviewController.js";
+import authenticateToken, { optionalAuthenticateToken } from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/authorize.js";
+import { auditRead } from "../middleware/audit.js";
+
+const router = express.Router();
+
+// Draft review lifecycle (drafts are saved by the transcription worker)
+router.get("/pending", authenticateToken, auditRead("Assessment", null, "draft transcripts awaiting review"), getPendingReviews);
+router.get("/:id", authenticateToken, auditRead("Assessment", "params.id", "transcript"), getAssessment);
+router.post("/:id/accept", authenticateToken, acceptAssessment);
+router.post("/:id/reject", authenticateToken, rejectAssessment);
+
+// Signed URLs let <audio> elements stream without an Authorization header
+router.get("/:id/audio", optionalAuthenticateToken, auditRead("Assessment", "params.id", "recording"), streamAssessmentAudio);
+router.get("/:id/audio/url", authenticateToken, auditRead("Assessment", "params.id", "recording link"), getAssessmentAudioUrl);
+router.post("/:id/reclassify", authenticateToken, authorize("admin", "teacher"), reclassifyAssessmentById);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { getAuditLog } from "../controllers/auditController.js";
+import authenticateToken from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+// The audit log covers every center - admins only
+router.use(authenticateToken, authorize("admin"));
+
+router.get("/", getAuditLog);
+
+export default router;
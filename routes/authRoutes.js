@@ -1,11 +1,62 @@
 import express from "express";
-import { register, login, registerParent, registerTeacher } from "../controllers/authController.js";
+import {
+    register,
+    login,
+    registerParent,
+    registerTeacher,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    requestEmailVerification,
+    verifyEmail,
+    refresh,
+    logout,
+    logoutAll,
+    verifyLoginMfa
+} from "../controllers/authController.js";
+import {
+    getMfaStatus,
+    setupMfa,
+    enableMfa,
+    disableMfaForAccount,
+    regenerateRecoveryCodes
+} from "../controllers/mfaController.js";
+import authenticateToken, {
+    optionalAuthenticateToken,
+    authenticateMfaEnrollment
+} from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/authorize.js";
 
 const router = express.Router();
 
-router.post("/register", register);
+// Creates admin and teacher accounts - admins only (parents and teachers register via invitation)
+router.post("/register", authenticateToken, authorize("admin"), register);
 router.post("/login", login);
+// Second step for accounts with two-factor authentication
+router.post("/login/mfa", verifyLoginMfa);
 router.post("/register-parent", registerParent);
 router.post("/register-teacher", registerTeacher);
 
+// Sessions: swap a refresh token for new tokens, sign out this device or every device
+router.post("/refresh", refresh);
+router.post("/logout", optionalAuthenticateToken, logout);
+router.post("/logout-all", authenticateToken, logoutAll);
+
+// Password reset by email (public) and password change (signed in)
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/change-password", authenticateToken, changePassword);
+
+// Email address confirmation
+router.post("/send-verification", authenticateToken, requestEmailVerification);
+router.post("/verify-email", verifyEmail);
+
+// Two-factor authentication (admins and teachers). Setup also accepts the
+// enrollment token login gives admins when the security policy requires 2FA.
+router.get("/mfa", authenticateToken, authorize("admin", "teacher"), getMfaStatus);
+router.post("/mfa/setup", authenticateMfaEnrollment, authorize("admin", "teacher"), setupMfa);
+router.post("/mfa/enable", authenticateMfaEnrollment, authorize("admin", "teacher"), enableMfa);
+router.post("/mfa/disable", authenticateToken, authorize("admin", "teacher"), disableMfaForAccount);
+router.post("/mfa/recovery-codes", authenticateToken, authorize("admin", "teacher"), regenerateRecoveryCodes);
+
 export default router;
\ No newline at end of file
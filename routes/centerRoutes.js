@@ -8,14 +8,15 @@ import {
     getTeachersByCenter 
 } from "../controllers/centerController.js";
 import authenticateToken from "../middleware/authMiddleware.js";
+import { authorize, requireCenterAccess } from "../middleware/authorize.js";
 
 const router = express.Router();
 
-router.post("/", authenticateToken, createCenter);
-router.get("/", authenticateToken, getAllCenters);
-router.get("/:id", authenticateToken, getCenterById);
-router.put("/:id", authenticateToken, updateCenter);
-router.delete("/:id", authenticateToken, deleteCenter);
-router.get("/:centerName/teachers", authenticateToken, getTeachersByCenter);
+router.post("/", authenticateToken, authorize("admin"), createCenter);
+router.get("/", authenticateToken, authorize("admin", "teacher"), getAllCenters);
+router.get("/:id", authenticateToken, authorize("admin", "teacher"), getCenterById);
+router.put("/:id", authenticateToken, authorize("admin"), updateCenter);
+router.delete("/:id", authenticateToken, authorize("admin"), deleteCenter);
+router.get("/:centerName/teachers", authenticateToken, requireCenterAccess(), getTeachersByCenter);
 
 export default router;
@@ -1,14 +1,19 @@
 import express from "express";
-import { createChild, getAllChildren, getChildById, updateChild, deleteChild } from "../controllers/childController.js";
+import { createChild, getAllChildren, getChildById, updateChild, deleteChild, getChildProgressReport, getChildReportPdf } from "../controllers/childController.js";
 import authenticateToken from "../middleware/authMiddleware.js";
+import { authorize, requireChildAccess } from "../middleware/authorize.js";
+import { auditRead } from "../middleware/audit.js";
 
 const router = express.Router();
 
-router.post("/", authenticateToken, createChild);
+router.post("/", authenticateToken, authorize("admin", "teacher"), createChild);
+// Filtered to the children the user may see
 router.get("/", authenticateToken, getAllChildren);
-router.get("/:id", authenticateToken, getChildById);
-router.put("/:id", authenticateToken, updateChild);
-router.delete("/:id", authenticateToken, deleteChild);
+router.get("/:id", authenticateToken, requireChildAccess("params.id"), auditRead("Child", "params.id", "profile"), getChildById);
+router.get("/:id/progress", authenticateToken, requireChildAccess("params.id"), auditRead("Child", "params.id", "progress report"), getChildProgressReport);
+// Parents can fetch the report for their own child only
+router.get("/:id/report.pdf", authenticateToken, requireChildAccess("params.id"), auditRead("Child", "params.id", "PDF progress report"), getChildReportPdf);
+router.put("/:id", authenticateToken, authorize("admin", "teacher"), requireChildAccess("params.id"), updateChild);
+router.delete("/:id", authenticateToken, authorize("admin"), deleteChild);
 
 export default router;
-
@@ -0,0 +1,14 @@
+import express from "express";
+import { getEmailPreferences, updateEmailPreferences, unsubscribe } from "../controllers/emailPreferenceController.js";
+import authenticateToken from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+// Public - the signed token from the digest email identifies the user
+router.post("/unsubscribe", unsubscribe);
+
+router.get("/", authenticateToken, authorize("parent", "teacher"), getEmailPreferences);
+router.put("/", authenticateToken, authorize("parent", "teacher"), updateEmailPreferences);
+
+export default router;
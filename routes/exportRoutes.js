@@ -0,0 +1,14 @@
+import express from "express";
+import { exportAssessments } from "../controllers/exportController.js";
+import authenticateToken from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/authorize.js";
+import { auditRead } from "../middleware/audit.js";
+
+const router = express.Router();
+
+// Research exports cover every center - admins only
+router.use(authenticateToken, authorize("admin"));
+
+router.get("/assessments", auditRead("Assessment", null, (req) => `research export ${new URLSearchParams(req.query)}`.trim()), exportAssessments);
+
+export default router;
@@ -1,16 +1,24 @@
 import express from 'express';
-import { sendInvitation, verifyInvitation, getInvitations } from '../controllers/invitationController.js';
+import { sendInvitation, verifyInvitation, getInvitations, resendInvitation, revokeInvitation } from '../controllers/invitationController.js';
 import authenticateToken from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/authorize.js';
+
 const router = express.Router();
 
 // Send invitation (admin/teacher only)
-router.post('/send', authenticateToken, sendInvitation);
+router.post('/send', authenticateToken, authorize('admin', 'teacher'), sendInvitation);
 
 // Verify invitation token (public endpoint)
-router.get('/verify/:token', authenticateToken, verifyInvitation);
+router.get('/verify/:token', verifyInvitation);
 
 // Get all invitations (admin/teacher only)
-router.get('/list', authenticateToken, getInvitations);
+router.get('/list', authenticateToken, authorize('admin', 'teacher'), getInvitations);
+
+// Resend with a new token and expiry (admin/teacher only; teachers their own)
+router.post('/:id/resend', authenticateToken, authorize('admin', 'teacher'), resendInvitation);
+
+// Revoke so the link can't be used (admin/teacher only; teachers their own)
+router.post('/:id/revoke', authenticateToken, authorize('admin', 'teacher'), revokeInvitation);
 
 export default router;
 
@@ -1,12 +1,13 @@
 import express from "express";
 import { createNote, getNotesByChild, deleteNote, updateNote } from "../controllers/noteController.js";
+import authenticateToken from "../middleware/authMiddleware.js";
+import { requireChildAccess, requireNoteAccess } from "../middleware/authorize.js";
 
 const router = express.Router();
 
-router.post("/", createNote);
-router.get("/child/:childId", getNotesByChild);
-router.delete("/:noteId", deleteNote);
-router.put("/:noteId", updateNote);
+router.post("/", authenticateToken, requireChildAccess("body.childId"), createNote);
+router.get("/child/:childId", authenticateToken, requireChildAccess(), getNotesByChild);
+router.delete("/:noteId", authenticateToken, requireNoteAccess, deleteNote);
+router.put("/:noteId", authenticateToken, requireNoteAccess, updateNote);
 
 export default router;
-
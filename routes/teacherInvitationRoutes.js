@@ -1,17 +1,24 @@
 import express from 'express';
-import { sendTeacherInvitation, verifyTeacherInvitation, getTeacherInvitations } from '../controllers/teacherInvitationController.js';
+import { sendTeacherInvitation, verifyTeacherInvitation, getTeacherInvitations, resendTeacherInvitation, revokeTeacherInvitation } from '../controllers/teacherInvitationController.js';
 import authenticateToken from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/authorize.js';
 
 const router = express.Router();
 
 // Send teacher invitation (admin only)
-router.post('/send', authenticateToken, sendTeacherInvitation);
+router.post('/send', authenticateToken, authorize('admin'), sendTeacherInvitation);
 
 // Verify teacher invitation token (public endpoint)
 router.get('/verify/:token', verifyTeacherInvitation);
 
 // Get all teacher invitations (admin only)
-router.get('/list', authenticateToken, getTeacherInvitations);
+router.get('/list', authenticateToken, authorize('admin'), getTeacherInvitations);
+
+// Resend with a new token and expiry (admin only)
+router.post('/:id/resend', authenticateToken, authorize('admin'), resendTeacherInvitation);
+
+// Revoke so the link can't be used (admin only)
+router.post('/:id/revoke', authenticateToken, authorize('admin'), revokeTeacherInvitation);
 
 export default router;
 
@@ -1,14 +1,15 @@
 import express from "express";
 import { createTeacher, getAllTeachers, getTeacherById, updateTeacher, deleteTeacher } from "../controllers/teacherController.js";
 import authenticateToken from "../middleware/authMiddleware.js";
+import { authorize, requireTeacherAccess } from "../middleware/authorize.js";
 
 const router = express.Router();
 
-router.post("/", authenticateToken, createTeacher);
-router.get("/", authenticateToken, getAllTeachers);
-router.get("/:id", authenticateToken, getTeacherById);
-router.put("/:id", authenticateToken, updateTeacher);
-router.delete("/:id", authenticateToken, deleteTeacher);
+router.post("/", authenticateToken, authorize("admin"), createTeacher);
+// Teachers only see colleagues in their center
+router.get("/", authenticateToken, authorize("admin", "teacher"), getAllTeachers);
+router.get("/:id", authenticateToken, requireTeacherAccess("params.id"), getTeacherById);
+router.put("/:id", authenticateToken, requireTeacherAccess("params.id", { own: true }), updateTeacher);
+router.delete("/:id", authenticateToken, authorize("admin"), deleteTeacher);
 
 export default router;
-
@@ -8,7 +8,15 @@ import revaiController from '../controllers/whisperController.js';
 import classroomWhisperController from '../controllers/classroomWhisperController.js';
 import Assessment from '../models/Assessment.js';
 import TeacherAssessment from '../models/TeacherAssessment.js';
+import { getTranscriptionJob, reviewTranscriptionJob, getSpeechToTextProviders } from '../controllers/transcriptionJobController.js';
 import authenticateToken from '../middleware/authMiddleware.js';
+import { authorize, requireChildAccess, requireTeacherAccess } from '../middleware/authorize.js';
+import { auditRead } from '../middleware/audit.js';
+import { applySpeakerRoles, summarizeRoleScores, rescoreSpeakers } from '../lib/speakerScoring.js';
+import { resolveReviewedJob } from '../lib/reviewedJob.js';
+import { buildScoringRun } from '../lib/scoringProvenance.js';
+import { reviewTranscript } from '../lib/transcriptReview.js';
+import { acceptDraft, canReviewAssessment } from '../lib/assessmentReview.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -71,17 +79,26 @@ const handleMulterError = (err, req, res, next) => {
     next();
 };
 
-// Route to upload and process audio using RevAI
-router.post('/whisper', upload.single('audio'), handleMulterError, revaiController);
+// Route to upload audio and queue it for transcription (returns a job ID immediately)
+router.post('/whisper', authenticateToken, upload.single('audio'), handleMulterError, requireChildAccess('body.childId'), revaiController);
 
-// Route to upload and process classroom audio (teachers and admins only)
-router.post('/whisper/classroom', authenticateToken, upload.single('audio'), handleMulterError, classroomWhisperController);
+// Route to upload and queue classroom audio (teachers and admins only)
+router.post('/whisper/classroom', authenticateToken, authorize('admin', 'teacher'), upload.single('audio'), handleMulterError, classroomWhisperController);
+
+// Route to poll a transcription job; includes the review payload once ready
+router.get('/whisper/jobs/:id', authenticateToken, auditRead('TranscriptionJob', 'params.id', 'transcript awaiting review'), getTranscriptionJob);
+
+// Route to preview a corrected transcript (re-scored server-side, nothing is saved)
+router.post('/whisper/jobs/:id/review', authenticateToken, reviewTranscriptionJob);
+
+// Route to list speech-to-text providers (admins only)
+router.get('/whisper/providers', authenticateToken, authorize('admin'), getSpeechToTextProviders);
 
 // Route to get all assessments for a child
-router.get('/assessments/child/:childId', async (req, res) => {
+router.get('/assessments/child/:childId', authenticateToken, requireChildAccess(), auditRead('Child', 'params.childId', 'assessments with transcripts'), async (req, res) => {
     try {
         const { childId } = req.params;
-        const assessments = await Assessment.find({ childId }).sort({ date: -1 });
+        const assessments = await Assessment.find({ childId }).accepted().sort({ date: -1 });
         res.status(200).json({ assessments });
     } catch (error) {
         console.error("Error fetching assessments:", error);
@@ -90,10 +107,10 @@ router.get('/assessments/child/:childId', async (req, res) => {
 });
 
 // Route to get latest assessment for a child
-router.get('/assessments/child/:childId/latest', async (req, res) => {
+router.get('/assessments/child/:childId/latest', authenticateToken, requireChildAccess(), auditRead('Child', 'params.childId', 'latest assessment with transcript'), async (req, res) => {
     try {
         const { childId } = req.params;
-        const assessment = await Assessment.findOne({ childId }).sort({ date: -1 });
+        const assessment = await Assessment.findOne({ childId }).accepted().sort({ date: -1 });
         
         if (!assessment) {
             return res.status(404).json({ message: "No assessments found for this child" });
@@ -106,42 +123,63 @@ router.get('/assessments/child/:childId/latest', async (req, res) => {
     }
 });
 
-// Route to accept and save assessment after transcript review
-router.post('/assessments/accept', async (req, res) => {
+// Route to accept and save assessment after transcript review (scores are computed server-side)
+router.post('/assessments/accept', authenticateToken, requireChildAccess('body.childId'), async (req, res) => {
     try {
-        const { childId, audioFileName, transcript, scienceTalk, socialTalk, literatureTalk, languageDevelopment, keywordCounts, ragScores, ragSegments, classificationMethod, uploadedBy, date } = req.body;
+        const { childId, audioFileName, transcript, words, uploadedBy, date, jobId } = req.body;
 
         if (!childId) {
             return res.status(400).json({ message: "Child ID is required" });
         }
 
+        // Take over the recording and ASR result of the transcription job (if any)
+        let reviewedJob = {};
+        if (jobId) {
+            reviewedJob = await resolveReviewedJob(jobId, 'child', childId);
+            if (reviewedJob.error) {
+                return res.status(reviewedJob.statusCode).json({ message: reviewedJob.error });
+            }
+        }
+
+        // The worker already saved a draft for this job - accept it, with the same checks as POST /api/assessments/:id/accept
+        if (reviewedJob.draft) {
+            if (String(reviewedJob.draft.childId) !== String(childId) || !(await canReviewAssessment(req.user, reviewedJob.draft, 'child'))) {
+                return res.status(403).json({ message: "You can't review this assessment" });
+            }
+            const accepted = await acceptDraft(reviewedJob.draft, { transcript, date, reviewer: req.user });
+            if (accepted.error) {
+                return res.status(accepted.statusCode).json({ message: accepted.error });
+            }
+            return res.status(201).json({
+                message: "Assessment saved successfully",
+                assessment: accepted.assessment,
+                rescored: accepted.rescored
+            });
+        }
+
         // Convert childId to ObjectId if it's a string
         const childIdObject = mongoose.Types.ObjectId.isValid(childId) 
             ? new mongoose.Types.ObjectId(childId) 
             : childId;
 
+        // Score the (possibly corrected) transcript here - client-sent scores are ignored
+        const review = await reviewTranscript({ transcript, original: reviewedJob.job?.result, words });
+
         // Create and save assessment
         const assessment = new Assessment({
+            _id: reviewedJob.assessmentId,
             childId: childIdObject,
-            audioFileName: audioFileName || '',
-            transcript: transcript || '',
-            scienceTalk: scienceTalk || 0,
-            socialTalk: socialTalk || 0,
-            literatureTalk: literatureTalk || 0,
-            languageDevelopment: languageDevelopment || 0,
-            keywordCounts: keywordCounts || {
-                science: 0,
-                social: 0,
-                literature: 0,
-                language: 0
-            },
-            ragScores: ragScores || null,
-            ragSegments: ragSegments || null,
-            classificationMethod: classificationMethod || 'keyword-only',
+            audioFileName: audioFileName || reviewedJob.job?.audioFileName || '',
+            ...review.fields,
+            originalTranscript: review.originalTranscript,
+            transcriptDiff: review.diff || undefined,
+            audio: reviewedJob.audio,
             uploadedBy: uploadedBy || "Unknown",
             date: date ? new Date(date) : new Date()
         });
 
+        assessment.scoringRuns = [buildScoringRun(assessment, { provenance: review.provenance })];
+
         await assessment.save();
         console.log("✓ Assessment saved after user acceptance");
         console.log("Saved keywordCounts:", assessment.keywordCounts);
@@ -150,7 +188,8 @@ router.post('/assessments/accept', async (req, res) => {
 
         res.status(201).json({
             message: "Assessment saved successfully",
-            assessment
+            assessment,
+            rescored: review.rescored
         });
     } catch (error) {
         console.error("Error saving assessment:", error);
@@ -159,13 +198,10 @@ router.post('/assessments/accept', async (req, res) => {
 });
 
 // Route to get all teacher assessments (teachers can only access their own)
-router.get('/assessments/teacher/:teacherId', authenticateToken, async (req, res) => {
+router.get('/assessments/teacher/:teacherId', authenticateToken, requireTeacherAccess('params.teacherId', { own: true }), auditRead('Teacher', 'params.teacherId', 'classroom assessments with transcripts'), async (req, res) => {
     try {
         const { teacherId } = req.params;
-        if (req.user.role === 'teacher' && String(req.user.id) !== String(teacherId)) {
-            return res.status(403).json({ message: "You can only access your own assessments" });
-        }
-        const assessments = await TeacherAssessment.find({ teacherId }).sort({ date: -1 });
+        const assessments = await TeacherAssessment.find({ teacherId }).accepted().sort({ date: -1 });
         res.status(200).json({ assessments });
     } catch (error) {
         console.error("Error fetching teacher assessments:", error);
@@ -174,13 +210,10 @@ router.get('/assessments/teacher/:teacherId', authenticateToken, async (req, res
 });
 
 // Route to get latest teacher assessment (teachers can only access their own)
-router.get('/assessments/teacher/:teacherId/latest', authenticateToken, async (req, res) => {
+router.get('/assessments/teacher/:teacherId/latest', authenticateToken, requireTeacherAccess('params.teacherId', { own: true }), auditRead('Teacher', 'params.teacherId', 'latest classroom assessment with transcript'), async (req, res) => {
     try {
         const { teacherId } = req.params;
-        if (req.user.role === 'teacher' && String(req.user.id) !== String(teacherId)) {
-            return res.status(403).json({ message: "You can only access your own assessments" });
-        }
-        const assessment = await TeacherAssessment.findOne({ teacherId }).sort({ date: -1 });
+        const assessment = await TeacherAssessment.findOne({ teacherId }).accepted().sort({ date: -1 });
 
         if (!assessment) {
             return res.status(404).json({ message: "No assessments found for this teacher" });
@@ -193,47 +226,84 @@ router.get('/assessments/teacher/:teacherId/latest', authenticateToken, async (r
     }
 });
 
-// Route to accept and save teacher assessment after transcript review
-router.post('/assessments/teacher/accept', authenticateToken, async (req, res) => {
+// Route to accept and save teacher assessment after transcript review (scores are computed server-side)
+router.post('/assessments/teacher/accept', authenticateToken, requireTeacherAccess('body.teacherId', { own: true }), async (req, res) => {
     try {
-        const { teacherId, audioFileName, transcript, scienceTalk, socialTalk, literatureTalk, languageDevelopment, keywordCounts, ragScores, ragSegments, classificationMethod, uploadedBy, date, center } = req.body;
+        const { teacherId, audioFileName, transcript, words, uploadedBy, date, center, speakers, speakerRoles, jobId } = req.body;
 
         if (!teacherId) {
             return res.status(400).json({ message: "Teacher ID is required" });
         }
 
+        // Take over the recording and ASR result of the transcription job (if any)
+        let reviewedJob = {};
+        if (jobId) {
+            reviewedJob = await resolveReviewedJob(jobId, 'classroom', teacherId);
+            if (reviewedJob.error) {
+                return res.status(reviewedJob.statusCode).json({ message: reviewedJob.error });
+            }
+        }
+
+        // The worker already saved a draft for this job - accept it, with the same checks as POST /api/assessments/:id/accept
+        if (reviewedJob.draft) {
+            if (String(reviewedJob.draft.teacherId) !== String(teacherId) || !(await canReviewAssessment(req.user, reviewedJob.draft, 'teacher'))) {
+                return res.status(403).json({ message: "You can't review this assessment" });
+            }
+            const accepted = await acceptDraft(reviewedJob.draft, { transcript, speakerRoles, date, reviewer: req.user });
+            if (accepted.error) {
+                return res.status(accepted.statusCode).json({ message: accepted.error });
+            }
+            return res.status(201).json({
+                message: "Teacher assessment saved successfully",
+                assessment: accepted.assessment,
+                rescored: accepted.rescored
+            });
+        }
+
+        // Diarized recordings: apply the reviewer's speaker → role mapping. Speaker scores come
+        // from the worker; speakers posted without a job are re-scored rather than trusted.
+        const jobSpeakers = reviewedJob.job?.result?.speakers;
+        const sourceSpeakers = reviewedJob.job ? jobSpeakers : speakers;
+        let mappedSpeakers;
+        if (Array.isArray(sourceSpeakers) && sourceSpeakers.length > 0) {
+            const mapped = applySpeakerRoles(sourceSpeakers, speakerRoles || []);
+            if (mapped.error) {
+                return res.status(400).json({ message: mapped.error });
+            }
+            mappedSpeakers = reviewedJob.job ? mapped.speakers : await rescoreSpeakers(mapped.speakers);
+        }
+
+        const review = await reviewTranscript({ transcript, original: reviewedJob.job?.result, words });
+
         const teacherIdObject = mongoose.Types.ObjectId.isValid(teacherId)
             ? new mongoose.Types.ObjectId(teacherId)
             : teacherId;
 
         const assessment = new TeacherAssessment({
+            _id: reviewedJob.assessmentId,
             teacherId: teacherIdObject,
-            audioFileName: audioFileName || '',
-            transcript: transcript || '',
-            scienceTalk: scienceTalk || 0,
-            socialTalk: socialTalk || 0,
-            literatureTalk: literatureTalk || 0,
-            languageDevelopment: languageDevelopment || 0,
-            keywordCounts: keywordCounts || {
-                science: 0,
-                social: 0,
-                literature: 0,
-                language: 0
-            },
-            ragScores: ragScores || null,
-            ragSegments: ragSegments || null,
-            classificationMethod: classificationMethod || 'keyword-only',
+            audioFileName: audioFileName || reviewedJob.job?.audioFileName || '',
+            ...review.fields,
+            originalTranscript: review.originalTranscript,
+            transcriptDiff: review.diff || undefined,
+            audio: reviewedJob.audio,
             uploadedBy: uploadedBy || "Unknown",
             date: date ? new Date(date) : new Date(),
-            center: center || null
+            center: center || null,
+            diarized: !!mappedSpeakers,
+            speakers: mappedSpeakers,
+            roleScores: mappedSpeakers ? summarizeRoleScores(mappedSpeakers) : undefined
         });
 
+        assessment.scoringRuns = [buildScoringRun(assessment, { provenance: review.provenance })];
+
         await assessment.save();
         console.log("Teacher assessment saved after user acceptance");
 
         res.status(201).json({
             message: "Teacher assessment saved successfully",
-            assessment
+            assessment,
+            rescored: review.rescored
         });
     } catch (error) {
         console.error("Error saving teacher assessment:", error);
@@ -241,4 +311,44 @@ router.post('/assessments/teacher/accept', authenticateToken, async (req, res) =
     }
 });
 
+// Route to map diarized speaker labels to teacher / child roles and recompute per-role scores
+router.put('/assessments/teacher/:assessmentId/speakers', authenticateToken, authorize('admin', 'teacher'), async (req, res) => {
+    try {
+        const { assessmentId } = req.params;
+        const { speakerRoles } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(assessmentId)) {
+            return res.status(404).json({ message: "Teacher assessment not found" });
+        }
+
+        const assessment = await TeacherAssessment.findById(assessmentId);
+        if (!assessment) {
+            return res.status(404).json({ message: "Teacher assessment not found" });
+        }
+        if (req.user.role === 'teacher' && String(req.user.id) !== String(assessment.teacherId)) {
+            return res.status(403).json({ message: "You can only update your own assessments" });
+        }
+        if (!assessment.diarized || !assessment.speakers?.length) {
+            return res.status(400).json({ message: "This assessment was not recorded in diarized mode" });
+        }
+
+        const mapped = applySpeakerRoles(assessment.speakers, speakerRoles);
+        if (mapped.error) {
+            return res.status(400).json({ message: mapped.error });
+        }
+
+        assessment.speakers = mapped.speakers;
+        assessment.roleScores = summarizeRoleScores(mapped.speakers);
+        await assessment.save();
+
+        res.status(200).json({
+            message: "Speaker roles updated successfully",
+            assessment
+        });
+    } catch (error) {
+        console.error("Error updating speaker roles:", error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 export default router;
\ No newline at end of file
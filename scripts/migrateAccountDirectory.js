@@ -0,0 +1,105 @@
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Account, { normalizeEmail } from "../models/Account.js";
+import { ACCOUNT_MODELS } from "../lib/accounts.js";
+
+dotenv.config();
+
+/**
+ * Add existing Admin, Teacher and Parent accounts to the account directory.
+ *
+ * New and edited accounts are added when they are saved; this script does the
+ * ones that already exist and drops entries whose account is gone. An email
+ * used by more than one account is listed and left for an admin to sort out:
+ * the directory keeps the account login used to find first (admin, then
+ * teacher, then parent).
+ *
+ * Usage:
+ *   node scripts/migrateAccountDirectory.js [--dry-run]
+ */
+async function main() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+
+    console.log(`=== Building the account directory${dryRun ? ' (dry run)' : ''} ===\n`);
+
+    await connectDB();
+    if (!dryRun) {
+        // Unique email and account indexes must exist before entries are added
+        await Account.init();
+    }
+
+    const owners = new Map();
+    const duplicates = [];
+    const existingIds = new Set();
+    let added = 0;
+    let updated = 0;
+
+    for (const [role, Model] of Object.entries(ACCOUNT_MODELS)) {
+        let count = 0;
+        for await (const account of Model.find({}, 'name email role deactivatedAt').cursor()) {
+            count++;
+            existingIds.add(account._id.toString());
+            const email = normalizeEmail(account.email);
+
+            const owner = owners.get(email);
+            if (owner) {
+                duplicates.push({ email, kept: owner, skipped: { role, id: account._id.toString() } });
+                continue;
+            }
+            owners.set(email, { role, id: account._id.toString() });
+
+            if (dryRun) {
+                continue;
+            }
+            const result = await Account.updateOne(
+                { accountId: account._id },
+                {
+                    $set: {
+                        role,
+                        email,
+                        name: account.name,
+                        deactivatedAt: account.deactivatedAt || null
+                    }
+                },
+                { upsert: true }
+            );
+            if (result.upsertedCount) {
+                added++;
+            } else if (result.modifiedCount) {
+                updated++;
+            }
+        }
+        console.log(`${role} accounts: ${count}`);
+    }
+
+    console.log(`\nAdded to the directory: ${added}`);
+    console.log(`Updated: ${updated}`);
+
+    // Entries whose account was deleted before deletes were tracked
+    let removed = 0;
+    for await (const entry of Account.find({}, 'accountId email').cursor()) {
+        if (!existingIds.has(entry.accountId.toString())) {
+            removed++;
+            if (!dryRun) {
+                await Account.deleteOne({ _id: entry._id });
+            }
+        }
+    }
+    console.log(`Entries without an account${dryRun ? '' : ' (removed)'}: ${removed}`);
+
+    if (duplicates.length > 0) {
+        console.log(`\nEmails used by more than one account: ${duplicates.length}`);
+        for (const { email, kept, skipped } of duplicates) {
+            console.log(`  ${email}: kept ${kept.role} ${kept.id}, not added ${skipped.role} ${skipped.id}`);
+        }
+        console.log("Change the email of (or delete) the accounts not added, then run this script again.");
+    }
+
+    console.log("\n=== Migration Complete ===");
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+});
@@ -0,0 +1,72 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import { Teacher, Child } from "../models/User.js";
+
+dotenv.config();
+
+/**
+ * Replace children's name-valued leadTeacher with the teacher's ID.
+ *
+ * Teachers only see children whose lead teacher ID is in their center (see
+ * lib/accessPolicy.js), so a child still holding a name is visible to admins
+ * only until this runs. A name no teacher has, or more than one teacher has,
+ * is listed and left for an admin to set on the child.
+ *
+ * Usage:
+ *   node scripts/migrateLeadTeachers.js [--dry-run]
+ */
+async function main() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+
+    console.log(`=== Migrating children's lead teachers to IDs${dryRun ? ' (dry run)' : ''} ===\n`);
+
+    await connectDB();
+
+    const teachersByName = new Map();
+    for await (const teacher of Teacher.find({}, 'name').cursor()) {
+        const ids = teachersByName.get(teacher.name) || [];
+        ids.push(String(teacher._id));
+        teachersByName.set(teacher.name, ids);
+    }
+
+    let legacy = 0;
+    let migrated = 0;
+    const unresolved = [];
+    for await (const child of Child.find({}, 'name leadTeacher').lean().cursor()) {
+        if (mongoose.Types.ObjectId.isValid(child.leadTeacher)) {
+            continue;
+        }
+        legacy++;
+
+        const ids = teachersByName.get(child.leadTeacher) || [];
+        if (ids.length !== 1) {
+            unresolved.push({ child, matches: ids.length });
+            continue;
+        }
+        if (!dryRun) {
+            await Child.updateOne({ _id: child._id }, { $set: { leadTeacher: ids[0] } });
+        }
+        migrated++;
+    }
+
+    console.log(`Children with a name as lead teacher: ${legacy}`);
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'}: ${migrated}`);
+
+    if (unresolved.length > 0) {
+        console.log(`\nNot migrated: ${unresolved.length}`);
+        for (const { child, matches } of unresolved) {
+            const reason = matches === 0 ? 'no teacher has this name' : `${matches} teachers have this name`;
+            console.log(`  ${child._id} (${child.name}): "${child.leadTeacher}" - ${reason}`);
+        }
+        console.log("Set these children's lead teacher (PUT /api/children/:id) to a teacher ID.");
+    }
+
+    console.log("\n=== Migration Complete ===");
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+});
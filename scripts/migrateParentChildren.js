@@ -0,0 +1,55 @@
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import { Parent, Child } from "../models/User.js";
+
+dotenv.config();
+
+/**
+ * Move parents' single childId into the childIds list.
+ *
+ * Accounts are also migrated when they are next saved; this script does all of
+ * them at once and makes sure each child lists its parents.
+ *
+ * Usage:
+ *   node scripts/migrateParentChildren.js [--dry-run]
+ */
+async function main() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+
+    console.log(`=== Migrating parent child links${dryRun ? ' (dry run)' : ''} ===\n`);
+
+    await connectDB();
+
+    const legacy = { childId: { $exists: true, $ne: null } };
+    const count = await Parent.countDocuments(legacy);
+    console.log(`Parents with a legacy childId: ${count}`);
+
+    if (dryRun || count === 0) {
+        process.exit(0);
+    }
+
+    // Pipeline update so every account is moved in one pass without loading documents
+    const result = await Parent.collection.updateMany(legacy, [
+        { $set: { childIds: { $setUnion: [{ $ifNull: ['$childIds', []] }, ['$childId']] } } },
+        { $unset: 'childId' }
+    ]);
+    console.log(`Migrated: ${result.modifiedCount}`);
+
+    let linked = 0;
+    for await (const parent of Parent.find({}, 'childIds').cursor()) {
+        const update = await Child.updateMany(
+            { _id: { $in: parent.childIds }, parents: { $ne: parent._id } },
+            { $addToSet: { parents: parent._id } }
+        );
+        linked += update.modifiedCount;
+    }
+    console.log(`Children linked back to their parents: ${linked}`);
+
+    console.log("\n=== Migration Complete ===");
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+});
@@ -0,0 +1,75 @@
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import { reclassifyAssessments, SCORE_FIELDS } from "../lib/reclassification.js";
+
+dotenv.config();
+
+/**
+ * Re-score stored assessments with the current classifier.
+ *
+ * Usage:
+ *   node scripts/reclassifyAssessments.js [--kind=all|child|teacher] [--limit=1000]
+ *       [--child=<id>] [--teacher=<id>] [--center=<name>] [--from=<date>] [--to=<date>] [--dry-run]
+ */
+function parseArgs(argv) {
+    const options = { kind: 'all', limit: 1000, dryRun: false, criteria: {} };
+
+    for (const arg of argv) {
+        const [flag, value] = arg.split('=');
+        switch (flag) {
+            case '--kind': options.kind = value; break;
+            case '--limit': options.limit = parseInt(value, 10); break;
+            case '--child': options.criteria.childId = value; break;
+            case '--teacher': options.criteria.teacherId = value; break;
+            case '--center': options.criteria.center = value; break;
+            case '--from': options.criteria.from = value; break;
+            case '--to': options.criteria.to = value; break;
+            case '--dry-run': options.dryRun = true; break;
+            default:
+                console.warn(`⚠️  Ignoring unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (isNaN(options.limit) || options.limit < 1) {
+        console.error("❌ --limit must be a positive number");
+        process.exit(1);
+    }
+
+    console.log(`=== Re-classifying assessments (${options.kind}${options.dryRun ? ', dry run' : ''}) ===\n`);
+
+    await connectDB();
+
+    const summary = await reclassifyAssessments({
+        ...options,
+        triggeredBy: { id: 'script', role: 'admin' }
+    });
+
+    if (summary.error) {
+        console.error(`❌ ${summary.error}`);
+        process.exit(1);
+    }
+
+    summary.results.forEach(result => {
+        const deltas = SCORE_FIELDS.map(field => `${field} ${result.deltas[field] >= 0 ? '+' : ''}${result.deltas[field]}`).join(', ');
+        console.log(`  ${result.kind} ${result.assessmentId} v${result.previousVersion} → v${result.version}: ${deltas}`);
+    });
+
+    console.log("\n=== Re-classification Complete ===");
+    console.log(`Processed: ${summary.processed}`);
+    if (summary.failed > 0) {
+        console.log(`Errors: ${summary.failed}`);
+    }
+    console.log("Average deltas:", summary.averageDeltas);
+
+    process.exit(summary.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+});
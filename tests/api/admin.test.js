@@ -0,0 +1,329 @@
+import { test, expect } from '@playwright/test';
+
+const API_BASE = process.env.API_URL || 'https://bainum-project-backend.onrender.com/api';
+
+test.describe('Admin API Endpoints', () => {
+  let authToken = null;
+
+  test.beforeAll(async ({ request }) => {
+    try {
+      const testEmail = process.env.TEST_ADMIN_EMAIL || 'admin@example.com';
+      const testPassword = process.env.TEST_ADMIN_PASSWORD || 'password123';
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: testEmail, password: testPassword }
+      });
+
+      if (loginResponse.status() === 200) {
+        const body = await loginResponse.json();
+        authToken = body.user;
+      }
+    } catch (e) {
+      // Auth may timeout on cold start - tests will skip when needed
+    }
+  });
+
+  test('POST /api/admin/reclassify - should require authentication', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/admin/reclassify`, {
+      data: { dryRun: true }
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('POST /api/admin/reclassify - should reject an invalid kind', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.post(`${API_BASE}/admin/reclassify`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: { kind: 'parent', dryRun: true }
+    });
+    expect(response.status()).toBe(400);
+  });
+
+  test('POST /api/admin/reclassify - should report deltas in dry-run mode', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.post(`${API_BASE}/admin/reclassify`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: { kind: 'child', limit: 1, dryRun: true }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body).toHaveProperty('dryRun', true);
+    expect(body).toHaveProperty('averageDeltas');
+    expect(Array.isArray(body.results)).toBe(true);
+  });
+
+  test('POST /api/admin/digests/run - should require authentication', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/admin/digests/run`, {
+      data: { dryRun: true }
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('POST /api/admin/digests/run - should preview digests in dry-run mode', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.post(`${API_BASE}/admin/digests/run`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: { dryRun: true }
+    });
+    expect([200, 409]).toContain(response.status());
+    if (response.status() === 200) {
+      const body = await response.json();
+      expect(body.summary.parents).toHaveProperty('sent');
+      expect(Array.isArray(body.summary.parents.previews)).toBe(true);
+      expect(body.summary.teachers).toHaveProperty('skipped');
+    }
+  });
+
+  test('GET /api/admin/digests - should validate filters and list the send log', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const invalid = await request.get(`${API_BASE}/admin/digests?status=bounced`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(invalid.status()).toBe(400);
+
+    const response = await request.get(`${API_BASE}/admin/digests?kind=parent&limit=5`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(Array.isArray(body.entries)).toBe(true);
+  });
+
+  test('GET /api/admin/email/outbox - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/admin/email/outbox`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/admin/email/outbox - should list captured messages', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/admin/email/outbox?limit=5`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(typeof body.captureEnabled).toBe('boolean');
+    expect(Array.isArray(body.messages)).toBe(true);
+  });
+
+  test('GET /api/admin/email/providers - should report provider health in send order', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/admin/email/providers`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(Array.isArray(body.providers)).toBe(true);
+    body.providers.forEach(provider => {
+      expect(provider).toHaveProperty('name');
+      expect(provider).toHaveProperty('healthy');
+    });
+  });
+
+  test('GET /api/admin/email/templates - should list templates and their locales', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/admin/email/templates`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body.locales).toEqual(expect.arrayContaining(['en', 'es']));
+    const parentInvitation = body.templates.find(template => template.name === 'parentInvitation');
+    expect(parentInvitation.locales).toEqual(expect.arrayContaining(['en', 'es']));
+  });
+
+  test('GET /api/admin/email/templates/:name/preview - should render sample data in the locale', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/admin/email/templates/parentInvitation/preview?locale=es`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body.locale).toBe('es');
+    expect(body.subject).toContain('Invitación');
+    expect(body.html).toContain('lang="es"');
+    expect(body.text).toContain('/parent/register?token=');
+
+    const htmlResponse = await request.get(`${API_BASE}/admin/email/templates/parentDigest/preview?format=html`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(htmlResponse.status()).toBe(200);
+    expect(htmlResponse.headers()['content-type']).toContain('text/html');
+  });
+
+  test('GET /api/admin/email/templates/:name/preview - should reject unknown templates and locales', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const unknownTemplate = await request.get(`${API_BASE}/admin/email/templates/notATemplate/preview`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(unknownTemplate.status()).toBe(404);
+
+    const unknownLocale = await request.get(`${API_BASE}/admin/email/templates/parentInvitation/preview?locale=xx`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(unknownLocale.status()).toBe(400);
+  });
+
+  test('POST /api/admin/login-lockouts/unlock - should require authentication', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/admin/login-lockouts/unlock`, {
+      data: { email: 'someone@example.com' }
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/admin/login-lockouts and unlock - should report and clear failed sign-ins', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    const missing = await request.get(`${API_BASE}/admin/login-lockouts`, { headers });
+    expect(missing.status()).toBe(400);
+
+    const email = `lockout-${Date.now()}@example.com`;
+    const failed = await request.post(`${API_BASE}/auth/login`, {
+      data: { email, password: 'wrongpassword' }
+    });
+    expect(failed.status()).toBe(401);
+
+    const statusResponse = await request.get(`${API_BASE}/admin/login-lockouts?email=${encodeURIComponent(email)}`, { headers });
+    expect(statusResponse.status()).toBe(200);
+    const status = await statusResponse.json();
+    expect(status.failures).toBe(1);
+    expect(status.lockedUntil).toBeNull();
+
+    const unlockResponse = await request.post(`${API_BASE}/admin/login-lockouts/unlock`, {
+      headers,
+      data: { email }
+    });
+    expect(unlockResponse.status()).toBe(200);
+    const unlocked = await unlockResponse.json();
+    expect(unlocked.wasLocked).toBe(false);
+
+    const after = await (await request.get(`${API_BASE}/admin/login-lockouts?email=${encodeURIComponent(email)}`, { headers })).json();
+    expect(after.failures).toBe(0);
+  });
+
+  test('GET /api/admin/security-policy - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/admin/security-policy`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('PUT /api/admin/security-policy - should return the policy and validate changes', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    const response = await request.get(`${API_BASE}/admin/security-policy`, { headers });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(typeof body.requireAdminMfa).toBe('boolean');
+
+    const invalid = await request.put(`${API_BASE}/admin/security-policy`, {
+      headers,
+      data: { requireAdminMfa: 'yes' }
+    });
+    expect(invalid.status()).toBe(400);
+  });
+
+  test('POST /api/admin/mfa/reset - should require an email of a known account', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    const missing = await request.post(`${API_BASE}/admin/mfa/reset`, { headers, data: {} });
+    expect(missing.status()).toBe(400);
+
+    const unknown = await request.post(`${API_BASE}/admin/mfa/reset`, {
+      headers,
+      data: { email: `nobody-${Date.now()}@example.com` }
+    });
+    expect(unknown.status()).toBe(404);
+  });
+
+  test('GET /api/admin/accounts - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/admin/accounts`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/admin/accounts - should validate filters and list accounts across roles', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    const invalidRole = await request.get(`${API_BASE}/admin/accounts?role=child`, { headers });
+    expect(invalidRole.status()).toBe(400);
+
+    const invalidStatus = await request.get(`${API_BASE}/admin/accounts?status=sleeping`, { headers });
+    expect(invalidStatus.status()).toBe(400);
+
+    const response = await request.get(`${API_BASE}/admin/accounts?role=admin&limit=5`, { headers });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(typeof body.total).toBe('number');
+    expect(Array.isArray(body.accounts)).toBe(true);
+    expect(body.accounts.length).toBeLessThanOrEqual(5);
+    body.accounts.forEach(account => expect(account.role).toBe('admin'));
+  });
+
+  test('/api/admin/accounts/:id - should 404 for unknown accounts and refuse to deactivate yourself', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    const unknown = await request.get(`${API_BASE}/admin/accounts/000000000000000000000000`, { headers });
+    expect(unknown.status()).toBe(404);
+
+    const { id } = JSON.parse(Buffer.from(authToken.split('.')[1], 'base64url').toString());
+    const details = await request.get(`${API_BASE}/admin/accounts/${id}`, { headers });
+    expect(details.status()).toBe(200);
+    expect((await details.json()).account.role).toBe('admin');
+
+    const self = await request.post(`${API_BASE}/admin/accounts/${id}/deactivate`, { headers });
+    expect(self.status()).toBe(400);
+  });
+});
@@ -0,0 +1,113 @@
+import { test, expect } from '@playwright/test';
+
+const API_BASE = process.env.API_URL || 'https://bainum-project-backend.onrender.com/api';
+
+test.describe('Analytics API Endpoints', () => {
+  let authToken = null;
+  let centerId = null;
+
+  test.beforeAll(async ({ request }) => {
+    try {
+      const testEmail = process.env.TEST_ADMIN_EMAIL || 'admin@example.com';
+      const testPassword = process.env.TEST_ADMIN_PASSWORD || 'password123';
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: testEmail, password: testPassword }
+      });
+
+      if (loginResponse.status() === 200) {
+        const body = await loginResponse.json();
+        authToken = body.user;
+      }
+
+      if (authToken) {
+        const centersResponse = await request.get(`${API_BASE}/centers`, {
+          headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        if (centersResponse.status() === 200) {
+          const body = await centersResponse.json();
+          if (body.centers && body.centers.length > 0) {
+            centerId = body.centers[0]._id || body.centers[0].id;
+          }
+        }
+      }
+    } catch (e) {
+      // Auth may timeout on cold start - tests will skip when needed
+    }
+  });
+
+  test('GET /api/analytics/centers/:id - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/analytics/centers/507f1f77bcf86cd799439011`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/analytics/centers/:id - should return 404 for unknown center', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/analytics/centers/507f1f77bcf86cd799439011`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(404);
+  });
+
+  test('GET /api/analytics/centers/:id - should reject an invalid period', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/analytics/centers/507f1f77bcf86cd799439011?from=2026-05-01&to=2026-01-01`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(400);
+  });
+
+  test('GET /api/analytics/centers/:id - should return averages with a previous-period comparison', async ({ request }) => {
+    if (!authToken || !centerId) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/analytics/centers/${centerId}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body.analytics).toHaveProperty('period');
+    expect(body.analytics).toHaveProperty('previousPeriod');
+    expect(body.analytics).toHaveProperty('childAssessments');
+    expect(body.analytics).toHaveProperty('classroomAssessments');
+  });
+
+  test('GET /api/analytics/centers/:id/:dimension - should reject an unknown dimension', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/analytics/centers/507f1f77bcf86cd799439011/shoeSize`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(400);
+  });
+
+  test('GET /api/analytics/centers/:id/:dimension - should return groups per dimension', async ({ request }) => {
+    if (!authToken || !centerId) {
+      test.skip();
+      return;
+    }
+
+    for (const dimension of ['teacher', 'classroom', 'ageBand', 'primaryLanguage', 'diagnosis']) {
+      const response = await request.get(`${API_BASE}/analytics/centers/${centerId}/${dimension}?compare=none`, {
+        headers: { 'Authorization': `Bearer ${authToken}` }
+      });
+      expect(response.status()).toBe(200);
+      const body = await response.json();
+      expect(body.analytics).toHaveProperty('dimension', dimension);
+      expect(Array.isArray(body.analytics.groups)).toBe(true);
+    }
+  });
+});
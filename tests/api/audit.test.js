@@ -0,0 +1,203 @@
+import { test, expect } from '@playwright/test';
+
+const API_BASE = process.env.API_URL || 'https://bainum-project-backend.onrender.com/api';
+
+test.describe('Audit Log API Endpoints', () => {
+  let authToken = null;
+
+  test.beforeAll(async ({ request }) => {
+    try {
+      const testEmail = process.env.TEST_ADMIN_EMAIL || 'admin@example.com';
+      const testPassword = process.env.TEST_ADMIN_PASSWORD || 'password123';
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: testEmail, password: testPassword }
+      });
+
+      if (loginResponse.status() === 200) {
+        const body = await loginResponse.json();
+        authToken = body.user;
+      }
+    } catch (e) {
+      // Auth may timeout on cold start - tests will skip when needed
+    }
+  });
+
+  test('GET /api/audit - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/audit`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/audit - should validate action, actorId and dates', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    for (const query of ['action=approve', 'actorId=not-an-id', 'from=not-a-date', 'to=not-a-date']) {
+      const response = await request.get(`${API_BASE}/audit?${query}`, {
+        headers: { 'Authorization': `Bearer ${authToken}` }
+      });
+      expect(response.status()).toBe(400);
+    }
+  });
+
+  test('GET /api/audit - should list entries newest first', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/audit?limit=20`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(typeof body.total).toBe('number');
+    expect(body.limit).toBe(20);
+    expect(body.offset).toBe(0);
+    expect(Array.isArray(body.entries)).toBe(true);
+    for (let i = 1; i < body.entries.length; i++) {
+      expect(new Date(body.entries[i - 1].createdAt).getTime())
+        .toBeGreaterThanOrEqual(new Date(body.entries[i].createdAt).getTime());
+    }
+  });
+
+  test('GET /api/audit - should record transcript reads', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const childrenResponse = await request.get(`${API_BASE}/children`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    const listBody = childrenResponse.status() === 200 ? await childrenResponse.json() : {};
+    const childId = listBody.children?.[0]?._id || listBody.children?.[0]?.id;
+    if (!childId) {
+      test.skip();
+      return;
+    }
+
+    const readResponse = await request.get(`${API_BASE}/assessments/child/${childId}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(readResponse.status()).toBe(200);
+
+    // Reads are written once the response has been sent
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const response = await request.get(`${API_BASE}/audit?action=read&targetType=Child&targetId=${childId}&limit=1`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body.entries.length).toBe(1);
+    expect(body.entries[0].actorRole).toBe('admin');
+    expect(body.entries[0].path).toBe(`/api/assessments/child/${childId}`);
+  });
+
+  test('GET /api/audit - should record child profile and progress reads', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    const childrenResponse = await request.get(`${API_BASE}/children`, { headers });
+    const listBody = childrenResponse.status() === 200 ? await childrenResponse.json() : {};
+    const childId = listBody.children?.[0]?._id || listBody.children?.[0]?.id;
+    if (!childId) {
+      test.skip();
+      return;
+    }
+
+    for (const path of [`/children/${childId}`, `/children/${childId}/progress`]) {
+      const readResponse = await request.get(`${API_BASE}${path}`, { headers });
+      expect(readResponse.status()).toBe(200);
+
+      // Reads are written once the response has been sent
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const response = await request.get(`${API_BASE}/audit?action=read&targetType=Child&targetId=${childId}&limit=1`, { headers });
+      expect(response.status()).toBe(200);
+      const body = await response.json();
+      expect(body.entries.length).toBe(1);
+      expect(body.entries[0].path).toBe(`/api${path}`);
+    }
+  });
+
+  test('GET /api/audit - should log drafts created by the transcription worker as system', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+    test.setTimeout(90000);
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    const childrenResponse = await request.get(`${API_BASE}/children`, { headers });
+    const listBody = childrenResponse.status() === 200 ? await childrenResponse.json() : {};
+    const childId = listBody.children?.[0]?._id || listBody.children?.[0]?.id;
+    if (!childId) {
+      test.skip();
+      return;
+    }
+
+    // The fixture provider returns a canned transcript, so any bytes will do
+    const uploadResponse = await request.post(`${API_BASE}/whisper`, {
+      headers,
+      multipart: {
+        childId,
+        uploadedBy: 'Audit Test',
+        sttProvider: 'fixture',
+        audio: {
+          name: 'audit-test.wav',
+          mimeType: 'audio/wav',
+          buffer: Buffer.from('RIFF')
+        }
+      }
+    });
+    expect(uploadResponse.status()).toBe(202);
+    const jobId = (await uploadResponse.json()).jobId;
+
+    let job = null;
+    for (let i = 0; i < 30; i++) {
+      const jobResponse = await request.get(`${API_BASE}/whisper/jobs/${jobId}`, { headers });
+      job = (await jobResponse.json()).job;
+      if (job.status === 'ready' || job.status === 'failed') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    if (job?.status !== 'ready' || !job.assessmentId) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/audit?action=create&targetType=Assessment&targetId=${job.assessmentId}`, { headers });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body.entries.length).toBe(1);
+    // Not the admin who uploaded it
+    expect(body.entries[0].actorRole).toBe('system');
+    expect(body.entries[0].actorId).toBeNull();
+  });
+
+  test('GET /api/audit?format=csv - should download the matching entries', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const response = await request.get(`${API_BASE}/audit?format=csv&from=${from}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    expect(response.headers()['content-type']).toContain('text/csv');
+    expect(response.headers()['content-disposition']).toContain('attachment');
+
+    const lines = (await response.text()).trim().split('\n');
+    expect(lines[0]).toBe('created_at,actor_id,actor_role,actor_email,action,target_type,target_id,details,changes,ip,method,path');
+  });
+});
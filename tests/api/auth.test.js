@@ -16,7 +16,8 @@ test.describe('Authentication Endpoints', () => {
   test('POST /api/auth/login - should reject invalid credentials', async ({ request }) => {
     const response = await request.post(`${API_BASE}/auth/login`, {
       data: {
-        email: 'nonexistent@example.com',
+        // A fresh address each run, so repeated runs don't lock it out
+        email: `nonexistent-${Date.now()}@example.com`,
         password: 'wrongpassword'
       }
     });
@@ -48,4 +49,225 @@ test.describe('Authentication Endpoints', () => {
       console.log('Test user may not exist in production environment');
     }
   });
+
+  test('POST /api/auth/register - should require admin authentication', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/register`, {
+      data: {
+        name: 'Not An Admin',
+        email: `self-register-${Date.now()}@example.com`,
+        password: 'password123',
+        role: 'admin'
+      }
+    });
+
+    expect(response.status()).toBe(401);
+  });
+
+  test('POST /api/auth/register-parent - should reject an unknown invitation', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/register-parent`, {
+      data: {
+        name: 'Test Parent',
+        email: `parent-${Date.now()}@example.com`,
+        password: 'password123',
+        invitationToken: 'not-a-real-token'
+      }
+    });
+
+    expect(response.status()).toBe(404);
+  });
+
+  test('POST /api/auth/login - parent token should list linked children', async ({ request }) => {
+    const parentEmail = process.env.TEST_PARENT_EMAIL;
+    const parentPassword = process.env.TEST_PARENT_PASSWORD;
+    if (!parentEmail || !parentPassword) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.post(`${API_BASE}/auth/login`, {
+      data: { email: parentEmail, password: parentPassword }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    const claims = JSON.parse(Buffer.from(body.user.split('.')[1], 'base64url').toString());
+    expect(Array.isArray(claims.childIds)).toBe(true);
+    expect(claims.childIds.length).toBeGreaterThan(0);
+    // childId is kept for older clients
+    expect(claims.childId).toBe(claims.childIds[0]);
+  });
+
+  test('POST /api/auth/forgot-password - should require an email', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/forgot-password`, { data: {} });
+    expect(response.status()).toBe(400);
+  });
+
+  test('POST /api/auth/forgot-password - should not reveal whether an account exists', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/forgot-password`, {
+      data: { email: `nobody-${Date.now()}@example.com` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body.message).toMatch(/if an account exists/i);
+  });
+
+  test('POST /api/auth/reset-password - should validate the password and token', async ({ request }) => {
+    const shortPassword = await request.post(`${API_BASE}/auth/reset-password`, {
+      data: { token: 'not-a-real-token', password: '123' }
+    });
+    expect(shortPassword.status()).toBe(400);
+
+    const invalidToken = await request.post(`${API_BASE}/auth/reset-password`, {
+      data: { token: 'not-a-real-token', password: 'password123' }
+    });
+    expect(invalidToken.status()).toBe(400);
+    expect((await invalidToken.json()).message).toMatch(/invalid or has expired/i);
+  });
+
+  test('POST /api/auth/verify-email - should reject an invalid token', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/verify-email`, {
+      data: { token: 'not-a-real-token' }
+    });
+    expect(response.status()).toBe(400);
+  });
+
+  test('POST /api/auth/change-password and /send-verification - should require authentication', async ({ request }) => {
+    const change = await request.post(`${API_BASE}/auth/change-password`, {
+      data: { currentPassword: 'password123', newPassword: 'password456' }
+    });
+    expect(change.status()).toBe(401);
+
+    const verification = await request.post(`${API_BASE}/auth/send-verification`);
+    expect(verification.status()).toBe(401);
+  });
+
+  test('POST /api/auth/change-password - should reject a wrong current password', async ({ request }) => {
+    const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+      data: {
+        email: process.env.TEST_ADMIN_EMAIL || 'admin@example.com',
+        password: process.env.TEST_ADMIN_PASSWORD || 'password123'
+      }
+    });
+    if (loginResponse.status() !== 200) {
+      test.skip();
+      return;
+    }
+    const { user: token } = await loginResponse.json();
+
+    const response = await request.post(`${API_BASE}/auth/change-password`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { currentPassword: 'definitely-not-the-password', newPassword: 'password456' }
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('POST /api/auth/refresh - should require a valid refresh token', async ({ request }) => {
+    const missing = await request.post(`${API_BASE}/auth/refresh`, { data: {} });
+    expect(missing.status()).toBe(400);
+
+    const invalid = await request.post(`${API_BASE}/auth/refresh`, {
+      data: { refreshToken: '000000000000000000000000.not-a-real-token' }
+    });
+    expect(invalid.status()).toBe(401);
+  });
+
+  test('POST /api/auth/logout-all - should require authentication', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/logout-all`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('POST /api/auth/refresh and /logout - should rotate refresh tokens and end the session', async ({ request }) => {
+    const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+      data: {
+        email: process.env.TEST_ADMIN_EMAIL || 'admin@example.com',
+        password: process.env.TEST_ADMIN_PASSWORD || 'password123'
+      }
+    });
+    if (loginResponse.status() !== 200) {
+      test.skip();
+      return;
+    }
+    const login = await loginResponse.json();
+    expect(login.refreshToken).toBeTruthy();
+    expect(login.accessTokenExpiresAt).toBeTruthy();
+
+    const refreshResponse = await request.post(`${API_BASE}/auth/refresh`, {
+      data: { refreshToken: login.refreshToken }
+    });
+    expect(refreshResponse.status()).toBe(200);
+    const refreshed = await refreshResponse.json();
+    expect(refreshed.user).toBeTruthy();
+    expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+
+    // Each refresh token works once
+    const reused = await request.post(`${API_BASE}/auth/refresh`, {
+      data: { refreshToken: login.refreshToken }
+    });
+    expect(reused.status()).toBe(401);
+
+    const logoutResponse = await request.post(`${API_BASE}/auth/logout`, {
+      headers: { 'Authorization': `Bearer ${refreshed.user}` },
+      data: { refreshToken: refreshed.refreshToken }
+    });
+    expect(logoutResponse.status()).toBe(200);
+
+    // The session's access token stops working
+    const afterLogout = await request.get(`${API_BASE}/children`, {
+      headers: { 'Authorization': `Bearer ${refreshed.user}` }
+    });
+    expect(afterLogout.status()).toBe(401);
+  });
+
+  test('POST /api/auth/login/mfa - should require a valid sign-in token and code', async ({ request }) => {
+    const missing = await request.post(`${API_BASE}/auth/login/mfa`, { data: {} });
+    expect(missing.status()).toBe(400);
+
+    const invalid = await request.post(`${API_BASE}/auth/login/mfa`, {
+      data: { mfaToken: 'not-a-real-token', code: '123456' }
+    });
+    expect(invalid.status()).toBe(401);
+  });
+
+  test('/api/auth/mfa routes - should require authentication', async ({ request }) => {
+    const status = await request.get(`${API_BASE}/auth/mfa`);
+    expect(status.status()).toBe(401);
+
+    const setup = await request.post(`${API_BASE}/auth/mfa/setup`);
+    expect(setup.status()).toBe(401);
+
+    const enable = await request.post(`${API_BASE}/auth/mfa/enable`, { data: { code: '123456' } });
+    expect(enable.status()).toBe(401);
+  });
+
+  test('GET /api/auth/mfa - should report two-factor status', async ({ request }) => {
+    const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+      data: {
+        email: process.env.TEST_ADMIN_EMAIL || 'admin@example.com',
+        password: process.env.TEST_ADMIN_PASSWORD || 'password123'
+      }
+    });
+    if (loginResponse.status() !== 200) {
+      test.skip();
+      return;
+    }
+    const { user: token } = await loginResponse.json();
+    if (!token) {
+      // Account has two-factor authentication on
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/auth/mfa`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(typeof body.enabled).toBe('boolean');
+    expect(typeof body.required).toBe('boolean');
+
+    const enable = await request.post(`${API_BASE}/auth/mfa/enable`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: {}
+    });
+    expect(enable.status()).toBe(400);
+  });
 });
@@ -127,6 +127,27 @@ test.describe('Centers API Endpoints', () => {
     createdCenterId = body.center.id || body.center._id;
   });
 
+  test('POST /api/centers - should reject an invalid audio retention period', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.post(`${API_BASE}/centers`, {
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      },
+      data: {
+        name: `Retention Test Center ${Date.now()}`,
+        audioRetentionDays: -5
+      }
+    });
+
+    expect(response.status()).toBe(400);
+    const body = await response.json();
+    expect(body.message).toMatch(/audioRetentionDays/);
+  });
+
   test('POST /api/centers - should reject duplicate center names', async ({ request }) => {
     if (!authToken) {
       test.skip();
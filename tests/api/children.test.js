@@ -93,4 +93,156 @@ test.describe('Children API Endpoints', () => {
       }
     }
   });
+
+  test('GET /api/children/:id/progress - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/children/507f1f77bcf86cd799439011/progress`);
+
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/children/:id/progress - should reject an invalid interval', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/children/507f1f77bcf86cd799439011/progress?interval=day`, {
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      }
+    });
+
+    expect(response.status()).toBe(400);
+  });
+
+  test('GET /api/children/:id/progress - should return buckets, trends and drops', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const listResponse = await request.get(`${API_BASE}/children`, {
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      }
+    });
+    const listBody = await listResponse.json();
+    if (!listBody.children || listBody.children.length === 0) {
+      test.skip();
+      return;
+    }
+    const childId = listBody.children[0]._id || listBody.children[0].id;
+
+    const response = await request.get(`${API_BASE}/children/${childId}/progress?interval=month&window=2`, {
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      }
+    });
+
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body.progress).toHaveProperty('interval', 'month');
+    expect(Array.isArray(body.progress.buckets)).toBe(true);
+    expect(body.progress.trends).toHaveProperty('scienceTalk');
+    expect(Array.isArray(body.progress.drops)).toBe(true);
+    body.progress.buckets.forEach(bucket => {
+      expect(bucket).toHaveProperty('averages');
+      expect(bucket).toHaveProperty('rollingAverages');
+      expect(bucket).toHaveProperty('keywordCounts');
+    });
+  });
+
+  test('GET /api/children/:id/report.pdf - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/children/507f1f77bcf86cd799439011/report.pdf`);
+
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/children/:id/report.pdf - should return a PDF', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const listResponse = await request.get(`${API_BASE}/children`, {
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      }
+    });
+    const listBody = await listResponse.json();
+    if (!listBody.children || listBody.children.length === 0) {
+      test.skip();
+      return;
+    }
+    const childId = listBody.children[0]._id || listBody.children[0].id;
+
+    const response = await request.get(`${API_BASE}/children/${childId}/report.pdf`, {
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      }
+    });
+
+    expect(response.status()).toBe(200);
+    expect(response.headers()['content-type']).toContain('application/pdf');
+    const body = await response.body();
+    expect(body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('POST /api/children - teachers should not assign a lead teacher from another center', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const stamp = Date.now();
+    const password = `Lead-${stamp}-Aa1`;
+    const teacherIds = [];
+    const createTeacher = async (suffix) => {
+      const response = await request.post(`${API_BASE}/teachers`, {
+        headers: { 'Authorization': `Bearer ${authToken}` },
+        data: {
+          name: `Lead Test ${suffix} ${stamp}`,
+          email: `lead-test-${suffix}-${stamp}@example.com`,
+          password,
+          center: `Lead Test Center ${suffix}`,
+          education: 'Test',
+          dateOfBirth: '1990-01-01'
+        }
+      });
+      expect(response.status()).toBe(201);
+      const id = (await response.json()).teacher.id;
+      teacherIds.push(id);
+      return id;
+    };
+
+    try {
+      const teacherId = await createTeacher('a');
+      const otherCenterTeacherId = await createTeacher('b');
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: `lead-test-a-${stamp}@example.com`, password }
+      });
+      expect(loginResponse.status()).toBe(200);
+      const teacherToken = (await loginResponse.json()).user;
+
+      const childData = {
+        name: `Lead Test Child ${stamp}`,
+        dateOfBirth: '2020-01-01',
+        gender: 'female',
+        diagnosis: 'None',
+        primaryLanguage: 'English'
+      };
+      const response = await request.post(`${API_BASE}/children`, {
+        headers: { 'Authorization': `Bearer ${teacherToken}` },
+        data: { ...childData, leadTeacher: otherCenterTeacherId }
+      });
+      expect(response.status()).toBe(403);
+    } finally {
+      for (const id of teacherIds) {
+        await request.delete(`${API_BASE}/teachers/${id}`, {
+          headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+      }
+    }
+  });
 });
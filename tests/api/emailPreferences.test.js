@@ -0,0 +1,56 @@
+import { test, expect } from '@playwright/test';
+
+const API_BASE = process.env.API_URL || 'https://bainum-project-backend.onrender.com/api';
+
+test.describe('Email Preferences API Endpoints', () => {
+  let authToken = null;
+
+  test.beforeAll(async ({ request }) => {
+    try {
+      const testEmail = process.env.TEST_ADMIN_EMAIL || 'admin@example.com';
+      const testPassword = process.env.TEST_ADMIN_PASSWORD || 'password123';
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: testEmail, password: testPassword }
+      });
+
+      if (loginResponse.status() === 200) {
+        const body = await loginResponse.json();
+        authToken = body.user;
+      }
+    } catch (e) {
+      // Auth may timeout on cold start - tests will skip when needed
+    }
+  });
+
+  test('GET /api/email-preferences - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/email-preferences`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('PUT /api/email-preferences - should require authentication', async ({ request }) => {
+    const response = await request.put(`${API_BASE}/email-preferences`, {
+      data: { digest: false }
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/email-preferences - admins have no digest preferences', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/email-preferences`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(403);
+  });
+
+  test('POST /api/email-preferences/unsubscribe - should reject an invalid token', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/email-preferences/unsubscribe`, {
+      data: { token: 'not-a-valid-token' }
+    });
+    expect(response.status()).toBe(400);
+  });
+});
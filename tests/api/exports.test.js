@@ -0,0 +1,97 @@
+import { test, expect } from '@playwright/test';
+
+const API_BASE = process.env.API_URL || 'https://bainum-project-backend.onrender.com/api';
+
+test.describe('Exports API Endpoints', () => {
+  let authToken = null;
+
+  test.beforeAll(async ({ request }) => {
+    try {
+      const testEmail = process.env.TEST_ADMIN_EMAIL || 'admin@example.com';
+      const testPassword = process.env.TEST_ADMIN_PASSWORD || 'password123';
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: testEmail, password: testPassword }
+      });
+
+      if (loginResponse.status() === 200) {
+        const body = await loginResponse.json();
+        authToken = body.user;
+      }
+    } catch (e) {
+      // Auth may timeout on cold start - tests will skip when needed
+    }
+  });
+
+  test('GET /api/exports/assessments - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/exports/assessments`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/exports/assessments - should reject an unknown format', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/exports/assessments?format=pdf`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(400);
+    const body = await response.json();
+    expect(body.message).toContain('format');
+  });
+
+  test('GET /api/exports/assessments - should validate kind, childId and dates', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    for (const query of ['kind=parent', 'childId=not-an-id', 'from=not-a-date']) {
+      const response = await request.get(`${API_BASE}/exports/assessments?${query}`, {
+        headers: { 'Authorization': `Bearer ${authToken}` }
+      });
+      expect(response.status()).toBe(400);
+    }
+  });
+
+  test('GET /api/exports/assessments - should stream a CSV with pseudonymized IDs', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/exports/assessments?format=csv`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    expect(response.headers()['content-type']).toContain('text/csv');
+    expect(response.headers()['content-disposition']).toContain('attachment');
+
+    const lines = (await response.text()).trim().split('\n');
+    expect(lines[0]).toContain('assessment_id,kind,child_id,teacher_id,center,date');
+    expect(lines[0]).toContain('transcript_length');
+    if (lines.length > 1) {
+      const [, kind, childId, teacherId] = lines[1].split(',');
+      const id = kind === 'child' ? childId : teacherId;
+      expect(id).toMatch(/^p_[0-9a-f]{16}$/);
+    }
+  });
+
+  test('GET /api/exports/assessments - should download an XLSX workbook', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/exports/assessments?format=xlsx&kind=teacher`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    expect(response.headers()['content-type']).toContain('spreadsheetml');
+    const body = await response.body();
+    // XLSX files are zip archives
+    expect(body.subarray(0, 2).toString()).toBe('PK');
+  });
+});
@@ -0,0 +1,170 @@
+import { test, expect } from '@playwright/test';
+
+const API_BASE = process.env.API_URL || 'https://bainum-project-backend.onrender.com/api';
+
+test.describe('Invitations API Endpoints', () => {
+  let authToken = null;
+
+  test.beforeAll(async ({ request }) => {
+    try {
+      const testEmail = process.env.TEST_ADMIN_EMAIL || 'admin@example.com';
+      const testPassword = process.env.TEST_ADMIN_PASSWORD || 'password123';
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: testEmail, password: testPassword }
+      });
+
+      if (loginResponse.status() === 200) {
+        const body = await loginResponse.json();
+        authToken = body.user;
+      }
+    } catch (e) {
+      // Auth may timeout on cold start - tests will skip when needed
+    }
+  });
+
+  test('GET /api/invitations/verify/:token - should be public', async ({ request }) => {
+    // Parents verify their invitation before they have an account
+    const response = await request.get(`${API_BASE}/invitations/verify/not-a-real-token`);
+    expect(response.status()).toBe(404);
+  });
+
+  test('POST /api/invitations/send - should require authentication', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/invitations/send`, {
+      data: { email: 'parent@example.com', childId: '507f1f77bcf86cd799439011' }
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/teacher-invitations/list - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/teacher-invitations/list`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('POST /api/invitations/:id/resend and /revoke - should require authentication', async ({ request }) => {
+    const resend = await request.post(`${API_BASE}/invitations/507f1f77bcf86cd799439011/resend`);
+    expect(resend.status()).toBe(401);
+
+    const revoke = await request.post(`${API_BASE}/teacher-invitations/507f1f77bcf86cd799439011/revoke`);
+    expect(revoke.status()).toBe(401);
+  });
+
+  test('GET /api/invitations/list - should validate the status filter', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const invalid = await request.get(`${API_BASE}/invitations/list?status=unknown`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(invalid.status()).toBe(400);
+
+    const response = await request.get(`${API_BASE}/teacher-invitations/list?status=pending,expired`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    body.invitations.forEach(invitation => {
+      expect(['pending', 'expired']).toContain(invitation.status);
+    });
+  });
+
+  test('POST /api/invitations/:id/resend - should return 404 for an unknown invitation', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.post(`${API_BASE}/invitations/507f1f77bcf86cd799439011/resend`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(404);
+  });
+
+  test('POST /api/teacher-invitations/:id/resend and /revoke - should renew, then revoke the link', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const sendResponse = await request.post(`${API_BASE}/teacher-invitations/send`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: {
+        email: `teacher-lifecycle-${Date.now()}@example.com`,
+        firstName: 'Lifecycle',
+        lastName: 'Teacher',
+        education: 'BA',
+        dateOfBirth: '1990-01-01',
+        center: 'Test Center'
+      }
+    });
+    expect(sendResponse.status()).toBe(201);
+    const { invitation } = await sendResponse.json();
+
+    const resendResponse = await request.post(`${API_BASE}/teacher-invitations/${invitation.id}/resend`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(resendResponse.status()).toBe(200);
+    const resent = await resendResponse.json();
+    expect(resent.invitation.status).toBe('pending');
+    expect(resent.invitation.sendCount).toBe(2);
+
+    const revokeResponse = await request.post(`${API_BASE}/teacher-invitations/${invitation.id}/revoke`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(revokeResponse.status()).toBe(200);
+    expect((await revokeResponse.json()).invitation.status).toBe('revoked');
+
+    // Revoked invitations can't be resent or revoked again
+    const resendRevoked = await request.post(`${API_BASE}/teacher-invitations/${invitation.id}/resend`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(resendRevoked.status()).toBe(400);
+
+    const revokeAgain = await request.post(`${API_BASE}/teacher-invitations/${invitation.id}/revoke`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(revokeAgain.status()).toBe(400);
+  });
+
+  test('POST /api/teacher-invitations/send - should email the invitation (capture transport)', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const outboxResponse = await request.get(`${API_BASE}/admin/email/outbox?limit=1`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    const outbox = await outboxResponse.json();
+    // Only meaningful when the server captures email (EMAIL_PROVIDERS=capture)
+    if (!outbox.captureEnabled) {
+      test.skip();
+      return;
+    }
+
+    const email = `teacher-${Date.now()}@example.com`;
+    const sendResponse = await request.post(`${API_BASE}/teacher-invitations/send`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: {
+        email,
+        firstName: 'Test',
+        lastName: 'Teacher',
+        education: 'BA',
+        dateOfBirth: '1990-01-01',
+        center: 'Test Center'
+      }
+    });
+    expect(sendResponse.status()).toBe(201);
+
+    const response = await request.get(`${API_BASE}/admin/email/outbox?to=${encodeURIComponent(email)}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(body.messages.length).toBe(1);
+    expect(body.messages[0].subject).toContain('Teacher');
+    expect(body.messages[0].text).toContain('/teacher/register?token=');
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+
+const API_BASE = process.env.API_URL || 'https://bainum-project-backend.onrender.com/api';
+
+test.describe('Notes API Endpoints', () => {
+  let authToken = null;
+  let childId = null;
+
+  test.beforeAll(async ({ request }) => {
+    try {
+      const testEmail = process.env.TEST_ADMIN_EMAIL || 'admin@example.com';
+      const testPassword = process.env.TEST_ADMIN_PASSWORD || 'password123';
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: testEmail, password: testPassword }
+      });
+
+      if (loginResponse.status() === 200) {
+        const body = await loginResponse.json();
+        authToken = body.user;
+      }
+
+      if (authToken) {
+        const childrenResponse = await request.get(`${API_BASE}/children`, {
+          headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        if (childrenResponse.status() === 200) {
+          const body = await childrenResponse.json();
+          if (body.children && body.children.length > 0) {
+            childId = body.children[0]._id || body.children[0].id;
+          }
+        }
+      }
+    } catch (e) {
+      // Auth may timeout on cold start - tests will skip when needed
+    }
+  });
+
+  test('GET /api/notes/child/:childId - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/notes/child/507f1f77bcf86cd799439011`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('POST /api/notes - should require authentication', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/notes`, {
+      data: { childId: '507f1f77bcf86cd799439011', content: 'Test note', author: 'Test User' }
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('DELETE /api/notes/:noteId - should require authentication', async ({ request }) => {
+    const response = await request.delete(`${API_BASE}/notes/507f1f77bcf86cd799439011`);
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/notes/child/:childId - should return notes array with valid token', async ({ request }) => {
+    if (!authToken || !childId) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/notes/child/${childId}`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    expect(response.status()).toBe(200);
+    const body = await response.json();
+    expect(Array.isArray(body.notes)).toBe(true);
+  });
+
+  test('PUT /api/notes/:noteId - should return 404 for unknown note', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.put(`${API_BASE}/notes/507f1f77bcf86cd799439011`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: { content: 'Updated note' }
+    });
+    expect(response.status()).toBe(404);
+  });
+});
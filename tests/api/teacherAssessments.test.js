@@ -170,4 +170,29 @@ test.describe('Teacher Assessments API Endpoints', () => {
     const body = await response.json();
     expect(body.message).toMatch(/audio|file|required/i);
   });
+
+  test('PUT /api/assessments/teacher/:id/speakers - should require authentication', async ({ request }) => {
+    const response = await request.put(`${API_BASE}/assessments/teacher/507f1f77bcf86cd799439011/speakers`, {
+      data: {
+        speakerRoles: [{ label: '0', role: 'teacher' }]
+      }
+    });
+
+    expect(response.status()).toBe(401);
+  });
+
+  test('PUT /api/assessments/teacher/:id/speakers - should return 404 for unknown assessment', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+    const response = await request.put(`${API_BASE}/assessments/teacher/507f1f77bcf86cd799439099/speakers`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: {
+        speakerRoles: [{ label: '0', role: 'teacher' }]
+      }
+    });
+
+    expect(response.status()).toBe(404);
+  });
 });
@@ -56,4 +56,54 @@ test.describe('Teachers API Endpoints', () => {
     expect(body).toHaveProperty('teachers');
     expect(Array.isArray(body.teachers)).toBe(true);
   });
+
+  test('PUT /api/teachers/:id - teachers should not be able to rename themselves', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const password = `Rename-${Date.now()}-Aa1`;
+    const teacherData = {
+      name: `Rename Test ${Date.now()}`,
+      email: `rename-test-${Date.now()}@example.com`,
+      password,
+      center: 'Rename Test Center',
+      education: 'Test',
+      dateOfBirth: '1990-01-01'
+    };
+    const createResponse = await request.post(`${API_BASE}/teachers`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: teacherData
+    });
+    expect(createResponse.status()).toBe(201);
+    const teacherId = (await createResponse.json()).teacher.id;
+
+    try {
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: teacherData.email, password }
+      });
+      expect(loginResponse.status()).toBe(200);
+      const teacherToken = (await loginResponse.json()).user;
+
+      // Taking a colleague's name must not be possible
+      const renameResponse = await request.put(`${API_BASE}/teachers/${teacherId}`, {
+        headers: { 'Authorization': `Bearer ${teacherToken}` },
+        data: { ...teacherData, name: 'Another Teacher' }
+      });
+      expect(renameResponse.status()).toBe(403);
+      expect((await renameResponse.json()).message).toContain('name');
+
+      // Other fields can still be edited
+      const updateResponse = await request.put(`${API_BASE}/teachers/${teacherId}`, {
+        headers: { 'Authorization': `Bearer ${teacherToken}` },
+        data: { ...teacherData, education: 'Updated' }
+      });
+      expect(updateResponse.status()).toBe(200);
+    } finally {
+      await request.delete(`${API_BASE}/teachers/${teacherId}`, {
+        headers: { 'Authorization': `Bearer ${authToken}` }
+      });
+    }
+  });
 });
@@ -3,8 +3,46 @@ import { test, expect } from '@playwright/test';
 const API_BASE = process.env.API_URL || 'https://bainum-project-backend.onrender.com/api';
 
 test.describe('Whisper / Audio Processing API', () => {
+  let authToken = null;
+
+  test.beforeAll(async ({ request }) => {
+    try {
+      const testEmail = process.env.TEST_ADMIN_EMAIL || 'admin@example.com';
+      const testPassword = process.env.TEST_ADMIN_PASSWORD || 'password123';
+
+      const loginResponse = await request.post(`${API_BASE}/auth/login`, {
+        data: { email: testEmail, password: testPassword }
+      });
+
+      if (loginResponse.status() === 200) {
+        const body = await loginResponse.json();
+        authToken = body.user;
+      }
+    } catch (e) {
+      // Auth may timeout on cold start - tests will skip when needed
+    }
+  });
+
+  test('POST /api/whisper - should require authentication', async ({ request }) => {
+    // Uploads create a draft assessment owned by the uploader
+    const response = await request.post(`${API_BASE}/whisper`, {
+      multipart: {
+        childId: '507f1f77bcf86cd799439011',
+        uploadedBy: 'Test User'
+      }
+    });
+
+    expect(response.status()).toBe(401);
+  });
+
   test('POST /api/whisper - should require childId', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
     const response = await request.post(`${API_BASE}/whisper`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
       multipart: {
         uploadedBy: 'Test User'
         // No childId, no audio file - childId is checked first
@@ -17,7 +55,13 @@ test.describe('Whisper / Audio Processing API', () => {
   });
 
   test('POST /api/whisper - should require audio file', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
     const response = await request.post(`${API_BASE}/whisper`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
       multipart: {
         childId: '507f1f77bcf86cd799439011',
         uploadedBy: 'Test User'
@@ -29,4 +73,69 @@ test.describe('Whisper / Audio Processing API', () => {
     const body = await response.json();
     expect(body.message).toMatch(/audio|file|required/i);
   });
+
+  test('GET /api/whisper/jobs/:id - should require authentication', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/whisper/jobs/507f1f77bcf86cd799439011`);
+
+    expect(response.status()).toBe(401);
+  });
+
+  test('GET /api/whisper/jobs/:id - should return 404 for unknown job', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/whisper/jobs/507f1f77bcf86cd799439011`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+
+    expect(response.status()).toBe(404);
+    const body = await response.json();
+    expect(body.message).toMatch(/job|not found/i);
+  });
+
+  test('GET /api/whisper/jobs/:id - should return 404 for invalid job ID', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.get(`${API_BASE}/whisper/jobs/not-a-job-id`, {
+      headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+
+    expect(response.status()).toBe(404);
+  });
+
+  test('POST /api/whisper - should not let anonymous users choose a speech-to-text provider', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/whisper`, {
+      multipart: {
+        childId: '507f1f77bcf86cd799439011',
+        uploadedBy: 'Test User',
+        sttProvider: 'fixture',
+        audio: {
+          name: 'test.wav',
+          mimeType: 'audio/wav',
+          buffer: Buffer.from('RIFF')
+        }
+      }
+    });
+
+    expect(response.status()).toBe(401);
+  });
+
+  test('POST /api/whisper/jobs/:id/review - should return 404 for unknown job', async ({ request }) => {
+    if (!authToken) {
+      test.skip();
+      return;
+    }
+
+    const response = await request.post(`${API_BASE}/whisper/jobs/507f1f77bcf86cd799439011/review`, {
+      headers: { 'Authorization': `Bearer ${authToken}` },
+      data: { transcript: 'Corrected transcript' }
+    });
+
+    expect(response.status()).toBe(404);
+  });
 });